@@ -0,0 +1,21 @@
+/**
+ * Alert Check Script
+ * Evaluates the alert rules once and notifies the configured webhooks.
+ * Usage: node alerts.js [--dry-run]   (e.g. from cron, for deployments without a long-running server)
+ */
+
+import "dotenv/config";
+import { runAlertCheck } from "./src/alerts/engine.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+runAlertCheck({ dryRun })
+  .then(({ evaluations, notifications, warnings }) => {
+    for (const w of warnings) console.warn(`Warning: ${w}`);
+    for (const e of evaluations) console.log(`${e.ruleId}: ${e.status}${e.message ? ` — ${e.message}` : ""}`);
+    for (const n of notifications) {
+      const sent = n.deliveries.filter((d) => d.status === "sent").length;
+      console.log(`${dryRun ? "Would notify" : "Notified"} ${n.kind}: ${n.ruleId} (${sent}/${n.deliveries.length} destinations)`);
+    }
+  })
+  .catch((e) => { console.error("Fatal:", e.message); process.exit(1); });
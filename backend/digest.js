@@ -0,0 +1,29 @@
+/**
+ * Digest Runner Script
+ * Runs every digest schedule that is due, or one schedule immediately when given its ID.
+ * Usage: node digest.js [scheduleId]   (e.g. every few minutes from cron, for deployments
+ * without a long-running server)
+ */
+
+import "dotenv/config";
+import { runDueSchedules, runSchedule } from "./src/digests/scheduler.js";
+import { getScheduleStore } from "./src/digests/store.js";
+
+async function main() {
+  const id = process.argv[2];
+  if (!id) return runDueSchedules();
+  const schedule = await getScheduleStore().getSchedule(id);
+  if (!schedule) throw new Error(`No schedule with ID ${id}`);
+  return [await runSchedule(schedule, { trigger: "manual" })];
+}
+
+main()
+  .then((runs) => {
+    if (!runs.length) console.log("No digests due.");
+    for (const run of runs) {
+      console.log(`${run.scheduleId}: ${run.status}${run.error ? ` — ${run.error}` : ""}`);
+      for (const d of run.deliveries) console.log(`  ${d.type} → ${d.target}: ${d.status}${d.error ? ` (${d.error})` : ""}`);
+    }
+    if (runs.some((r) => r.status !== "success")) process.exitCode = 1;
+  })
+  .catch((e) => { console.error("Fatal:", e.message); process.exit(1); });
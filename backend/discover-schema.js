@@ -0,0 +1,38 @@
+/**
+ * Board Schema Discovery Script
+ * Introspects the Deals and Work Orders boards and writes a proposed column mapping
+ * to config/column-mapping.json (or COLUMN_MAPPING_PATH) for admins to review.
+ * Existing overrides are kept.
+ * Usage: node discover-schema.js
+ */
+
+import "dotenv/config";
+import { fetchBoardSchema } from "./src/mondayClient.js";
+import { refreshBoardMapping, getMappingPath } from "./src/schemaDiscovery.js";
+
+const BOARDS = [
+  { type: "deals", envKey: "DEALS_BOARD_ID" },
+  { type: "workOrders", envKey: "WORK_ORDERS_BOARD_ID" },
+];
+
+async function main() {
+  for (const { type, envKey } of BOARDS) {
+    const boardId = process.env[envKey];
+    if (!boardId) { console.error(`${envKey} not set — skipping ${type}.`); continue; }
+
+    console.log(`\n=== ${type} (board ${boardId}) ===`);
+    const { error, board } = await fetchBoardSchema(boardId);
+    if (error) { console.error(`  ! ${error}`); continue; }
+
+    const entry = await refreshBoardMapping(board, type);
+    for (const [field, col] of Object.entries(entry.proposed)) {
+      const override = entry.overrides[field];
+      const shown = col ? `${col.title} (${col.columnId}, score ${col.score})` : "— unmapped —";
+      console.log(`  ${field.padEnd(16)} → ${shown}${override !== undefined ? `  [override: ${override}]` : ""}`);
+    }
+  }
+  console.log(`\nMapping written to ${getMappingPath()}`);
+  console.log(`Edit the "overrides" section to pin a field to a column ID.`);
+}
+
+main().catch((e) => { console.error("Fatal:", e); process.exit(1); });
@@ -0,0 +1,20 @@
+/**
+ * Mock Monday.com API Server
+ * Serves the fixture Deals and Work Orders boards for offline development.
+ * Usage: node mock-monday.js [port]   then run the backend with
+ *   MONDAY_API_URL=http://127.0.0.1:<port>/v2 DEALS_BOARD_ID=1001 WORK_ORDERS_BOARD_ID=1002
+ */
+
+import { createMockMondayServer } from "./src/mock/mondayMockServer.js";
+import { DEALS_BOARD_ID, WORK_ORDERS_BOARD_ID } from "./src/mock/fixtures.js";
+
+const port = Number(process.argv[2] || process.env.MOCK_MONDAY_PORT || 4001);
+const pageSize = Number(process.env.MOCK_MONDAY_PAGE_SIZE) || undefined;
+
+createMockMondayServer({ pageSize })
+  .listen(port)
+  .then((url) => {
+    console.log(`Mock Monday.com API listening on ${url}`);
+    console.log(`Boards: Deals ${DEALS_BOARD_ID}, Work Orders ${WORK_ORDERS_BOARD_ID} (any non-empty API token is accepted)`);
+  })
+  .catch((e) => { console.error("Fatal:", e.message); process.exit(1); });
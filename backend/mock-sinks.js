@@ -0,0 +1,31 @@
+/**
+ * Mock Digest Sinks
+ * Runs a local SMTP server and webhook receiver and prints everything delivered to them.
+ * Usage: node mock-sinks.js [smtpPort] [webhookPort]   then run the backend with
+ *   SMTP_HOST=127.0.0.1 SMTP_PORT=<smtpPort> and point webhook/slack sinks at the receiver
+ */
+
+import { createMockSmtpServer, createMockWebhookServer } from "./src/mock/sinkMockServers.js";
+
+const smtpPort = Number(process.argv[2] || 2525);
+const webhookPort = Number(process.argv[3] || 4002);
+
+const smtp = createMockSmtpServer();
+const webhooks = createMockWebhookServer();
+
+// Print new deliveries as they arrive
+let seenMessages = 0;
+let seenRequests = 0;
+setInterval(() => {
+  for (const m of smtp.messages.slice(seenMessages)) console.log(`\n── Email to ${m.to.join(", ")}: ${m.subject}\n${m.text}`);
+  for (const r of webhooks.requests.slice(seenRequests)) console.log(`\n── POST ${r.path}\n${JSON.stringify(r.body ?? r.raw, null, 2)}`);
+  seenMessages = smtp.messages.length;
+  seenRequests = webhooks.requests.length;
+}, 500);
+
+Promise.all([smtp.listen(smtpPort), webhooks.listen(webhookPort)])
+  .then(([port, url]) => {
+    console.log(`Mock SMTP server listening on 127.0.0.1:${port}`);
+    console.log(`Mock webhook receiver listening on ${url} (any path)`);
+  })
+  .catch((e) => { console.error("Fatal:", e.message); process.exit(1); });
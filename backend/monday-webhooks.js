@@ -0,0 +1,75 @@
+/**
+ * Monday.com Webhook Subscription Script
+ * Registers the configured boards' item events against this backend's public URL, removes
+ * them again, or lists what Monday has on file. Created IDs are kept in
+ * data/monday-webhooks.json (MONDAY_WEBHOOKS_PATH) so `unregister` knows what to remove.
+ * Usage: node monday-webhooks.js register <public base URL>
+ *        node monday-webhooks.js unregister [webhookId ...]
+ *        node monday-webhooks.js list
+ */
+
+import "dotenv/config";
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { listWebhooks } from "./src/mondayClient.js";
+import { configuredBoardIds, registerWebhooks, unregisterWebhooks } from "./src/mondayWebhooks.js";
+
+const statePath = process.env.MONDAY_WEBHOOKS_PATH || resolve(dirname(fileURLToPath(import.meta.url)), "data/monday-webhooks.json");
+
+async function loadRegistered() {
+  try {
+    return JSON.parse(await readFile(statePath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function saveRegistered(webhooks) {
+  await mkdir(dirname(statePath), { recursive: true });
+  await writeFile(statePath, JSON.stringify(webhooks, null, 2));
+}
+
+async function register(baseUrl) {
+  if (!baseUrl) throw new Error("Usage: node monday-webhooks.js register <public base URL>");
+  const { created, errors } = await registerWebhooks(baseUrl);
+  await saveRegistered([...(await loadRegistered()), ...created]);
+  for (const w of created) console.log(`Registered ${w.event} on board ${w.boardId} (webhook ${w.id})`);
+  return errors;
+}
+
+async function unregister(ids) {
+  const registered = await loadRegistered();
+  const targets = ids.length ? ids : registered.map((w) => w.id);
+  if (!targets.length) console.log("No registered webhooks.");
+  const { deleted, errors } = await unregisterWebhooks(targets);
+  await saveRegistered(registered.filter((w) => !deleted.includes(w.id)));
+  for (const id of deleted) console.log(`Deleted webhook ${id}`);
+  return errors;
+}
+
+async function list() {
+  const errors = [];
+  for (const boardId of configuredBoardIds()) {
+    const { error, webhooks } = await listWebhooks(boardId);
+    if (error) errors.push(`Board ${boardId}: ${error}`);
+    for (const w of webhooks) console.log(`Board ${boardId}: webhook ${w.id} (${w.event})`);
+  }
+  return errors;
+}
+
+const [command, ...args] = process.argv.slice(2);
+const commands = { register: () => register(args[0]), unregister: () => unregister(args), list };
+
+if (!commands[command]) {
+  console.error("Usage: node monday-webhooks.js register <public base URL> | unregister [webhookId ...] | list");
+  process.exit(1);
+}
+
+commands[command]()
+  .then((errors) => {
+    for (const e of errors) console.error(`Error: ${e}`);
+    if (errors.length) process.exitCode = 1;
+  })
+  .catch((e) => { console.error("Fatal:", e.message); process.exit(1); });
@@ -0,0 +1,12 @@
+/**
+ * Metric Snapshot Script
+ * Takes one snapshot of both boards' metrics for trend reporting.
+ * Usage: node snapshot.js   (e.g. from cron, for deployments without a long-running server)
+ */
+
+import "dotenv/config";
+import { takeSnapshot } from "./src/snapshotJob.js";
+
+takeSnapshot()
+  .then((snap) => console.log(`Snapshot taken at ${snap.takenAt}`))
+  .catch((e) => { console.error("Fatal:", e.message); process.exit(1); });
@@ -0,0 +1,197 @@
+/**
+ * Alert engine: evaluates the rules against fresh metrics on a timer and notifies the
+ * configured webhooks. Alerts are deduplicated per rule — a firing rule notifies once,
+ * then again only after its cooldown, and once more when it resolves.
+ */
+
+import { readFile, writeFile, rename, mkdir } from "fs/promises";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { executePlan } from "../queryEngine.js";
+import { getSnapshotStore } from "../snapshots.js";
+import { FULL_PLAN } from "../snapshotJob.js";
+import { assertDeliverable, postJson, SINKS } from "../digests/sinks.js";
+import { loadAlertConfig, evaluateRules, historyDays } from "./rules.js";
+import { currentTime } from "../appContext.js";
+
+const DEFAULT_STATE_PATH = resolve(dirname(fileURLToPath(import.meta.url)), "../../data/alert-state.json");
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 24 * 60;
+const DAY_MS = 86400000;
+
+// ── State ───────────────────────────────────────────────────────────
+// State maps rule ID → { status, since, lastNotifiedAt, value }
+
+export function createFileAlertStateStore({ path = process.env.ALERT_STATE_PATH || DEFAULT_STATE_PATH } = {}) {
+  return {
+    async load() {
+      try {
+        return JSON.parse(await readFile(path, "utf-8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return {};
+        throw err;
+      }
+    },
+    async save(state) {
+      await mkdir(dirname(path), { recursive: true });
+      const tmp = `${path}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(state, null, 2));
+      await rename(tmp, path);
+    },
+  };
+}
+
+export function createMemoryAlertStateStore(initial = {}) {
+  let state = initial;
+  return {
+    async load() {
+      return state;
+    },
+    async save(next) {
+      state = next;
+    },
+  };
+}
+
+let stateStore;
+export function getAlertStateStore() {
+  if (!stateStore) stateStore = createFileAlertStateStore();
+  return stateStore;
+}
+
+export function setAlertStateStore(store) {
+  stateStore = store;
+}
+
+// ── Deduplication ───────────────────────────────────────────────────
+function cooldownMs(rule) {
+  const minutes = rule.cooldownMinutes ?? (Number(process.env.ALERT_COOLDOWN_MINUTES) || DEFAULT_COOLDOWN_MINUTES);
+  return minutes * 60_000;
+}
+
+/**
+ * Decide which evaluations need a notification, given the previous state.
+ * Returns { notifications: [{ kind: "firing" | "resolved", rule, evaluation }], state }.
+ * Rules without data keep their previous state, so a failed fetch never "resolves" an alert.
+ */
+export function planNotifications(evaluations, rules, previous, { now = new Date(currentTime()) } = {}) {
+  const byId = new Map(rules.map((r) => [r.id, r]));
+  const state = { ...previous };
+  const notifications = [];
+  const at = now.toISOString();
+
+  for (const evaluation of evaluations) {
+    const rule = byId.get(evaluation.ruleId);
+    const prev = previous[rule.id];
+    if (evaluation.status === "no_data") continue;
+
+    if (evaluation.status === "firing") {
+      const wasFiring = prev?.status === "firing";
+      const due = !wasFiring || !prev.lastNotifiedAt || now - new Date(prev.lastNotifiedAt) >= cooldownMs(rule);
+      state[rule.id] = { status: "firing", since: wasFiring ? prev.since : at, lastNotifiedAt: due ? at : prev.lastNotifiedAt, value: evaluation.value };
+      if (due) notifications.push({ kind: "firing", rule, evaluation });
+    } else {
+      state[rule.id] = { status: "ok", since: prev?.status === "ok" ? prev.since : at, lastNotifiedAt: prev?.lastNotifiedAt || null, value: evaluation.value };
+      if (prev?.status === "firing") notifications.push({ kind: "resolved", rule, evaluation });
+    }
+  }
+  return { notifications, state };
+}
+
+// ── Notification ────────────────────────────────────────────────────
+export function alertPayload({ kind, rule, evaluation }, { now = new Date(currentTime()) } = {}) {
+  return {
+    event: `alert.${kind}`,
+    alert: {
+      ruleId: rule.id,
+      name: rule.name || rule.id,
+      severity: rule.severity || "warning",
+      metric: rule.metric,
+      op: rule.op,
+      threshold: rule.value,
+      change: rule.change || null,
+      value: evaluation.value,
+      current: evaluation.current,
+      baseline: evaluation.baseline,
+      message: evaluation.message,
+    },
+    evaluatedAt: now.toISOString(),
+  };
+}
+
+function slackAlertText({ kind, rule, evaluation }) {
+  const severity = (rule.severity || "warning").toUpperCase();
+  return kind === "firing" ? `:rotating_light: [${severity}] ${evaluation.message}` : `:white_check_mark: Resolved: ${evaluation.message}`;
+}
+
+// Destinations pass the same host checks as digest sinks before every post
+async function sendAlert(notification, destination, { lookup, ...options }) {
+  const target = SINKS[destination.type].describe(destination);
+  try {
+    await assertDeliverable(destination.url, lookup);
+    const status = destination.type === "slack"
+      ? await postJson(destination.url, { text: slackAlertText(notification) })
+      : await postJson(destination.url, alertPayload(notification, options), { secret: destination.secret });
+    return { type: destination.type, target, status: "sent", detail: `HTTP ${status}` };
+  } catch (err) {
+    return { type: destination.type, target, status: "failed", error: err.message };
+  }
+}
+
+// ── Checks ──────────────────────────────────────────────────────────
+/**
+ * Evaluate every rule against fresh board metrics (or `metrics`, when given) and send
+ * the notifications that are due. With `dryRun`, nothing is sent or saved. `lookup`
+ * resolves destination hosts (default: DNS).
+ * Returns { evaluatedAt, evaluations, notifications, warnings }.
+ */
+export async function runAlertCheck({ now = new Date(currentTime()), metrics = null, dryRun = false, config = null, store = getAlertStateStore(), snapshotStore = getSnapshotStore(), lookup } = {}) {
+  const { rules, destinations, warnings } = config || await loadAlertConfig();
+
+  let current = metrics;
+  if (!current) {
+    const results = await executePlan(FULL_PLAN, { snapshotSource: "alerts" });
+    if (results.error) throw new Error(results.error);
+    current = results.metrics;
+  }
+
+  const days = historyDays(rules);
+  const snapshots = days ? await snapshotStore.list({ since: new Date(now.getTime() - (days + 14) * DAY_MS).toISOString() }) : [];
+  const evaluations = evaluateRules(rules, current, { snapshots, now });
+
+  const previous = await store.load();
+  const { notifications, state } = planNotifications(evaluations, rules, previous, { now });
+  if (dryRun) return { evaluatedAt: now.toISOString(), evaluations, notifications: notifications.map(({ kind, rule }) => ({ kind, ruleId: rule.id, deliveries: [] })), warnings };
+
+  const sent = [];
+  for (const notification of notifications) {
+    const deliveries = [];
+    for (const destination of destinations) deliveries.push(await sendAlert(notification, destination, { now, lookup }));
+    // If every destination failed, keep the old state so the next check tries again
+    if (deliveries.length && deliveries.every((d) => d.status === "failed")) {
+      if (previous[notification.rule.id]) state[notification.rule.id] = previous[notification.rule.id];
+      else delete state[notification.rule.id];
+    }
+    sent.push({ kind: notification.kind, ruleId: notification.rule.id, deliveries });
+  }
+  await store.save(state);
+
+  if (!destinations.length && notifications.length) warnings.push("Alerts fired but no destinations are configured.");
+  return { evaluatedAt: now.toISOString(), evaluations, notifications: sent, warnings };
+}
+
+/**
+ * Start the alert timer. ALERT_INTERVAL_MS sets the period (default 15 min; 0 disables).
+ * Returns a stop function.
+ */
+export function startAlertJob({ intervalMs = Number(process.env.ALERT_INTERVAL_MS ?? DEFAULT_INTERVAL_MS) } = {}) {
+  if (!(intervalMs > 0)) return () => {};
+  const run = () => runAlertCheck()
+    .then(({ notifications }) => {
+      for (const n of notifications) console.log(`Alert ${n.ruleId} ${n.kind}`);
+    })
+    .catch((err) => console.error("Alert check error:", err.message));
+  const timer = setInterval(run, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
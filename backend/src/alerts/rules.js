@@ -0,0 +1,146 @@
+/**
+ * Alert rules over executePlan metrics.
+ * A rule compares one metric (a dotted path into `results.metrics`, e.g.
+ * "workOrders.overdue" or "deals.sectorBreakdown.Mining.value") against a threshold,
+ * either as-is or as its change since the snapshot closest to `change.days` ago.
+ * Rules and alert destinations live in a JSON file (ALERT_RULES_PATH).
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { getPath, baselineFor } from "../snapshots.js";
+import { validateSink } from "../digests/sinks.js";
+import { currentTime } from "../appContext.js";
+
+const DEFAULT_RULES_PATH = resolve(dirname(fileURLToPath(import.meta.url)), "../../config/alert-rules.json");
+const DAY_MS = 86400000;
+
+export const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+export const SEVERITIES = ["info", "warning", "critical"];
+const DESTINATION_TYPES = ["webhook", "slack"];
+
+// ── Validation ──────────────────────────────────────────────────────
+/**
+ * Check a rule definition. Returns an error message, or null when it is valid.
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== "object") return "rule must be an object";
+  if (typeof rule.id !== "string" || !/^[\w-]+$/.test(rule.id)) return "rule needs an `id` of letters, digits, - or _";
+  if (typeof rule.metric !== "string" || !rule.metric.trim()) return `rule ${rule.id} needs a \`metric\` path such as "workOrders.overdue"`;
+  if (!OPERATORS[rule.op]) return `rule ${rule.id} has unknown operator "${rule.op}" (use ${Object.keys(OPERATORS).join(" ")})`;
+  if (typeof rule.value !== "number" || !Number.isFinite(rule.value)) return `rule ${rule.id} needs a numeric \`value\``;
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) return `rule ${rule.id} has unknown severity "${rule.severity}"`;
+  if (rule.change !== undefined) {
+    const { days, mode = "percent" } = rule.change || {};
+    if (!(typeof days === "number" && days > 0)) return `rule ${rule.id} needs \`change.days\` > 0`;
+    if (!["percent", "absolute"].includes(mode)) return `rule ${rule.id} has unknown change mode "${mode}"`;
+  }
+  if (rule.cooldownMinutes !== undefined && !(typeof rule.cooldownMinutes === "number" && rule.cooldownMinutes >= 0)) {
+    return `rule ${rule.id} needs a non-negative \`cooldownMinutes\``;
+  }
+  return null;
+}
+
+/**
+ * Load rules and destinations. Invalid entries are skipped and reported in `warnings`
+ * so one bad rule cannot silence the rest. ALERT_WEBHOOK_URL adds a JSON webhook destination.
+ */
+export async function loadAlertConfig(path = process.env.ALERT_RULES_PATH || DEFAULT_RULES_PATH) {
+  let raw = {};
+  const warnings = [];
+  try {
+    raw = JSON.parse(await readFile(path, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") warnings.push(`Could not read alert rules at ${path}: ${err.message}`);
+  }
+
+  const rules = [];
+  const seen = new Set();
+  for (const rule of raw.rules || []) {
+    const error = validateRule(rule) || (seen.has(rule.id) ? `duplicate rule id "${rule.id}"` : null);
+    if (error) {
+      warnings.push(`Skipped alert rule: ${error}.`);
+      continue;
+    }
+    seen.add(rule.id);
+    rules.push(rule);
+  }
+
+  const destinations = [];
+  const configured = [...(raw.destinations || [])];
+  if (process.env.ALERT_WEBHOOK_URL) configured.push({ type: "webhook", url: process.env.ALERT_WEBHOOK_URL, secret: process.env.ALERT_WEBHOOK_SECRET || undefined });
+  for (const dest of configured) {
+    const error = DESTINATION_TYPES.includes(dest?.type) ? validateSink(dest) : `alert destinations must be ${DESTINATION_TYPES.join(" or ")}`;
+    if (error) warnings.push(`Skipped alert destination: ${error}.`);
+    else destinations.push(dest);
+  }
+
+  return { rules, destinations, warnings };
+}
+
+// ── Evaluation ──────────────────────────────────────────────────────
+function formatNumber(n, { percent = false } = {}) {
+  if (percent) return `${(n * 100).toFixed(1).replace(/\.0$/, "")}%`;
+  return n.toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+function describe(rule, value, baseline) {
+  const name = rule.name || rule.id;
+  if (rule.message) {
+    const fields = { value: formatNumber(value), threshold: formatNumber(rule.value), baseline: baseline == null ? "n/a" : formatNumber(baseline), metric: rule.metric };
+    return rule.message.replace(/\{(\w+)\}/g, (match, key) => fields[key] ?? match);
+  }
+  if (!rule.change) return `${name}: ${rule.metric} is ${formatNumber(value)} (alert when ${rule.op} ${formatNumber(rule.value)})`;
+  const percent = (rule.change.mode || "percent") === "percent";
+  return `${name}: ${rule.metric} changed ${value > 0 ? "+" : ""}${formatNumber(value, { percent })} over ${rule.change.days} days ` +
+    `(from ${formatNumber(baseline)}; alert when ${rule.op} ${formatNumber(rule.value, { percent })})`;
+}
+
+/**
+ * Evaluate one rule. Returns { ruleId, status: "firing" | "ok" | "no_data", value,
+ * current, baseline, message }. `value` is the compared quantity (the metric, or its change).
+ */
+export function evaluateRule(rule, metrics, { snapshots = [], now = new Date(currentTime()) } = {}) {
+  const result = { ruleId: rule.id, status: "no_data", value: null, current: null, baseline: null, message: null };
+  const current = getPath(metrics, rule.metric);
+  if (typeof current !== "number" || !Number.isFinite(current)) return result;
+  result.current = current;
+
+  let value = current;
+  if (rule.change) {
+    const found = baselineFor(snapshots, rule.metric, new Date(now.getTime() - rule.change.days * DAY_MS).toISOString());
+    if (!found) return result;
+    result.baseline = found.value;
+    if ((rule.change.mode || "percent") === "percent") {
+      if (!found.value) return result;
+      value = (current - found.value) / Math.abs(found.value);
+    } else {
+      value = current - found.value;
+    }
+  }
+
+  result.value = value;
+  result.status = OPERATORS[rule.op](value, rule.value) ? "firing" : "ok";
+  result.message = describe(rule, value, result.baseline);
+  return result;
+}
+
+export function evaluateRules(rules, metrics, options) {
+  return rules.filter((r) => r.enabled !== false).map((rule) => evaluateRule(rule, metrics, options));
+}
+
+/**
+ * Days of snapshot history the rules need (for loading just enough of it).
+ */
+export function historyDays(rules) {
+  return Math.max(0, ...rules.map((r) => r.change?.days || 0));
+}
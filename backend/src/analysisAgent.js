@@ -0,0 +1,183 @@
+/**
+ * Analysis agent for ad-hoc questions the fixed intents do not cover ("top 5 clients by
+ * billed amount"). The model works step by step: each turn it either calls one of the
+ * sandboxed tools in analysisTools.js or gives its final answer. Steps are capped, and
+ * every tool call and its result is kept as an auditable trace.
+ */
+
+import { createToolSession, ANALYSIS_TOOLS, TOOL_NAMES } from "./analysisTools.js";
+import { getLlmProvider, generateJson } from "./llm/index.js";
+import { keywordQuery } from "./queryDsl.js";
+
+export const DEFAULT_MAX_STEPS = 6;
+
+// Rows of a result shown in the trace; the final result goes to the client in full
+const TRACE_ROWS = 10;
+
+function maxStepsFromEnv() {
+  const n = Number(process.env.AGENT_MAX_STEPS);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_STEPS;
+}
+
+const AGENT_SYSTEM = `You are a data analyst at Skylark Drones answering the user's question with analytics tools over Monday.com board rows.
+Work one step at a time. Each turn return JSON with either a tool call or your final answer:
+- action "call_tool": tool and arguments (the tool's arguments as a JSON object encoded in a string); summary, insight and result null, leadership_bullets [].
+- action "final_answer": summary (2-3 sentences with specific numbers), insight (how you got there and any caveats), leadership_bullets ("Category: Detail"), and result (the id of the result that answers the question; it is shown to the user as a table). tool and arguments null.
+Rules:
+- Sources "deals" and "work_orders" are the boards' rows after the user's filters. Every tool result gets an id (r1, r2, ...) usable as the source of later calls.
+- Use exact column names; call describe_columns first when unsure of them.
+- Monetary columns are already converted to the reporting currency.
+- Answer only from tool results. Never invent numbers. If a tool returns an error, fix the call.`;
+
+const STEP_SCHEMA = {
+  type: "object",
+  properties: {
+    thought: { type: "string" },
+    action: { type: "string", enum: ["call_tool", "final_answer"] },
+    tool: { type: ["string", "null"], enum: [...TOOL_NAMES, null] },
+    arguments: { type: ["string", "null"] },
+    summary: { type: ["string", "null"] },
+    insight: { type: ["string", "null"] },
+    leadership_bullets: { type: "array", items: { type: "string" } },
+    result: { type: ["string", "null"] },
+  },
+  required: ["thought", "action", "tool", "arguments", "summary", "insight", "leadership_bullets", "result"],
+  additionalProperties: false,
+};
+
+/**
+ * Answer `question` with tools over `datasets` ({ deals, work_orders }: { rows, fields }
+ * from executePlan). `onStep(entry)` receives each trace entry as it is recorded.
+ * Returns { summary, insight, leadership_bullets, rows, trace } where `rows` is the result
+ * the answer refers to and `trace` is { steps, maxSteps, stoppedBy } — stoppedBy is
+ * "answer", "max_steps", "error" or "fallback" (no model; keyword planning).
+ */
+export async function runAnalysis(question, datasets, { history = [], maxSteps = maxStepsFromEnv(), onStep = () => {} } = {}) {
+  const session = createToolSession(Object.fromEntries(Object.entries(datasets).map(([name, d]) => [name, d.rows])));
+  const steps = [];
+  let lastResult = null;
+
+  function callTool(tool, args, thought) {
+    const entry = { step: steps.length + 1, tool, arguments: args, thought };
+    let observation;
+    try {
+      observation = session.call(tool, args);
+      entry.result = { ...observation, rows: observation.rows.slice(0, TRACE_ROWS) };
+      lastResult = observation.result;
+    } catch (err) {
+      observation = { error: err.message };
+      entry.error = err.message;
+    }
+    steps.push(entry);
+    onStep(entry);
+    return observation;
+  }
+
+  const finish = (answer, stoppedBy) => ({
+    summary: answer.summary,
+    insight: answer.insight,
+    leadership_bullets: answer.leadership_bullets,
+    rows: session.rows(answer.result) ?? session.rows(lastResult) ?? [],
+    trace: { steps, maxSteps, stoppedBy },
+  });
+
+  const messages = [
+    { role: "system", content: AGENT_SYSTEM },
+    { role: "system", content: `Tools: ${JSON.stringify(TOOL_NAMES.map((name) => ({ name, description: ANALYSIS_TOOLS[name].description, parameters: ANALYSIS_TOOLS[name].parameters })))}` },
+    { role: "system", content: `Sources: ${JSON.stringify(session.datasets)}` },
+  ];
+  for (const h of history.slice(-4)) {
+    messages.push({ role: h.role === "assistant" ? "assistant" : "user", content: h.content });
+  }
+  messages.push({ role: "user", content: question });
+
+  const provider = getLlmProvider();
+  for (let turn = 1; turn <= maxSteps; turn++) {
+    if (turn === maxSteps) messages.push({ role: "system", content: "This is your last step: give your final answer now." });
+    let step;
+    try {
+      step = await generateJson(provider, { messages, schema: STEP_SCHEMA, schemaName: "analysis_step" });
+    } catch (err) {
+      console.error("runAnalysis error:", err.message);
+      return finish(stoppedAnswer(`The model failed after ${steps.length} tool calls (${err.message}).`), "error");
+    }
+    // No model (stub provider): plan the tool calls from keywords instead
+    if (!step) return finish(fallbackAnalysis(question, datasets, callTool), "fallback");
+    if (step.action === "final_answer") return finish(step, "answer");
+    if (turn === maxSteps) break;
+
+    // Unparseable arguments are passed on as the string, so the schema check reports them
+    let args;
+    try {
+      args = JSON.parse(step.arguments || "{}");
+    } catch {
+      args = step.arguments;
+    }
+    const observation = callTool(step.tool, args, step.thought);
+    messages.push({ role: "assistant", content: JSON.stringify(step) });
+    messages.push({ role: "user", content: `${step.tool} returned: ${JSON.stringify(observation)}` });
+  }
+  return finish(stoppedAnswer(`Stopped after ${maxSteps} steps without a final answer.`), "max_steps");
+}
+
+function stoppedAnswer(reason) {
+  return {
+    summary: `${reason} The table shows the last result the analysis produced.`,
+    insight: "Check the analysis trace for the tool calls made so far, or rephrase the question more narrowly.",
+    leadership_bullets: [],
+    result: null,
+  };
+}
+
+// ── Fallback: keyword planning ──────────────────────────────────────
+function formatAmount(v) {
+  return v == null ? "n/a" : Math.round(v).toLocaleString("en-IN");
+}
+
+// Runs the query keywordQuery plans ("top 5 clients by billed amount") as tool calls
+function fallbackAnalysis(question, datasets, callTool) {
+  const query = keywordQuery(question, Object.fromEntries(Object.entries(datasets).map(([name, d]) => [name, d.fields])));
+  if (!query) {
+    for (const source of Object.keys(datasets)) callTool("describe_columns", { source }, "List the columns available for analysis.");
+    return {
+      summary: "This question could not be turned into an analysis without a language model.",
+      insight: "Keyword planning understands questions such as \"top 5 clients by billed amount\" or \"deal value by sector\". The trace lists the columns available.",
+      leadership_bullets: [],
+      result: null,
+    };
+  }
+
+  const { from: source, limit: n, orderBy: [{ direction }] } = query;
+  const { fields } = datasets[source];
+  const group = fields[query.groupBy[0]];
+  const measure = fields[query.aggregates.find((a) => a.fn === "sum")?.column] ?? null;
+  const label = measure ? `Total ${measure}` : "Items";
+  const aggregates = [
+    ...(measure ? [{ fn: "sum", column: measure, as: label }] : []),
+    { fn: "count", column: null, as: measure ? "Items" : label },
+  ];
+  callTool("describe_columns", { source }, `Check the columns of ${source}.`);
+  const grouped = callTool("group_by", { source, by: [group], aggregates }, `Group ${source} by ${group}${measure ? ` and sum ${measure}` : ""}.`);
+  if (grouped.error) return stoppedAnswer(`Grouping ${source} by ${group} failed.`);
+  const ranked = n
+    ? callTool("top_n", { source: grouped.result, by: label, n, direction }, `Keep the ${direction === "asc" ? "bottom" : "top"} ${n}.`)
+    : callTool("sort_rows", { source: grouped.result, by: label, direction }, `Rank by ${label}.`);
+
+  const rows = ranked.rows || [];
+  const listed = rows.slice(0, 5).map((r) => `${r[group] ?? "(blank)"} ${formatAmount(r[label])}`).join(", ");
+  const blanks = measure ? rows.filter((r) => r[label] == null).length : 0;
+  const board = source.replace("_", " ");
+  const ranking = n ? `${direction === "asc" ? "Bottom" : "Top"} ${rows.length} ${group} values` : `${group} ranked`;
+  return {
+    summary: rows.length
+      ? `${ranking} by ${measure ? `total ${measure}` : "number of items"} (${board}): ${listed}.`
+      : `No ${board} to group by ${group}.`,
+    insight: "This analysis was planned from keywords without a language model. Check the trace for the columns and steps it used.",
+    leadership_bullets: [
+      `Result: ${listed || "no rows"}.`,
+      `Method: grouped ${datasets[source].rows.length} ${board} by ${group}${measure ? `, summing ${measure}` : ", counting them"}.`,
+      ...(blanks ? [`Data Quality: ${blanks} groups have no ${measure} values.`] : []),
+    ],
+    result: ranked.result || grouped.result,
+  };
+}
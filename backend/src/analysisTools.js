@@ -0,0 +1,290 @@
+/**
+ * Sandboxed analytics tools for the analysis agent.
+ * The model can only call these functions by name with JSON arguments. They read the
+ * normalized rows handed to the session and nothing else: no boards, network or code.
+ * Each call's output is kept as a named result ("r1", "r2", ...) that later calls can
+ * use as their `source`.
+ */
+
+import { validateJson } from "./llm/jsonSchema.js";
+
+export const FILTER_OPS = ["eq", "neq", "gt", "gte", "lt", "lte", "contains", "in", "empty", "not_empty"];
+export const AGGREGATE_FNS = ["count", "count_distinct", "sum", "avg", "min", "max"];
+
+// Results a session may hold, and rows of each result shown back to the model
+const MAX_RESULTS = 20;
+const SAMPLE_ROWS = 20;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Rows as the tools see them: item ID and name plus every column, with monetary columns
+ * converted to the reporting currency (null when no rate is known).
+ */
+export function analysisRows(rows, converter) {
+  return rows.map((r) => {
+    const row = { ID: r._id, Name: r._name };
+    for (const [key, value] of Object.entries(r)) {
+      if (key.startsWith("_") || key.endsWith("_currency")) continue;
+      const currency = r[`${key}_currency`];
+      row[key] = typeof value === "number" && currency ? converter.convert(value, currency) : value;
+    }
+    return row;
+  });
+}
+
+// ── Row Operations ──────────────────────────────────────────────────
+// Shared with the query DSL (queryDsl.js); callers check column names first.
+const isEmpty = (v) => v == null || v === "";
+
+export function columnsOf(rows) {
+  return [...new Set(rows.flatMap((r) => Object.keys(r)))];
+}
+
+function columnType(values) {
+  const filled = values.filter((v) => !isEmpty(v));
+  if (!filled.length) return "empty";
+  if (filled.every((v) => typeof v === "number")) return "number";
+  if (filled.every((v) => typeof v === "string" && ISO_DATE_RE.test(v))) return "date";
+  return "text";
+}
+
+// Numbers compare numerically, everything else as case-insensitive text (ISO dates sort correctly)
+function compare(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: "base", numeric: true });
+}
+
+/** Sort by each { column, direction } in turn. Empty values always sort last, whichever the direction. */
+export function orderRows(rows, orderBy) {
+  return [...rows].sort((x, y) => {
+    for (const { column, direction } of orderBy) {
+      const a = x[column], b = y[column];
+      if (isEmpty(a) || isEmpty(b)) {
+        if (isEmpty(a) !== isEmpty(b)) return isEmpty(a) - isEmpty(b);
+        continue;
+      }
+      const c = compare(a, b);
+      if (c) return direction === "asc" ? c : -c;
+    }
+    return 0;
+  });
+}
+
+function matches(value, op, target) {
+  switch (op) {
+    case "empty": return isEmpty(value);
+    case "not_empty": return !isEmpty(value);
+    case "in": return Array.isArray(target) && target.some((t) => !isEmpty(value) && compare(value, t) === 0);
+    case "contains": return !isEmpty(value) && String(value).toLowerCase().includes(String(target ?? "").toLowerCase());
+  }
+  if (isEmpty(value) || isEmpty(target)) return op === "neq" ? isEmpty(value) !== isEmpty(target) : false;
+  const c = compare(value, target);
+  return { eq: c === 0, neq: c !== 0, gt: c > 0, gte: c >= 0, lt: c < 0, lte: c <= 0 }[op];
+}
+
+/** Rows matching every { column, op, value } condition. */
+export function filterRows(rows, conditions) {
+  return rows.filter((r) => conditions.every((c) => matches(r[c.column], c.op, c.value)));
+}
+
+export function aggregateName({ fn, column, as }) {
+  return as || (fn === "count" ? "count" : `${fn} of ${column}`);
+}
+
+// SQL-like: count counts rows, the other functions skip empty values; sum/avg/min/max of nothing is null
+function aggregateValue(rows, { fn, column }) {
+  if (fn === "count") return column ? rows.filter((r) => !isEmpty(r[column])).length : rows.length;
+  const values = rows.map((r) => r[column]).filter((v) => !isEmpty(v));
+  if (fn === "count_distinct") return new Set(values.map((v) => (typeof v === "string" ? v.toLowerCase() : v))).size;
+  if (!values.length) return null;
+  if (fn === "min") return values.reduce((m, v) => (compare(v, m) < 0 ? v : m));
+  if (fn === "max") return values.reduce((m, v) => (compare(v, m) > 0 ? v : m));
+  const numbers = values.filter((v) => typeof v === "number");
+  if (!numbers.length) throw new Error(`${fn} needs a numeric column; "${column}" has no numbers.`);
+  const sum = numbers.reduce((a, b) => a + b, 0);
+  return fn === "sum" ? sum : sum / numbers.length;
+}
+
+/** One row per distinct combination of the `by` columns (text ignoring case), largest group first. */
+export function groupRows(rows, by, aggregates) {
+  const groups = new Map();
+  for (const r of rows) {
+    const keyValues = by.map((c) => (isEmpty(r[c]) ? null : r[c]));
+    const key = JSON.stringify(keyValues.map((v) => (typeof v === "string" ? v.toLowerCase() : v)));
+    if (!groups.has(key)) groups.set(key, { keyValues, rows: [] });
+    groups.get(key).rows.push(r);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.rows.length - a.rows.length)
+    .map((g) => ({
+      ...Object.fromEntries(by.map((c, i) => [c, g.keyValues[i]])),
+      ...Object.fromEntries(aggregates.map((a) => [aggregateName(a), aggregateValue(g.rows, a)])),
+    }));
+}
+
+export function aggregateRows(rows, aggregates) {
+  return Object.fromEntries(aggregates.map((a) => [aggregateName(a), aggregateValue(rows, a)]));
+}
+
+// ── Tools ───────────────────────────────────────────────────────────
+const SOURCE = { type: "string" };
+const DIRECTION = { type: "string", enum: ["asc", "desc"] };
+const AGGREGATES = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: { fn: { type: "string", enum: AGGREGATE_FNS }, column: { type: ["string", "null"] }, as: { type: ["string", "null"] } },
+    required: ["fn", "column", "as"],
+    additionalProperties: false,
+  },
+};
+
+function params(properties) {
+  return { type: "object", properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+/** Tool name → { description, parameters (JSON schema), run(args, ctx) → rows }. */
+export const ANALYSIS_TOOLS = {
+  describe_columns: {
+    description: "List a source's columns with their type, how many rows fill them, distinct values and range or examples.",
+    parameters: params({ source: SOURCE }),
+    run({ source }, { rowsOf }) {
+      const rows = rowsOf(source);
+      return columnsOf(rows).map((column) => {
+        const values = rows.map((r) => r[column]);
+        const filled = values.filter((v) => !isEmpty(v));
+        const type = columnType(values);
+        const distinct = [...new Set(filled)];
+        const ordered = [...filled].sort(compare);
+        return {
+          column,
+          type,
+          filled: filled.length,
+          distinct: distinct.length,
+          min: type === "text" ? null : ordered[0] ?? null,
+          max: type === "text" ? null : ordered.at(-1) ?? null,
+          examples: type === "text" ? distinct.slice(0, 5) : [],
+        };
+      });
+    },
+  },
+
+  filter_rows: {
+    description: `Keep rows matching every condition. Ops: ${FILTER_OPS.join(", ")} ("in" takes an array; "empty"/"not_empty" ignore value). Text comparisons ignore case.`,
+    parameters: params({
+      source: SOURCE,
+      conditions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { column: { type: "string" }, op: { type: "string", enum: FILTER_OPS }, value: { type: ["string", "number", "array", "null"], items: { type: ["string", "number"] } } },
+          required: ["column", "op", "value"],
+          additionalProperties: false,
+        },
+      },
+    }),
+    run({ source, conditions }, { rowsOf, column }) {
+      const rows = rowsOf(source);
+      conditions.forEach((c) => column(rows, c.column));
+      return filterRows(rows, conditions);
+    },
+  },
+
+  group_by: {
+    description: `Group rows by one or more columns and compute aggregates per group (${AGGREGATE_FNS.join(", ")}; count may leave column null). Groups come out largest first.`,
+    parameters: params({ source: SOURCE, by: { type: "array", items: { type: "string" } }, aggregates: AGGREGATES }),
+    run({ source, by, aggregates }, { rowsOf, column, checkAggregates }) {
+      const rows = rowsOf(source);
+      if (!by.length) throw new Error("group_by needs at least one column in `by`.");
+      by.forEach((c) => column(rows, c));
+      checkAggregates(rows, aggregates);
+      return groupRows(rows, by, aggregates);
+    },
+  },
+
+  aggregate: {
+    description: `Compute aggregates over all rows of a source (${AGGREGATE_FNS.join(", ")}), returning one row.`,
+    parameters: params({ source: SOURCE, aggregates: AGGREGATES }),
+    run({ source, aggregates }, { rowsOf, checkAggregates }) {
+      const rows = rowsOf(source);
+      checkAggregates(rows, aggregates);
+      return [aggregateRows(rows, aggregates)];
+    },
+  },
+
+  sort_rows: {
+    description: "Sort rows by a column. Empty values go last.",
+    parameters: params({ source: SOURCE, by: { type: "string" }, direction: DIRECTION }),
+    run({ source, by, direction }, { rowsOf, column }) {
+      const rows = rowsOf(source);
+      column(rows, by);
+      return orderRows(rows, [{ column: by, direction }]);
+    },
+  },
+
+  top_n: {
+    description: "The first n rows when sorted by a column (desc for largest, asc for smallest). Empty values never make the top.",
+    parameters: params({ source: SOURCE, by: { type: "string" }, n: { type: "integer" }, direction: DIRECTION }),
+    run({ source, by, n, direction }, { rowsOf, column }) {
+      const rows = rowsOf(source);
+      column(rows, by);
+      if (n < 1 || n > 100) throw new Error("n must be between 1 and 100.");
+      return orderRows(rows.filter((r) => !isEmpty(r[by])), [{ column: by, direction }]).slice(0, n);
+    },
+  },
+};
+
+export const TOOL_NAMES = Object.keys(ANALYSIS_TOOLS);
+
+// ── Session ─────────────────────────────────────────────────────────
+/**
+ * A tool session over `datasets` ({ name: rows }). `call(tool, args)` validates the
+ * arguments against the tool's schema, runs it and returns what the model is shown:
+ * { result, rowCount, columns, rows } with the first rows only. Invalid calls throw with
+ * a message meant for the model, so it can correct itself.
+ */
+export function createToolSession(datasets) {
+  const results = {};
+  let count = 0;
+
+  const ctx = {
+    rowsOf(source) {
+      const rows = results[source] ?? datasets[source];
+      if (!rows) throw new Error(`Unknown source "${source}". Available: ${[...Object.keys(datasets), ...Object.keys(results)].join(", ")}.`);
+      return rows;
+    },
+    column(rows, name) {
+      const columns = columnsOf(rows);
+      if (!columns.includes(name)) throw new Error(`Unknown column "${name}". Columns: ${columns.join(", ")}.`);
+      return name;
+    },
+    checkAggregates(rows, aggregates) {
+      if (!aggregates.length) throw new Error("At least one aggregate is required.");
+      for (const a of aggregates) {
+        if (a.column) ctx.column(rows, a.column);
+        else if (a.fn !== "count") throw new Error(`${a.fn} needs a column.`);
+      }
+    },
+  };
+
+  return {
+    datasets: Object.entries(datasets).map(([name, rows]) => ({ name, rows: rows.length, columns: columnsOf(rows) })),
+
+    call(tool, args) {
+      const def = ANALYSIS_TOOLS[tool];
+      if (!def) throw new Error(`Unknown tool "${tool}". Tools: ${TOOL_NAMES.join(", ")}.`);
+      const errors = validateJson(args, def.parameters);
+      if (errors.length) throw new Error(`Invalid arguments for ${tool}: ${errors.slice(0, 3).join("; ")}`);
+      if (count >= MAX_RESULTS) throw new Error(`No more than ${MAX_RESULTS} tool results per analysis.`);
+      const rows = def.run(args, ctx);
+      const id = `r${++count}`;
+      results[id] = rows;
+      return { result: id, rowCount: rows.length, columns: columnsOf(rows), rows: rows.slice(0, SAMPLE_ROWS) };
+    },
+
+    /** Every row of a result, or null for an unknown id. */
+    rows(id) {
+      return results[id] ?? null;
+    },
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Express application factory (routes and middleware, no listener).
+ * Used by server.js, the Vercel function (api/index.js) and the tests.
+ */
+
+import express from "express";
+import cors from "cors";
+import { createApiRouter } from "./routes/api.js";
+import { createConversationService } from "./conversations/index.js";
+import { runWithDeps } from "./appContext.js";
+
+/**
+ * Create the app. Every dependency is optional and defaults to the environment's:
+ *   mondayClient      — { fetchBoard, fetchItem, fetchCurrentUser, createWebhook, deleteWebhook }
+ *   llmProvider       — an LLM provider (see llm/index.js)
+ *   conversationStore — a conversation store (see conversations/store.js)
+ *   boardCacheStore   — a board cache store (see boardCache.js)
+ *   clock             — () => epoch milliseconds, for token expiry, cache ages, timestamps and
+ *                       the overdue, aging, date-range and alert calculations
+ */
+export function createApp({ mondayClient = null, llmProvider = null, conversationStore = null, boardCacheStore = null, clock = null } = {}) {
+  const deps = { mondayClient, llmProvider, boardCacheStore, clock };
+  const conversations = createConversationService({ store: conversationStore, ...(clock && { now: clock }) });
+
+  const app = express();
+  app.use(cors());
+  app.use(express.json({ limit: "2mb" })); // export requests carry a full chat reply
+  // After the body parser: its callbacks would not carry the injected dependencies along
+  app.use((_req, _res, next) => runWithDeps(deps, next));
+  app.use("/api", createApiRouter({ conversations, llmProvider }));
+  return app;
+}
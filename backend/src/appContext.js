@@ -0,0 +1,27 @@
+/**
+ * Dependencies injected into the app instance handling the current request (see
+ * createApp in app.js). They follow the request through every await, so deep callers
+ * such as the board cache, the planner and token checks use the injected Monday client,
+ * LLM provider, board cache store and clock without them being passed down. Outside a
+ * request (scheduled jobs, CLI scripts) nothing is injected and module defaults apply.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/** Run `fn` with `deps` ({ mondayClient, llmProvider, boardCacheStore, clock }) injected. */
+export function runWithDeps(deps, fn) {
+  return storage.run(deps, fn);
+}
+
+/** The injected dependency called `name`, or null. */
+export function injected(name) {
+  return storage.getStore()?.[name] ?? null;
+}
+
+/** Milliseconds since the epoch, from the injected clock when there is one. */
+export function currentTime() {
+  const clock = injected("clock");
+  return clock ? clock() : Date.now();
+}
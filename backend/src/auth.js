@@ -0,0 +1,189 @@
+/**
+ * API authentication.
+ * Callers present a configured API key or a signed session token as a Bearer token.
+ * Session tokens are issued by POST /api/auth/token and can carry the user's own
+ * Monday.com token (encrypted), so board permissions are enforced per user.
+ */
+
+import { createHmac, createHash, createCipheriv, createDecipheriv, randomBytes, timingSafeEqual } from "crypto";
+import { getMondayClient } from "./mondayClient.js";
+import { currentTime } from "./appContext.js";
+
+const DEFAULT_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const LOCAL_USER = { id: "local", mondayToken: null };
+
+// ── Configuration ───────────────────────────────────────────────────
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === "true";
+}
+
+/**
+ * Parse API_KEYS ("alice:key1,bob:key2") into a key → user ID map.
+ */
+export function parseApiKeys(raw = process.env.API_KEYS || "") {
+  const keys = new Map();
+  for (const entry of raw.split(",")) {
+    const sep = entry.indexOf(":");
+    if (sep <= 0) continue;
+    const userId = entry.slice(0, sep).trim();
+    const key = entry.slice(sep + 1).trim();
+    if (userId && key) keys.set(key, userId);
+  }
+  return keys;
+}
+
+/**
+ * Whether `user` may run server-wide operations (ADMIN_USERS, a comma-separated list of
+ * user IDs). Everyone is an admin when authentication is disabled.
+ */
+export function isAdmin(user, adminIds = process.env.ADMIN_USERS || "") {
+  if (isAuthDisabled()) return true;
+  return !!user && adminIds.split(",").map((id) => id.trim()).includes(user.id);
+}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) throw new Error("AUTH_SECRET is not configured. Set it to issue session tokens.");
+  return secret;
+}
+
+// Separate keys for signing and encryption, both derived from AUTH_SECRET
+function deriveKey(secret, purpose) {
+  return createHash("sha256").update(`${purpose}:${secret}`).digest();
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// ── Monday Token Encryption ─────────────────────────────────────────
+function encrypt(text, secret) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", deriveKey(secret, "enc"), iv);
+  const body = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString("base64url");
+}
+
+function decrypt(payload, secret) {
+  const raw = Buffer.from(payload, "base64url");
+  const decipher = createDecipheriv("aes-256-gcm", deriveKey(secret, "enc"), raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+}
+
+/** Encrypt a Monday token for storage outside a session token (a digest schedule's owner token). */
+export function sealMondayToken(mondayToken) {
+  return encrypt(mondayToken, getSecret());
+}
+
+/** Decrypt a token from sealMondayToken. Throws if AUTH_SECRET has changed since. */
+export function openMondayToken(sealed) {
+  return decrypt(sealed, getSecret());
+}
+
+// ── Session Tokens ──────────────────────────────────────────────────
+function sign(body, secret) {
+  return createHmac("sha256", deriveKey(secret, "sign")).update(body).digest("base64url");
+}
+
+/**
+ * Issue a session token for `userId`. The token is `<payload>.<signature>`; the
+ * optional Monday token inside the payload is encrypted, never readable by the client.
+ */
+export function issueSessionToken({ userId, mondayToken = null }, { ttlMs = Number(process.env.AUTH_TOKEN_TTL_MS) || DEFAULT_TOKEN_TTL_MS, now = currentTime() } = {}) {
+  const secret = getSecret();
+  const claims = { sub: userId, iat: now, exp: now + ttlMs };
+  if (mondayToken) claims.mt = encrypt(mondayToken, secret);
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return { token: `${body}.${sign(body, secret)}`, expiresAt: new Date(claims.exp).toISOString() };
+}
+
+/**
+ * Verify a session token. Returns { error, user } where user is { id, mondayToken }.
+ */
+export function verifySessionToken(token, { now = currentTime() } = {}) {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) return { error: "Session tokens are not enabled on this server.", user: null };
+
+  const [body, signature, extra] = String(token).split(".");
+  if (!body || !signature || extra !== undefined || !safeEqual(signature, sign(body, secret))) {
+    return { error: "Invalid session token.", user: null };
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { error: "Invalid session token.", user: null };
+  }
+  if (!claims.sub || !(claims.exp > now)) return { error: "Session token has expired. Please sign in again.", user: null };
+
+  let mondayToken = null;
+  if (claims.mt) {
+    try {
+      mondayToken = decrypt(claims.mt, secret);
+    } catch {
+      return { error: "Invalid session token.", user: null };
+    }
+  }
+  return { error: null, user: { id: claims.sub, mondayToken } };
+}
+
+/**
+ * Exchange an authenticated user (and optionally their Monday token) for a session
+ * token. The Monday token is checked against the Monday API before it is accepted.
+ */
+export async function createSession(user, { mondayToken = null } = {}) {
+  let mondayUser = null;
+  if (mondayToken) {
+    const { error, user: owner } = await getMondayClient().fetchCurrentUser({ token: mondayToken });
+    if (error) return { error: `Monday.com token rejected: ${error}` };
+    mondayUser = owner;
+  }
+  const { token, expiresAt } = issueSessionToken({ userId: user.id, mondayToken: mondayToken || user.mondayToken });
+  return { error: null, token, expiresAt, userId: user.id, mondayUser };
+}
+
+// ── Request Authentication ──────────────────────────────────────────
+/**
+ * Authenticate a request from its headers. Accepts `Authorization: Bearer <api key |
+ * session token>`; an `X-Monday-Token` header overrides the user's Monday token for
+ * that request. Returns { error, user }.
+ */
+export function authenticate(headers = {}, { apiKeys = parseApiKeys(), now } = {}) {
+  const headerToken = headers["x-monday-token"] || null;
+  if (isAuthDisabled()) return { error: null, user: { ...LOCAL_USER, mondayToken: headerToken } };
+
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  if (!match) return { error: "Authentication required.", user: null };
+  const credential = match[1].trim();
+
+  for (const [key, userId] of apiKeys) {
+    if (safeEqual(credential, key)) return { error: null, user: { id: userId, mondayToken: headerToken } };
+  }
+  if (!credential.includes(".")) return { error: "Invalid API key.", user: null };
+
+  const { error, user } = verifySessionToken(credential, { now });
+  if (error) return { error, user: null };
+  return { error: null, user: { ...user, mondayToken: headerToken || user.mondayToken } };
+}
+
+/**
+ * Express middleware: sets `req.user` or responds 401.
+ */
+export function requireAuth(req, res, next) {
+  const { error, user } = authenticate(req.headers);
+  if (error) return res.status(401).json({ error });
+  req.user = user;
+  return next();
+}
+
+/**
+ * Express middleware for server-wide routes, used after requireAuth: responds 403
+ * unless `req.user` is an admin.
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: "This needs an admin account (see ADMIN_USERS)." });
+  return next();
+}
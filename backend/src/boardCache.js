@@ -0,0 +1,191 @@
+/**
+ * Caching layer in front of fetchBoard.
+ * Pluggable stores (in-memory LRU by default, optional file-backed), keyed by board ID
+ * (plus a token fingerprint for per-user Monday tokens), with a configurable TTL, manual
+ * invalidation and per-item patching from Monday webhook events.
+ */
+
+import { createHash } from "crypto";
+import { readFile, writeFile, mkdir, rm, readdir } from "fs/promises";
+import { join } from "path";
+import { tmpdir } from "os";
+import { getMondayClient } from "./mondayClient.js";
+import { injected, currentTime } from "./appContext.js";
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 20;
+
+// ── Stores ──────────────────────────────────────────────────────────
+// A store exposes async get(key) → { value, storedAt } | null, set(key, entry), delete(key), keys(), clear().
+
+export function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+export function createFileStore({ dir = join(tmpdir(), "skylark-board-cache") } = {}) {
+  const fileFor = (key) => join(dir, `${encodeURIComponent(key)}.json`);
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(fileFor(key), "utf-8"));
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(fileFor(key), JSON.stringify(entry));
+    },
+    async delete(key) {
+      await rm(fileFor(key), { force: true });
+    },
+    async keys() {
+      const files = await readdir(dir).catch(() => []);
+      return files.filter((f) => f.endsWith(".json")).map((f) => decodeURIComponent(f.slice(0, -5)));
+    },
+    async clear() {
+      const files = await readdir(dir).catch(() => []);
+      await Promise.all(files.filter((f) => f.endsWith(".json")).map((f) => rm(join(dir, f), { force: true })));
+    },
+  };
+}
+
+// ── Configuration ───────────────────────────────────────────────────
+function createStoreFromEnv() {
+  if (process.env.BOARD_CACHE_STORE === "file") {
+    return createFileStore(process.env.BOARD_CACHE_DIR ? { dir: process.env.BOARD_CACHE_DIR } : {});
+  }
+  return createMemoryStore();
+}
+
+/** How long fetched boards are served from the cache (BOARD_CACHE_TTL_MS, default 5 minutes). */
+export function boardCacheTtlMs() {
+  const n = Number(process.env.BOARD_CACHE_TTL_MS);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_TTL_MS;
+}
+
+let store;
+function getStore() {
+  const injectedStore = injected("boardCacheStore");
+  if (injectedStore) return injectedStore;
+  if (!store) store = createStoreFromEnv();
+  return store;
+}
+
+/**
+ * Replace the active cache store (e.g. a shared store, or a fresh one in tests).
+ */
+export function setBoardCacheStore(newStore) {
+  store = newStore;
+}
+
+// ── Cached Fetch ────────────────────────────────────────────────────
+// Boards fetched with a user's own token are cached separately, so one user's view of a
+// board (which depends on their Monday permissions) is never served to another.
+function tokenHash(token) {
+  return createHash("sha256").update(token).digest("hex").slice(0, 16);
+}
+
+function cacheKey(boardId, token) {
+  if (!token) return String(boardId);
+  return `${boardId}:${tokenHash(token)}`;
+}
+
+/**
+ * fetchBoard with caching. Returns the fetchBoard result plus a `cache` descriptor
+ * ({ cached, fetchedAt, ageMs }) so responses can report how fresh the data is.
+ * A TTL of 0 disables caching. `token` is a user's Monday token (default: the shared one).
+ */
+export async function fetchBoardCached(boardId, { ttlMs = boardCacheTtlMs(), now = currentTime, token } = {}) {
+  const key = cacheKey(boardId, token);
+  const cacheStore = getStore();
+
+  if (ttlMs > 0) {
+    const entry = await cacheStore.get(key);
+    if (entry) {
+      const ageMs = now() - entry.storedAt;
+      if (ageMs <= ttlMs) {
+        return { error: null, board: entry.value, cache: { cached: true, fetchedAt: new Date(entry.storedAt).toISOString(), ageMs } };
+      }
+      await cacheStore.delete(key);
+    }
+  }
+
+  const { error, board } = await getMondayClient().fetchBoard(boardId, { token });
+  if (error) return { error, board: null, cache: null };
+
+  const storedAt = now();
+  if (ttlMs > 0) {
+    try {
+      await cacheStore.set(key, { value: board, storedAt });
+    } catch (err) {
+      console.warn(`Board cache write failed for ${key}: ${err.message}`);
+    }
+  }
+  return { error: null, board, cache: { cached: false, fetchedAt: new Date(storedAt).toISOString(), ageMs: 0 } };
+}
+
+/**
+ * Drop one board from the cache (for every token it was fetched with), or every
+ * board when no ID is given. With `token`, only the copies fetched with that token go.
+ */
+export async function invalidateBoardCache(boardId, { token = null } = {}) {
+  const cacheStore = getStore();
+  if (token) {
+    const suffix = `:${tokenHash(token)}`;
+    const keys = await cacheStore.keys();
+    const own = keys.filter((k) => (boardId == null ? k.endsWith(suffix) : k === cacheKey(boardId, token)));
+    await Promise.all(own.map((k) => cacheStore.delete(k)));
+    return { invalidated: boardId == null ? "all" : [String(boardId)] };
+  }
+  if (boardId == null) {
+    await cacheStore.clear();
+    return { invalidated: "all" };
+  }
+  const id = String(boardId);
+  const keys = await cacheStore.keys();
+  await Promise.all(keys.filter((k) => k === id || k.startsWith(`${id}:`)).map((k) => cacheStore.delete(k)));
+  return { invalidated: [id] };
+}
+
+/**
+ * Apply `update(board) → board` to the cached copy fetched with the shared token, keeping
+ * its original storedAt so the TTL still bounds staleness. Copies fetched with users' own
+ * tokens are dropped instead, since the change cannot be re-read with their permissions.
+ * Returns { patched } — false when the shared copy was not cached.
+ */
+export async function patchCachedBoard(boardId, update) {
+  const cacheStore = getStore();
+  const id = String(boardId);
+  const keys = await cacheStore.keys();
+  await Promise.all(keys.filter((k) => k.startsWith(`${id}:`)).map((k) => cacheStore.delete(k)));
+
+  const entry = await cacheStore.get(id);
+  if (!entry) return { patched: false };
+  await cacheStore.set(id, { ...entry, value: update(entry.value), patchedAt: currentTime() });
+  return { patched: true };
+}
@@ -0,0 +1,117 @@
+/**
+ * Chart-ready series built from computed metrics.
+ * Each chart is { id, type: "bar" | "pie" | "line", title, unit, series: [{ label, value }] },
+ * where `unit` is "count" or the reporting currency code. The narrative step picks which
+ * of the available charts suit the question; DEFAULT_CHARTS covers the fallback.
+ */
+
+const MAX_CHARTS = 3;
+const MAX_SLICES = 6;
+
+function entries(distribution = {}) {
+  return Object.entries(distribution).map(([label, value]) => ({ label, value }));
+}
+
+// Pies read badly with many thin slices, so the smallest are folded into "Other"
+function foldSmallest(series, limit = MAX_SLICES) {
+  if (series.length <= limit) return series;
+  const sorted = [...series].sort((a, b) => b.value - a.value);
+  const rest = sorted.slice(limit - 1).reduce((sum, p) => sum + p.value, 0);
+  return [...sorted.slice(0, limit - 1), { label: "Other", value: rest }];
+}
+
+function quarterKey(label) {
+  const m = label.match(/^Q([1-4]) (\d{4})$/);
+  return m ? Number(m[2]) * 10 + Number(m[1]) : Infinity;
+}
+
+const CHARTS = {
+  sectorPipeline: {
+    type: "bar",
+    title: "Pipeline by Sector",
+    build: (m) => m.deals && {
+      unit: m.deals.reportingCurrency,
+      series: Object.entries(m.deals.sectorBreakdown).map(([label, s]) => ({ label, value: s.value })).sort((a, b) => b.value - a.value),
+    },
+  },
+  dealStages: {
+    type: "bar",
+    title: "Deals by Stage",
+    // Stages carry letter prefixes ("B. Sales Qualified Leads"), so label order is funnel order
+    build: (m) => m.deals && { unit: "count", series: entries(m.deals.stageDistribution).sort((a, b) => a.label.localeCompare(b.label)) },
+  },
+  dealStatus: {
+    type: "pie",
+    title: "Deals by Status",
+    build: (m) => m.deals && { unit: "count", series: foldSmallest(entries(m.deals.statusDistribution)) },
+  },
+  quarterlyRevenue: {
+    type: "line",
+    title: "Deal Value by Close Quarter",
+    build: (m) => m.deals && {
+      unit: m.deals.reportingCurrency,
+      series: entries(m.deals.quarterlyRevenue).sort((a, b) => quarterKey(a.label) - quarterKey(b.label)),
+    },
+  },
+  funnelStages: {
+    type: "bar",
+    title: "Deals Reaching Each Stage",
+    build: (m) => m.funnel && { unit: "count", series: m.funnel.stages.map((s) => ({ label: s.stage, value: s.reached })) },
+  },
+  receivablesAging: {
+    type: "bar",
+    title: "Receivables by Age (days)",
+    build: (m) => m.receivables && {
+      unit: m.receivables.reportingCurrency,
+      series: Object.entries(m.receivables.aging).filter(([, b]) => b.workOrders).map(([label, b]) => ({ label, value: b.amount })),
+    },
+  },
+  topDebtors: {
+    type: "bar",
+    title: "Top Debtors",
+    build: (m) => m.receivables && { unit: m.receivables.reportingCurrency, series: m.receivables.topDebtors.map((d) => ({ label: d.client, value: d.outstanding })) },
+  },
+  workOrderStatus: {
+    type: "pie",
+    title: "Work Orders by Execution Status",
+    build: (m) => m.workOrders && { unit: "count", series: foldSmallest(entries(m.workOrders.executionStatusDistribution)) },
+  },
+};
+
+export const CHART_IDS = Object.keys(CHARTS);
+
+// Charts shown when the narrative does not choose (stub mode, LLM failures)
+export const DEFAULT_CHARTS = {
+  pipeline_health: ["dealStages", "sectorPipeline"],
+  revenue_summary: ["quarterlyRevenue", "sectorPipeline"],
+  forecast: ["quarterlyRevenue"],
+  funnel: ["funnelStages", "dealStatus"],
+  receivables: ["receivablesAging", "topDebtors"],
+  ops_status: ["workOrderStatus"],
+  leadership_brief: ["sectorPipeline", "quarterlyRevenue", "workOrderStatus"],
+  analysis: [],
+  other: ["sectorPipeline", "workOrderStatus"],
+};
+
+/**
+ * Every chart the metrics can fill, in catalogue order. Charts whose board was not loaded,
+ * or whose series is empty, are left out.
+ */
+export function buildCharts(metrics = {}) {
+  const charts = [];
+  for (const [id, def] of Object.entries(CHARTS)) {
+    const built = def.build(metrics);
+    if (built?.series.length) charts.push({ id, type: def.type, title: def.title, ...built });
+  }
+  return charts;
+}
+
+/**
+ * The charts named in `ids` (most relevant first), limited to those available and to
+ * MAX_CHARTS. `ids` null means "not chosen" and falls back to the intent's defaults.
+ */
+export function selectCharts(charts = [], ids, intent = "other") {
+  const wanted = ids ?? DEFAULT_CHARTS[intent] ?? DEFAULT_CHARTS.other;
+  const byId = new Map(charts.map((c) => [c.id, c]));
+  return [...new Set(wanted)].map((id) => byId.get(id)).filter(Boolean).slice(0, MAX_CHARTS);
+}
@@ -0,0 +1,124 @@
+/**
+ * One chat turn: interpret → execute → narrate (or, for ad-hoc analysis, let the agent
+ * work through its tools). Shared by the JSON and streaming chat endpoints so they cannot
+ * drift apart.
+ */
+
+import { interpretQuery, generateNarrative } from "./llmAgent.js";
+import { executePlan } from "./queryEngine.js";
+import { mergePlan } from "./planRefinement.js";
+import { selectCharts } from "./charts.js";
+import { runAnalysis } from "./analysisAgent.js";
+import { runQuery } from "./queryDsl.js";
+import { boardCacheTtlMs } from "./boardCache.js";
+import { currentTime } from "./appContext.js";
+
+const MAX_HISTORY = 10;
+
+function remember(session, userText, assistantText) {
+  session.history.push({ role: "user", content: userText });
+  session.history.push({ role: "assistant", content: assistantText });
+  if (session.history.length > MAX_HISTORY * 2) session.history = session.history.slice(-MAX_HISTORY * 2);
+}
+
+// The last turn's boards that are no older than the board cache would serve, or null.
+// Older ones are fetched again, so webhook patches and cache invalidations reach drill-downs.
+function reusableBoards(boards) {
+  const ttlMs = boardCacheTtlMs();
+  const fresh = Object.entries(boards || {})
+    .filter(([, board]) => board.cache && currentTime() - Date.parse(board.cache.fetchedAt) <= ttlMs);
+  return fresh.length ? Object.fromEntries(fresh) : null;
+}
+
+/**
+ * Run a chat turn against a session ({ history, lastPlan, lastResult }). When given,
+ * `onEvent(event, data)` receives stage events as they happen: plan, board, metrics, then
+ * narrative tokens (analysis turns send a tool event per tool call instead of tokens).
+ * `mondayToken` is the caller's own Monday token, if they supplied one.
+ * Follow-ups that refine the previous plan re-use the boards that turn fetched, while they
+ * are within the board cache TTL.
+ * Returns the reply object that the JSON endpoint sends as-is. Unexpected failures throw.
+ */
+export async function runChatTurn(message, session, { onEvent, mondayToken = null } = {}) {
+  const text = message.trim();
+  const emit = onEvent || (() => {});
+  const previousPlan = session.lastPlan || null;
+
+  // Layer 1: Interpret the query (with conversation context), folding refinements into the last plan
+  const plan = mergePlan(previousPlan, await interpretQuery(text, session.history, { previousPlan }));
+  emit("plan", { plan });
+
+  // If clarification needed, return early but store in history
+  if (plan.clarifying_questions?.length) {
+    remember(session, text, `Clarifying questions: ${plan.clarifying_questions.join("; ")}`);
+    return { type: "clarification", questions: plan.clarifying_questions, plan };
+  }
+
+  // Layer 2: Execute the plan (re-filtering the previous turn's rows for a refinement;
+  // those were already recorded as a snapshot)
+  const reuse = plan.refinement.mode === "refine" ? reusableBoards(session.lastResult?.boards) : null;
+  const execResult = await executePlan(plan, { onProgress: emit, mondayToken, boards: reuse, snapshotSource: reuse ? false : undefined });
+  if (execResult.error) {
+    return {
+      type: "error",
+      summary: execResult.error,
+      insight: "Please check your configuration and try again.",
+      leadership_bullets: [],
+      dataQuality: {},
+      confidence: 0,
+    };
+  }
+  emit("metrics", { metrics: execResult.metrics, dataQuality: execResult.dataQuality, confidence: execResult.confidence });
+
+  // Ad-hoc analysis: a DSL query from the planner answers directly; without one (or when it
+  // does not run) the agent works it out with tools, and its answer becomes the narrative
+  let analysis = null, query = null;
+  if (plan.intent === "analysis" && execResult.datasets) {
+    query = plan.query ? runQuery(plan.query, execResult.datasets) : null;
+    if (query?.error) {
+      console.warn(`Planned query failed, using the analysis agent: ${query.error}`);
+      query = null;
+    }
+    if (query) {
+      const { from } = query.query;
+      execResult.metrics.query = { from, columns: query.columns, totalRows: query.totalRows, rows: query.rows.slice(0, 20) };
+    } else {
+      analysis = await runAnalysis(text, execResult.datasets, { history: session.history, onStep: (step) => emit("tool", { step }) });
+    }
+  }
+
+  // Layer 3: Generate narrative (token streaming only when someone is listening)
+  const narrative = analysis || await generateNarrative(execResult, message, session.history,
+    onEvent ? { onToken: (delta) => emit("token", { delta }) } : {});
+
+  remember(session, text, narrative.summary);
+  session.lastPlan = plan;
+  session.lastResult = { boards: { ...(reuse || {}), ...execResult.boards }, dataFreshness: execResult.dataFreshness };
+
+  return {
+    type: "insight",
+    summary: narrative.summary,
+    insight: narrative.insight,
+    leadership_bullets: narrative.leadership_bullets,
+    tables: analysis ? { analysis: analysis.rows, ...execResult.tables } : query ? { query: query.rows, ...execResult.tables } : execResult.tables,
+    charts: selectCharts(execResult.charts, narrative.charts, plan.intent),
+    appliedFilters: execResult.appliedFilters,
+    dataQuality: execResult.dataQuality,
+    confidence: execResult.confidence,
+    dataFreshness: execResult.dataFreshness,
+    ...(analysis && { trace: analysis.trace }),
+    ...(query && { query: query.query }),
+    plan,
+  };
+}
+
+export function internalErrorReply(err) {
+  return {
+    type: "error",
+    summary: "An internal error occurred while processing your request.",
+    insight: err.message,
+    leadership_bullets: [],
+    dataQuality: {},
+    confidence: 0,
+  };
+}
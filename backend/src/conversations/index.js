@@ -0,0 +1,198 @@
+/**
+ * Chat conversations, keyed by user then client conversation id so one user can never
+ * read or extend another user's conversation. Every question and reply is stored (see
+ * store.js) for browsing and replay, together with the history and last plan that
+ * follow-ups need. The boards fetched for the last turn are kept in memory only, for
+ * drill-down follow-ups, and dropped after SESSION_TTL_MS without activity or when more
+ * than MAX_LIVE_SESSIONS sessions are live (least recently used first).
+ *
+ * Each app instance (see createApp) has its own service, so its live sessions, store and
+ * clock are its own.
+ */
+
+import { randomUUID } from "crypto";
+import { runChatTurn } from "../chatPipeline.js";
+import { getConversationStore, summarize } from "./store.js";
+import { currentTime } from "../appContext.js";
+
+export const MAX_TURNS = 50;
+export const MAX_ID_LENGTH = 100;
+export const MAX_TITLE_LENGTH = 100;
+export const MAX_LIVE_SESSIONS = 100;
+// Rows kept per table of a stored reply, the sample size the chat's own board tables use
+export const MAX_STORED_ROWS = 20;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const liveKey = (userId, id) => JSON.stringify([userId, id]);
+
+// The stored part of a session (everything but the fetched boards)
+function recordOf({ id, userId, title, createdAt, updatedAt, history, lastPlan, turns }) {
+  return { id, userId, title, createdAt, updatedAt, history, lastPlan, turns };
+}
+
+// A reply as stored: each table trimmed to a sample, since replays fetch fresh rows anyway
+function storedReply(reply) {
+  if (!reply.tables) return reply;
+  const tables = Object.fromEntries(Object.entries(reply.tables)
+    .map(([name, rows]) => [name, Array.isArray(rows) ? rows.slice(0, MAX_STORED_ROWS) : rows]));
+  return { ...reply, tables };
+}
+
+function titleFrom(question) {
+  return question.length > 60 ? `${question.slice(0, 57).trimEnd()}...` : question;
+}
+
+// The context a turn was asked in: the history and the last answered plan before it
+function contextBefore(turns) {
+  const history = [];
+  let lastPlan = null;
+  for (const { question, reply } of turns.filter((t) => !t.replayOf)) {
+    const answer = reply.type === "clarification" ? `Clarifying questions: ${reply.questions.join("; ")}` : reply.summary;
+    history.push({ role: "user", content: question }, { role: "assistant", content: answer });
+    if (reply.type === "insight") lastPlan = reply.plan;
+  }
+  return { history, lastPlan };
+}
+
+/**
+ * Create a conversation service. `store` defaults to the configured conversation store
+ * (looked up on each use); `now` returns epoch milliseconds; `maxLiveSessions` caps the
+ * sessions held in memory. Idle sessions are swept when sessions are opened rather than
+ * on a timer, which also suits serverless instances.
+ */
+export function createConversationService({ store = null, now = currentTime, maxLiveSessions = MAX_LIVE_SESSIONS } = {}) {
+  const getStore = () => store || getConversationStore();
+  const isoNow = () => new Date(now()).toISOString();
+
+  // Live sessions, least recently used first:
+  // { session (a promise, so concurrent first requests share one load), lastAccess }
+  const live = new Map();
+  let lastSweep = 0;
+
+  function sweep(time) {
+    if (time - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = time;
+    for (const [key, entry] of live) {
+      if (time - entry.lastAccess > SESSION_TTL_MS) live.delete(key);
+    }
+  }
+
+  function newConversation(userId, id) {
+    const created = isoNow();
+    return { id, userId, title: null, createdAt: created, updatedAt: created, history: [], lastPlan: null, turns: [] };
+  }
+
+  /**
+   * The live session for a conversation ({ ...conversation, lastResult }), loaded from the
+   * store after a restart or idle expiry, or started empty. runChatTurn updates it in place.
+   */
+  async function openConversation(userId, id) {
+    const time = now();
+    sweep(time);
+    const key = liveKey(userId, id);
+    let entry = live.get(key);
+    if (!entry) {
+      const session = getStore().getConversation(userId, id)
+        .then((stored) => ({ ...(stored || newConversation(userId, id)), lastResult: null }));
+      entry = { session, lastAccess: time };
+      session.catch(() => live.get(key) === entry && live.delete(key));
+    }
+    // Re-insert to mark as most recently used; evicted sessions are reloaded from the store
+    live.delete(key);
+    live.set(key, entry);
+    while (live.size > maxLiveSessions) live.delete(live.keys().next().value);
+    entry.lastAccess = time;
+    return entry.session;
+  }
+
+  /**
+   * Append a turn ({ id, question, askedAt, reply, replayOf? }) and save the conversation.
+   * Only the last MAX_TURNS turns are kept, each reply table with its first MAX_STORED_ROWS rows. A failed save is logged rather than thrown, so
+   * the caller still gets its answer.
+   */
+  async function recordTurn(session, question, reply, { replayOf = null } = {}) {
+    const askedAt = isoNow();
+    const turn = { id: randomUUID(), question, askedAt, reply: storedReply(reply), ...(replayOf && { replayOf }) };
+    session.turns = [...session.turns, turn].slice(-MAX_TURNS);
+    session.title ??= titleFrom(question);
+    session.updatedAt = askedAt;
+    try {
+      await getStore().saveConversation(recordOf(session));
+    } catch (err) {
+      console.error(`Conversation ${session.id} not saved:`, err.message);
+    }
+    return turn;
+  }
+
+  // The live session when there is one (it may hold a turn whose save failed), else the stored copy
+  async function findConversation(userId, id) {
+    const entry = live.get(liveKey(userId, id));
+    if (entry) return entry.session;
+    return getStore().getConversation(userId, id);
+  }
+
+  return {
+    openConversation,
+
+    /**
+     * Answer `message` in a conversation and store the turn. Options are runChatTurn's.
+     * The reply carries the stored turn's id as `turnId`, so the client can replay it.
+     */
+    async askInConversation(userId, id, message, options = {}) {
+      const session = await openConversation(userId, id);
+      const reply = await runChatTurn(message, session, options);
+      const turn = await recordTurn(session, message.trim(), reply);
+      return { ...reply, turnId: turn.id };
+    },
+
+    // ── Browsing ──────────────────────────────────────────────────────
+    /** The user's conversations as summaries, most recently active first. */
+    listConversations(userId) {
+      return getStore().listConversations(userId);
+    },
+
+    /** A conversation with its turns, or null (also for conversations with no turns yet). */
+    async getConversation(userId, id) {
+      const conversation = await findConversation(userId, id);
+      if (!conversation?.turns.length) return null;
+      const { title, createdAt, updatedAt, turns } = conversation;
+      return { id, title, createdAt, updatedAt, turns };
+    },
+
+    /** Rename a conversation. Returns { error } for a bad title, null when it does not exist, else its summary. */
+    async renameConversation(userId, id, title) {
+      if (typeof title !== "string" || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+        return { error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters.` };
+      }
+      const conversation = await findConversation(userId, id);
+      if (!conversation?.turns.length) return null;
+      // Renaming is not activity, so updatedAt (the list order) stays
+      conversation.title = title.trim();
+      await getStore().saveConversation(recordOf(conversation));
+      return summarize(conversation);
+    },
+
+    async deleteConversation(userId, id) {
+      live.delete(liveKey(userId, id));
+      return getStore().deleteConversation(userId, id);
+    },
+
+    // ── Replay ────────────────────────────────────────────────────────
+    /**
+     * Ask a past turn's question again, in the context it was first asked in, against the
+     * boards as they are now. The new answer is stored as a turn with `replayOf` set; the
+     * conversation's own context for follow-ups is left as it was. Returns { turn }, or
+     * null when the conversation or turn does not exist.
+     */
+    async replayTurn(userId, id, turnId, options = {}) {
+      const session = await openConversation(userId, id);
+      const index = session.turns.findIndex((t) => t.id === turnId);
+      if (index < 0) return null;
+      const { question } = session.turns[index];
+      const scratch = { ...contextBefore(session.turns.slice(0, index)), lastResult: null };
+      const reply = await runChatTurn(question, scratch, options);
+      return { turn: await recordTurn(session, question, reply, { replayOf: turnId }) };
+    },
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Persistence for chat conversations.
+ * The file store keeps one JSON file per conversation under a directory per user
+ * (CONVERSATION_STORE_DIR, default backend/data/conversations); the Redis store keeps
+ * them in Redis (REDIS_URL) so several instances and serverless cold starts share them;
+ * the memory store backs tests. CONVERSATION_STORE picks one: file (default), redis or memory.
+ */
+
+import { readFile, writeFile, rename, mkdir, rm, readdir } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { createRedisClient } from "../redisClient.js";
+
+const DEFAULT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "../../data/conversations");
+
+// A store exposes async listConversations(userId) → summaries, newest first,
+// getConversation(userId, id) → conversation | null, saveConversation(conversation)
+// and deleteConversation(userId, id) → boolean. A conversation is
+// { id, userId, title, createdAt, updatedAt, history, lastPlan, turns }.
+
+/** What the conversation list shows: everything but the history, plan and replies. */
+export function summarize(conversation) {
+  const { id, title, createdAt, updatedAt, turns } = conversation;
+  return { id, title, createdAt, updatedAt, turnCount: turns.length, lastQuestion: turns.at(-1)?.question ?? null };
+}
+
+const newestFirst = (summaries) => summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+export function createMemoryConversationStore() {
+  const conversations = new Map();
+  const key = (userId, id) => JSON.stringify([userId, id]);
+  return {
+    async listConversations(userId) {
+      return newestFirst([...conversations.values()].filter((c) => c.userId === userId).map(summarize));
+    },
+    async getConversation(userId, id) {
+      const conversation = conversations.get(key(userId, id));
+      return conversation ? structuredClone(conversation) : null;
+    },
+    async saveConversation(conversation) {
+      conversations.set(key(conversation.userId, conversation.id), structuredClone(conversation));
+    },
+    async deleteConversation(userId, id) {
+      return conversations.delete(key(userId, id));
+    },
+  };
+}
+
+export function createFileConversationStore({ dir = process.env.CONVERSATION_STORE_DIR || DEFAULT_DIR } = {}) {
+  const userDir = (userId) => join(dir, encodeURIComponent(userId));
+  const fileFor = (userId, id) => join(userDir(userId), `${encodeURIComponent(id)}.json`);
+  // Serialize writes so two turns saved at once cannot interleave on the same temp file
+  let queue = Promise.resolve();
+  const exclusive = (fn) => {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  async function read(path) {
+    try {
+      return JSON.parse(await readFile(path, "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  return {
+    async listConversations(userId) {
+      const files = await readdir(userDir(userId)).catch(() => []);
+      const conversations = await Promise.all(files.filter((f) => f.endsWith(".json")).map((f) => read(join(userDir(userId), f))));
+      return newestFirst(conversations.filter(Boolean).map(summarize));
+    },
+    getConversation: (userId, id) => read(fileFor(userId, id)),
+    saveConversation: (conversation) => exclusive(async () => {
+      const path = fileFor(conversation.userId, conversation.id);
+      await mkdir(dirname(path), { recursive: true });
+      // Write then rename, so a crash mid-write never leaves a torn conversation
+      const tmp = `${path}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(conversation));
+      await rename(tmp, path);
+    }),
+    deleteConversation: (userId, id) => exclusive(async () => {
+      const path = fileFor(userId, id);
+      if (!(await read(path))) return false;
+      await rm(path, { force: true });
+      return true;
+    }),
+  };
+}
+
+/**
+ * Conversations as JSON strings under `<prefix>conversation:<user>:<id>`, with each
+ * user's summaries in the hash `<prefix>conversations:<user>` so listing reads one key.
+ */
+export function createRedisConversationStore({ client = createRedisClient(), prefix = "skylark:" } = {}) {
+  const indexKey = (userId) => `${prefix}conversations:${encodeURIComponent(userId)}`;
+  const conversationKey = (userId, id) => `${prefix}conversation:${encodeURIComponent(userId)}:${encodeURIComponent(id)}`;
+  return {
+    async listConversations(userId) {
+      const fields = await client.command("HGETALL", indexKey(userId));
+      return newestFirst(fields.filter((_, i) => i % 2 === 1).map((v) => JSON.parse(v)));
+    },
+    async getConversation(userId, id) {
+      const value = await client.command("GET", conversationKey(userId, id));
+      return value == null ? null : JSON.parse(value);
+    },
+    async saveConversation(conversation) {
+      const { userId, id } = conversation;
+      await client.command("SET", conversationKey(userId, id), JSON.stringify(conversation));
+      await client.command("HSET", indexKey(userId), id, JSON.stringify(summarize(conversation)));
+    },
+    async deleteConversation(userId, id) {
+      const removed = await client.command("DEL", conversationKey(userId, id));
+      await client.command("HDEL", indexKey(userId), id);
+      return removed > 0;
+    },
+  };
+}
+
+// ── Configuration ───────────────────────────────────────────────────
+function createStoreFromEnv() {
+  const kind = process.env.CONVERSATION_STORE || "file";
+  if (kind === "memory") return createMemoryConversationStore();
+  if (kind === "redis") return createRedisConversationStore();
+  if (kind === "file") return createFileConversationStore();
+  throw new Error(`Unknown CONVERSATION_STORE "${kind}". Use file, redis or memory.`);
+}
+
+let store;
+export function getConversationStore() {
+  if (!store) store = createStoreFromEnv();
+  return store;
+}
+
+export function setConversationStore(newStore) {
+  store = newStore;
+}
@@ -0,0 +1,120 @@
+/**
+ * Currency conversion for monetary metrics.
+ * Converts amounts into a single reporting currency using a local rate table
+ * (with optional dated rates) and keeps a per-currency breakdown for auditing.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_RATES_PATH = resolve(dirname(fileURLToPath(import.meta.url)), "../config/currency-rates.json");
+
+// Used when no rate file exists: INR-based, so INR boards work out of the box
+const DEFAULT_CONFIG = { reportingCurrency: "INR", base: "INR", rates: { INR: 1 }, datedRates: [], unknownCurrency: "INR" };
+
+const SYMBOLS = { USD: "$", INR: "₹", EUR: "€", GBP: "£" };
+
+export function currencySymbol(code) {
+  return SYMBOLS[code] ?? `${code} `;
+}
+
+// ── Rate Table ──────────────────────────────────────────────────────
+export async function loadCurrencyConfig(path = process.env.CURRENCY_RATES_PATH || DEFAULT_RATES_PATH) {
+  let config = DEFAULT_CONFIG;
+  try {
+    config = { ...DEFAULT_CONFIG, ...JSON.parse(await readFile(path, "utf-8")) };
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read currency rates at ${path}: ${err.message}`);
+  }
+  if (process.env.REPORTING_CURRENCY) config = { ...config, reportingCurrency: process.env.REPORTING_CURRENCY.toUpperCase() };
+  return config;
+}
+
+/**
+ * Build a converter from a rate config. Rates are "units of `base` per 1 unit of
+ * the currency". `datedRates` entries ({ from: "YYYY-MM-DD", rates }) override the
+ * default rates for amounts dated on or after `from`.
+ */
+export function createConverter(config = DEFAULT_CONFIG) {
+  const base = config.base || config.reportingCurrency;
+  const reporting = config.reportingCurrency;
+  const dated = [...(config.datedRates || [])].sort((a, b) => b.from.localeCompare(a.from));
+
+  function rateFor(currency, date) {
+    if (currency === base) return 1;
+    if (date) {
+      for (const entry of dated) {
+        if (entry.from <= date && entry.rates?.[currency] != null) return entry.rates[currency];
+      }
+    }
+    return config.rates?.[currency] ?? null;
+  }
+
+  const unknownCurrency = config.unknownCurrency || base;
+
+  return {
+    reportingCurrency: reporting,
+    /** Convert an amount into the reporting currency, or null if a rate is missing. */
+    convert(amount, currency, date = null) {
+      const from = !currency || currency === "UNKNOWN" ? unknownCurrency : currency;
+      if (from === reporting) return amount;
+      const fromRate = rateFor(from, date);
+      const toRate = rateFor(reporting, date);
+      if (fromRate == null || toRate == null) return null;
+      return (amount * fromRate) / toRate;
+    },
+  };
+}
+
+// ── Money Accumulator ───────────────────────────────────────────────
+/**
+ * Running total in the reporting currency plus a per-currency breakdown of
+ * { count, original, converted, unconverted }. Amounts without a rate count
+ * towards `original` and `unconverted` but are left out of the total.
+ */
+export function createMoneyTotal(converter) {
+  let total = 0;
+  const byCurrency = {};
+  return {
+    add(amount, currency, date) {
+      if (typeof amount !== "number") return 0;
+      const code = currency || "UNKNOWN";
+      const converted = converter.convert(amount, code, date);
+      const entry = (byCurrency[code] ||= { count: 0, original: 0, converted: 0, unconverted: 0 });
+      entry.count++;
+      entry.original += amount;
+      if (converted == null) {
+        entry.unconverted++;
+        return 0;
+      }
+      entry.converted += converted;
+      total += converted;
+      return converted;
+    },
+    get total() {
+      return total;
+    },
+    get byCurrency() {
+      return byCurrency;
+    },
+  };
+}
+
+export function averageBreakdown(byCurrency) {
+  const avg = {};
+  for (const [code, e] of Object.entries(byCurrency)) {
+    const convertedCount = e.count - e.unconverted;
+    avg[code] = { count: e.count, original: e.original / e.count, converted: convertedCount ? e.converted / convertedCount : null };
+  }
+  return avg;
+}
+
+/**
+ * Data-quality warnings for currencies that could not be converted.
+ */
+export function conversionWarnings(byCurrency, reportingCurrency, label) {
+  return Object.entries(byCurrency)
+    .filter(([, e]) => e.unconverted > 0)
+    .map(([code, e]) => `No ${code}→${reportingCurrency} rate configured: ${e.unconverted} ${label} value(s) excluded from totals.`);
+}
@@ -0,0 +1,137 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated
+ * in an IANA timezone. Supports `*`, lists, ranges, steps, month/day names and the
+ * @hourly / @daily / @weekly / @monthly shorthands. As in Vixie cron, when both
+ * day-of-month and day-of-week are restricted a day matching either one runs.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "dayOfWeek", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+const SHORTHANDS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60_000;
+const MAX_LOOKAHEAD_MS = 5 * 366 * 86_400_000; // long enough to reach the next Feb 29
+
+// ── Parsing ─────────────────────────────────────────────────────────
+function parseValue(text, field) {
+  const upper = text.toUpperCase();
+  const named = field.names?.indexOf(upper) ?? -1;
+  if (named >= 0) return named + (field.name === "month" ? 1 : 0);
+  if (!/^\d+$/.test(text)) return NaN;
+  return Number(text);
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) return { error: `invalid step "${part}" in ${field.name}` };
+
+    let lo, hi;
+    if (range === "*") {
+      [lo, hi] = [field.min, field.max];
+    } else {
+      const [a, b] = range.split("-");
+      lo = parseValue(a, field);
+      hi = b === undefined ? (stepText === undefined ? lo : field.max) : parseValue(b, field);
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < field.min || hi > field.max || lo > hi) {
+      return { error: `"${part}" is out of range for ${field.name} (${field.min}-${field.max})` };
+    }
+    for (let v = lo; v <= hi; v += step) values.add(field.name === "dayOfWeek" && v === 7 ? 0 : v);
+  }
+  return { values, restricted: !text.startsWith("*") };
+}
+
+/**
+ * Parse a cron expression. Returns { error, fields } where fields maps each field name
+ * to { values: Set, restricted }.
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) return { error: "Cron expression is required." };
+  const expanded = SHORTHANDS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) return { error: `Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}.` };
+
+  const fields = {};
+  for (let i = 0; i < FIELDS.length; i++) {
+    const parsed = parseField(parts[i], FIELDS[i]);
+    if (parsed.error) return { error: `Invalid cron expression: ${parsed.error}.` };
+    fields[FIELDS[i].name] = parsed;
+  }
+  return { error: null, fields };
+}
+
+// ── Timezones ───────────────────────────────────────────────────────
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone, hourCycle: "h23", weekday: "short", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric",
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of `date` in `timezone`
+function zonedFields(date, timezone) {
+  const parts = Object.fromEntries(formatterFor(timezone).formatToParts(date).map((p) => [p.type, p.value]));
+  return { month: Number(parts.month), day: Number(parts.day), weekday: WEEKDAYS[parts.weekday], hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+function dayMatches(fields, { day, weekday }) {
+  const { dayOfMonth, dayOfWeek } = fields;
+  if (dayOfMonth.restricted && dayOfWeek.restricted) return dayOfMonth.values.has(day) || dayOfWeek.values.has(weekday);
+  return dayOfMonth.values.has(day) && dayOfWeek.values.has(weekday);
+}
+
+// ── Next Run ────────────────────────────────────────────────────────
+/**
+ * The first time strictly after `after` that matches `expression` in `timezone`,
+ * or null when the expression is invalid or never matches. Wall-clock times skipped
+ * by a DST change do not run.
+ */
+export function nextRun(expression, after = new Date(), { timezone = "UTC" } = {}) {
+  const { error, fields } = parseCron(expression);
+  if (error) return null;
+
+  let t = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = t + MAX_LOOKAHEAD_MS;
+  while (t < limit) {
+    const z = zonedFields(new Date(t), timezone);
+    if (!fields.month.values.has(z.month) || !dayMatches(fields, z)) {
+      t += ((23 - z.hour) * 60 + (60 - z.minute)) * MINUTE_MS; // to the next local midnight
+    } else if (!fields.hour.values.has(z.hour)) {
+      t += (60 - z.minute) * MINUTE_MS;
+    } else if (!fields.minute.values.has(z.minute)) {
+      t += MINUTE_MS;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,213 @@
+/**
+ * Scheduled digests: saved queries run on a cron expression through the same
+ * interpret → execute → narrate pipeline as chat, with the reply delivered to each of
+ * the schedule's sinks. Every run is recorded in the store's run history.
+ *
+ * A digest reads boards with the Monday token of whoever last saved the schedule, kept
+ * encrypted with it, so it can only report what that user could see in chat.
+ */
+
+import { randomUUID } from "crypto";
+import { runChatTurn } from "../chatPipeline.js";
+import { sealMondayToken, openMondayToken } from "../auth.js";
+import { buildReport } from "../export/report.js";
+import { parseCron, nextRun, isValidTimezone } from "./cron.js";
+import { validateSink, deliverToSink } from "./sinks.js";
+import { getScheduleStore } from "./store.js";
+
+const DEFAULT_POLL_MS = 30_000;
+const MAX_QUERY_LENGTH = 2000;
+
+export function defaultTimezone() {
+  return process.env.DIGEST_TIMEZONE || "UTC";
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+/**
+ * Validate schedule fields from an API request. With `partial`, only the fields
+ * present are checked (for updates). Returns { error, fields }.
+ */
+export function validateSchedule(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object") return { error: "Schedule body must be an object." };
+  const fields = {};
+  const has = (key) => input[key] !== undefined;
+
+  for (const key of ["name", "query"]) {
+    if (!has(key) && partial) continue;
+    if (typeof input[key] !== "string" || !input[key].trim()) return { error: `${key} is required.` };
+    fields[key] = input[key].trim();
+  }
+  if (fields.query?.length > MAX_QUERY_LENGTH) return { error: `query must be at most ${MAX_QUERY_LENGTH} characters.` };
+
+  if (has("cron") || !partial) {
+    const { error } = parseCron(input.cron);
+    if (error) return { error };
+    if (!nextRun(input.cron)) return { error: `Cron expression "${input.cron}" never matches a date.` };
+    fields.cron = input.cron.trim();
+  }
+  if (has("timezone")) {
+    if (typeof input.timezone !== "string" || !isValidTimezone(input.timezone)) return { error: `Unknown timezone "${input.timezone}".` };
+    fields.timezone = input.timezone;
+  }
+  if (has("sinks") || !partial) {
+    if (!Array.isArray(input.sinks) || !input.sinks.length) return { error: "sinks must be a non-empty array." };
+    for (const sink of input.sinks) {
+      const error = validateSink(sink);
+      if (error) return { error: `Invalid sink: ${error}.` };
+    }
+    fields.sinks = input.sinks;
+  }
+  if (has("enabled")) {
+    if (typeof input.enabled !== "boolean") return { error: "enabled must be true or false." };
+    fields.enabled = input.enabled;
+  }
+  return { error: null, fields };
+}
+
+// The owner's Monday token, encrypted ({ sealedMondayToken } or { error })
+function ownerToken(mondayToken) {
+  if (!mondayToken) return { sealedMondayToken: null };
+  try {
+    return { sealedMondayToken: sealMondayToken(mondayToken) };
+  } catch {
+    return { error: "Set AUTH_SECRET to schedule digests with your own Monday token." };
+  }
+}
+
+/** A schedule as the API returns it: the sealed token is replaced by a flag. */
+export function scheduleView({ sealedMondayToken, ...schedule }) {
+  return { ...schedule, usesOwnMondayToken: !!sealedMondayToken };
+}
+
+function withNextRun(schedule, now) {
+  const next = schedule.enabled ? nextRun(schedule.cron, now, { timezone: schedule.timezone }) : null;
+  return { ...schedule, nextRunAt: next ? next.toISOString() : null };
+}
+
+// ── Management ──────────────────────────────────────────────────────
+/**
+ * Create a schedule for `ownerId`. `mondayToken` is the owner's own Monday token, if
+ * they have one; digests then read boards with it rather than the shared token.
+ */
+export async function createSchedule(input, { ownerId, mondayToken = null, now = new Date(), store = getScheduleStore() } = {}) {
+  const { error, fields } = validateSchedule(input);
+  if (error) return { error };
+  const token = ownerToken(mondayToken);
+  if (token.error) return { error: token.error };
+  const schedule = withNextRun({
+    id: randomUUID(),
+    ownerId,
+    sealedMondayToken: token.sealedMondayToken,
+    timezone: defaultTimezone(),
+    enabled: true,
+    ...fields,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    lastRunAt: null,
+    lastStatus: null,
+  }, now);
+  await store.saveSchedule(schedule);
+  return { error: null, schedule };
+}
+
+/** Update a schedule; the saving user's `mondayToken` replaces the stored one. */
+export async function updateSchedule(schedule, input, { mondayToken = null, now = new Date(), store = getScheduleStore() } = {}) {
+  const { error, fields } = validateSchedule(input, { partial: true });
+  if (error) return { error };
+  const token = ownerToken(mondayToken);
+  if (token.error) return { error: token.error };
+  const updated = withNextRun({ ...schedule, ...fields, sealedMondayToken: token.sealedMondayToken, updatedAt: now.toISOString() }, now);
+  await store.saveSchedule(updated);
+  return { error: null, schedule: updated };
+}
+
+// ── Running ─────────────────────────────────────────────────────────
+function runStatus(deliveries) {
+  const sent = deliveries.filter((d) => d.status === "sent").length;
+  if (sent === deliveries.length) return "success";
+  return sent ? "partial" : "failed";
+}
+
+/**
+ * Run a schedule now and deliver the digest. `trigger` is "schedule" or "manual".
+ * Returns the run record ({ id, scheduleId, trigger, startedAt, finishedAt, status,
+ * summary, error, deliveries }); the schedule's lastRunAt/lastStatus/nextRunAt are updated.
+ */
+export async function runSchedule(schedule, { trigger = "manual", now = new Date(), store = getScheduleStore(), sinkOptions } = {}) {
+  const run = { id: randomUUID(), scheduleId: schedule.id, trigger, startedAt: now.toISOString(), status: "failed", summary: null, error: null, deliveries: [] };
+
+  try {
+    let mondayToken = null;
+    if (schedule.sealedMondayToken) {
+      try {
+        mondayToken = openMondayToken(schedule.sealedMondayToken);
+      } catch {
+        throw new Error("The owner's Monday token can no longer be decrypted (AUTH_SECRET changed). Save the schedule again to renew it.");
+      }
+    }
+    const reply = await runChatTurn(schedule.query, { history: [] }, { mondayToken });
+    if (reply.type === "clarification") {
+      run.error = `The query needs clarification: ${reply.questions.join("; ")}`;
+    } else if (reply.type !== "insight") {
+      run.error = reply.summary;
+    } else {
+      run.summary = reply.summary;
+      const digest = { schedule, reply, report: buildReport(reply, { title: schedule.name, generatedAt: now }), runAt: run.startedAt };
+      for (const sink of schedule.sinks) run.deliveries.push(await deliverToSink(sink, digest, sinkOptions));
+      run.status = runStatus(run.deliveries);
+    }
+  } catch (err) {
+    run.error = err.message;
+  }
+  run.finishedAt = new Date().toISOString();
+
+  await store.appendRun(run);
+  // Re-read so edits made while the digest was running are not overwritten
+  const current = await store.getSchedule(schedule.id);
+  if (current) await store.saveSchedule(withNextRun({ ...current, lastRunAt: run.startedAt, lastStatus: run.status }, now));
+  return run;
+}
+
+const running = new Set();
+
+/**
+ * Run every enabled schedule whose nextRunAt has passed. A schedule missed while the
+ * server was down runs once when it comes back, not once per missed slot.
+ */
+export async function runDueSchedules({ now = new Date(), store = getScheduleStore(), sinkOptions } = {}) {
+  const due = (await store.listSchedules()).filter((s) => s.enabled && s.nextRunAt && s.nextRunAt <= now.toISOString() && !running.has(s.id));
+  const runs = [];
+  for (const schedule of due) {
+    running.add(schedule.id);
+    try {
+      runs.push(await runSchedule(schedule, { trigger: "schedule", now, store, sinkOptions }));
+    } finally {
+      running.delete(schedule.id);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Start polling for due schedules. DIGEST_POLL_MS sets the period (default 30s; 0 disables).
+ * Returns a stop function.
+ */
+export function startScheduler({ pollMs = Number(process.env.DIGEST_POLL_MS ?? DEFAULT_POLL_MS) } = {}) {
+  if (!(pollMs > 0)) return () => {};
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const runs = await runDueSchedules();
+      for (const run of runs) console.log(`Digest ${run.scheduleId} ran (${run.status})${run.error ? `: ${run.error}` : ""}`);
+    } catch (err) {
+      console.error("Digest scheduler error:", err.message);
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, pollMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,192 @@
+/**
+ * Digest delivery sinks: SMTP email, a generic JSON webhook, and Slack-style incoming
+ * webhooks. Each sink config is { type, ...options }; `deliver` throws when delivery fails.
+ */
+
+import { createHmac } from "crypto";
+import { BlockList, isIP } from "net";
+import { lookup as dnsLookup } from "dns/promises";
+import { sendMail, smtpConfigFromEnv } from "./smtp.js";
+import { renderMarkdown } from "../export/markdown.js";
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// ── Destination Checks ──────────────────────────────────────────────
+// Sink URLs come from API users, so the server must not be steered into calling its own
+// network. Unless DIGEST_SINK_HOSTS lists the hosts digests may go to, a sink must be an
+// https URL on a public address.
+const PRIVATE_RANGES = new BlockList();
+for (const [net, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]) {
+  PRIVATE_RANGES.addSubnet(net, prefix, "ipv4");
+}
+// Unspecified, loopback, IPv4-mapped, NAT64, unique-local, link-local and multicast
+for (const [net, prefix] of [["::", 128], ["::1", 128], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_RANGES.addSubnet(net, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function allowedSinkHosts() {
+  return (process.env.DIGEST_SINK_HOSTS || "").split(",").map((h) => h.trim().toLowerCase()).filter(Boolean);
+}
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+/**
+ * Check a sink URL. Returns an error message, or null when digests may be sent there.
+ */
+export function sinkUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "needs an http(s) `url`";
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return "needs an http(s) `url`";
+  const host = hostOf(url);
+  const allowed = allowedSinkHosts();
+  if (allowed.length) return allowed.includes(host) ? null : `host "${host}" is not in DIGEST_SINK_HOSTS`;
+  if (url.protocol !== "https:") return "`url` must use https";
+  if (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host)) return "`url` must not point at a private or local address";
+  return null;
+}
+
+/**
+ * Throw unless a webhook URL may be posted to now. Checked again before each delivery
+ * (digests and alerts), resolving the host, so neither a later config change nor a public
+ * name that resolves to a private address gets a request through.
+ */
+export async function assertDeliverable(value, lookup = dnsLookup) {
+  const error = sinkUrlError(value);
+  if (error) throw new Error(`Sink ${error}`);
+  const host = hostOf(new URL(value));
+  if (allowedSinkHosts().includes(host) || isIP(host)) return;
+  const addresses = await lookup(host, { all: true });
+  if (addresses.some((a) => isPrivateAddress(a.address))) throw new Error(`Sink host "${host}" resolves to a private address`);
+}
+
+// POST a JSON payload. With a secret, receivers can verify the exact bytes sent via
+// the HMAC-SHA256 in X-Skylark-Signature.
+export async function postJson(url, payload, { secret = null } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = secret ? { "X-Skylark-Signature": `sha256=${createHmac("sha256", secret).update(body).digest("hex")}` } : {};
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Webhook responded ${res.status} ${res.statusText}`.trim());
+  return res.status;
+}
+
+// ── Payloads ────────────────────────────────────────────────────────
+// A digest is { schedule, reply, report, runAt } — `report` is the export report for the reply
+
+export function webhookPayload({ schedule, reply, runAt }) {
+  return {
+    event: "digest.completed",
+    schedule: { id: schedule.id, name: schedule.name, query: schedule.query },
+    runAt,
+    reply: {
+      summary: reply.summary,
+      insight: reply.insight,
+      leadership_bullets: reply.leadership_bullets,
+      tables: reply.tables,
+      dataQuality: reply.dataQuality,
+      confidence: reply.confidence,
+      dataFreshness: reply.dataFreshness,
+    },
+  };
+}
+
+export function slackPayload({ schedule, reply }) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: schedule.name.slice(0, 150) } },
+    { type: "section", text: { type: "mrkdwn", text: reply.summary } },
+  ];
+  if (reply.leadership_bullets?.length) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: reply.leadership_bullets.map((b) => `• ${b}`).join("\n") } });
+  }
+  if (typeof reply.confidence === "number") {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `Confidence ${Math.round(reply.confidence * 100)}% · "${schedule.query}"` }] });
+  }
+  return { text: `${schedule.name}: ${reply.summary}`, blocks };
+}
+
+export function emailContent({ schedule, report, runAt }) {
+  return {
+    subject: `${schedule.name} — ${runAt.slice(0, 10)}`,
+    text: renderMarkdown(report),
+  };
+}
+
+// ── Sinks ───────────────────────────────────────────────────────────
+export const SINKS = {
+  email: {
+    validate(sink) {
+      const to = Array.isArray(sink.to) ? sink.to : [sink.to];
+      if (!to.length || !to.every((a) => typeof a === "string" && EMAIL_PATTERN.test(a))) return "email sink needs `to`: one or more email addresses";
+      return null;
+    },
+    describe: (sink) => [].concat(sink.to).join(", "),
+    async deliver(sink, digest, { smtp = smtpConfigFromEnv() } = {}) {
+      const { subject, text } = emailContent(digest);
+      const result = await sendMail({ to: [].concat(sink.to), subject: sink.subject || subject, text }, smtp);
+      return result.response;
+    },
+  },
+
+  webhook: {
+    validate(sink) {
+      const urlError = sinkUrlError(sink.url);
+      if (urlError) return `webhook sink ${urlError}`;
+      if (sink.secret != null && typeof sink.secret !== "string") return "webhook `secret` must be a string";
+      return null;
+    },
+    describe: (sink) => new URL(sink.url).host,
+    async deliver(sink, digest, { lookup = dnsLookup } = {}) {
+      await assertDeliverable(sink.url, lookup);
+      return `HTTP ${await postJson(sink.url, webhookPayload(digest), { secret: sink.secret })}`;
+    },
+  },
+
+  slack: {
+    validate(sink) {
+      const urlError = sinkUrlError(sink.url);
+      return urlError ? `slack sink ${urlError}` : null;
+    },
+    describe: (sink) => new URL(sink.url).host,
+    async deliver(sink, digest, { lookup = dnsLookup } = {}) {
+      await assertDeliverable(sink.url, lookup);
+      return `HTTP ${await postJson(sink.url, slackPayload(digest))}`;
+    },
+  },
+};
+
+/**
+ * Check a sink config. Returns an error message, or null when it is valid.
+ */
+export function validateSink(sink) {
+  if (!sink || typeof sink !== "object") return "each sink must be an object";
+  const spec = SINKS[sink.type];
+  if (!spec) return `unknown sink type "${sink.type}" (use ${Object.keys(SINKS).join(", ")})`;
+  return spec.validate(sink);
+}
+
+/**
+ * Deliver a digest to one sink. Never throws: returns { type, target, status, detail | error }.
+ */
+export async function deliverToSink(sink, digest, options) {
+  const spec = SINKS[sink.type];
+  const target = spec.describe(sink);
+  try {
+    return { type: sink.type, target, status: "sent", detail: await spec.deliver(sink, digest, options) };
+  } catch (err) {
+    return { type: sink.type, target, status: "failed", error: err.message };
+  }
+}
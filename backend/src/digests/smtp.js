@@ -0,0 +1,175 @@
+/**
+ * Minimal SMTP client for digest email: EHLO, STARTTLS when offered, AUTH PLAIN,
+ * one plain-text UTF-8 message per connection. Configured from SMTP_* environment
+ * variables; `sendMail` takes explicit options so tests can point it at a local server.
+ */
+
+import { connect as netConnect } from "net";
+import { connect as tlsConnect } from "tls";
+import { randomUUID } from "crypto";
+import { hostname } from "os";
+
+const DEFAULT_TIMEOUT_MS = 15_000;
+
+export function smtpConfigFromEnv(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const secure = env.SMTP_SECURE === "true";
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || "",
+    from: env.SMTP_FROM || env.SMTP_USER || "skylark-bi@localhost",
+    allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === "true",
+    rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== "false",
+  };
+}
+
+// ── Message ─────────────────────────────────────────────────────────
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Build an RFC 5322 message with a base64-encoded UTF-8 text body.
+ */
+export function buildMessage({ from, to, subject, text, date = new Date() }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${from.split("@")[1] || "localhost"}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+// ── Protocol ────────────────────────────────────────────────────────
+// Wraps a socket so that each read() resolves with the next complete (possibly multi-line) reply
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (line[3] !== "-") {
+        replies.push({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onFailure = (err) => {
+    failure = failure || err || new Error("SMTP connection closed unexpectedly");
+    settle();
+  };
+
+  socket.on("data", onData);
+  socket.on("error", onFailure);
+  socket.on("close", () => onFailure(null));
+
+  return {
+    read: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onFailure);
+    },
+  };
+}
+
+function openSocket({ host, port, secure, rejectUnauthorized, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tlsConnect({ host, port, servername: host, rejectUnauthorized }, () => resolve(socket))
+      : netConnect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP server ${host}:${port} timed out`)));
+    socket.once("error", reject);
+  });
+}
+
+function upgradeToTls(socket, { host, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const secured = tlsConnect({ socket, servername: host, rejectUnauthorized }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+/**
+ * Send a plain-text email. Resolves with { accepted, response } or throws with the
+ * server's reply when a command is rejected.
+ */
+export async function sendMail({ to, subject, text }, config = smtpConfigFromEnv()) {
+  if (!config) throw new Error("SMTP is not configured (set SMTP_HOST).");
+  const { host, port, secure = false, user = null, pass = "", from, allowInsecureAuth = false, rejectUnauthorized = true, timeoutMs = DEFAULT_TIMEOUT_MS } = config;
+
+  let socket = await openSocket({ host, port, secure, rejectUnauthorized, timeoutMs });
+  let reader = replyReader(socket);
+  let encrypted = secure;
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      const shown = line?.startsWith("AUTH") ? "AUTH" : line;
+      throw new Error(`SMTP ${shown ?? "greeting"} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    const helo = `EHLO ${hostname() || "localhost"}`;
+    let ehlo = await command(helo, [250]);
+
+    if (!encrypted && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, { host, rejectUnauthorized });
+      reader = replyReader(socket);
+      encrypted = true;
+      ehlo = await command(helo, [250]);
+    }
+
+    if (user) {
+      if (!encrypted && !allowInsecureAuth) throw new Error("SMTP server does not offer STARTTLS; refusing to send credentials unencrypted.");
+      await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString("base64")}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await command("DATA", [354]);
+    // Dot-stuff lines that start with "." so they are not read as the end of data
+    const message = buildMessage({ from, to, subject, text }).replace(/^\./gm, "..");
+    socket.write(`${message}\r\n.\r\n`);
+    const done = await command(null, [250]);
+    await command("QUIT", [221]).catch(() => {});
+    return { accepted: to, response: `${done.code} ${done.lines.join(" ")}` };
+  } finally {
+    socket.destroy();
+  }
+}
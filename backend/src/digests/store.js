@@ -0,0 +1,121 @@
+/**
+ * Persistence for digest schedules and their run history.
+ * The file store keeps schedules in one JSON file and appends runs to a JSONL file
+ * (DIGEST_STORE_DIR, default backend/data); the memory store backs tests.
+ */
+
+import { readFile, writeFile, appendFile, rename, mkdir } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "../../data");
+
+// A store exposes async listSchedules(), getSchedule(id), saveSchedule(schedule),
+// deleteSchedule(id) → boolean, appendRun(run) and listRuns({ scheduleId, limit }) → newest first.
+
+function newestRuns(runs, { scheduleId, limit = 20 } = {}) {
+  return runs
+    .filter((r) => !scheduleId || r.scheduleId === scheduleId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, limit);
+}
+
+export function createMemoryScheduleStore() {
+  const schedules = new Map();
+  const runs = [];
+  return {
+    async listSchedules() {
+      return [...schedules.values()];
+    },
+    async getSchedule(id) {
+      return schedules.get(id) || null;
+    },
+    async saveSchedule(schedule) {
+      schedules.set(schedule.id, schedule);
+    },
+    async deleteSchedule(id) {
+      return schedules.delete(id);
+    },
+    async appendRun(run) {
+      runs.push(run);
+    },
+    async listRuns(options) {
+      return newestRuns(runs, options);
+    },
+  };
+}
+
+export function createFileScheduleStore({ dir = process.env.DIGEST_STORE_DIR || DEFAULT_DIR } = {}) {
+  const schedulesPath = join(dir, "schedules.json");
+  const runsPath = join(dir, "digest-runs.jsonl");
+  // Serialize read-modify-write cycles so concurrent API calls cannot drop updates
+  let queue = Promise.resolve();
+  const exclusive = (fn) => {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  async function load() {
+    try {
+      return JSON.parse(await readFile(schedulesPath, "utf-8")).schedules || [];
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async function persist(schedules) {
+    await mkdir(dir, { recursive: true });
+    const tmp = `${schedulesPath}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ schedules }, null, 2));
+    await rename(tmp, schedulesPath);
+  }
+
+  return {
+    listSchedules: () => exclusive(load),
+    getSchedule: (id) => exclusive(async () => (await load()).find((s) => s.id === id) || null),
+    saveSchedule: (schedule) => exclusive(async () => {
+      const schedules = (await load()).filter((s) => s.id !== schedule.id);
+      await persist([...schedules, schedule]);
+    }),
+    deleteSchedule: (id) => exclusive(async () => {
+      const schedules = await load();
+      const kept = schedules.filter((s) => s.id !== id);
+      if (kept.length === schedules.length) return false;
+      await persist(kept);
+      return true;
+    }),
+    async appendRun(run) {
+      await mkdir(dir, { recursive: true });
+      await appendFile(runsPath, JSON.stringify(run) + "\n");
+    },
+    async listRuns(options) {
+      let text;
+      try {
+        text = await readFile(runsPath, "utf-8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const runs = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          runs.push(JSON.parse(line));
+        } catch { /* skip a torn line */ }
+      }
+      return newestRuns(runs, options);
+    },
+  };
+}
+
+let store;
+export function getScheduleStore() {
+  if (!store) store = createFileScheduleStore();
+  return store;
+}
+
+export function setScheduleStore(newStore) {
+  store = newStore;
+}
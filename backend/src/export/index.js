@@ -0,0 +1,36 @@
+/**
+ * Export a chat reply as a downloadable Markdown, PDF or PPTX document.
+ */
+
+import { buildReport, replyShapeError } from "./report.js";
+import { renderMarkdown } from "./markdown.js";
+import { renderPdf } from "./pdf.js";
+import { renderPptx } from "./pptx.js";
+import { currentTime } from "../appContext.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8", render: renderMarkdown },
+  pdf: { extension: "pdf", contentType: "application/pdf", render: renderPdf },
+  pptx: { extension: "pptx", contentType: "application/vnd.openxmlformats-officedocument.presentationml.presentation", render: renderPptx },
+};
+
+/**
+ * Render `reply` in `format`. Returns { error, filename, contentType, body }.
+ */
+export function exportReply(reply, format, { title, now = new Date(currentTime()) } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) return { error: `Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.` };
+  if (!reply || typeof reply !== "object" || (!reply.summary && !reply.leadership_bullets?.length)) {
+    return { error: "Nothing to export: the reply has no summary or leadership bullets." };
+  }
+  const shapeError = replyShapeError(reply);
+  if (shapeError) return { error: `Cannot export: ${shapeError}` };
+
+  const report = buildReport(reply, { title, generatedAt: now });
+  return {
+    error: null,
+    filename: `leadership-brief-${report.generatedAt.slice(0, 10)}.${spec.extension}`,
+    contentType: spec.contentType,
+    body: spec.render(report),
+  };
+}
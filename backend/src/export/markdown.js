@@ -0,0 +1,26 @@
+/**
+ * Markdown writer for export reports.
+ */
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, "\\|");
+}
+
+export function renderMarkdown(report) {
+  const lines = [`# ${report.title}`, "", `_Generated ${report.generatedAt.slice(0, 16).replace("T", " ")} UTC_`, ""];
+
+  for (const section of report.sections) {
+    lines.push(`## ${section.heading}`, "");
+    for (const p of section.paragraphs || []) lines.push(p, "");
+    if (section.bullets) lines.push(...section.bullets.map((b) => `- ${b}`), "");
+    if (section.table) {
+      const { columns, rows } = section.table;
+      lines.push(`| ${columns.map(escapeCell).join(" | ")} |`);
+      lines.push(`| ${columns.map(() => "---").join(" | ")} |`);
+      for (const row of rows) lines.push(`| ${row.map(escapeCell).join(" | ")} |`);
+      lines.push("");
+    }
+    if (section.note) lines.push(`_${section.note}_`, "");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,218 @@
+/**
+ * Minimal PDF writer for export reports.
+ * Lays the report out on A4 pages using the built-in Helvetica fonts (no embedding),
+ * with word wrapping, simple tables and page numbers. Text is WinAnsi-encoded;
+ * characters outside it are transliterated (₹ → "Rs ", ↔ → "<->") or replaced with "?".
+ */
+
+const PAGE_W = 595.28;
+const PAGE_H = 841.89;
+const MARGIN = 50;
+const CONTENT_W = PAGE_W - 2 * MARGIN;
+
+const COLORS = { text: "0.12 0.16 0.23", muted: "0.45 0.5 0.58", accent: "0.23 0.51 0.96", rule: "0.85 0.88 0.92", header: "0.94 0.96 0.98" };
+
+// Glyph widths (1/1000 em) for ASCII 32–126, from the Helvetica and Helvetica-Bold AFM files
+const WIDTHS = {
+  F1: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+  F2: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584],
+};
+const DEFAULT_WIDTH = 556;
+
+// ── Text Encoding ───────────────────────────────────────────────────
+const WIN_ANSI = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 };
+const TRANSLITERATIONS = { "₹": "Rs ", "↔": "<->", "→": "->", "←": "<-", "≥": ">=", "≤": "<=", "≈": "~", "✓": "v" };
+
+// Unicode string → array of WinAnsi byte values
+function toWinAnsi(text) {
+  const bytes = [];
+  for (const ch of String(text)) {
+    if (TRANSLITERATIONS[ch]) {
+      for (const c of TRANSLITERATIONS[ch]) bytes.push(c.charCodeAt(0));
+      continue;
+    }
+    const code = ch.codePointAt(0);
+    if (code === 0x09 || code === 0x0a) bytes.push(0x20);
+    else if (code >= 0x20 && code <= 0x7e) bytes.push(code);
+    else if (WIN_ANSI[ch]) bytes.push(WIN_ANSI[ch]);
+    else if (code >= 0xa0 && code <= 0xff) bytes.push(code);
+    else bytes.push(0x3f);
+  }
+  return bytes;
+}
+
+// PDF literal string body, kept 7-bit clean with octal escapes
+function pdfString(bytes) {
+  return bytes.map((b) => {
+    if (b === 0x28 || b === 0x29 || b === 0x5c) return `\\${String.fromCharCode(b)}`;
+    if (b > 0x7e) return `\\${b.toString(8).padStart(3, "0")}`;
+    return String.fromCharCode(b);
+  }).join("");
+}
+
+function textWidth(bytes, font, size) {
+  const widths = WIDTHS[font];
+  return (bytes.reduce((sum, b) => sum + (b >= 32 && b <= 126 ? widths[b - 32] : DEFAULT_WIDTH), 0) * size) / 1000;
+}
+
+function splitWords(bytes) {
+  const words = [[]];
+  for (const b of bytes) {
+    if (b === 0x20) words.push([]);
+    else words[words.length - 1].push(b);
+  }
+  return words.filter((w) => w.length);
+}
+
+function wrap(text, font, size, maxWidth) {
+  const lines = [];
+  let line = [];
+  for (const word of splitWords(toWinAnsi(text))) {
+    const candidate = line.length ? [...line, 0x20, ...word] : word;
+    if (textWidth(candidate, font, size) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line.length) lines.push(line);
+    line = word;
+    // A single word wider than the line is split wherever it overflows
+    while (textWidth(line, font, size) > maxWidth && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+function truncate(text, font, size, maxWidth) {
+  let bytes = toWinAnsi(text);
+  if (textWidth(bytes, font, size) <= maxWidth) return bytes;
+  const ellipsis = [0x85];
+  while (bytes.length && textWidth([...bytes, ...ellipsis], font, size) > maxWidth) bytes = bytes.slice(0, -1);
+  return [...bytes, ...ellipsis];
+}
+
+// ── Layout ──────────────────────────────────────────────────────────
+function layout(report) {
+  const pages = [];
+  let ops, y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_H - MARGIN;
+  };
+  const ensure = (height) => {
+    if (y - height < MARGIN + 20) newPage();
+  };
+  const drawText = (bytes, x, size, { font = "F1", color = COLORS.text } = {}) => {
+    ops.push(`BT /${font} ${size} Tf ${color} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${pdfString(bytes)}) Tj ET`);
+  };
+  const paragraph = (text, { size = 10.5, font = "F1", color, indent = 0, prefix = null } = {}) => {
+    const leading = size * 1.45;
+    wrap(text, font, size, CONTENT_W - indent).forEach((line, i) => {
+      ensure(leading);
+      y -= leading;
+      if (prefix && i === 0) drawText(toWinAnsi(prefix), MARGIN + indent - 12, size, { font, color });
+      drawText(line, MARGIN + indent, size, { font, color });
+    });
+  };
+  const rule = () => {
+    ops.push(`${COLORS.rule} RG 0.75 w ${MARGIN} ${(y - 4).toFixed(2)} m ${MARGIN + CONTENT_W} ${(y - 4).toFixed(2)} l S`);
+    y -= 8;
+  };
+
+  const tableRows = ({ columns, rows }) => {
+    const colW = CONTENT_W / columns.length;
+    const rowH = 16;
+    const drawRow = (cells, header) => {
+      ensure(rowH);
+      if (header) ops.push(`${COLORS.header} rg ${MARGIN} ${(y - rowH).toFixed(2)} ${CONTENT_W} ${rowH} re f`);
+      y -= rowH;
+      const font = header ? "F2" : "F1";
+      cells.forEach((cell, i) => {
+        const bytes = truncate(cell, font, 8.5, colW - 8);
+        ops.push(`BT /${font} 8.5 Tf ${COLORS.text} rg ${(MARGIN + i * colW + 4).toFixed(2)} ${(y + 4.5).toFixed(2)} Td (${pdfString(bytes)}) Tj ET`);
+      });
+      ops.push(`${COLORS.rule} RG 0.5 w ${MARGIN} ${y.toFixed(2)} m ${MARGIN + CONTENT_W} ${y.toFixed(2)} l S`);
+    };
+    drawRow(columns, true);
+    for (const row of rows) {
+      // Repeat the header when a table continues on a new page
+      if (y - rowH < MARGIN + 20) {
+        newPage();
+        drawRow(columns, true);
+      }
+      drawRow(row, false);
+    }
+    y -= 6;
+  };
+
+  newPage();
+  paragraph(report.title, { size: 20, font: "F2" });
+  paragraph(`Generated ${report.generatedAt.slice(0, 16).replace("T", " ")} UTC`, { size: 9, color: COLORS.muted });
+  y -= 6;
+
+  for (const section of report.sections) {
+    ensure(60);
+    y -= 10;
+    paragraph(section.heading, { size: 14, font: "F2", color: COLORS.accent });
+    rule();
+    for (const p of section.paragraphs || []) {
+      paragraph(p);
+      y -= 4;
+    }
+    for (const b of section.bullets || []) paragraph(b, { indent: 14, prefix: "•" });
+    if (section.table) tableRows(section.table);
+    if (section.note) paragraph(section.note, { size: 8.5, color: COLORS.muted });
+  }
+
+  pages.forEach((pageOps, i) => {
+    const label = toWinAnsi(`Page ${i + 1} of ${pages.length}`);
+    const x = PAGE_W - MARGIN - textWidth(label, "F1", 8);
+    pageOps.push(`BT /F1 8 Tf ${COLORS.muted} rg ${x.toFixed(2)} ${MARGIN - 20} Td (${pdfString(label)}) Tj ET`);
+  });
+  return pages;
+}
+
+// ── Serialization ───────────────────────────────────────────────────
+/**
+ * Render a report to a PDF document. Returns a Buffer.
+ */
+export function renderPdf(report) {
+  const pages = layout(report);
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  add("<< /Type /Catalog /Pages 2 0 R >>");
+  add(null); // pages tree, filled in once page object numbers are known
+  add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  const created = report.generatedAt.replace(/[-:T]/g, "").slice(0, 14);
+  add(`<< /Title (${pdfString(toWinAnsi(report.title))}) /Producer (Skylark BI Agent) /CreationDate (D:${created}Z) >>`);
+
+  const pageRefs = [];
+  for (const pageOps of pages) {
+    const content = pageOps.join("\n");
+    add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const contentRef = objects.length;
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`);
+    pageRefs.push(`${objects.length} 0 R`);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`;
+
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
@@ -0,0 +1,195 @@
+/**
+ * Minimal PowerPoint (PPTX) writer for export reports.
+ * Produces a 16:9 deck with a title slide followed by one slide per report section:
+ * paragraphs and bullets as a text box, tables as native PowerPoint tables.
+ */
+
+import { createZip } from "./zip.js";
+
+const SLIDE_W = 12192000;
+const SLIDE_H = 6858000;
+const EMU_MARGIN = 457200;
+const BODY_TOP = 1371600;
+
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const CT = "application/vnd.openxmlformats-officedocument";
+
+const COLORS = { dark: "0F172A", text: "1E293B", muted: "64748B", accent: "3B82F6", headerFill: "E2E8F0", white: "FFFFFF" };
+
+function esc(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function rels(entries) {
+  return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${entries
+    .map(([id, type, target]) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`)
+    .join("")}</Relationships>`;
+}
+
+// ── Shapes ──────────────────────────────────────────────────────────
+const GROUP_PROPS = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+function run(text, { size, color, bold = false }) {
+  return `<a:r><a:rPr lang="en-US" sz="${size}"${bold ? ' b="1"' : ""} dirty="0"><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></a:rPr><a:t>${esc(text)}</a:t></a:r>`;
+}
+
+function paragraphXml(text, style, { bullet = false } = {}) {
+  const props = bullet
+    ? '<a:pPr marL="285750" indent="-285750"><a:spcBef><a:spcPts val="600"/></a:spcBef><a:buFont typeface="Arial"/><a:buChar char="•"/></a:pPr>'
+    : '<a:pPr><a:spcBef><a:spcPts val="600"/></a:spcBef></a:pPr>';
+  return `<a:p>${props}${run(text, style)}</a:p>`;
+}
+
+function textBox(id, name, { x, y, w, h }, paragraphs) {
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${esc(name)}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>`
+    + `<p:spPr><a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="${w}" cy="${h}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>`
+    + `<p:txBody><a:bodyPr wrap="square" rtlCol="0"><a:normAutofit/></a:bodyPr><a:lstStyle/>${paragraphs.join("")}</p:txBody></p:sp>`;
+}
+
+function tableFrame(id, { x, y, w }, { columns, rows }) {
+  const colW = Math.floor(w / columns.length);
+  const rowH = 370840;
+  const cellXml = (text, header) => `<a:tc><a:txBody><a:bodyPr/><a:lstStyle/><a:p>${run(text, { size: 1100, color: COLORS.text, bold: header })}</a:p></a:txBody>`
+    + `<a:tcPr>${header ? `<a:solidFill><a:srgbClr val="${COLORS.headerFill}"/></a:solidFill>` : ""}</a:tcPr></a:tc>`;
+  const rowXml = (cells, header) => `<a:tr h="${rowH}">${cells.map((c) => cellXml(c, header)).join("")}</a:tr>`;
+
+  return `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="Table"/><p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>`
+    + `<p:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="${colW * columns.length}" cy="${rowH * (rows.length + 1)}"/></p:xfrm>`
+    + '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table"><a:tbl><a:tblPr firstRow="1" bandRow="1"/>'
+    + `<a:tblGrid>${columns.map(() => `<a:gridCol w="${colW}"/>`).join("")}</a:tblGrid>`
+    + rowXml(columns, true) + rows.map((r) => rowXml(r, false)).join("")
+    + "</a:tbl></a:graphicData></a:graphic></p:graphicFrame>";
+}
+
+function slideXml(shapes, background = null) {
+  const bg = background ? `<p:bg><p:bgPr><a:solidFill><a:srgbClr val="${background}"/></a:solidFill><a:effectLst/></p:bgPr></p:bg>` : "";
+  return `${XML_HEADER}<p:sld ${NS}><p:cSld>${bg}<p:spTree>${GROUP_PROPS}${shapes.join("")}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+}
+
+// ── Slides ──────────────────────────────────────────────────────────
+const CONTENT_BOX = { x: EMU_MARGIN, y: BODY_TOP, w: SLIDE_W - 2 * EMU_MARGIN, h: SLIDE_H - BODY_TOP - EMU_MARGIN };
+
+// Long sections get a smaller font so they stay on one slide
+function bodySize(section) {
+  const chars = [...(section.paragraphs || []), ...(section.bullets || [])].join("").length;
+  if (chars > 1200) return 1200;
+  if (chars > 700) return 1400;
+  return 1800;
+}
+
+function titleSlide(report) {
+  const date = report.generatedAt.slice(0, 10);
+  return slideXml([
+    textBox(2, "Title", { x: EMU_MARGIN, y: 2286000, w: CONTENT_BOX.w, h: 1143000 }, [paragraphXml(report.title, { size: 4000, color: COLORS.white, bold: true })]),
+    textBox(3, "Subtitle", { x: EMU_MARGIN, y: 3429000, w: CONTENT_BOX.w, h: 685800 }, [paragraphXml(`Skylark BI Agent · ${date}`, { size: 1800, color: "94A3B8" })]),
+  ], COLORS.dark);
+}
+
+function sectionSlide(section) {
+  const shapes = [textBox(2, "Title", { x: EMU_MARGIN, y: EMU_MARGIN, w: CONTENT_BOX.w, h: 762000 }, [paragraphXml(section.heading, { size: 2800, color: COLORS.accent, bold: true })])];
+  const size = bodySize(section);
+  const body = [
+    ...(section.paragraphs || []).map((p) => paragraphXml(p, { size, color: COLORS.text })),
+    ...(section.bullets || []).map((b) => paragraphXml(b, { size, color: COLORS.text }, { bullet: true })),
+  ];
+  if (body.length) shapes.push(textBox(3, "Body", CONTENT_BOX, body));
+  if (section.table) shapes.push(tableFrame(4, CONTENT_BOX, section.table));
+  if (section.note) {
+    shapes.push(textBox(5, "Note", { x: EMU_MARGIN, y: SLIDE_H - EMU_MARGIN - 365760, w: CONTENT_BOX.w, h: 365760 }, [paragraphXml(section.note, { size: 1000, color: COLORS.muted })]));
+  }
+  return slideXml(shapes);
+}
+
+// ── Package Parts ───────────────────────────────────────────────────
+const THEME = `${XML_HEADER}<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Skylark"><a:themeElements>`
+  + '<a:clrScheme name="Skylark"><a:dk1><a:sysClr val="windowText" lastClr="000000"/></a:dk1><a:lt1><a:sysClr val="window" lastClr="FFFFFF"/></a:lt1>'
+  + '<a:dk2><a:srgbClr val="0F172A"/></a:dk2><a:lt2><a:srgbClr val="E2E8F0"/></a:lt2><a:accent1><a:srgbClr val="3B82F6"/></a:accent1><a:accent2><a:srgbClr val="8B5CF6"/></a:accent2>'
+  + '<a:accent3><a:srgbClr val="22C55E"/></a:accent3><a:accent4><a:srgbClr val="F59E0B"/></a:accent4><a:accent5><a:srgbClr val="EF4444"/></a:accent5><a:accent6><a:srgbClr val="14B8A6"/></a:accent6>'
+  + '<a:hlink><a:srgbClr val="2563EB"/></a:hlink><a:folHlink><a:srgbClr val="7C3AED"/></a:folHlink></a:clrScheme>'
+  + '<a:fontScheme name="Skylark"><a:majorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont><a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>'
+  + '<a:fmtScheme name="Skylark"><a:fillStyleLst>' + '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'.repeat(3) + "</a:fillStyleLst>"
+  + "<a:lnStyleLst>" + '<a:ln w="9525"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>'.repeat(3) + "</a:lnStyleLst>"
+  + "<a:effectStyleLst>" + "<a:effectStyle><a:effectLst/></a:effectStyle>".repeat(3) + "</a:effectStyleLst>"
+  + "<a:bgFillStyleLst>" + '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'.repeat(3) + "</a:bgFillStyleLst></a:fmtScheme>"
+  + "</a:themeElements></a:theme>";
+
+const SLIDE_MASTER = `${XML_HEADER}<p:sldMaster ${NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${GROUP_PROPS}</p:spTree></p:cSld>`
+  + '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>'
+  + '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>'
+  + '<p:txStyles><p:titleStyle><a:lvl1pPr><a:defRPr sz="3200"/></a:lvl1pPr></p:titleStyle><p:bodyStyle><a:lvl1pPr><a:defRPr sz="1800"/></a:lvl1pPr></p:bodyStyle><p:otherStyle><a:lvl1pPr><a:defRPr sz="1800"/></a:lvl1pPr></p:otherStyle></p:txStyles></p:sldMaster>';
+
+const SLIDE_LAYOUT = `${XML_HEADER}<p:sldLayout ${NS} type="blank" preserve="1"><p:cSld name="Blank"><p:spTree>${GROUP_PROPS}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+
+function contentTypes(slideCount) {
+  const overrides = [
+    ["/ppt/presentation.xml", `${CT}.presentationml.presentation.main+xml`],
+    ["/ppt/slideMasters/slideMaster1.xml", `${CT}.presentationml.slideMaster+xml`],
+    ["/ppt/slideLayouts/slideLayout1.xml", `${CT}.presentationml.slideLayout+xml`],
+    ["/ppt/theme/theme1.xml", `${CT}.theme+xml`],
+    ["/ppt/presProps.xml", `${CT}.presentationml.presProps+xml`],
+    ["/ppt/viewProps.xml", `${CT}.presentationml.viewProps+xml`],
+    ["/ppt/tableStyles.xml", `${CT}.presentationml.tableStyles+xml`],
+    ["/docProps/core.xml", "application/vnd.openxmlformats-package.core-properties+xml"],
+    ["/docProps/app.xml", `${CT}.extended-properties+xml`],
+    ...Array.from({ length: slideCount }, (_, i) => [`/ppt/slides/slide${i + 1}.xml`, `${CT}.presentationml.slide+xml`]),
+  ];
+  return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'
+    + overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join("")
+    + "</Types>";
+}
+
+/**
+ * Render a report to a PPTX deck. Returns a Buffer.
+ */
+export function renderPptx(report) {
+  const slides = [titleSlide(report), ...report.sections.map(sectionSlide)];
+  const slideRels = slides.map((_, i) => [`rId${i + 2}`, `${REL}/slide`, `slides/slide${i + 1}.xml`]);
+  const n = slides.length + 2;
+
+  const presentation = `${XML_HEADER}<p:presentation ${NS} saveSubsetFonts="1">`
+    + '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>'
+    + `<p:sldIdLst>${slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 2}"/>`).join("")}</p:sldIdLst>`
+    + `<p:sldSz cx="${SLIDE_W}" cy="${SLIDE_H}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`;
+
+  const files = [
+    { name: "[Content_Types].xml", data: contentTypes(slides.length) },
+    { name: "_rels/.rels", data: rels([
+      ["rId1", `${REL}/officeDocument`, "ppt/presentation.xml"],
+      ["rId2", "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties", "docProps/core.xml"],
+      ["rId3", `${REL}/extended-properties`, "docProps/app.xml"],
+    ]) },
+    { name: "docProps/core.xml", data: `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`
+      + `<dc:title>${esc(report.title)}</dc:title><dc:creator>Skylark BI Agent</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${report.generatedAt.slice(0, 19)}Z</dcterms:created></cp:coreProperties>` },
+    { name: "docProps/app.xml", data: `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>Skylark BI Agent</Application><Slides>${slides.length}</Slides></Properties>` },
+    { name: "ppt/presentation.xml", data: presentation },
+    { name: "ppt/_rels/presentation.xml.rels", data: rels([
+      ["rId1", `${REL}/slideMaster`, "slideMasters/slideMaster1.xml"],
+      ...slideRels,
+      [`rId${n}`, `${REL}/presProps`, "presProps.xml"],
+      [`rId${n + 1}`, `${REL}/viewProps`, "viewProps.xml"],
+      [`rId${n + 2}`, `${REL}/theme`, "theme/theme1.xml"],
+      [`rId${n + 3}`, `${REL}/tableStyles`, "tableStyles.xml"],
+    ]) },
+    { name: "ppt/presProps.xml", data: `${XML_HEADER}<p:presentationPr ${NS}/>` },
+    { name: "ppt/viewProps.xml", data: `${XML_HEADER}<p:viewPr ${NS}/>` },
+    { name: "ppt/tableStyles.xml", data: `${XML_HEADER}<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>` },
+    { name: "ppt/theme/theme1.xml", data: THEME },
+    { name: "ppt/slideMasters/slideMaster1.xml", data: SLIDE_MASTER },
+    { name: "ppt/slideMasters/_rels/slideMaster1.xml.rels", data: rels([["rId1", `${REL}/slideLayout`, "../slideLayouts/slideLayout1.xml"], ["rId2", `${REL}/theme`, "../theme/theme1.xml"]]) },
+    { name: "ppt/slideLayouts/slideLayout1.xml", data: SLIDE_LAYOUT },
+    { name: "ppt/slideLayouts/_rels/slideLayout1.xml.rels", data: rels([["rId1", `${REL}/slideMaster`, "../slideMasters/slideMaster1.xml"]]) },
+    ...slides.flatMap((xml, i) => [
+      { name: `ppt/slides/slide${i + 1}.xml`, data: xml },
+      { name: `ppt/slides/_rels/slide${i + 1}.xml.rels`, data: rels([["rId1", `${REL}/slideLayout`, "../slideLayouts/slideLayout1.xml"]]) },
+    ]),
+  ];
+  return createZip(files);
+}
@@ -0,0 +1,172 @@
+/**
+ * Turns a chat reply into a format-neutral report: a title plus ordered sections, each
+ * with paragraphs, bullets or a table. The Markdown, PDF and PPTX writers all render
+ * this structure, so the three formats always carry the same content.
+ */
+
+const MAX_TABLE_ROWS = 10;
+const MAX_TABLE_COLUMNS = 5;
+const MAX_MISSING_FIELDS = 5;
+
+const TABLE_TITLES = {
+  deals: "Deals",
+  workOrders: "Work Orders",
+  crossBoardLinks: "Deal ↔ Work Order Links",
+  stuckDeals: "Stuck Deals",
+  receivablesByClient: "Receivables by Client",
+  receivables: "Outstanding Work Orders",
+  unbilledWorkOrders: "Completed, Not Fully Billed",
+  analysis: "Analysis Result",
+  query: "Query Result",
+};
+
+const BOARD_TITLES = { deals: "Deals", workOrders: "Work Orders" };
+
+// Columns worth showing for tables whose rows are not board items
+const FIXED_COLUMNS = {
+  crossBoardLinks: [["dealName", "Deal"], ["workOrderName", "Work Order"], ["method", "Method"], ["score", "Score"]],
+  stuckDeals: [["dealName", "Deal"], ["stage", "Stage"], ["closeDate", "Close Date"], ["daysPastClose", "Days Past Close"], ["value", "Value"]],
+  receivablesByClient: [["client", "Client"], ["outstanding", "Outstanding"], ["workOrders", "Work Orders"], ["oldestDays", "Oldest (days)"]],
+  receivables: [["workOrderName", "Work Order"], ["client", "Client"], ["outstanding", "Outstanding"], ["invoiceDate", "Last Invoice"], ["ageDays", "Age (days)"]],
+  unbilledWorkOrders: [["workOrderName", "Work Order"], ["client", "Client"], ["amount", "Amount"], ["billed", "Billed"], ["unbilled", "Unbilled"]],
+};
+
+// ── Formatting ──────────────────────────────────────────────────────
+export function formatCell(value) {
+  if (value == null || value === "") return "—";
+  if (typeof value === "number") return Number.isInteger(value) ? value.toLocaleString("en-US") : value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Pick the columns to show for a table of board rows: the item name first, then the
+ * mapped semantic columns, then whatever else the rows carry.
+ */
+function boardColumns(rows, mapping = {}) {
+  const keys = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) if (!k.startsWith("_") && !k.endsWith("_currency")) keys.add(k);
+  const preferred = Object.values(mapping).filter((title) => title && keys.has(title));
+  const ordered = [...new Set([...preferred, ...keys])];
+  return [["_name", "Item"], ...ordered.slice(0, MAX_TABLE_COLUMNS - 1).map((k) => [k, k])];
+}
+
+// Analysis and query results carry whatever columns their operations produced
+const RESULT_TABLES = new Set(["analysis", "query"]);
+
+function resultColumns(rows) {
+  return [...new Set(rows.flatMap((r) => Object.keys(r)))].slice(0, MAX_TABLE_COLUMNS).map((k) => [k, k]);
+}
+
+function tableSection(name, rows, dataQuality = {}) {
+  const columns = FIXED_COLUMNS[name] || (RESULT_TABLES.has(name) ? resultColumns(rows) : boardColumns(rows, dataQuality[name]?.columnMapping));
+  const shown = rows.slice(0, MAX_TABLE_ROWS);
+  return {
+    heading: TABLE_TITLES[name] || name,
+    table: {
+      columns: columns.map(([, label]) => label),
+      rows: shown.map((r) => columns.map(([key]) => formatCell(r[key]))),
+    },
+    note: rows.length > shown.length ? `Showing ${shown.length} of ${rows.length} rows.` : null,
+  };
+}
+
+// One bullet per filter and board, so readers know which subset the figures describe
+function filtersSection(appliedFilters = []) {
+  const bullets = appliedFilters.map((f) => {
+    const board = f.board ? `${BOARD_TITLES[f.board] || f.board}: ` : "";
+    return f.skipped ? `${board}${f.description} — not applied (${f.skipped})` : `${board}${f.description} (${f.matched} rows)`;
+  });
+  return bullets.length ? { heading: "Filters", bullets } : null;
+}
+
+// One bullet per agent tool call, so the figures can be audited
+function traceSection(trace) {
+  if (!trace?.steps?.length) return null;
+  const bullets = trace.steps.map((s) => {
+    const outcome = s.error ? `failed: ${s.error}` : `${s.result.result} (${s.result.rowCount} rows)`;
+    return `${s.step}. ${s.tool} ${JSON.stringify(s.arguments)} → ${outcome}`;
+  });
+  return { heading: "Analysis Steps", bullets };
+}
+
+function dataQualitySection(dataQuality = {}, confidence) {
+  const bullets = [];
+  if (typeof confidence === "number") bullets.push(`Confidence: ${Math.round(confidence * 100)}%`);
+  for (const [board, dq] of Object.entries(dataQuality)) {
+    if (!dq || typeof dq !== "object") continue;
+    const label = BOARD_TITLES[board] || board;
+    if (dq.totalRows != null) bullets.push(`${label}: ${dq.totalRows} rows analysed`);
+    const missing = Object.entries(dq.missingCounts || {})
+      .filter(([, n]) => n > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_MISSING_FIELDS);
+    if (missing.length) bullets.push(`${label} missing values: ${missing.map(([field, n]) => `${field} (${n})`).join(", ")}`);
+    for (const warning of dq.warnings || []) bullets.push(`${label}: ${warning}`);
+  }
+  return bullets.length ? { heading: "Data Quality", bullets } : null;
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isStringList = (v) => Array.isArray(v) && v.every((item) => typeof item === "string");
+
+/**
+ * Check that a client-supplied reply has the shape buildReport reads. Returns an error
+ * message for the first field that does not, or null. Absent fields are fine.
+ */
+export function replyShapeError(reply) {
+  for (const field of ["summary", "insight"]) {
+    if (reply[field] != null && typeof reply[field] !== "string") return `reply.${field} must be a string.`;
+  }
+  if (reply.leadership_bullets != null && !isStringList(reply.leadership_bullets)) return "reply.leadership_bullets must be an array of strings.";
+  if (reply.confidence != null && typeof reply.confidence !== "number") return "reply.confidence must be a number.";
+  if (reply.appliedFilters != null && !(Array.isArray(reply.appliedFilters) && reply.appliedFilters.every(isObject))) {
+    return "reply.appliedFilters must be an array of objects.";
+  }
+  if (reply.tables != null) {
+    if (!isObject(reply.tables)) return "reply.tables must be an object of row arrays.";
+    for (const [name, rows] of Object.entries(reply.tables)) {
+      if (!Array.isArray(rows) || !rows.every(isObject)) return `reply.tables.${name} must be an array of row objects.`;
+    }
+  }
+  if (reply.dataQuality != null) {
+    if (!isObject(reply.dataQuality)) return "reply.dataQuality must be an object.";
+    for (const [board, dq] of Object.entries(reply.dataQuality)) {
+      if (!isObject(dq)) continue;
+      if (dq.warnings != null && !isStringList(dq.warnings)) return `reply.dataQuality.${board}.warnings must be an array of strings.`;
+      if (dq.missingCounts != null && !isObject(dq.missingCounts)) return `reply.dataQuality.${board}.missingCounts must be an object.`;
+    }
+  }
+  if (reply.trace != null) {
+    const steps = reply.trace.steps;
+    if (!isObject(reply.trace) || (steps != null && !(Array.isArray(steps) && steps.every((s) => isObject(s) && (s.error || isObject(s.result)))))) {
+      return "reply.trace.steps must be an array of steps, each with a result or an error.";
+    }
+  }
+  return null;
+}
+
+// ── Report ──────────────────────────────────────────────────────────
+/**
+ * Build the report for a chat reply ({ summary, insight, leadership_bullets, tables,
+ * appliedFilters, dataQuality, confidence, trace }).
+ */
+export function buildReport(reply, { title = "Leadership Brief", generatedAt = new Date() } = {}) {
+  const sections = [];
+  if (reply.summary) sections.push({ heading: "Executive Summary", paragraphs: [reply.summary] });
+  if (reply.insight) sections.push({ heading: "Analysis", paragraphs: [reply.insight] });
+  if (reply.leadership_bullets?.length) sections.push({ heading: "Leadership Update", bullets: reply.leadership_bullets });
+  const filters = filtersSection(reply.appliedFilters);
+  if (filters) sections.push(filters);
+  for (const [name, rows] of Object.entries(reply.tables || {})) {
+    if (Array.isArray(rows) && rows.length) sections.push(tableSection(name, rows, reply.dataQuality));
+  }
+  const trace = traceSection(reply.trace);
+  if (trace) sections.push(trace);
+  const quality = dataQualitySection(reply.dataQuality, reply.confidence);
+  if (quality) sections.push(quality);
+
+  return { title, generatedAt: generatedAt.toISOString(), sections };
+}
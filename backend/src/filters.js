@@ -0,0 +1,240 @@
+/**
+ * Structured row filters.
+ * Turns a plan's `filters` into typed predicates and applies them to normalized board
+ * rows before metrics are computed. Each predicate names a semantic field (sector,
+ * status, dates, value, owner, client); the board's column mapping decides which column
+ * it reads, so the same filters work on deals and work orders alike.
+ */
+
+import { canonicalizeSector } from "./normalizer.js";
+import { currentTime } from "./appContext.js";
+
+export const EMPTY_FILTERS = {
+  sector: null,
+  quarter: null,
+  status: null,
+  dateRange: null,
+  dateField: null,
+  minValue: null,
+  maxValue: null,
+  owner: null,
+  client: null,
+};
+
+export const DATE_FIELDS = ["close", "created", "start", "end"];
+
+// Semantic columns each filter reads, per board
+const STATUS_COLUMNS = { deals: ["status", "stage"], workOrders: ["executionStatus", "woStatus"] };
+const VALUE_COLUMNS = { deals: "dealValue", workOrders: "amount" };
+const DATE_COLUMNS = {
+  deals: { close: "closeDate", created: "createdDate", default: "closeDate" },
+  workOrders: { start: "startDate", end: "endDate", close: "endDate", default: "endDate" },
+};
+const BOARD_LABELS = { deals: "deals", workOrders: "work orders" };
+
+const DAY_MS = 86400000;
+
+// ── Date Ranges ─────────────────────────────────────────────────────
+function ymd(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function utcDate(y, m, d) {
+  return new Date(Date.UTC(y, m, d));
+}
+
+function quarterRange(q, year) {
+  return { from: ymd(utcDate(year, (q - 1) * 3, 1)), to: ymd(utcDate(year, q * 3, 0)) };
+}
+
+function periodRange(unit, offset, now) {
+  const y = now.getUTCFullYear(), m = now.getUTCMonth();
+  if (unit === "month") return { from: ymd(utcDate(y, m + offset, 1)), to: ymd(utcDate(y, m + offset + 1, 0)) };
+  if (unit === "year") return { from: `${y + offset}-01-01`, to: `${y + offset}-12-31` };
+  const start = utcDate(y, Math.floor(m / 3) * 3 + offset * 3, 1);
+  return quarterRange(Math.floor(start.getUTCMonth() / 3) + 1, start.getUTCFullYear());
+}
+
+function shift(now, n, unit) {
+  if (unit.startsWith("day")) return new Date(now.getTime() + n * DAY_MS);
+  if (unit.startsWith("week")) return new Date(now.getTime() + n * 7 * DAY_MS);
+  const months = unit.startsWith("year") ? n * 12 : n;
+  return utcDate(now.getUTCFullYear(), now.getUTCMonth() + months, now.getUTCDate());
+}
+
+const ISO_DATE = "(\\d{4}-\\d{2}-\\d{2})";
+
+/**
+ * Parse a date range phrase into { from, to } (ISO dates, inclusive; either may be null).
+ * Understands "2025-01-01..2025-03-31", "from X to Y", "between X and Y", "after X",
+ * "before X", "Q1 2025", "2025", "last 30 days", "next 2 quarters", "this month",
+ * "last quarter". Returns null when the phrase is not recognised.
+ */
+export function parseDateRange(input, { now = new Date(currentTime()) } = {}) {
+  const text = String(input || "").trim().toLowerCase();
+  if (!text) return null;
+  let m;
+
+  if ((m = text.match(new RegExp(`^(?:from |between )?${ISO_DATE}\\s*(?:\\.\\.|to|–|-|and|through|until)\\s*${ISO_DATE}$`)))) {
+    return m[1] <= m[2] ? { from: m[1], to: m[2] } : { from: m[2], to: m[1] };
+  }
+  if ((m = text.match(new RegExp(`^(?:after|since|from|on or after)\\s+${ISO_DATE}$`)))) return { from: m[1], to: null };
+  if ((m = text.match(new RegExp(`^(?:before|until|by|on or before)\\s+${ISO_DATE}$`)))) return { from: null, to: m[1] };
+  if ((m = text.match(new RegExp(`^${ISO_DATE}$`)))) return { from: m[1], to: m[1] };
+  if ((m = text.match(/^q([1-4])\s*(?:fy\s*)?'?(\d{4})$/))) return quarterRange(Number(m[1]), Number(m[2]));
+  if ((m = text.match(/^(?:fy\s*)?(\d{4})$/))) return { from: `${m[1]}-01-01`, to: `${m[1]}-12-31` };
+  if ((m = text.match(/^(last|past|next)\s+(\d+)\s+(days?|weeks?|months?|quarters?|years?)$/))) {
+    const n = Number(m[2]) * (m[3].startsWith("quarter") ? 3 : 1);
+    const unit = m[3].startsWith("quarter") ? "months" : m[3];
+    return m[1] === "next" ? { from: ymd(now), to: ymd(shift(now, n, unit)) } : { from: ymd(shift(now, -n, unit)), to: ymd(now) };
+  }
+  if ((m = text.match(/^(this|current|last|previous|next)\s+(month|quarter|year)$/))) {
+    const offset = { this: 0, current: 0, last: -1, previous: -1, next: 1 }[m[1]];
+    return periodRange(m[2], offset, now);
+  }
+  if (/^(ytd|year to date)$/.test(text)) return { from: `${now.getUTCFullYear()}-01-01`, to: ymd(now) };
+  return null;
+}
+
+// ── Predicates ──────────────────────────────────────────────────────
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(/\s*(?:,|\bor\b)\s*/i);
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n = typeof value === "number" ? value : Number(String(value).replace(/[,\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Turn plan filters into predicates. Returns { predicates, rejected }; each predicate is
+ * { filter, ... } with typed operands. Filters that cannot be understood are listed in
+ * `rejected` ({ filter, description, board: null, skipped }) instead of being applied.
+ */
+export function buildPredicates(filters = {}, { now = new Date(currentTime()) } = {}) {
+  const predicates = [];
+  const rejected = [];
+  const reject = (filter, description, skipped) => rejected.push({ filter, description, board: null, skipped });
+  const f = { ...EMPTY_FILTERS, ...filters };
+
+  if (f.sector) predicates.push({ filter: "sector", sectors: toList(f.sector).map((s) => canonicalizeSector(s)) });
+  if (f.status) predicates.push({ filter: "status", values: toList(f.status) });
+
+  // An unknown date field falls back to each board's default date rather than dropping the range
+  const dateField = DATE_FIELDS.includes(f.dateField) ? f.dateField : null;
+  for (const [source, raw] of [["quarter", f.quarter], ["dateRange", f.dateRange]]) {
+    if (!raw) continue;
+    const range = parseDateRange(raw, { now });
+    if (range) predicates.push({ filter: "dateRange", source, label: String(raw), field: dateField, ...range });
+    else reject("dateRange", `${source} "${raw}"`, "not a recognised date range");
+  }
+
+  const min = toNumber(f.minValue), max = toNumber(f.maxValue);
+  if (min != null || max != null) predicates.push({ filter: "value", min, max });
+  if (f.minValue != null && min == null) reject("value", `minimum value "${f.minValue}"`, "not a number");
+  if (f.maxValue != null && max == null) reject("value", `maximum value "${f.maxValue}"`, "not a number");
+
+  if (f.owner) predicates.push({ filter: "owner", values: toList(f.owner) });
+  if (f.client) predicates.push({ filter: "client", values: toList(f.client) });
+  return { predicates, rejected };
+}
+
+function contains(cell, values) {
+  if (cell == null) return false;
+  const text = String(cell).toLowerCase();
+  return values.some((v) => text.includes(v.toLowerCase()));
+}
+
+// Resolve a predicate against one board: the columns it reads and a row test, or a reason it cannot apply
+function compile(predicate, boardType, cols, converter) {
+  switch (predicate.filter) {
+    case "sector": {
+      const col = cols.sector;
+      if (!col) return { reason: "no sector column" };
+      const wanted = predicate.sectors.map((s) => s.toLowerCase());
+      return {
+        columns: [col],
+        test: (r) => {
+          const value = (canonicalizeSector(r[col]) || "").toLowerCase();
+          return !!value && wanted.some((w) => value === w || value.includes(w));
+        },
+      };
+    }
+    case "status": {
+      const columns = STATUS_COLUMNS[boardType].map((f) => cols[f]).filter(Boolean);
+      if (!columns.length) return { reason: "no status column" };
+      return { columns, test: (r) => columns.some((c) => contains(r[c], predicate.values)) };
+    }
+    case "dateRange": {
+      const dates = DATE_COLUMNS[boardType];
+      const col = cols[predicate.field ? dates[predicate.field] : dates.default];
+      if (!col) return { reason: predicate.field ? `no ${predicate.field} date column` : "no date column" };
+      return {
+        columns: [col],
+        test: (r) => !!r[col] && (!predicate.from || r[col] >= predicate.from) && (!predicate.to || r[col] <= predicate.to),
+      };
+    }
+    case "value": {
+      const col = cols[VALUE_COLUMNS[boardType]];
+      if (!col) return { reason: "no value column" };
+      const dateCol = cols[DATE_COLUMNS[boardType].default];
+      return {
+        columns: [col],
+        test: (r) => {
+          if (typeof r[col] !== "number") return false;
+          const value = converter ? converter.convert(r[col], r[`${col}_currency`], dateCol ? r[dateCol] : null) : r[col];
+          return value != null && (predicate.min == null || value >= predicate.min) && (predicate.max == null || value <= predicate.max);
+        },
+      };
+    }
+    case "owner":
+    case "client": {
+      const col = cols[predicate.filter];
+      if (!col) return { reason: `no ${predicate.filter} column` };
+      return { columns: [col], test: (r) => contains(r[col], predicate.values) };
+    }
+    default:
+      return { reason: "unknown filter" };
+  }
+}
+
+export function describePredicate(predicate) {
+  switch (predicate.filter) {
+    case "sector": return `sector is ${predicate.sectors.join(" or ")}`;
+    case "status": return `status matches ${predicate.values.join(" or ")}`;
+    case "dateRange": {
+      const field = predicate.field ? `${predicate.field} date` : "date";
+      if (predicate.from && predicate.to) return `${field} ${predicate.from} to ${predicate.to} (${predicate.label})`;
+      return predicate.from ? `${field} on or after ${predicate.from}` : `${field} on or before ${predicate.to}`;
+    }
+    case "value": {
+      if (predicate.min != null && predicate.max != null) return `value between ${predicate.min.toLocaleString("en-US")} and ${predicate.max.toLocaleString("en-US")}`;
+      return predicate.min != null ? `value at least ${predicate.min.toLocaleString("en-US")}` : `value at most ${predicate.max.toLocaleString("en-US")}`;
+    }
+    default: return `${predicate.filter} matches ${predicate.values.join(" or ")}`;
+  }
+}
+
+/**
+ * Apply predicates to one board's rows. `cols` is the board's resolved semantic columns;
+ * `converter` puts value bounds in the reporting currency. A predicate the board has no
+ * column for is skipped (and reported) rather than emptying the board.
+ * Returns { rows, applied: [{ filter, description, board, columns, matched } | { ..., skipped }] }.
+ */
+export function applyFilters(rows, boardType, cols, predicates, { converter = null } = {}) {
+  let kept = rows;
+  const applied = [];
+  for (const predicate of predicates) {
+    const base = { filter: predicate.filter, description: describePredicate(predicate), board: boardType };
+    const { columns, test, reason } = compile(predicate, boardType, cols, converter);
+    if (!test) {
+      applied.push({ ...base, skipped: `${reason} on ${BOARD_LABELS[boardType]}` });
+      continue;
+    }
+    kept = kept.filter(test);
+    applied.push({ ...base, columns, matched: kept.length });
+  }
+  return { rows: kept, applied };
+}
@@ -0,0 +1,107 @@
+/**
+ * Weighted pipeline forecasting.
+ * Maps closure-probability labels to weights and projects expected revenue per
+ * quarter from tentative close dates, with best/likely/worst-case ranges.
+ */
+
+import { createConverter } from "./currency.js";
+import { dealOutcome } from "./funnel.js";
+import { currentTime } from "./appContext.js";
+
+// Label weights; "High/Medium/Low" is what the Deals board uses today
+export const PROBABILITY_WEIGHTS = { high: 0.75, medium: 0.5, low: 0.2 };
+
+// Best case closes everything at or above BEST_CASE_MIN in full;
+// worst case only counts (weighted) deals at or above WORST_CASE_MIN.
+const BEST_CASE_MIN = 0.5;
+const WORST_CASE_MIN = 0.7;
+
+/**
+ * Turn a probability label ("High"), percentage ("60%") or number (0.6 / 60)
+ * into a weight in [0, 1]. Returns null when the value is not recognised.
+ */
+export function probabilityWeight(raw) {
+  if (raw == null || raw === "") return null;
+  if (typeof raw === "number") return raw > 1 ? Math.min(raw / 100, 1) : Math.max(raw, 0);
+  const s = String(raw).trim().toLowerCase();
+  const pct = s.match(/^(\d+(?:\.\d+)?)\s*%?$/);
+  if (pct) return probabilityWeight(parseFloat(pct[1]));
+  for (const [label, weight] of Object.entries(PROBABILITY_WEIGHTS)) {
+    if (s.startsWith(label)) return weight;
+  }
+  return null;
+}
+
+export function quarterOf(isoDate) {
+  const d = new Date(isoDate);
+  if (isNaN(d)) return null;
+  return `Q${Math.ceil((d.getUTCMonth() + 1) / 3)} ${d.getUTCFullYear()}`;
+}
+
+function nextQuarterOf(now) {
+  const q = Math.ceil((now.getUTCMonth() + 1) / 3);
+  return q === 4 ? `Q1 ${now.getUTCFullYear() + 1}` : `Q${q + 1} ${now.getUTCFullYear()}`;
+}
+
+function emptyRange() {
+  return { deals: 0, pipeline: 0, likely: 0, best: 0, worst: 0 };
+}
+
+function addDeal(range, value, weight) {
+  range.deals++;
+  range.pipeline += value;
+  range.likely += value * weight;
+  range.best += weight >= BEST_CASE_MIN ? value : value * weight;
+  if (weight >= WORST_CASE_MIN) range.worst += value * weight;
+}
+
+/**
+ * Forecast open deals. `cols` names the value/probability/closeDate/stage/status
+ * columns; won and lost deals are excluded. Deals with an unrecognised probability
+ * are weighted as Low and counted in `assumedLow`.
+ */
+export function computeForecast(rows, cols, { converter = createConverter(), now = new Date(currentTime()), quarter = null } = {}) {
+  const total = emptyRange();
+  const byQuarter = {};
+  const undated = emptyRange();
+  let assumedLow = 0, excludedClosed = 0;
+
+  for (const r of rows) {
+    if (dealOutcome(cols.stage ? r[cols.stage] : null, cols.status ? r[cols.status] : null) !== "open") {
+      excludedClosed++;
+      continue;
+    }
+
+    const amount = cols.dealValue ? r[cols.dealValue] : null;
+    if (typeof amount !== "number") continue;
+    const closeDate = cols.closeDate ? r[cols.closeDate] : null;
+    const value = converter.convert(amount, r[`${cols.dealValue}_currency`], closeDate);
+    if (value == null) continue;
+
+    let weight = cols.probability ? probabilityWeight(r[cols.probability]) : null;
+    if (weight == null) {
+      weight = PROBABILITY_WEIGHTS.low;
+      assumedLow++;
+    }
+
+    addDeal(total, value, weight);
+    const q = closeDate ? quarterOf(closeDate) : null;
+    addDeal(q ? (byQuarter[q] ||= emptyRange()) : undated, value, weight);
+  }
+
+  const nextQuarter = nextQuarterOf(now);
+  return {
+    reportingCurrency: converter.reportingCurrency,
+    weightedPipeline: total.likely,
+    openPipeline: total.pipeline,
+    openDeals: total.deals,
+    range: { best: total.best, likely: total.likely, worst: total.worst },
+    byQuarter,
+    undated,
+    nextQuarter: { quarter: nextQuarter, ...(byQuarter[nextQuarter] || emptyRange()) },
+    focusQuarter: quarter ? { quarter, ...(byQuarter[quarter] || emptyRange()) } : null,
+    weights: PROBABILITY_WEIGHTS,
+    assumedLow,
+    excludedClosed,
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Sales funnel analytics.
+ * Orders the Deals board's stages, computes stage-to-stage conversion, how long open deals
+ * have sat in their current stage, how old they are, and which are stuck past their
+ * tentative close date.
+ */
+
+import { createConverter } from "./currency.js";
+import { currentTime } from "./appContext.js";
+
+export const DEFAULT_STUCK_DAYS = 30;
+
+const DAY_MS = 86400000;
+
+// Closed-deal patterns; computeDealsMetrics and the forecast classify deals through dealOutcome too
+const WON_STAGE_RE = /won|closed.*won|completed|delivered/i;
+const WON_STATUS_RE = /won|closed.*won/i;
+const LOST_RE = /lost|closed.*lost|dead|dropped/i;
+
+// Open-deal age buckets, in days since creation
+const AGE_BUCKETS = [[30, "0-30"], [90, "31-90"], [180, "91-180"], [Infinity, "180+"]];
+
+/**
+ * A deal's outcome from its stage and status: "won", "lost" or "open". Each deal counts
+ * once, even when both columns say it was won.
+ */
+export function dealOutcome(stage, status) {
+  if (WON_STATUS_RE.test(status || "") || WON_STAGE_RE.test(stage || "")) return "won";
+  if (LOST_RE.test(status || "") || LOST_RE.test(stage || "")) return "lost";
+  return "open";
+}
+
+/**
+ * Order stage labels the way the Deals board does: by their letter prefix
+ * ("B. Sales Qualified Leads" before "E. Proposal Sent"), unprefixed labels last.
+ */
+export function orderStages(stages) {
+  const rank = (s) => s.match(/^([a-z])[.)]\s/i)?.[1].toUpperCase().charCodeAt(0) ?? Infinity;
+  return [...new Set(stages)].sort((a, b) => (rank(a) === rank(b) ? a.localeCompare(b) : rank(a) < rank(b) ? -1 : 1));
+}
+
+function daysBetween(from, to) {
+  const ms = Date.parse(to) - Date.parse(from);
+  return Number.isFinite(ms) ? Math.floor(ms / DAY_MS) : null;
+}
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Funnel metrics for deal rows. `cols` names the stage/status/dealValue/closeDate/
+ * createdDate columns. Lost stages are exits, not funnel steps; a lost deal's last open
+ * stage is not recorded, so it counts as leaving after the first step. Time in stage is
+ * measured from each open deal's last update (`_updatedAt`), which is when its stage most
+ * likely changed. Open deals more than `stuckDays` past their close date are stuck.
+ */
+export function computeFunnel(rows, cols, { converter = createConverter(), now = new Date(currentTime()), stuckDays = DEFAULT_STUCK_DAYS } = {}) {
+  const today = now.toISOString();
+  const outcomes = { open: 0, won: 0, lost: 0 };
+  const exits = {};
+  const current = {};
+  const stageDays = {};
+  const ages = [];
+  const aging = Object.fromEntries(AGE_BUCKETS.map(([, label]) => [label, 0]));
+  const stuckDeals = [];
+  let undatedAge = 0, unknownStage = 0;
+
+  for (const r of rows) {
+    const stage = cols.stage ? r[cols.stage] : null;
+    const outcome = dealOutcome(stage, cols.status ? r[cols.status] : null);
+    outcomes[outcome]++;
+
+    if (!stage) unknownStage++;
+    else if (LOST_RE.test(stage)) exits[stage] = (exits[stage] || 0) + 1;
+    else current[stage] = (current[stage] || 0) + 1;
+    if (outcome !== "open") continue;
+
+    if (stage && r._updatedAt) (stageDays[stage] ||= []).push(daysBetween(r._updatedAt, today));
+
+    const created = (cols.createdDate && r[cols.createdDate]) || r._createdAt;
+    const age = created ? daysBetween(created, today) : null;
+    if (age == null) undatedAge++;
+    else {
+      ages.push(age);
+      aging[AGE_BUCKETS.find(([max]) => age <= max)[1]]++;
+    }
+
+    const closeDate = cols.closeDate ? r[cols.closeDate] : null;
+    const pastClose = closeDate ? daysBetween(closeDate, today) : null;
+    if (pastClose != null && pastClose > stuckDays) {
+      const amount = cols.dealValue ? r[cols.dealValue] : null;
+      stuckDeals.push({
+        dealId: r._id,
+        dealName: r._name,
+        stage,
+        closeDate,
+        daysPastClose: pastClose,
+        ageDays: age,
+        value: typeof amount === "number" ? converter.convert(amount, r[`${cols.dealValue}_currency`], closeDate) : null,
+      });
+    }
+  }
+
+  // A deal in a later stage has passed through every earlier one
+  const order = orderStages(Object.keys(current));
+  const lost = Object.values(exits).reduce((a, b) => a + b, 0);
+  let reached = 0;
+  const stages = order.map((stage) => ({ stage, deals: current[stage] })).reverse().map((s) => {
+    reached += s.deals;
+    return { ...s, reached };
+  }).reverse();
+  if (stages.length) stages[0].reached += lost;
+  stages.forEach((s, i) => {
+    const next = stages[i + 1];
+    const days = stageDays[s.stage] || [];
+    s.conversionToNext = next ? next.reached / s.reached : null;
+    s.avgDaysInStage = average(days);
+    s.timedDeals = days.length;
+  });
+
+  const decided = outcomes.won + outcomes.lost;
+  return {
+    reportingCurrency: converter.reportingCurrency,
+    stages,
+    exits,
+    overallConversion: stages.length ? stages.at(-1).reached / stages[0].reached : null,
+    ...outcomes,
+    winRate: decided ? outcomes.won / decided : null,
+    aging: { avgAgeDays: average(ages), buckets: aging, undated: undatedAge },
+    stuckDays,
+    stuckDeals: stuckDeals.sort((a, b) => b.daysPastClose - a.daysPastClose),
+    unknownStage,
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Deal ↔ work order linking engine.
+ * Uses Monday "connect boards" (board_relation) links when items carry them and
+ * falls back to scored fuzzy matching on name, client and sector otherwise.
+ */
+
+import { canonicalizeSector } from "./normalizer.js";
+
+const DEFAULT_THRESHOLD = 0.6;
+
+// Words that appear in most item names and say nothing about which deal it is
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "of", "ltd", "pvt", "limited", "private", "inc", "llp", "co",
+  "project", "projects", "deal", "work", "order", "wo", "survey", "drone", "services", "service", "phase",
+]);
+
+export function tokenize(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length >= 3 && !STOPWORDS.has(t))
+  );
+}
+
+// Dice coefficient over token sets: 2|A∩B| / (|A|+|B|)
+export function tokenSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function normalizeCode(v) {
+  return String(v || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function clientSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (normalizeCode(a) === normalizeCode(b)) return 1;
+  return tokenSimilarity(tokenize(a), tokenize(b));
+}
+
+function relationIds(row) {
+  return Object.values(row._relations || {}).flat().map(String);
+}
+
+/**
+ * Score a deal/work-order pair. Name carries most of the weight; client only counts
+ * when both boards have a client column, and sector alone can never reach the threshold.
+ */
+export function scorePair(deal, wo, { dealCols = {}, woCols = {} } = {}) {
+  const name = tokenSimilarity(deal.tokens, wo.tokens);
+  const hasClient = !!(dealCols.client && woCols.client);
+  const client = hasClient ? clientSimilarity(deal.row[dealCols.client], wo.row[woCols.client]) : null;
+  const dealSector = dealCols.sector ? canonicalizeSector(deal.row[dealCols.sector]) : null;
+  const woSector = woCols.sector ? canonicalizeSector(wo.row[woCols.sector]) : null;
+  const sector = dealSector && woSector ? (dealSector === woSector ? 1 : 0) : null;
+
+  const score = hasClient
+    ? 0.65 * name + 0.25 * client + 0.1 * (sector || 0)
+    : 0.85 * name + 0.15 * (sector || 0);
+  return { score, signals: { name, client, sector } };
+}
+
+/**
+ * Link work orders to deals. Each work order links to at most one deal: an explicit
+ * board relation if either item has one, otherwise the best fuzzy match scoring at
+ * or above `threshold`. Returns the link pairs with scores plus the unlinked sets.
+ */
+export function linkDealsToWorkOrders(dealsRows, woRows, { dealCols = {}, woCols = {}, threshold } = {}) {
+  const minScore = threshold ?? (Number(process.env.LINK_THRESHOLD) || DEFAULT_THRESHOLD);
+  const deals = dealsRows.map((row) => ({ row, id: String(row._id), tokens: tokenize(row._name) }));
+  const dealsById = new Map(deals.map((d) => [d.id, d]));
+
+  // Deals that point at work orders through their own relation columns
+  const dealByLinkedWo = new Map();
+  for (const d of deals) {
+    for (const woId of relationIds(d.row)) dealByLinkedWo.set(woId, d);
+  }
+
+  const links = [];
+  const unlinkedWorkOrders = [];
+  for (const row of woRows) {
+    const wo = { row, id: String(row._id), tokens: tokenize(row._name) };
+
+    const related = relationIds(row).map((id) => dealsById.get(id)).find(Boolean) || dealByLinkedWo.get(wo.id);
+    if (related) {
+      links.push(linkRecord(related, wo, "relation", 1, null));
+      continue;
+    }
+
+    let best = null;
+    for (const d of deals) {
+      const scored = scorePair(d, wo, { dealCols, woCols });
+      if (!best || scored.score > best.score) best = { deal: d, ...scored };
+    }
+    if (best && best.score >= minScore) {
+      links.push(linkRecord(best.deal, wo, "fuzzy", best.score, best.signals));
+    } else {
+      unlinkedWorkOrders.push(wo.row);
+    }
+  }
+
+  const linkedDealIds = new Set(links.map((l) => l.dealId));
+  return {
+    links: links.sort((a, b) => b.score - a.score),
+    unlinkedDeals: dealsRows.filter((r) => !linkedDealIds.has(String(r._id))),
+    unlinkedWorkOrders,
+    threshold: minScore,
+  };
+}
+
+function linkRecord(deal, wo, method, score, signals) {
+  return {
+    dealId: deal.id,
+    dealName: deal.row._name,
+    workOrderId: wo.id,
+    workOrderName: wo.row._name,
+    method,
+    score: Math.round(score * 100) / 100,
+    nameScore: signals ? Math.round(signals.name * 100) / 100 : null,
+    clientScore: signals?.client != null ? Math.round(signals.client * 100) / 100 : null,
+    sectorMatch: signals?.sector != null ? signals.sector === 1 : null,
+  };
+}
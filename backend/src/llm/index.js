@@ -0,0 +1,88 @@
+/**
+ * LLM providers behind the agent.
+ * A provider is { name, model, enforcesSchema, complete({ messages, schema, schemaName, onToken }) }:
+ * `complete` returns the model's raw text, or null when it has no answer (the stub), in
+ * which case the agent uses its keyword fallbacks. The provider is chosen per deployment
+ * with LLM_PROVIDER, LLM_MODEL and LLM_BASE_URL.
+ */
+
+import { createOpenAIProvider, DEFAULT_OPENAI_MODEL } from "./openai.js";
+import { createOpenAICompatibleProvider, DEFAULT_BASE_URL } from "./openaiCompatible.js";
+import { createStubProvider } from "./stub.js";
+import { validateJson } from "./jsonSchema.js";
+import { injected } from "../appContext.js";
+
+export const LLM_PROVIDERS = {
+  openai: (config) => createOpenAIProvider({ apiKey: config.apiKey, model: config.model || DEFAULT_OPENAI_MODEL }),
+  "openai-compatible": (config) => createOpenAICompatibleProvider(config),
+  stub: () => createStubProvider(),
+};
+
+/**
+ * Provider settings from the environment. LLM_MODE=stub is still honoured as the
+ * stub provider; the OpenAI key falls back to OPENAI_API_KEY.
+ */
+export function providerConfigFromEnv(env = process.env) {
+  const name = env.LLM_PROVIDER || (env.LLM_MODE === "stub" ? "stub" : "openai");
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS);
+  return {
+    name,
+    model: env.LLM_MODEL || null,
+    baseUrl: env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    apiKey: env.LLM_API_KEY || (name === "openai" ? env.OPENAI_API_KEY : null) || null,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : undefined,
+  };
+}
+
+export function createProvider(config) {
+  const factory = LLM_PROVIDERS[config.name];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${config.name}". Use one of: ${Object.keys(LLM_PROVIDERS).join(", ")}.`);
+  return factory(config);
+}
+
+// The provider follows the environment unless one was set explicitly
+let provider = null, providerKey = null, override = null;
+
+export function getLlmProvider() {
+  const injectedProvider = injected("llmProvider");
+  if (injectedProvider) return injectedProvider;
+  if (override) return override;
+  const config = providerConfigFromEnv();
+  const key = JSON.stringify(config);
+  if (key !== providerKey) {
+    provider = createProvider(config);
+    providerKey = key;
+  }
+  return provider;
+}
+
+export function setLlmProvider(newProvider) {
+  override = newProvider;
+}
+
+// Models sometimes wrap JSON in a Markdown fence even when asked not to
+function parseModelJson(text) {
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+/**
+ * Ask `provider` for JSON matching `schema`. Returns the parsed object, or null when the
+ * provider has no answer. Throws when the output is not JSON or does not match the
+ * schema; output from providers that enforce the schema is trusted as-is.
+ */
+export async function generateJson(provider, { messages, schema, schemaName, onToken }) {
+  const text = await provider.complete({ messages, schema, schemaName, onToken });
+  if (text == null) return null;
+  let value;
+  try {
+    value = parseModelJson(text);
+  } catch (err) {
+    throw new Error(`${provider.name} returned invalid JSON for ${schemaName}: ${err.message}`);
+  }
+  if (!provider.enforcesSchema) {
+    const errors = validateJson(value, schema);
+    if (errors.length) throw new Error(`${provider.name} output does not match ${schemaName}: ${errors.slice(0, 3).join("; ")}`);
+  }
+  return value;
+}
@@ -0,0 +1,45 @@
+/**
+ * Minimal JSON Schema validation for model output.
+ * Covers the subset the agent's schemas use (type, enum, properties, required,
+ * additionalProperties, items), so output from providers that do not enforce a schema
+ * is checked before it reaches the query engine.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Validate `value` against `schema`. Returns a list of error strings (empty when valid),
+ * each prefixed with the JSON path of the offending value.
+ */
+export function validateJson(value, schema, path = "$") {
+  const errors = [];
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+
+  if (typeOf(value) === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) errors.push(...validateJson(child, schema.properties[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
@@ -0,0 +1,36 @@
+/**
+ * OpenAI adapter (Responses API). The schema is sent as a strict json_schema format,
+ * so OpenAI enforces it while generating.
+ */
+
+import OpenAI from "openai";
+
+export const DEFAULT_OPENAI_MODEL = "gpt-4.1-mini";
+
+export function createOpenAIProvider({ apiKey, model = DEFAULT_OPENAI_MODEL } = {}) {
+  let client;
+  const getClient = () => (client ||= new OpenAI({ apiKey }));
+
+  return {
+    name: "openai",
+    model,
+    enforcesSchema: true,
+
+    async complete({ messages, schema, schemaName, onToken }) {
+      const text = { format: { type: "json_schema", name: schemaName, strict: true, schema } };
+      if (!onToken) {
+        const response = await getClient().responses.create({ model, input: messages, text });
+        return response.output_text;
+      }
+      const stream = await getClient().responses.create({ model, input: messages, text, stream: true });
+      let output = "";
+      for await (const event of stream) {
+        if (event.type === "response.output_text.delta") {
+          output += event.delta;
+          onToken(event.delta);
+        }
+      }
+      return output;
+    },
+  };
+}
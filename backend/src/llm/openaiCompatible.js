@@ -0,0 +1,65 @@
+/**
+ * Adapter for OpenAI-compatible chat completion servers running inside the network
+ * (Ollama, llama.cpp server, vLLM). The schema is requested through `response_format`,
+ * but local servers may ignore it, so their output is always validated by the caller.
+ */
+
+export const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Read `data:` lines from a server-sent event stream, yielding each payload
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+}
+
+export function createOpenAICompatibleProvider({ baseUrl = DEFAULT_BASE_URL, apiKey = null, model, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!model) throw new Error("LLM_MODEL is required for the openai-compatible provider (e.g. llama3.1).");
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai-compatible",
+    model,
+    enforcesSchema: false,
+
+    async complete({ messages, schema, schemaName, onToken }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature: 0,
+          stream: !!onToken,
+          response_format: { type: "json_schema", json_schema: { name: schemaName, strict: true, schema } },
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`LLM server returned HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+
+      if (!onToken) {
+        const json = await res.json();
+        return json.choices?.[0]?.message?.content ?? "";
+      }
+      let output = "";
+      for await (const data of sseData(res.body)) {
+        if (data === "[DONE]") break;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+          output += delta;
+          onToken(delta);
+        }
+      }
+      return output;
+    },
+  };
+}
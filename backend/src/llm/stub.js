@@ -0,0 +1,21 @@
+/**
+ * Deterministic stub provider for offline development and tests. By default it has no
+ * answer (`null`), which makes the agent use its keyword fallbacks; tests can pass
+ * `respond` to script raw model output per schema.
+ */
+
+export function createStubProvider({ respond = () => null } = {}) {
+  return {
+    name: "stub",
+    model: "stub",
+    enforcesSchema: false,
+
+    async complete(request) {
+      const output = await respond(request);
+      if (output == null) return null;
+      const text = typeof output === "string" ? output : JSON.stringify(output);
+      request.onToken?.(text);
+      return text;
+    },
+  };
+}
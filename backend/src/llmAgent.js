@@ -5,35 +5,106 @@
  *   3. Executive Narrative Generation — founder-ready insights + leadership update
  */
 
-import OpenAI from "openai";
+import { currencySymbol } from "./currency.js";
+import { detectRefinement } from "./planRefinement.js";
+import { EMPTY_FILTERS, DATE_FIELDS, parseDateRange } from "./filters.js";
+import { CHART_IDS } from "./charts.js";
+import { SEMANTIC_FIELDS } from "./schemaDiscovery.js";
+import { getLlmProvider, generateJson } from "./llm/index.js";
+import { QUERY_SCHEMA } from "./queryDsl.js";
 
-let client;
-function getClient() {
-  if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  return client;
-}
-
-const MODEL = "gpt-4.1-mini";
+// Fallback narratives are streamed in chunks so clients see the same events as with a model
+const STUB_CHUNK_SIZE = 40;
 
 // ── Layer 1: Query Interpretation ───────────────────────────────────
 const INTERPRET_SYSTEM = `You are a business intelligence query planner for Skylark Drones.
 Given a user question (and optional conversation history for context), return a JSON plan.
 
 Rules:
-- intent: one of pipeline_health, revenue_summary, ops_status, leadership_brief, other
-- filters: extract sector, quarter, status, dateRange if mentioned
+- intent: one of pipeline_health, revenue_summary, ops_status, leadership_brief, forecast, funnel, receivables, analysis, other
+  - forecast: what will close, expected/projected revenue, weighted pipeline, best/worst case
+  - funnel: stage conversion, where deals drop off, time in stage, deal aging, stuck or slipping deals
+  - receivables: who owes us money, outstanding or overdue payments, collections aging, debtors, completed work not billed
+  - analysis: ad-hoc questions the others do not answer, such as rankings, top/bottom N, totals or counts grouped by a
+    column ("top 5 clients by billed amount", "average deal value per owner"); answered by running analytics tools
+- filters: extract only what is mentioned, leaving the rest null. Filters narrow the rows of both boards.
+  - sector: a sector name, e.g. "Mining" (several as "Mining, Powerline")
+  - status: a deal status or stage ("won", "open", "proposal") or work order status ("ongoing", "completed")
+  - quarter: "Q1 2025"; dateRange: "2025-01-01..2025-03-31", "after 2025-01-01", "last 90 days", "this quarter", "2024"
+  - dateField: which date a range applies to — close, created (deals), start or end (work orders); null for the default
+  - minValue / maxValue: value bounds in the reporting currency as plain numbers (₹1.5 Cr → 15000000)
+  - owner: the deal owner or work order personnel; client: client or customer name or code
 - data_sources: array from ["deals", "work_orders", "all"]
-  - revenue, pipeline, deals, sectors, close rate → "deals"
-  - operations, work orders, completion, overdue → "work_orders"
+  - revenue, pipeline, deals, sectors, close rate, forecast, funnel → "deals"
+  - operations, work orders, completion, overdue, receivables → "work_orders"
   - leadership brief, general overview, "how are things" → "all"
+- query: for analysis questions that one query over one board answers, a DSL query; otherwise null.
+  { from: "deals" | "work_orders", select, where: [{ column, op, value }], groupBy, aggregates: [{ fn, column, as }],
+    orderBy: [{ column, direction }], limit }. Name columns by semantic field — deals: ${Object.keys(SEMANTIC_FIELDS.deals).join(", ")};
+  work_orders: ${Object.keys(SEMANTIC_FIELDS.workOrders).join(", ")} — or by exact column title. orderBy and select refer to
+  groupBy columns and aggregate "as" names once grouped. Use [] and null for unused parts.
+  e.g. "top 5 clients by billed amount" → { from: "work_orders", select: [], where: [], groupBy: ["client"],
+  aggregates: [{ fn: "sum", column: "billed", as: "billed" }], orderBy: [{ column: "billed", direction: "desc" }], limit: 5 }
 - clarifying_questions: only if genuinely ambiguous. Prefer making reasonable assumptions.
 - Use conversation history to resolve pronouns ("that sector" → the sector from prior messages).
+- refinement: when a previous plan is given and the question narrows or adjusts it ("now just mining",
+  "same for work orders", "compare with construction"), set mode "refine" and fill in only what changes:
+  - filters: only the new or changed filters (others null); filter_mode "replace" drops the previous filters first
+  - data_sources: empty to keep the previous sources, or the new ones to switch
+  - compare_sector: a sector to compare against the current one, else null
+  Otherwise set mode "new", filter_mode "merge" and compare_sector null (compare_sector may still be set for
+  a fresh "compare mining with construction", with filters.sector as the first sector).
 - Return ONLY valid JSON, no markdown.`;
 
-export async function interpretQuery(userText, history = []) {
+const PLAN_SCHEMA = {
+  type: "object",
+  properties: {
+    intent: { type: "string", enum: ["pipeline_health", "revenue_summary", "ops_status", "leadership_brief", "forecast", "funnel", "receivables", "analysis", "other"] },
+    filters: {
+      type: "object",
+      properties: {
+        sector: { type: ["string", "null"] },
+        quarter: { type: ["string", "null"] },
+        status: { type: ["string", "null"] },
+        dateRange: { type: ["string", "null"] },
+        dateField: { type: ["string", "null"], enum: [...DATE_FIELDS, null] },
+        minValue: { type: ["number", "null"] },
+        maxValue: { type: ["number", "null"] },
+        owner: { type: ["string", "null"] },
+        client: { type: ["string", "null"] },
+      },
+      required: Object.keys(EMPTY_FILTERS),
+      additionalProperties: false,
+    },
+    data_sources: { type: "array", items: { type: "string", enum: ["deals", "work_orders", "all"] } },
+    query: { ...QUERY_SCHEMA, type: ["object", "null"] },
+    clarifying_questions: { type: "array", items: { type: "string" } },
+    refinement: {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: ["new", "refine"] },
+        filter_mode: { type: "string", enum: ["merge", "replace"] },
+        compare_sector: { type: ["string", "null"] },
+      },
+      required: ["mode", "filter_mode", "compare_sector"],
+      additionalProperties: false,
+    },
+  },
+  required: ["intent", "filters", "data_sources", "query", "clarifying_questions", "refinement"],
+  additionalProperties: false,
+};
+
+/**
+ * Turn a question into a plan. `previousPlan` (the session's last executed plan) lets the
+ * model return a refinement of it instead of a fresh plan; see planRefinement.js.
+ */
+export async function interpretQuery(userText, history = [], { previousPlan = null } = {}) {
   try {
-    const openai = getClient();
     const messages = [{ role: "system", content: INTERPRET_SYSTEM }];
+    if (previousPlan) {
+      const { intent, filters, data_sources } = previousPlan;
+      messages.push({ role: "system", content: `Previous plan: ${JSON.stringify({ intent, filters, data_sources })}` });
+    }
 
     // Include recent conversation history for context
     for (const h of history.slice(-6)) {
@@ -41,57 +112,70 @@ export async function interpretQuery(userText, history = []) {
     }
     messages.push({ role: "user", content: userText });
 
-    const response = await openai.responses.create({
-      model: MODEL,
-      input: messages,
-      text: {
-        format: {
-          type: "json_schema",
-          name: "query_plan",
-          strict: true,
-          schema: {
-            type: "object",
-            properties: {
-              intent: { type: "string", enum: ["pipeline_health", "revenue_summary", "ops_status", "leadership_brief", "other"] },
-              filters: {
-                type: "object",
-                properties: {
-                  sector: { type: ["string", "null"] },
-                  quarter: { type: ["string", "null"] },
-                  status: { type: ["string", "null"] },
-                  dateRange: { type: ["string", "null"] },
-                },
-                required: ["sector", "quarter", "status", "dateRange"],
-                additionalProperties: false,
-              },
-              data_sources: { type: "array", items: { type: "string" } },
-              clarifying_questions: { type: "array", items: { type: "string" } },
-            },
-            required: ["intent", "filters", "data_sources", "clarifying_questions"],
-            additionalProperties: false,
-          },
-        },
-      },
-    });
-    return JSON.parse(response.output_text);
+    const plan = await generateJson(getLlmProvider(), { messages, schema: PLAN_SCHEMA, schemaName: "query_plan" });
+    return plan ?? fallbackInterpret(userText, previousPlan);
   } catch (err) {
     console.error("interpretQuery error:", err.message);
-    return fallbackInterpret(userText);
+    return fallbackInterpret(userText, previousPlan);
   }
 }
 
-function fallbackInterpret(text) {
+function fallbackInterpret(text, previousPlan = null) {
   const lower = text.toLowerCase();
+  const { sector, refinement } = detectRefinement(text, previousPlan);
+  const filters = { ...EMPTY_FILTERS, ...fallbackFilters(lower), sector };
+
+  // Refinements only switch boards when one is named; the rest is inherited from the previous plan
+  if (refinement.mode === "refine") {
+    const sources = [];
+    if (/deal|pipeline/.test(lower)) sources.push("deals");
+    if (/work.?order|ops|operation/.test(lower)) sources.push("work_orders");
+    return { intent: "other", filters, data_sources: sources, query: null, clarifying_questions: [], refinement };
+  }
+
   let intent = "other";
   const sources = [];
 
   if (/pipeline|deal|revenue|sales|sector/.test(lower)) { intent = "pipeline_health"; sources.push("deals"); }
-  if (/revenue|quarter|forecast/.test(lower)) intent = "revenue_summary";
+  if (/revenue|quarter/.test(lower)) intent = "revenue_summary";
+  if (/forecast|projected|expected|will we close|weighted/.test(lower)) { intent = "forecast"; sources.push("deals"); }
+  if (/funnel|conversion|converting|drop.?off|stuck|slipp|aging|ageing|time in stage|velocity/.test(lower)) { intent = "funnel"; sources.push("deals"); }
   if (/work.?order|ops|operation|completion|overdue/.test(lower)) { intent = "ops_status"; sources.push("work_orders"); }
+  if (/receivable|owes?\b|owed|outstanding|debtor|collections?\b|unbilled|not billed|unpaid/.test(lower)) { intent = "receivables"; sources.push("work_orders"); }
+  if (/\b(?:top|bottom) \d+\b|\bgroup(?:ed)? by\b|\brank(?:ed|ing)?\b|\bbreak ?down by\b|\b(?:per|by) (?:client|customer|owner|person)\b/.test(lower)) intent = "analysis";
   if (/brief|overview|summary|status|leadership/.test(lower)) { intent = "leadership_brief"; sources.push("all"); }
   if (!sources.length) sources.push("all");
+  // Forecasts bucket deals by quarter themselves; "next quarter" there is not a row filter
+  if (intent === "forecast") filters.dateRange = null;
+
+  return { intent, filters, data_sources: [...new Set(sources)], query: null, clarifying_questions: [], refinement };
+}
 
-  return { intent, filters: { sector: null, quarter: null, status: null, dateRange: null }, data_sources: sources, clarifying_questions: [] };
+// Keyword extraction of the filters the planner schema carries (quarters, statuses, value bounds)
+const AMOUNT_UNITS = { k: 1e3, l: 1e5, lakh: 1e5, lakhs: 1e5, m: 1e6, mn: 1e6, cr: 1e7, crore: 1e7, crores: 1e7 };
+
+function fallbackFilters(lower) {
+  const filters = {};
+  const quarter = lower.match(/\bq([1-4])\s*(\d{4})\b/);
+  if (quarter) filters.quarter = `Q${quarter[1]} ${quarter[2]}`;
+  const range = lower.match(/\b((?:last|past|next) \d+ (?:days?|weeks?|months?|quarters?|years?)|(?:this|last|next) (?:month|quarter|year))\b/);
+  if (range && parseDateRange(range[1])) filters.dateRange = range[1];
+  const status = lower.match(/\b(won|lost|dead|on hold|ongoing|completed|not started)\b/);
+  if (status) filters.status = status[1];
+
+  // Bare small numbers ("over 5 months") are not amounts; a currency sign, unit or 4+ digits is required
+  const AMOUNT = "([₹$]?)\\s*(\\d[\\d,.]*)\\s*(k|l|lakhs?|mn|m|cr|crores?)?\\b";
+  const amount = (match) => {
+    if (!match) return null;
+    const [, sign, digits, unit] = match;
+    const n = Number(digits.replace(/,/g, "")) * (AMOUNT_UNITS[unit] || 1);
+    return Number.isFinite(n) && (sign || unit || n >= 1000) ? n : null;
+  };
+  const min = amount(lower.match(new RegExp(`\\b(?:over|above|more than|at least|greater than)\\s+${AMOUNT}`)));
+  if (min != null) filters.minValue = min;
+  const max = amount(lower.match(new RegExp(`\\b(?:under|below|less than|at most|up to)\\s+${AMOUNT}`)));
+  if (max != null) filters.maxValue = max;
+  return filters;
 }
 
 // ── Layer 3: Executive Narrative + Leadership Update ────────────────
@@ -111,17 +195,42 @@ Return JSON with:
   5. Recommended immediate action
   6. Data quality caveat
   7. (Optional) Cross-board correlation insight
+- charts: IDs from availableCharts that best illustrate the answer, most relevant first (at most 3). Pick what the question is about — stages for pipeline health, quarters for revenue over time, execution status for operations. Return [] when no chart adds anything.
 
 Format bullets as "Category: Detail" (e.g., "Risk: 70% of deals missing close dates...").
 Be specific with numbers — never say "some" when you have exact counts.
+Monetary metrics are already converted to the metrics' reportingCurrency; currencyBreakdown lists the original amounts per currency.
+appliedFilters lists the filters the metrics were restricted to (with the rows left on each board) — say which subset the numbers describe. metrics.sectorComparison (when present) compares sectors side by side; lead with it, since it is what the user asked about.
+metrics.funnel (when present) lists stages in order with deals reached and conversionToNext, avgDaysInStage (since each deal's last update), aging of open deals and stuck deals past their close date — name the weakest conversion step and the oldest stuck deals.
+metrics.receivables (when present) holds outstanding balances aged by last invoice date (0-30/31-60/61-90/90+ days), the top debtors and completed work orders not fully billed — lead with how much is owed, by whom, and how old it is.
+metrics.query (when present) is the result of the structured query the question was answered with (its first rows and totalRows) — report those figures.
+metrics.trends (when present) holds weekOverWeek and monthOverMonth deltas per metric — cite them (e.g. "Pipeline up 12% WoW") to say whether things are improving.
 If data quality is poor, say so directly and quantify the gap.`;
 
-export async function generateNarrative(executionResults, originalQuery, history = []) {
+const NARRATIVE_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    insight: { type: "string" },
+    leadership_bullets: { type: "array", items: { type: "string" } },
+    charts: { type: "array", items: { type: "string", enum: CHART_IDS } },
+  },
+  required: ["summary", "insight", "leadership_bullets", "charts"],
+  additionalProperties: false,
+};
+
+/**
+ * Pass `onToken` to stream the raw JSON output as it is generated; the parsed
+ * narrative is still returned once the stream completes. The narrative's `charts` lists
+ * the chart IDs the model chose; the fallback leaves it out so the intent's defaults apply.
+ */
+export async function generateNarrative(executionResults, originalQuery, history = [], { onToken } = {}) {
   try {
-    const openai = getClient();
     const context = JSON.stringify({
       query: originalQuery,
       metrics: executionResults.metrics,
+      appliedFilters: executionResults.appliedFilters,
+      availableCharts: (executionResults.charts || []).map(({ id, type, title }) => ({ id, type, title })),
       dataQuality: executionResults.dataQuality,
       confidence: executionResults.confidence,
     });
@@ -132,28 +241,16 @@ export async function generateNarrative(executionResults, originalQuery, history
     }
     messages.push({ role: "user", content: `Analyze this data and produce an executive briefing:\n${context}` });
 
-    const response = await openai.responses.create({
-      model: MODEL,
-      input: messages,
-      text: {
-        format: {
-          type: "json_schema",
-          name: "executive_narrative",
-          strict: true,
-          schema: {
-            type: "object",
-            properties: {
-              summary: { type: "string" },
-              insight: { type: "string" },
-              leadership_bullets: { type: "array", items: { type: "string" } },
-            },
-            required: ["summary", "insight", "leadership_bullets"],
-            additionalProperties: false,
-          },
-        },
-      },
-    });
-    return JSON.parse(response.output_text);
+    const narrative = await generateJson(getLlmProvider(), { messages, schema: NARRATIVE_SCHEMA, schemaName: "executive_narrative", onToken });
+    if (narrative) return narrative;
+
+    // No model answer (stub provider): stream the fallback so clients see the same events
+    const fallback = fallbackNarrative(executionResults);
+    if (onToken) {
+      const output = JSON.stringify(fallback);
+      for (let i = 0; i < output.length; i += STUB_CHUNK_SIZE) onToken(output.slice(i, i + STUB_CHUNK_SIZE));
+    }
+    return fallback;
   } catch (err) {
     console.error("generateNarrative error:", err.message);
     return fallbackNarrative(executionResults);
@@ -163,22 +260,64 @@ export async function generateNarrative(executionResults, originalQuery, history
 function fallbackNarrative(results) {
   const m = results.metrics;
   const bullets = [];
+  const code = m.deals?.reportingCurrency || m.workOrders?.reportingCurrency || "INR";
+  const sym = currencySymbol(code);
+  // Lakhs read naturally for rupee figures; other currencies use thousands
+  const avgSize = (v) => (code === "INR" ? `${(v / 1e5).toFixed(1)}L` : `${(v / 1e3).toFixed(1)}K`);
 
   if (m.deals) {
-    bullets.push(`Pipeline: ₹${(m.deals.totalPipeline / 1e6).toFixed(1)}M across ${m.deals.dealCount} deals (avg ₹${(m.deals.avgDealSize / 1e5).toFixed(1)}L).`);
+    bullets.push(`Pipeline: ${sym}${(m.deals.totalPipeline / 1e6).toFixed(1)}M across ${m.deals.dealCount} deals (avg ${sym}${avgSize(m.deals.avgDealSize)}).`);
     bullets.push(`Close Rate: ${(m.deals.closeRate * 100).toFixed(0)}% (${m.deals.closedWon} won of ${m.deals.dealCount}) — ${m.deals.closeRate < 0.3 ? "below healthy threshold, needs review" : "healthy"}.`);
   }
+  if (m.forecast) {
+    const f = m.forecast, nq = f.nextQuarter, mm = (v) => `${sym}${(v / 1e6).toFixed(1)}M`;
+    bullets.push(`Forecast: ${mm(f.weightedPipeline)} weighted pipeline from ${f.openDeals} open deals (range ${mm(f.range.worst)}–${mm(f.range.best)}).`);
+    bullets.push(`Next Quarter (${nq.quarter}): likely ${mm(nq.likely)} from ${nq.deals} deals (best ${mm(nq.best)}, worst ${mm(nq.worst)}).`);
+  }
+  if (m.funnel) {
+    const f = m.funnel, pct = (v) => `${(v * 100).toFixed(0)}%`;
+    const steps = f.stages.filter((s) => s.conversionToNext != null);
+    const weakest = steps.reduce((min, s) => (!min || s.conversionToNext < min.conversionToNext ? s : min), null);
+    if (f.overallConversion != null) bullets.push(`Funnel: ${pct(f.overallConversion)} of deals reach ${f.stages.at(-1).stage} (${f.won} won, ${f.lost} lost, ${f.open} open).`);
+    if (weakest) bullets.push(`Drop-off: ${pct(weakest.conversionToNext)} of deals move on from ${weakest.stage}.`);
+    if (f.aging.avgAgeDays != null) bullets.push(`Aging: open deals average ${Math.round(f.aging.avgAgeDays)} days since creation.`);
+    bullets.push(`Stuck: ${f.stuckDealCount} open deals more than ${f.stuckDays} days past their close date${f.stuckDealsSample.length ? ` (oldest: ${f.stuckDealsSample[0].dealName})` : ""}.`);
+  }
+  if (m.receivables) {
+    const r = m.receivables, mm = (v) => `${sym}${(v / 1e5).toFixed(1)}L`;
+    const overdue = r.aging["61-90"].amount + r.aging["90+"].amount;
+    bullets.push(`Receivables: ${mm(r.totalOutstanding)} outstanding across ${r.workOrdersWithBalance} work orders and ${r.clientsWithBalance} clients (${mm(overdue)} older than 60 days).`);
+    if (r.topDebtors.length) bullets.push(`Top Debtors: ${r.topDebtors.slice(0, 3).map((d) => `${d.client} ${mm(d.outstanding)}`).join(", ")}.`);
+    if (r.unbilledCompletedCount) bullets.push(`Unbilled: ${r.unbilledCompletedCount} completed work orders still have ${mm(r.unbilledCompletedAmount)} to bill.`);
+  }
   if (m.workOrders) {
     bullets.push(`Operations: ${m.workOrders.open} open, ${m.workOrders.closed} closed, ${m.workOrders.overdue} overdue of ${m.workOrders.total} total.`);
     bullets.push(`Completion: ${(m.workOrders.completionPct * 100).toFixed(1)}% — ${m.workOrders.completionPct < 0.5 ? "significant backlog" : "on track"}.`);
   }
+  if (m.query) {
+    const q = m.query, [label, value] = q.columns;
+    const cell = (v) => (typeof v === "number" ? Math.round(v).toLocaleString("en-IN") : v ?? "(blank)");
+    const top = q.rows.slice(0, 5).map((r) => (value ? `${cell(r[label])} ${cell(r[value])}` : cell(r[label])));
+    bullets.push(`Query: ${q.totalRows} result rows from ${q.from.replace("_", " ")}${top.length ? ` — ${top.join(", ")}` : ""}.`);
+  }
+  const filters = [...new Set((results.appliedFilters || []).filter((f) => !f.skipped).map((f) => f.description))];
+  if (filters.length) bullets.unshift(`Filters: ${filters.join("; ")}.`);
+  if (m.sectorComparison) {
+    const sides = Object.entries(m.sectorComparison).map(([sector, c]) => `${sector} ${c.deals.dealCount} deals (${sym}${(c.deals.totalPipeline / 1e6).toFixed(1)}M)`);
+    bullets.push(`Comparison: ${sides.join(" vs ")}.`);
+  }
+  const trendNotes = Object.values(m.trends || {})
+    .filter((t) => t.weekOverWeek?.pctChange != null)
+    .slice(0, 3)
+    .map((t) => `${t.label} ${t.weekOverWeek.delta >= 0 ? "+" : ""}${(t.weekOverWeek.pctChange * 100).toFixed(0)}% WoW`);
+  if (trendNotes.length) bullets.push(`Trend: ${trendNotes.join("; ")}.`);
   if (m.crossBoard) {
-    bullets.push(`Cross-Board: ${m.crossBoard.linkedWorkOrders} work orders linked to active deals.`);
+    bullets.push(`Cross-Board: ${m.crossBoard.linkedWorkOrders} work orders linked to deals.`);
   }
   bullets.push("Data Quality: Review missing fields before using these metrics for board-level decisions.");
 
   return {
-    summary: `Skylark Drones BI: ${m.deals?.dealCount || 0} deals (₹${((m.deals?.totalPipeline || 0) / 1e6).toFixed(1)}M pipeline), ${m.workOrders?.total || 0} work orders (${(((m.workOrders?.completionPct || 0)) * 100).toFixed(0)}% complete).`,
+    summary: `Skylark Drones BI: ${m.deals?.dealCount || 0} deals (${sym}${((m.deals?.totalPipeline || 0) / 1e6).toFixed(1)}M pipeline), ${m.workOrders?.total || 0} work orders (${(((m.workOrders?.completionPct || 0)) * 100).toFixed(0)}% complete).`,
     insight: "This is a fallback analysis generated without LLM. The metrics above are computed directly from your Monday.com board data. Please verify your OpenAI API key for richer narrative analysis with contextual insights.",
     leadership_bullets: bullets,
   };
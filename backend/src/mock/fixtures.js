@@ -0,0 +1,152 @@
+/**
+ * Board fixtures for the mock Monday.com server.
+ * Column values are built the way the Monday API returns them: display `text` plus the
+ * JSON-encoded `value` (status index, date object, linkedPulseIds, ...), including the
+ * gaps and inconsistencies found in the real Deals and Work Orders boards.
+ */
+
+const CHANGED_AT = "2025-01-15T09:30:00.000Z";
+
+function statusColumn(id, title, labels) {
+  return { id, title, type: "status", settings_str: JSON.stringify({ labels: Object.fromEntries(labels.map((l, i) => [String(i), l])) }) };
+}
+
+function column(id, title, type) {
+  return { id, title, type, settings_str: "{}" };
+}
+
+// ── Column Value Builders ───────────────────────────────────────────
+function cell(col, raw) {
+  if (raw == null || raw === "") return { id: col.id, text: "", value: null, type: col.type };
+  switch (col.type) {
+    case "status": {
+      const labels = JSON.parse(col.settings_str).labels;
+      const index = Object.keys(labels).find((k) => labels[k] === raw);
+      return { id: col.id, text: raw, value: JSON.stringify({ index: Number(index), post_id: null, changed_at: CHANGED_AT }), type: "status" };
+    }
+    case "date":
+      return { id: col.id, text: raw, value: JSON.stringify({ date: raw, icon: null, changed_at: CHANGED_AT }), type: "date" };
+    case "numbers":
+      return { id: col.id, text: String(raw), value: JSON.stringify(String(raw)), type: "numbers" };
+    case "board_relation": {
+      const ids = [].concat(raw).map(String);
+      return {
+        id: col.id,
+        text: null,
+        value: JSON.stringify({ linkedPulseIds: ids.map((id) => ({ linkedPulseId: Number(id) })) }),
+        type: "board_relation",
+        linked_item_ids: ids,
+      };
+    }
+    default:
+      return { id: col.id, text: String(raw), value: JSON.stringify(String(raw)), type: col.type };
+  }
+}
+
+// `updatedAt` maps item IDs to their last-update timestamp; items are created at midnight UTC
+// on `createdOn(values)` when given
+function buildBoard({ id, name, columns, rows, createdOn = () => null, updatedAt = {} }) {
+  return {
+    id,
+    name,
+    columns,
+    items: rows.map(([itemId, itemName, ...values]) => ({
+      id: itemId,
+      name: itemName,
+      created_at: createdOn(values) ? `${createdOn(values)}T00:00:00Z` : null,
+      updated_at: updatedAt[itemId] || null,
+      column_values: columns.map((col, i) => cell(col, values[i])),
+    })),
+  };
+}
+
+// ── Deals ───────────────────────────────────────────────────────────
+export const DEALS_BOARD_ID = "1001";
+export const WORK_ORDERS_BOARD_ID = "1002";
+
+const dealColumns = [
+  column("numbers", "Masked Deal Value", "numbers"),
+  statusColumn("deal_stage", "Deal Stage", ["B. Sales Qualified Leads", "D. Feasibility", "E. Proposal/Commercials Sent", "H. Work Order Received", "L. Project Lost"]),
+  statusColumn("status", "Deal Status", ["Open", "Won", "Dead", "On Hold"]),
+  statusColumn("sector", "Sector/service", ["Mining", "Powerline", "Renewables", "Railways", "Construction"]),
+  column("date_close", "Tentative Close Date", "date"),
+  statusColumn("probability", "Closure Probability", ["High", "Medium", "Low"]),
+  column("date_created", "Created Date", "date"),
+  column("client_code", "Client Code", "text"),
+  column("connect_wo", "Work Orders", "board_relation"),
+  column("owner", "Owner code", "text"),
+];
+
+// [id, name, value, stage, status, sector, close date, probability, created, client, linked WOs, owner]
+const dealRows = [
+  ["5001", "Hindalco Renukoot Stockpile", 1850000, "H. Work Order Received", "Won", "Mining", "2024-11-20", "High", "2024-08-02", "COMPANY_101", ["6001"], "OWNER_001"],
+  ["5002", "NTPC Solar Park Inspection", 2400000, "E. Proposal/Commercials Sent", "Open", "Renewables", "2025-05-15", "Medium", "2024-12-10", "COMPANY_102", null, "OWNER_002"],
+  ["5003", "Coal India Volumetrics", 3200000, "H. Work Order Received", "Won", "Mining", "2025-01-10", "High", "2024-09-18", "COMPANY_103", null, "OWNER_001"],
+  ["5004", "PGCIL Powerline Corridor", 950000, "D. Feasibility", "Open", "Powerline", "2025-06-30", "Low", "2025-01-05", "COMPANY_104", null, "OWNER_003"],
+  ["5005", "Adani Green Thermography", 1500000, "E. Proposal/Commercials Sent", "Open", "Renewables", "", "Medium", "2024-11-22", "COMPANY_105", null, "OWNER_002"],
+  ["5006", "RVNL Track Survey", 780000, "L. Project Lost", "Dead", "Railways", "2024-10-01", "Low", "2024-06-14", "COMPANY_106", null, "OWNER_003"],
+  ["5007", "L&T Site Progress Monitoring", 1200000, "H. Work Order Received", "Won", "Construction", "2024-12-18", "High", "2024-09-30", "COMPANY_107", ["6004"], "OWNER_004"],
+  ["5008", "Vedanta Tailings Dam Audit", "", "B. Sales Qualified Leads", "Open", "Mining", "2025-08-01", "", "2025-01-12", "COMPANY_108", null, "OWNER_001"],
+  ["5009", "Tata Power Line Patrol", 2100000, "E. Proposal/Commercials Sent", "Open", "Powerline", "2025-04-20", "High", "2024-12-01", "COMPANY_109", null, "OWNER_003"],
+  ["5010", "JSW Slag Yard Mapping", 640000, "D. Feasibility", "On Hold", "Mining", "2025-07-15", "Low", "2024-10-25", "COMPANY_110", null, "OWNER_001"],
+  ["5011", "ReNew Wind Blade Inspection", 1750000, "B. Sales Qualified Leads", "Open", "Renewables", "2025-09-30", "Medium", "2025-01-14", "COMPANY_111", null, "OWNER_002"],
+  ["5012", "Afcons Tunnel Survey", 900000, "H. Work Order Received", "Won", "Construction", "2025-01-08", "High", "2024-10-11", "COMPANY_112", null, "OWNER_004"],
+];
+
+// Last updates, i.e. roughly when each deal entered its current stage
+const dealUpdatedAt = {
+  "5001": "2024-11-20T09:00:00Z",
+  "5002": "2025-01-06T11:30:00Z",
+  "5003": "2025-01-10T08:15:00Z",
+  "5004": "2025-01-20T10:00:00Z",
+  "5005": "2024-12-02T14:45:00Z",
+  "5006": "2024-10-01T12:00:00Z",
+  "5007": "2024-12-18T09:30:00Z",
+  "5008": "2025-01-12T16:20:00Z",
+  "5009": "2025-01-09T13:10:00Z",
+  "5010": "2024-11-25T10:05:00Z",
+  "5011": "2025-01-14T15:00:00Z",
+  "5012": "2025-01-08T09:45:00Z",
+};
+
+export const dealsBoard = buildBoard({
+  id: DEALS_BOARD_ID,
+  name: "Deal Funnel",
+  columns: dealColumns,
+  rows: dealRows,
+  createdOn: (values) => values[7],
+  updatedAt: dealUpdatedAt,
+});
+
+// ── Work Orders ─────────────────────────────────────────────────────
+const woColumns = [
+  statusColumn("execution_status", "Execution Status", ["Not Started", "Ongoing", "Completed", "Paused"]),
+  statusColumn("wo_status", "WO Status (billed)", ["Open", "Partially Billed", "Fully Billed"]),
+  column("date_start", "Probable Start Date", "date"),
+  column("date_end", "Probable End Date", "date"),
+  column("amount", "Amount in Rupees (Excl of GST) (Masked)", "numbers"),
+  column("billed", "Billed Value in Rupees (Excl of GST.) (Masked)", "numbers"),
+  column("collected", "Collected Amount in Rupees (Incl of GST.) (Masked)", "numbers"),
+  statusColumn("sector", "Sector", ["Mining", "Powerline", "Renewables", "Railways", "Construction"]),
+  statusColumn("nature_of_work", "Nature of Work", ["One time Project", "Annual Rate Contract", "Proof of Concept"]),
+  column("customer", "Customer Name Code", "text"),
+  column("connect_deal", "Deal", "board_relation"),
+  column("personnel", "BD/KAM Personnel code", "text"),
+  column("date_invoice", "Last Invoice Date", "date"),
+];
+
+// [id, name, execution, billing, start, end, amount, billed, collected, sector, nature, customer, linked deal, personnel, invoiced]
+const woRows = [
+  ["6001", "Renukoot Stockpile Volumetrics", "Completed", "Fully Billed", "2024-12-01", "2025-01-15", 1850000, 1850000, 1500000, "Mining", "One time Project", "COMPANY_101", null, "OWNER_001", "2025-01-20"],
+  ["6002", "Coal India Volumetrics Phase 1", "Ongoing", "Partially Billed", "2025-01-20", "2025-03-31", 3200000, 1600000, 800000, "Mining", "Annual Rate Contract", "COMPANY_103", null, "OWNER_001", "2025-02-28"],
+  ["6003", "Afcons Tunnel Survey", "Ongoing", "Open", "2025-01-15", "2025-02-10", 900000, "", "", "Construction", "One time Project", "COMPANY_112", ["5012"], "OWNER_004", ""],
+  ["6004", "L&T Progress Monitoring Q1", "Completed", "Partially Billed", "2025-01-02", "2025-03-30", 1200000, 600000, 600000, "Construction", "Annual Rate Contract", "COMPANY_107", null, "OWNER_004", "2025-01-31"],
+  ["6005", "Mining Site Orthomosaic", "Not Started", "Open", "2025-04-01", "2025-05-15", 450000, "", "", "Mining", "Proof of Concept", "COMPANY_120", null, "OWNER_001", ""],
+  ["6006", "Substation Thermal Scan", "Paused", "Open", "2024-10-15", "2024-12-31", 300000, 0, 0, "Powerline", "Proof of Concept", "", null, "OWNER_003", ""],
+  ["6007", "Solar Array Drone Survey", "Ongoing", "Open", "", "2025-04-30", 520000, "", "", "Renewables", "One time Project", "COMPANY_121", null, "", ""],
+  ["6008", "Railway Bridge Inspection", "Completed", "Fully Billed", "2024-07-01", "2024-09-30", 410000, 410000, 410000, "Railways", "One time Project", "COMPANY_122", null, "OWNER_003", "2024-10-05"],
+];
+
+export const workOrdersBoard = buildBoard({ id: WORK_ORDERS_BOARD_ID, name: "Work Order Tracker", columns: woColumns, rows: woRows });
+
+export const FIXTURE_BOARDS = [dealsBoard, workOrdersBoard];
@@ -0,0 +1,74 @@
+/**
+ * Local stand-in for an OpenAI-compatible chat completions server (the API Ollama and
+ * llama.cpp expose). Replies are scripted with `respondWith`, per response_format
+ * schema name, and can be streamed as server-sent events like the real servers do.
+ */
+
+import { createServer } from "http";
+
+/**
+ * Create a mock server. Every request body is recorded in `requests`. A scripted reply is
+ * a string (sent as the message content verbatim) or an object (sent as its JSON); a
+ * request with no scripted reply for its schema gets a 500.
+ */
+export function createMockLlmServer({ chunkSize = 16 } = {}) {
+  const requests = [];
+  let replies = {};
+  let server = null;
+
+  function send(res, body, stream) {
+    if (!stream) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ choices: [{ index: 0, message: { role: "assistant", content: body }, finish_reason: "stop" }] }));
+    }
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    for (let i = 0; i < body.length; i += chunkSize) {
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: body.slice(i, i + chunkSize) } }] })}\n\n`);
+    }
+    res.end("data: [DONE]\n\n");
+  }
+
+  function handle(req, res) {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      const body = JSON.parse(raw || "{}");
+      requests.push({ path: req.url, headers: req.headers, body });
+      const name = body.response_format?.json_schema?.name;
+      if (req.method !== "POST" || !req.url.endsWith("/chat/completions") || !(name in replies)) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: `no scripted reply for "${name}"` } }));
+      }
+      const reply = replies[name];
+      send(res, typeof reply === "string" ? reply : JSON.stringify(reply), !!body.stream);
+    });
+  }
+
+  return {
+    requests,
+
+    /** Start listening (port 0 picks a free port); resolves with the base URL, ending in /v1. */
+    listen(port = 0) {
+      server = createServer(handle);
+      return new Promise((resolvePromise, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => resolvePromise(`http://127.0.0.1:${server.address().port}/v1`));
+      });
+    },
+
+    close() {
+      server?.closeAllConnections?.();
+      return new Promise((resolvePromise) => (server?.listening ? server.close(() => resolvePromise()) : resolvePromise()));
+    },
+
+    /** Script the reply for requests whose response_format schema is `schemaName`. */
+    respondWith(schemaName, reply) {
+      replies[schemaName] = reply;
+    },
+
+    reset() {
+      requests.length = 0;
+      replies = {};
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Local stand-in for the Monday.com GraphQL API.
+ * Answers the queries mondayClient sends (boards by ID with items_page, next_items_page,
+ * board list, me, items by ID, webhook subscriptions) from fixture boards, with opaque
+ * pagination cursors. Creating a webhook performs Monday's challenge handshake. Failures Monday
+ * produces in the wild — 401, 429, complexity budget errors, 500 — can be queued per request.
+ * Point the client at it with MONDAY_API_URL.
+ */
+
+import { createServer } from "http";
+import { FIXTURE_BOARDS } from "./fixtures.js";
+
+const DEFAULT_PAGE_SIZE = 500;
+
+const FAILURES = {
+  unauthorized: () => ({ status: 401, body: { error_message: "Not Authenticated", status_code: 401 } }),
+  rateLimit: () => ({ status: 429, body: { error_message: "Rate Limit Exceeded", status_code: 429 }, headers: { "Retry-After": "1" } }),
+  complexity: () => ({
+    status: 200,
+    body: {
+      errors: [{
+        message: "Complexity budget exhausted, query cost 30001 budget remaining 1000 out of 1000000 reset in 20 seconds",
+        extensions: { code: "ComplexityException" },
+      }],
+    },
+  }),
+  serverError: () => ({ status: 500, body: { error_message: "Internal server error" } }),
+};
+
+// ── Query Resolution ────────────────────────────────────────────────
+function encodeCursor(boardId, offset) {
+  return Buffer.from(JSON.stringify({ boardId, offset })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Column values carry `column { title }` as the client requests it
+function withColumnTitles(board, items) {
+  const titles = Object.fromEntries(board.columns.map((c) => [c.id, c.title]));
+  return items.map((item) => ({
+    ...item,
+    column_values: item.column_values.map((cv) => ({ ...cv, column: { title: titles[cv.id] } })),
+  }));
+}
+
+function itemsPage(board, offset, limit, pageSize) {
+  const size = Math.min(limit || pageSize, pageSize);
+  const items = board.items.slice(offset, offset + size);
+  const next = offset + size;
+  return { cursor: next < board.items.length ? encodeCursor(board.id, next) : null, items: withColumnTitles(board, items) };
+}
+
+// Monday POSTs { challenge } to a new webhook URL and expects the same JSON echoed back
+async function challengeHandshake(url) {
+  const challenge = Math.random().toString(36).slice(2);
+  try {
+    const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ challenge }) });
+    const body = await res.json().catch(() => ({}));
+    return res.ok && body.challenge === challenge;
+  } catch {
+    return false;
+  }
+}
+
+async function resolveQuery({ query = "", variables = {} }, boards, pageSize, webhooks) {
+  const byId = new Map(boards.map((b) => [String(b.id), b]));
+
+  if (/create_webhook/.test(query)) {
+    if (!byId.has(String(variables.boardId))) return { errors: [{ message: `Board ${variables.boardId} not found` }] };
+    if (!(await challengeHandshake(variables.url))) return { errors: [{ message: "Webhook URL did not answer the challenge" }] };
+    const webhook = { id: String(webhooks.nextId++), board_id: String(variables.boardId), event: variables.event, url: variables.url, config: "{}" };
+    webhooks.list.push(webhook);
+    return { data: { create_webhook: { id: webhook.id, board_id: webhook.board_id } } };
+  }
+  if (/delete_webhook/.test(query)) {
+    const index = webhooks.list.findIndex((w) => w.id === String(variables.id));
+    if (index < 0) return { errors: [{ message: `Webhook ${variables.id} not found` }] };
+    const [webhook] = webhooks.list.splice(index, 1);
+    return { data: { delete_webhook: { id: webhook.id, board_id: webhook.board_id } } };
+  }
+  if (/\bwebhooks\s*\(/.test(query)) {
+    const found = webhooks.list.filter((w) => w.board_id === String(variables.boardId));
+    return { data: { webhooks: found.map(({ id, event, board_id, config }) => ({ id, event, board_id, config })) } };
+  }
+  if (/\bitems\s*\(\s*ids/.test(query)) {
+    const ids = (variables.ids || []).map(String);
+    const items = boards.flatMap((board) => withColumnTitles(board, board.items.filter((i) => ids.includes(String(i.id))))
+      .map((item) => ({ ...item, board: { id: board.id } })));
+    return { data: { items } };
+  }
+
+  if (/next_items_page/.test(query)) {
+    const cursor = decodeCursor(variables.cursor);
+    const board = cursor && byId.get(String(cursor.boardId));
+    if (!board) return { errors: [{ message: "CursorException: cursor has expired or is invalid", extensions: { code: "CursorException" } }] };
+    return { data: { next_items_page: itemsPage(board, cursor.offset, variables.limit, pageSize) } };
+  }
+  if (/\bme\s*\{/.test(query)) {
+    return { data: { me: { id: "9001", name: "Mock User", email: "mock.user@example.com" } } };
+  }
+  if (/boards\s*\(\s*ids/.test(query)) {
+    const found = (variables.ids || []).map(String).filter((id) => byId.has(id)).map((id) => {
+      const board = byId.get(id);
+      const result = { id: board.id, name: board.name, columns: board.columns };
+      if (/items_page/.test(query)) result.items_page = itemsPage(board, 0, variables.limit, pageSize);
+      return result;
+    });
+    return { data: { boards: found } };
+  }
+  if (/boards\s*\(\s*limit/.test(query)) {
+    return { data: { boards: boards.map((b) => ({ id: b.id, name: b.name })) } };
+  }
+  return { errors: [{ message: "Mock Monday server does not support this query", extensions: { code: "ParseError" } }] };
+}
+
+// ── Server ──────────────────────────────────────────────────────────
+/**
+ * Create a mock server. `pageSize` caps items per page so pagination can be exercised
+ * with small fixtures; `validTokens`, when given, rejects any other Authorization value
+ * with a 401. Every request is recorded in `requests` ({ token, query, variables }).
+ */
+export function createMockMondayServer({ boards = FIXTURE_BOARDS, pageSize = DEFAULT_PAGE_SIZE, validTokens = null } = {}) {
+  const requests = [];
+  const queued = [];
+  const webhooks = { list: [], nextId: 1 };
+  let server = null;
+
+  function respond(res, { status, body, headers = {} }) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function handle(req, res) {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch {
+        return respond(res, { status: 400, body: { errors: [{ message: "Invalid JSON body" }] } });
+      }
+      const token = req.headers.authorization || null;
+      requests.push({ token, query: body.query, variables: body.variables || {} });
+
+      const failure = queued.shift();
+      if (failure) return respond(res, FAILURES[failure]());
+      if (!token || (validTokens && !validTokens.includes(token))) return respond(res, FAILURES.unauthorized());
+      resolveQuery(body, boards, pageSize, webhooks).then((result) => respond(res, { status: 200, body: result }));
+    });
+  }
+
+  return {
+    requests,
+    /** Webhook subscriptions created through create_webhook ({ id, board_id, event, url }). */
+    webhooks: webhooks.list,
+
+    /** Start listening (port 0 picks a free port); resolves with the API URL. */
+    listen(port = 0) {
+      return new Promise((resolvePromise, reject) => {
+        server = createServer(handle);
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => resolvePromise(`http://127.0.0.1:${server.address().port}/v2`));
+      });
+    },
+
+    close() {
+      return new Promise((resolvePromise) => (server ? server.close(() => resolvePromise()) : resolvePromise()));
+    },
+
+    /** Fail the next `times` requests with unauthorized | rateLimit | complexity | serverError. */
+    failNext(kind, { times = 1 } = {}) {
+      if (!FAILURES[kind]) throw new Error(`Unknown failure "${kind}"`);
+      for (let i = 0; i < times; i++) queued.push(kind);
+    },
+
+    /** Fail requests after the next `skip` succeed, e.g. an error on page 2 of a board. */
+    failAfter(skip, kind) {
+      if (!FAILURES[kind]) throw new Error(`Unknown failure "${kind}"`);
+      queued.push(...Array(skip).fill(null), kind);
+    },
+
+    reset() {
+      requests.length = 0;
+      queued.length = 0;
+      webhooks.list.length = 0;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Local stand-in for a Redis server: speaks RESP2 and keeps strings and hashes in memory,
+ * enough for the Redis conversation store (GET, SET, DEL, HSET, HGETALL, HDEL) plus AUTH,
+ * SELECT and PING. Every command is recorded in `commands`.
+ */
+
+import { createServer } from "net";
+import { parseReply } from "../redisClient.js";
+
+const simple = (s) => `+${s}\r\n`;
+const integer = (n) => `:${n}\r\n`;
+const bulk = (s) => (s == null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`);
+const array = (items) => `*${items.length}\r\n${items.map(bulk).join("")}`;
+const error = (message) => `-${message}\r\n`;
+
+/**
+ * Create a mock server. With `password`, commands other than AUTH are refused until the
+ * client authenticates, as a real server with `requirepass` does.
+ */
+export function createMockRedisServer({ password = null } = {}) {
+  const commands = [];
+  const data = new Map();
+  const sockets = new Set();
+  let server = null;
+
+  function run([name, ...args], state) {
+    const cmd = name.toUpperCase();
+    if (cmd === "AUTH") {
+      if (args.at(-1) !== password) return error("WRONGPASS invalid username-password pair");
+      state.authed = true;
+      return simple("OK");
+    }
+    if (password && !state.authed) return error("NOAUTH Authentication required.");
+    switch (cmd) {
+      case "PING": return simple("PONG");
+      case "SELECT": return simple("OK");
+      case "GET": return typeof data.get(args[0]) === "string" ? bulk(data.get(args[0])) : bulk(null);
+      case "SET": data.set(args[0], args[1]); return simple("OK");
+      case "DEL": return integer(args.filter((k) => data.delete(k)).length);
+      case "HSET": {
+        const hash = data.get(args[0]) instanceof Map ? data.get(args[0]) : new Map();
+        let added = 0;
+        for (let i = 1; i < args.length; i += 2) {
+          if (!hash.has(args[i])) added++;
+          hash.set(args[i], args[i + 1]);
+        }
+        data.set(args[0], hash);
+        return integer(added);
+      }
+      case "HGETALL": {
+        const hash = data.get(args[0]);
+        return array(hash instanceof Map ? [...hash].flat() : []);
+      }
+      case "HDEL": {
+        const hash = data.get(args[0]);
+        return integer(hash instanceof Map ? args.slice(1).filter((f) => hash.delete(f)).length : 0);
+      }
+      default: return error(`ERR unknown command '${name}'`);
+    }
+  }
+
+  function handle(socket) {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    const state = { authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        commands.push(parsed.value);
+        socket.write(run(parsed.value, state));
+      }
+    });
+  }
+
+  return {
+    commands,
+    data,
+
+    /** Start listening (port 0 picks a free port); resolves with a redis:// URL. */
+    listen(port = 0) {
+      server = createServer(handle);
+      return new Promise((resolvePromise, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => resolvePromise(`redis://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolvePromise) => (server?.listening ? server.close(() => resolvePromise()) : resolvePromise()));
+    },
+
+    /** Drop every connection, as a server restart would (data is kept). */
+    dropConnections() {
+      for (const socket of sockets) socket.destroy();
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Local stand-ins for digest sinks: an SMTP server that accepts and records mail, and
+ * an HTTP server that records webhook posts (JSON or Slack-style). Either can be told
+ * to fail the next delivery, so sink error handling can be exercised offline.
+ */
+
+import { createServer as createTcpServer } from "net";
+import { createServer as createHttpServer } from "http";
+
+function listenOn(server, port) {
+  return new Promise((resolvePromise, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolvePromise(server.address().port));
+  });
+}
+
+function closeServer(server, sockets = new Set()) {
+  for (const socket of sockets) socket.destroy();
+  server?.closeAllConnections?.(); // drop idle keep-alive connections left by fetch
+  return new Promise((resolvePromise) => (server?.listening ? server.close(() => resolvePromise()) : resolvePromise()));
+}
+
+// Split a raw message into headers and its decoded text body
+function parseMessage(raw) {
+  const [head, ...rest] = raw.split("\r\n\r\n");
+  const headers = {};
+  for (const line of head.split("\r\n")) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const body = rest.join("\r\n\r\n");
+  const text = /base64/i.test(headers["content-transfer-encoding"] || "") ? Buffer.from(body, "base64").toString("utf8") : body;
+  const subject = (headers.subject || "").replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, b64) => Buffer.from(b64, "base64").toString("utf8"));
+  return { headers, subject, text };
+}
+
+// ── SMTP ────────────────────────────────────────────────────────────
+/**
+ * Create a stand-in SMTP server (no TLS). Accepted mail is recorded in `messages`
+ * ({ from, to, auth, raw, headers, subject, text }). `auth` is the decoded AUTH PLAIN
+ * user, if the client authenticated.
+ */
+export function createMockSmtpServer() {
+  const messages = [];
+  const sockets = new Set();
+  let failures = 0;
+  let server = null;
+
+  function handle(socket) {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let envelope = { from: null, to: [], auth: null };
+    let buffer = "";
+    let inData = false;
+
+    const command = (line) => {
+      const verb = line.split(" ")[0].toUpperCase();
+      if (verb === "EHLO" || verb === "HELO") return reply("250-mock.smtp\r\n250-AUTH PLAIN\r\n250 8BITMIME");
+      if (verb === "AUTH") {
+        const [, user = ""] = Buffer.from(line.split(" ")[2] || "", "base64").toString("utf8").split("\0");
+        envelope.auth = user;
+        return reply("235 Authentication successful");
+      }
+      if (verb === "MAIL") {
+        if (failures > 0) {
+          failures--;
+          return reply("451 Temporary failure, try again later");
+        }
+        envelope = { ...envelope, from: line.match(/<(.*)>/)?.[1] ?? null, to: [] };
+        return reply("250 OK");
+      }
+      if (verb === "RCPT") {
+        envelope.to.push(line.match(/<(.*)>/)?.[1]);
+        return reply("250 OK");
+      }
+      if (verb === "DATA") {
+        inData = true;
+        return reply("354 End data with <CR><LF>.<CR><LF>");
+      }
+      if (verb === "RSET" || verb === "NOOP") return reply("250 OK");
+      if (verb === "QUIT") {
+        reply("221 Bye");
+        return socket.end();
+      }
+      return reply("502 Command not implemented");
+    };
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end < 0) return;
+          const raw = buffer.slice(0, end).replace(/^\.\./gm, ".");
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push({ from: envelope.from, to: envelope.to, auth: envelope.auth, raw, ...parseMessage(raw) });
+          reply("250 Message accepted");
+          continue;
+        }
+        const i = buffer.indexOf("\r\n");
+        if (i < 0) return;
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        command(line);
+      }
+    });
+    reply("220 mock.smtp ESMTP ready");
+  }
+
+  return {
+    messages,
+
+    /** Start listening (port 0 picks a free port); resolves with the port. */
+    listen(port = 0) {
+      server = createTcpServer(handle);
+      return listenOn(server, port);
+    },
+
+    close: () => closeServer(server, sockets),
+
+    /** Reject the next `times` messages with a 451 at MAIL FROM. */
+    failNext({ times = 1 } = {}) {
+      failures += times;
+    },
+
+    reset() {
+      messages.length = 0;
+      failures = 0;
+    },
+  };
+}
+
+// ── Webhooks ────────────────────────────────────────────────────────
+/**
+ * Create a stand-in webhook receiver. Every POST is recorded in `requests`
+ * ({ path, headers, raw, body }) and answered 200 unless a failure is queued.
+ */
+export function createMockWebhookServer() {
+  const requests = [];
+  const queued = [];
+  let server = null;
+
+  function handle(req, res) {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      let body = null;
+      try {
+        body = JSON.parse(raw);
+      } catch { /* recorded as raw only */ }
+      requests.push({ path: req.url, headers: req.headers, raw, body });
+      const status = queued.shift() || 200;
+      res.writeHead(status, { "Content-Type": "text/plain" });
+      res.end(status === 200 ? "ok" : "error");
+    });
+  }
+
+  return {
+    requests,
+
+    /** Start listening (port 0 picks a free port); resolves with the base URL. */
+    async listen(port = 0) {
+      server = createHttpServer(handle);
+      return `http://127.0.0.1:${await listenOn(server, port)}`;
+    },
+
+    close: () => closeServer(server),
+
+    /** Answer the next `times` posts with `status` (default 500). */
+    failNext({ status = 500, times = 1 } = {}) {
+      for (let i = 0; i < times; i++) queued.push(status);
+    },
+
+    reset() {
+      requests.length = 0;
+      queued.length = 0;
+    },
+  };
+}
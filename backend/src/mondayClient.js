@@ -3,23 +3,40 @@
  * Handles auth, rate-limits, retries, and network failures.
  */
 
-const MONDAY_API_URL = "https://api.monday.com/v2";
+import { injected } from "./appContext.js";
+
+const DEFAULT_API_URL = "https://api.monday.com/v2";
 const MAX_RETRIES = 3;
-const RETRY_BASE_MS = 1000;
+const DEFAULT_RETRY_BASE_MS = 1000;
+
+// MONDAY_API_URL points the client at a stand-in server (see src/mock/mondayMockServer.js)
+function getApiUrl() {
+  return process.env.MONDAY_API_URL || DEFAULT_API_URL;
+}
 
-function getToken() {
-  const token = process.env.MONDAY_API_TOKEN;
+function getRetryBaseMs() {
+  const n = Number(process.env.MONDAY_RETRY_BASE_MS);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_RETRY_BASE_MS;
+}
+
+function getToken(override) {
+  const token = override || process.env.MONDAY_API_TOKEN;
   if (!token) throw new Error("MONDAY_API_TOKEN is not configured. Set it in your .env file.");
   return token;
 }
 
-export async function mondayRequest(query, variables = {}) {
-  const token = getToken();
+/**
+ * Run a GraphQL request. `token` overrides MONDAY_API_TOKEN so requests made on
+ * behalf of a user only see the boards that user can see.
+ */
+export async function mondayRequest(query, variables = {}, { token: userToken } = {}) {
+  const token = getToken(userToken);
+  const retryBaseMs = getRetryBaseMs();
   let lastError;
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
-      const res = await fetch(MONDAY_API_URL, {
+      const res = await fetch(getApiUrl(), {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -33,7 +50,8 @@ export async function mondayRequest(query, variables = {}) {
         return { error: "Invalid Monday.com API token. Please verify your credentials.", data: null };
       }
       if (res.status === 429) {
-        const wait = RETRY_BASE_MS * Math.pow(2, attempt);
+        lastError = new Error("rate limited by Monday.com (HTTP 429)");
+        const wait = retryBaseMs * Math.pow(2, attempt);
         await new Promise((r) => setTimeout(r, wait));
         continue;
       }
@@ -52,38 +70,161 @@ export async function mondayRequest(query, variables = {}) {
     } catch (err) {
       lastError = err;
       if (attempt < MAX_RETRIES - 1) {
-        await new Promise((r) => setTimeout(r, RETRY_BASE_MS * Math.pow(2, attempt)));
+        await new Promise((r) => setTimeout(r, retryBaseMs * Math.pow(2, attempt)));
       }
     }
   }
   return { error: `Network failure after ${MAX_RETRIES} retries: ${lastError?.message}`, data: null };
 }
 
-export async function fetchBoard(boardId) {
-  const query = `query ($ids: [ID!]) {
+const PAGE_SIZE = 500;
+const DEFAULT_MAX_ITEMS = 10000;
+
+const COLUMN_VALUE_FIELDS = `column_values {
+            id text value type column { title }
+            ... on BoardRelationValue { linked_item_ids }
+          }`;
+
+const ITEM_FIELDS = `items {
+          id name created_at updated_at
+          ${COLUMN_VALUE_FIELDS}
+        }`;
+
+function getMaxItems(override) {
+  const n = Number(override ?? process.env.MONDAY_MAX_ITEMS);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_MAX_ITEMS;
+}
+
+/**
+ * Fetch a board with all of its items, following items_page / next_items_page
+ * cursors until the board is exhausted or the item ceiling is reached.
+ * The returned board carries a `pagination` summary for data-quality reporting.
+ */
+export async function fetchBoard(boardId, { maxItems, token } = {}) {
+  const ceiling = getMaxItems(maxItems);
+  const firstQuery = `query ($ids: [ID!], $limit: Int!) {
     boards(ids: $ids) {
       id name
       columns { id title type settings_str }
-      items_page(limit: 500) {
-        items {
-          id name
-          column_values { id text value type column { title } }
-        }
+      items_page(limit: $limit) {
+        cursor
+        ${ITEM_FIELDS}
       }
     }
   }`;
-  const { error, data } = await mondayRequest(query, { ids: [String(boardId)] });
+  const { error, data } = await mondayRequest(firstQuery, { ids: [String(boardId)], limit: Math.min(PAGE_SIZE, ceiling) }, { token });
   if (error) return { error, board: null };
   const board = data?.boards?.[0];
   if (!board) return { error: `Board ${boardId} not found or empty.`, board: null };
+
+  const items = [...(board.items_page?.items || [])];
+  let cursor = board.items_page?.cursor || null;
+  let pages = 1;
+
+  const nextQuery = `query ($cursor: String!, $limit: Int!) {
+    next_items_page(cursor: $cursor, limit: $limit) {
+      cursor
+      ${ITEM_FIELDS}
+    }
+  }`;
+  while (cursor && items.length < ceiling) {
+    const limit = Math.min(PAGE_SIZE, ceiling - items.length);
+    const next = await mondayRequest(nextQuery, { cursor, limit }, { token });
+    if (next.error) return { error: `${next.error} (while fetching page ${pages + 1} of board ${boardId})`, board: null };
+    const page = next.data?.next_items_page;
+    items.push(...(page?.items || []));
+    cursor = page?.cursor || null;
+    pages++;
+  }
+
+  board.items_page = { cursor, items: items.slice(0, ceiling) };
+  board.pagination = {
+    pages,
+    itemsFetched: board.items_page.items.length,
+    maxItems: ceiling,
+    truncated: !!cursor,
+  };
   return { error: null, board };
 }
 
-export async function fetchBoardByName(name) {
+export async function fetchBoardSchema(boardId, { token } = {}) {
+  const query = `query ($ids: [ID!]) {
+    boards(ids: $ids) {
+      id name
+      columns { id title type settings_str }
+    }
+  }`;
+  const { error, data } = await mondayRequest(query, { ids: [String(boardId)] }, { token });
+  if (error) return { error, board: null };
+  const board = data?.boards?.[0];
+  if (!board) return { error: `Board ${boardId} not found.`, board: null };
+  return { error: null, board };
+}
+
+export async function fetchBoardByName(name, { token } = {}) {
   const query = `query { boards(limit: 50) { id name } }`;
-  const { error, data } = await mondayRequest(query);
+  const { error, data } = await mondayRequest(query, {}, { token });
   if (error) return { error, board: null };
   const match = data?.boards?.find((b) => b.name.toLowerCase().includes(name.toLowerCase()));
   if (!match) return { error: `No board matching "${name}" found.`, board: null };
-  return fetchBoard(match.id);
+  return fetchBoard(match.id, { token });
+}
+
+/**
+ * Identify the owner of a token; used to check a user's Monday token before accepting it.
+ */
+export async function fetchCurrentUser({ token } = {}) {
+  const { error, data } = await mondayRequest(`query { me { id name email } }`, {}, { token });
+  if (error) return { error, user: null };
+  if (!data?.me) return { error: "Monday.com did not return the token owner.", user: null };
+  return { error: null, user: data.me };
+}
+
+/**
+ * Fetch one item with the same fields fetchBoard returns. `item` is null when the item
+ * no longer exists (or the token cannot see it).
+ */
+export async function fetchItem(itemId, { token } = {}) {
+  const query = `query ($ids: [ID!]) {
+    items(ids: $ids) {
+      id name created_at updated_at
+      board { id }
+      ${COLUMN_VALUE_FIELDS}
+    }
+  }`;
+  const { error, data } = await mondayRequest(query, { ids: [String(itemId)] }, { token });
+  if (error) return { error, item: null };
+  return { error: null, item: data?.items?.[0] || null };
+}
+
+// ── Webhooks ────────────────────────────────────────────────────────
+export async function createWebhook(boardId, url, event, { token } = {}) {
+  const query = `mutation ($boardId: ID!, $url: String!, $event: WebhookEventType!) {
+    create_webhook(board_id: $boardId, url: $url, event: $event) { id board_id }
+  }`;
+  const { error, data } = await mondayRequest(query, { boardId: String(boardId), url, event }, { token });
+  if (error) return { error, webhook: null };
+  return { error: null, webhook: data.create_webhook };
+}
+
+export async function deleteWebhook(webhookId, { token } = {}) {
+  const query = `mutation ($id: ID!) { delete_webhook(id: $id) { id board_id } }`;
+  const { error, data } = await mondayRequest(query, { id: String(webhookId) }, { token });
+  if (error) return { error, webhook: null };
+  return { error: null, webhook: data.delete_webhook };
+}
+
+export async function listWebhooks(boardId, { token } = {}) {
+  const query = `query ($boardId: ID!) { webhooks(board_id: $boardId) { id event board_id config } }`;
+  const { error, data } = await mondayRequest(query, { boardId: String(boardId) }, { token });
+  if (error) return { error, webhooks: [] };
+  return { error: null, webhooks: data?.webhooks || [] };
+}
+
+// ── Client ──────────────────────────────────────────────────────────
+/** The Monday.com operations the app server uses; createApp can inject a fake with the same methods. */
+export const defaultMondayClient = { fetchBoard, fetchItem, fetchCurrentUser, createWebhook, deleteWebhook };
+
+export function getMondayClient() {
+  return injected("mondayClient") || defaultMondayClient;
 }
@@ -0,0 +1,125 @@
+/**
+ * Monday.com webhook receiver logic.
+ * Item events for the configured boards keep the board cache current: created and
+ * updated items are re-read and patched into the cached board, deleted or archived
+ * items are removed, and anything unexpected invalidates the board.
+ */
+
+import { timingSafeEqual, createHash } from "crypto";
+import { getMondayClient } from "./mondayClient.js";
+import { patchCachedBoard, invalidateBoardCache } from "./boardCache.js";
+
+// Webhook subscriptions the register command creates for each board
+export const WEBHOOK_EVENTS = ["create_item", "change_column_value", "change_name", "item_deleted", "item_archived", "item_restored"];
+
+// Event `type` values in Monday's payloads, by how the cache handles them
+const UPSERT_EVENTS = new Set(["create_pulse", "update_column_value", "update_name", "restore_pulse", "move_pulse_into_board"]);
+const REMOVE_EVENTS = new Set(["delete_pulse", "archive_pulse", "move_pulse_from_board"]);
+
+export function configuredBoardIds() {
+  return [process.env.DEALS_BOARD_ID, process.env.WORK_ORDERS_BOARD_ID].filter(Boolean).map(String);
+}
+
+/**
+ * Check the shared secret carried in the webhook URL (?secret=...). Monday does not sign
+ * webhooks created through the API, so the secret is what keeps strangers from
+ * invalidating the cache. Returns an error message, or null when the request is allowed.
+ */
+export function verifyWebhookSecret(provided, expected = process.env.MONDAY_WEBHOOK_SECRET) {
+  if (!expected) return "MONDAY_WEBHOOK_SECRET is not configured.";
+  const digest = (v) => createHash("sha256").update(String(v ?? "")).digest();
+  return timingSafeEqual(digest(provided), digest(expected)) ? null : "Invalid webhook secret.";
+}
+
+// ── Cache Updates ───────────────────────────────────────────────────
+function withItems(board, items) {
+  return {
+    ...board,
+    items_page: { ...board.items_page, items },
+    pagination: board.pagination ? { ...board.pagination, itemsFetched: items.length } : board.pagination,
+  };
+}
+
+function upsertItem(board, item) {
+  const items = board.items_page?.items || [];
+  const index = items.findIndex((i) => String(i.id) === String(item.id));
+  const fresh = { id: item.id, name: item.name, created_at: item.created_at, updated_at: item.updated_at, column_values: item.column_values };
+  return withItems(board, index >= 0 ? items.map((i, n) => (n === index ? fresh : i)) : [...items, fresh]);
+}
+
+function removeItem(board, itemId) {
+  return withItems(board, (board.items_page?.items || []).filter((i) => String(i.id) !== String(itemId)));
+}
+
+/**
+ * Apply one webhook event ({ type, boardId, pulseId, ... }) to the cache.
+ * Returns { action: "patched" | "removed" | "invalidated" | "ignored", boardId, itemId, reason? }.
+ */
+export async function handleMondayEvent(event = {}) {
+  const boardId = event.boardId != null ? String(event.boardId) : null;
+  const itemId = event.pulseId ?? event.itemId ?? null;
+  const result = { boardId, itemId: itemId != null ? String(itemId) : null };
+
+  if (!boardId || !configuredBoardIds().includes(boardId)) return { ...result, action: "ignored", reason: "not a configured board" };
+
+  const invalidate = async (reason) => {
+    await invalidateBoardCache(boardId);
+    return { ...result, action: "invalidated", reason };
+  };
+
+  if (itemId == null) return invalidate(`event "${event.type}" has no item ID`);
+
+  if (REMOVE_EVENTS.has(event.type)) {
+    await patchCachedBoard(boardId, (board) => removeItem(board, itemId));
+    return { ...result, action: "removed" };
+  }
+  if (!UPSERT_EVENTS.has(event.type)) return invalidate(`unhandled event type "${event.type}"`);
+
+  const { error, item } = await getMondayClient().fetchItem(itemId);
+  if (error) return invalidate(`could not re-read item: ${error}`);
+  // Gone, or moved to another board since the event was sent
+  if (!item || (item.board && String(item.board.id) !== boardId)) {
+    await patchCachedBoard(boardId, (board) => removeItem(board, itemId));
+    return { ...result, action: "removed" };
+  }
+  await patchCachedBoard(boardId, (board) => upsertItem(board, item));
+  return { ...result, action: "patched" };
+}
+
+// ── Subscriptions ───────────────────────────────────────────────────
+export function webhookUrl(baseUrl, secret = process.env.MONDAY_WEBHOOK_SECRET) {
+  const url = new URL("/api/webhooks/monday", baseUrl);
+  url.searchParams.set("secret", secret);
+  return url.toString();
+}
+
+/**
+ * Subscribe every configured board to WEBHOOK_EVENTS at `baseUrl`. Monday sends the
+ * challenge to the URL while creating each subscription, so the server must be reachable.
+ * Returns { created: [{ id, boardId, event }], errors: [] }.
+ */
+export async function registerWebhooks(baseUrl, { boardIds = configuredBoardIds() } = {}) {
+  if (!process.env.MONDAY_WEBHOOK_SECRET) return { created: [], errors: ["MONDAY_WEBHOOK_SECRET is not configured."] };
+  const url = webhookUrl(baseUrl);
+  const created = [];
+  const errors = [];
+  for (const boardId of boardIds) {
+    for (const event of WEBHOOK_EVENTS) {
+      const { error, webhook } = await getMondayClient().createWebhook(boardId, url, event);
+      if (error) errors.push(`Board ${boardId} ${event}: ${error}`);
+      else created.push({ id: String(webhook.id), boardId: String(boardId), event });
+    }
+  }
+  return { created, errors };
+}
+
+export async function unregisterWebhooks(ids) {
+  const deleted = [];
+  const errors = [];
+  for (const id of ids) {
+    const { error } = await getMondayClient().deleteWebhook(id);
+    if (error) errors.push(`Webhook ${id}: ${error}`);
+    else deleted.push(String(id));
+  }
+  return { deleted, errors };
+}
@@ -5,8 +5,17 @@
 
 // ── Date Normalization ──────────────────────────────────────────────
 const ISO_RE = /^\d{4}-\d{2}-\d{2}/;
-const MDY_RE = /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/;
-const DMY_RE = /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/;
+// Numeric day/month order is ambiguous: "05/03/2024" is May 3rd (MDY) or 5 March (DMY)
+const NUMERIC_DATE_RE = /^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/;
+const DAY_MONTH_NAME_RE = /^(\d{1,2})(?:st|nd|rd|th)?[\s\-\/]+([A-Za-z]{3,9})\.?,?[\s\-\/]+(\d{4}|\d{2})$/; // 15 Mar 2024, 15-Mar-24
+const MONTH_NAME_DAY_RE = /^([A-Za-z]{3,9})\.?[\s\-\/]+(\d{1,2})(?:st|nd|rd|th)?,?[\s\-\/]+(\d{4})$/; // Mar 15, 2024
+const MONTH_NAME_YEAR_RE = /^([A-Za-z]{3,9})\.?[\s\-\/']+(\d{4}|\d{2})$/; // Mar-24, March 2024 → 1st of month
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+// Locale → numeric date order; "DMY"/"MDY" may also be given directly
+const LOCALE_DATE_ORDER = { "en-us": "MDY", "en-in": "DMY", "en-gb": "DMY", "en-au": "DMY", "en-ca": "MDY" };
+const DEFAULT_DATE_ORDER = "MDY";
 
 function isExcelSerial(v) {
   const n = Number(v);
@@ -16,7 +25,9 @@ function isExcelSerial(v) {
 function pad2(n) { return String(n).padStart(2, "0"); }
 
 function formatYMD(y, m, d) {
-  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  if (m < 1 || m > 12 || d < 1) return null;
+  const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  if (d > daysInMonth) return null;
   return `${y}-${pad2(m)}-${pad2(d)}`;
 }
 
@@ -25,7 +36,50 @@ function excelSerialToDate(serial) {
   return d.toISOString().slice(0, 10);
 }
 
-export function normalizeDate(raw) {
+function monthFromName(name) {
+  return MONTHS[name.slice(0, 3).toLowerCase()] || null;
+}
+
+function fullYear(y) {
+  const n = Number(y);
+  if (y.length === 4) return n;
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+function parseNamedMonth(s) {
+  let m = s.match(DAY_MONTH_NAME_RE);
+  if (m) {
+    const month = monthFromName(m[2]);
+    return month ? formatYMD(fullYear(m[3]), month, +m[1]) : null;
+  }
+  m = s.match(MONTH_NAME_DAY_RE);
+  if (m) {
+    const month = monthFromName(m[1]);
+    return month ? formatYMD(+m[3], month, +m[2]) : null;
+  }
+  m = s.match(MONTH_NAME_YEAR_RE);
+  if (m) {
+    const month = monthFromName(m[1]);
+    return month ? formatYMD(fullYear(m[2]), month, 1) : null;
+  }
+  return null;
+}
+
+/**
+ * Resolve a locale ("en-IN") or explicit order ("DMY") to a numeric date order.
+ */
+export function dateOrderForLocale(locale) {
+  if (!locale) return DEFAULT_DATE_ORDER;
+  const key = String(locale).toLowerCase();
+  if (key === "dmy" || key === "mdy") return key.toUpperCase();
+  return LOCALE_DATE_ORDER[key] || DEFAULT_DATE_ORDER;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD. `order` decides how numeric dates like
+ * "05/03/2024" are read ("MDY" by default, or "DMY").
+ */
+export function normalizeDate(raw, { order = DEFAULT_DATE_ORDER } = {}) {
   if (!raw || String(raw).trim() === "") return null;
   const s = String(raw).trim();
 
@@ -37,12 +91,40 @@ export function normalizeDate(raw) {
     return excelSerialToDate(Number(s));
   }
 
-  const mdyMatch = s.match(MDY_RE);
-  if (mdyMatch) {
-    const [, m, d, y] = mdyMatch;
-    return formatYMD(+y, +m, +d);
+  const numeric = s.match(NUMERIC_DATE_RE);
+  if (numeric) {
+    const [, a, b, y] = numeric;
+    return order === "DMY" ? formatYMD(+y, +b, +a) : formatYMD(+y, +a, +b);
   }
-  return null;
+  return parseNamedMonth(s);
+}
+
+/**
+ * Infer the numeric date order for a whole column: pick the order that parses
+ * every value. When both do (all values ambiguous, e.g. "05/03/2024") the
+ * fallback order decides; when neither does, the one that parses more wins.
+ * Returns { order, source: "inferred" | "fallback", ambiguous, conflicting }.
+ */
+export function inferDateOrder(values, fallbackOrder = DEFAULT_DATE_ORDER) {
+  let numeric = 0, mdyOk = 0, dmyOk = 0, ambiguous = 0;
+  for (const v of values) {
+    const m = String(v ?? "").trim().match(NUMERIC_DATE_RE);
+    if (!m) continue;
+    numeric++;
+    const [, a, b, y] = m;
+    const asMdy = formatYMD(+y, +a, +b) !== null;
+    const asDmy = formatYMD(+y, +b, +a) !== null;
+    if (asMdy) mdyOk++;
+    if (asDmy) dmyOk++;
+    if (asMdy && asDmy && a !== b) ambiguous++;
+  }
+
+  const mdyAll = mdyOk === numeric, dmyAll = dmyOk === numeric;
+  if (mdyAll && dmyAll) return { order: fallbackOrder, source: "fallback", ambiguous, conflicting: 0 };
+  if (mdyAll) return { order: "MDY", source: "inferred", ambiguous, conflicting: 0 };
+  if (dmyAll) return { order: "DMY", source: "inferred", ambiguous, conflicting: 0 };
+  const order = dmyOk > mdyOk ? "DMY" : "MDY";
+  return { order, source: "inferred", ambiguous, conflicting: numeric - Math.max(mdyOk, dmyOk) };
 }
 
 // ── Currency Normalization ──────────────────────────────────────────
@@ -85,6 +167,21 @@ export function canonicalizeSector(raw) {
   return SECTOR_MAP[key] || String(raw).trim();
 }
 
+/**
+ * Sectors named in free text (aliases included), canonicalized, in the order they appear.
+ */
+export function findSectorMentions(text) {
+  const lower = String(text || "").toLowerCase();
+  const found = [];
+  for (const [name, sector] of Object.entries(SECTOR_MAP)) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const match = lower.match(new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`));
+    if (match) found.push({ sector, index: match.index });
+  }
+  found.sort((a, b) => a.index - b.index);
+  return [...new Set(found.map((f) => f.sector))];
+}
+
 export function normalizeText(raw) {
   if (!raw || String(raw).trim() === "") return null;
   return String(raw).trim().replace(/\s+/g, " ");
@@ -111,8 +208,29 @@ function extractFromValue(valueStr, colType) {
   return null;
 }
 
+function extractLinkedIds(cv) {
+  if (Array.isArray(cv.linked_item_ids)) return cv.linked_item_ids.map(String);
+  try {
+    const parsed = JSON.parse(cv.value || "null");
+    return (parsed?.linkedPulseIds || []).map((p) => String(p.linkedPulseId));
+  } catch {
+    return [];
+  }
+}
+
 // ── Board Row Normalization ─────────────────────────────────────────
-export function normalizeBoard(board) {
+// Date-typed columns always hold dates. By title, amounts counted "till date" (e.g.
+// "Quantity billed (till date)") are not, but "Last Invoice Date" is.
+function isDateColumn(title, colType) {
+  if (colType === "date") return true;
+  return /\bdate\b/i.test(title) && !/quantity|billed|balance/i.test(title);
+}
+
+/**
+ * Normalize a board into flat rows keyed by column title. `locale` (e.g. "en-IN",
+ * or "DMY"/"MDY") sets the date order used for columns whose values are all ambiguous.
+ */
+export function normalizeBoard(board, { locale } = {}) {
   const columnMap = {};
   for (const col of board.columns) {
     columnMap[col.id] = col;
@@ -123,9 +241,12 @@ export function normalizeBoard(board) {
   const warnings = [];
   const rows = [];
 
+  // Pass 1: extract raw text per cell so date columns can be inspected as a whole
   const items = board.items_page?.items || [];
+  const rawItems = [];
+  const dateColumnValues = {};
   for (const item of items) {
-    const row = { _id: item.id, _name: item.name };
+    const cells = [];
     for (const cv of item.column_values) {
       const title = cv.column?.title || cv.id;
       const colType = cv.type || columnMap[cv.id]?.type;
@@ -135,16 +256,45 @@ export function normalizeBoard(board) {
       if ((!rawText || rawText.trim() === "") && cv.value) {
         rawText = extractFromValue(cv.value, colType) || "";
       }
+      // "Connect boards" columns carry the linked item IDs used for cross-board linking
+      const linkedIds = colType === "board_relation" ? extractLinkedIds(cv) : null;
+      cells.push({ title, colType, rawText, linkedIds });
+      if (isDateColumn(title, colType) && rawText.trim()) {
+        (dateColumnValues[title] ||= []).push(rawText);
+      }
+    }
+    rawItems.push({ item, cells });
+  }
+
+  const fallbackOrder = dateOrderForLocale(locale);
+  const dateFormats = {};
+  for (const [title, values] of Object.entries(dateColumnValues)) {
+    dateFormats[title] = inferDateOrder(values, fallbackOrder);
+    const { order, source, ambiguous, conflicting } = dateFormats[title];
+    if (source === "fallback" && ambiguous > 0) {
+      warnings.push(`Ambiguous date format in column "${title}": ${ambiguous} values could be DD-MM or MM-DD — read as ${order === "DMY" ? "DD-MM-YYYY" : "MM-DD-YYYY"}. Set a board locale to confirm.`);
+    }
+    if (conflicting > 0) {
+      warnings.push(`Inconsistent date format in column "${title}": ${conflicting} values do not fit ${order === "DMY" ? "DD-MM-YYYY" : "MM-DD-YYYY"}.`);
+    }
+  }
 
+  // Pass 2: normalize each cell
+  for (const { item, cells } of rawItems) {
+    const row = { _id: item.id, _name: item.name };
+    // Item timestamps (ISO) date each row for funnel aging and time in stage
+    if (item.created_at) row._createdAt = item.created_at;
+    if (item.updated_at) row._updatedAt = item.updated_at;
+    for (const { title, colType, rawText, linkedIds } of cells) {
+      if (linkedIds?.length) (row._relations ||= {})[title] = linkedIds;
       if (!rawText || rawText.trim() === "") {
         missingCounts[title] = (missingCounts[title] || 0) + 1;
         row[title] = null;
         continue;
       }
 
-      const isDateCol = colType === "date" || /\bdate\b/i.test(title);
-      if (isDateCol && !/quantity|billed|invoice|balance/i.test(title)) {
-        row[title] = normalizeDate(rawText);
+      if (isDateColumn(title, colType)) {
+        row[title] = normalizeDate(rawText, { order: dateFormats[title]?.order });
         if (!row[title]) warnings.push(`Unparseable date "${rawText}" in column "${title}"`);
       } else if (colType === "numeric" || colType === "numbers" || title.toLowerCase().includes("value") || title.toLowerCase().includes("amount") || title.toLowerCase().includes("price") || title.toLowerCase().includes("revenue") || title.toLowerCase().includes("billed") || title.toLowerCase().includes("collected") || title.toLowerCase().includes("receivable") || title.toLowerCase().includes("quantity")) {
         const { value, currency } = normalizeCurrency(rawText);
@@ -162,6 +312,11 @@ export function normalizeBoard(board) {
     warnings.push(`Mixed currencies detected: ${[...currencyTypes].join(", ")}`);
   }
 
+  const pagination = board.pagination || null;
+  if (pagination?.truncated) {
+    warnings.push(`Item ceiling reached: only the first ${pagination.itemsFetched} items were fetched (${pagination.pages} pages). Raise MONDAY_MAX_ITEMS to read the full board.`);
+  }
+
   return {
     boardName: board.name,
     rows,
@@ -169,6 +324,8 @@ export function normalizeBoard(board) {
       totalRows: rows.length,
       missingCounts,
       currencyTypes: [...currencyTypes],
+      dateFormats,
+      pagination,
       warnings,
     },
   };
@@ -0,0 +1,75 @@
+/**
+ * Follow-up queries that refine the previous plan.
+ * interpretQuery marks a plan as a refinement ("now just the mining sector", "compare
+ * with construction", "same for work orders") and mergePlan folds it into the session's
+ * last plan, so the prior intent survives and already-fetched rows can be re-filtered.
+ */
+
+import { canonicalizeSector, findSectorMentions } from "./normalizer.js";
+import { EMPTY_FILTERS } from "./filters.js";
+
+export const NO_REFINEMENT = { mode: "new", filter_mode: "merge", compare_sector: null };
+
+function setFilters(filters = {}) {
+  return Object.fromEntries(Object.entries(filters).filter(([, v]) => v != null && v !== ""));
+}
+
+/**
+ * Merge a plan into the previous one when it is a refinement. Refinements keep the previous
+ * intent and data sources unless they name new ones; filters are added to (or, with
+ * filter_mode "replace", substituted for) the previous filters. `compare_sector` becomes
+ * `compare_sectors`: the current sector filter (if any) and the sector to compare against.
+ */
+export function mergePlan(previous, plan) {
+  const refinement = { ...NO_REFINEMENT, ...plan.refinement };
+  const refining = refinement.mode === "refine" && previous;
+
+  let merged = { ...plan, data_sources: plan.data_sources || [], filters: { ...EMPTY_FILTERS, ...setFilters(plan.filters) } };
+  if (refining) {
+    const base = refinement.filter_mode === "replace" ? EMPTY_FILTERS : { ...EMPTY_FILTERS, ...previous.filters };
+    merged = {
+      ...plan,
+      intent: plan.intent && plan.intent !== "other" ? plan.intent : previous.intent,
+      data_sources: plan.data_sources?.length ? plan.data_sources : previous.data_sources,
+      filters: { ...base, ...setFilters(plan.filters) },
+    };
+  }
+
+  const compareWith = refinement.compare_sector ? canonicalizeSector(refinement.compare_sector) : null;
+  const current = merged.filters.sector ? canonicalizeSector(merged.filters.sector) : null;
+  merged.compare_sectors = compareWith ? [...new Set([current, compareWith].filter(Boolean))] : [];
+  // Sector comparisons are computed over deals, so make sure they are loaded
+  if (merged.compare_sectors.length && !merged.data_sources.some((s) => s === "deals" || s === "all")) {
+    merged.data_sources = [...merged.data_sources, "deals"];
+  }
+  merged.refinement = refining ? refinement : { ...refinement, mode: "new" };
+  return merged;
+}
+
+// ── Keyword Fallback ────────────────────────────────────────────────
+const REFINE_CUES = /^(now|and|what about|how about|same|then|ok(ay)?|instead)\b|\b(just|only|instead|drill|narrow|filter|compare|versus|vs\.?)\b/;
+const COMPARE_CUE = /\b(compare[sd]?\s+(?:it\s+|that\s+|this\s+)?(?:with|to|against)|versus|vs\.?|against)\s+(?:the\s+)?/;
+
+/**
+ * Keyword stand-in for the LLM's refinement detection (stub mode and LLM failures).
+ * Returns { refinement, sector } for `text` given the previous plan.
+ */
+export function detectRefinement(text, previous) {
+  const lower = text.toLowerCase();
+  const compareMatch = lower.match(COMPARE_CUE);
+  const before = compareMatch ? lower.slice(0, compareMatch.index) : lower;
+  const after = compareMatch ? lower.slice(compareMatch.index + compareMatch[0].length) : "";
+
+  const sector = findSectorMentions(before)[0] || null;
+  const compareSector = findSectorMentions(after)[0] || null;
+  const refining = !!previous && REFINE_CUES.test(lower.trim());
+
+  return {
+    sector,
+    refinement: {
+      mode: refining ? "refine" : "new",
+      filter_mode: /\binstead\b/.test(lower) ? "replace" : "merge",
+      compare_sector: compareSector,
+    },
+  };
+}
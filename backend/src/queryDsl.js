@@ -0,0 +1,223 @@
+/**
+ * Structured query DSL over the normalized boards, for numbers without the narrative.
+ * A query reads one board and filters, groups, aggregates, orders and limits its rows:
+ *
+ *   { "from": "work_orders", "where": [{ "column": "sector", "op": "eq", "value": "Mining" }],
+ *     "groupBy": ["client"], "aggregates": [{ "fn": "sum", "column": "billed", "as": "billed" }],
+ *     "orderBy": [{ "column": "billed", "direction": "desc" }], "limit": 5 }
+ *
+ * Columns are named by their board title or by semantic field (`dealValue`, `client`, ...),
+ * which follows the column mapping and so survives renames. Rows are computed with the
+ * same operations as the analysis agent's tools.
+ */
+
+import { SEMANTIC_FIELDS, NUMERIC_TYPES } from "./schemaDiscovery.js";
+import { FILTER_OPS, AGGREGATE_FNS, columnsOf, filterRows, groupRows, aggregateRows, aggregateName, orderRows } from "./analysisTools.js";
+import { validateJson } from "./llm/jsonSchema.js";
+import { loadDatasets } from "./queryEngine.js";
+
+export const QUERY_SOURCES = ["deals", "work_orders"];
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+
+const BOARD_TYPES = { deals: "deals", work_orders: "workOrders" };
+
+// Every key is required so the schema also works as a strict LLM output schema;
+// normalizeQuery fills in what API callers leave out
+export const QUERY_SCHEMA = {
+  type: "object",
+  properties: {
+    from: { type: "string", enum: QUERY_SOURCES },
+    select: { type: "array", items: { type: "string" } },
+    where: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          column: { type: "string" },
+          op: { type: "string", enum: FILTER_OPS },
+          value: { type: ["string", "number", "array", "null"], items: { type: ["string", "number"] } },
+        },
+        required: ["column", "op", "value"],
+        additionalProperties: false,
+      },
+    },
+    groupBy: { type: "array", items: { type: "string" } },
+    aggregates: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { fn: { type: "string", enum: AGGREGATE_FNS }, column: { type: ["string", "null"] }, as: { type: ["string", "null"] } },
+        required: ["fn", "column", "as"],
+        additionalProperties: false,
+      },
+    },
+    orderBy: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { column: { type: "string" }, direction: { type: "string", enum: ["asc", "desc"] } },
+        required: ["column", "direction"],
+        additionalProperties: false,
+      },
+    },
+    limit: { type: ["integer", "null"] },
+  },
+  required: ["from", "select", "where", "groupBy", "aggregates", "orderBy", "limit"],
+  additionalProperties: false,
+};
+
+// ── Validation ──────────────────────────────────────────────────────
+const withDefaults = (list, defaults) => (Array.isArray(list) ? list.map((item) => (item && typeof item === "object" ? { ...defaults, ...item } : item)) : list);
+
+/** Fill in optional parts of a query (empty lists, null limit, `as`/`value`/`direction` defaults). */
+export function normalizeQuery(query) {
+  if (!query || typeof query !== "object" || Array.isArray(query)) return query;
+  return {
+    select: [],
+    groupBy: [],
+    limit: null,
+    ...query,
+    where: withDefaults(query.where ?? [], { value: null }),
+    aggregates: withDefaults(query.aggregates ?? [], { column: null, as: null }),
+    orderBy: withDefaults(query.orderBy ?? [], { direction: "asc" }),
+  };
+}
+
+/** Schema errors for a query (after normalizeQuery); empty when it is well-formed. */
+export function validateQuery(query) {
+  const errors = validateJson(query, QUERY_SCHEMA, "query");
+  if (errors.length) return errors;
+  if (query.limit != null && (query.limit < 1 || query.limit > MAX_LIMIT)) errors.push(`query.limit: must be between 1 and ${MAX_LIMIT}`);
+  query.aggregates.forEach((a, i) => {
+    if (!a.column && a.fn !== "count") errors.push(`query.aggregates[${i}]: ${a.fn} needs a column`);
+  });
+  return errors;
+}
+
+// ── Execution ───────────────────────────────────────────────────────
+// Board titles win; otherwise a semantic field name is looked up in the column mapping
+function resolver(columns, fields = {}) {
+  return (ref) => {
+    if (columns.includes(ref)) return ref;
+    const title = fields[ref];
+    if (title && columns.includes(title)) return title;
+    throw new Error(`Unknown column "${ref}". Use a column title or one of the mapped fields: ${Object.keys(fields).filter((f) => fields[f]).join(", ")}.`);
+  };
+}
+
+/**
+ * Run a query against datasets ({ deals, work_orders }: { rows, fields }, as built by
+ * loadDatasets). Returns { error, query, columns, rows, rowCount, totalRows }, where
+ * `totalRows` counts the result before `limit`; `error` is set when the query cannot
+ * run, with `errors` when the query itself is at fault (malformed, or naming an unknown
+ * or unsuitable column).
+ */
+export function runQuery(input, datasets) {
+  const query = normalizeQuery(input);
+  const errors = validateQuery(query);
+  if (errors.length) return { error: `Invalid query: ${errors.slice(0, 3).join("; ")}`, errors };
+  const dataset = datasets[query.from];
+  if (!dataset) return { error: `No ${query.from} rows are available.` };
+
+  try {
+    const resolve = resolver(columnsOf(dataset.rows), dataset.fields);
+    const where = query.where.map((c) => ({ ...c, column: resolve(c.column) }));
+    let rows = filterRows(dataset.rows, where);
+
+    let columns = columnsOf(dataset.rows);
+    if (query.groupBy.length || query.aggregates.length) {
+      const by = query.groupBy.map(resolve);
+      const aggregates = (query.aggregates.length ? query.aggregates : [{ fn: "count", column: null, as: null }])
+        .map((a) => ({ ...a, column: a.column && resolve(a.column) }));
+      rows = by.length ? groupRows(rows, by, aggregates) : [aggregateRows(rows, aggregates)];
+      columns = [...by, ...aggregates.map(aggregateName)];
+    }
+
+    // Ordering and selection see the output columns: group columns and aggregate names
+    const output = resolver(columns, dataset.fields);
+    rows = orderRows(rows, query.orderBy.map((o) => ({ ...o, column: output(o.column) })));
+    const totalRows = rows.length;
+    rows = rows.slice(0, query.limit ?? DEFAULT_LIMIT);
+    if (query.select.length) {
+      columns = query.select.map(output);
+      rows = rows.map((r) => Object.fromEntries(columns.map((c) => [c, r[c] ?? null])));
+    }
+    return { error: null, query, columns, rows, rowCount: rows.length, totalRows };
+  } catch (err) {
+    return { error: err.message, errors: [err.message] };
+  }
+}
+
+/**
+ * Load the query's board (with the caller's Monday token, if any) and run the query.
+ * Malformed queries are rejected before anything is fetched.
+ */
+export async function executeQuery(input, { mondayToken = null } = {}) {
+  const query = normalizeQuery(input);
+  const errors = validateQuery(query);
+  if (errors.length) return { error: `Invalid query: ${errors.slice(0, 3).join("; ")}`, errors };
+  const { error, datasets, dataFreshness, reportingCurrency } = await loadDatasets([query.from], { mondayToken });
+  if (error) return { error };
+  const result = runQuery(query, datasets);
+  return result.error ? result : { ...result, reportingCurrency, dataFreshness };
+}
+
+// ── Keyword Planning ────────────────────────────────────────────────
+// "top 5 clients by billed amount", "bottom 3 sectors by deal value", "billed amount by client"
+const TOP_RE = /\b(top|bottom)\s+(\d+)\s+(.+?)\s+(?:by|on)\s+(.+?)\s*[?.!]*$/i;
+const BY_RE = /^(.+?)\s+(?:by|per)\s+(.+?)\s*[?.!]*$/i;
+
+// Earlier words weigh more, so "billed amount" prefers the billed field over a generic amount
+function fieldScore(words, field, def) {
+  const terms = new Set([field.replace(/([A-Z])/g, " $1"), ...def.candidates].join(" ").toLowerCase().split(/[^a-z]+/));
+  return words.reduce((score, w, i) => score + (terms.has(w) ? words.length - i : 0), 0);
+}
+
+function matchField(phrase, boardType, fields, numeric) {
+  const words = (phrase.toLowerCase().match(/[a-z]{3,}/g) || []).map((w) => w.replace(/s$/, ""));
+  let best = { field: null, score: 0 };
+  for (const [field, def] of Object.entries(SEMANTIC_FIELDS[boardType])) {
+    if (fields && !fields[field]) continue;
+    if (def.types.every((t) => NUMERIC_TYPES.includes(t)) !== numeric) continue;
+    const score = fieldScore(words, field, def);
+    if (score > best.score) best = { field, score };
+  }
+  return best;
+}
+
+/**
+ * A query for ranking questions, planned from keywords (no LLM): the board and the
+ * group and measure fields whose names best match the question. `fieldsBySource`
+ * ({ deals: fields, ... }) limits the choice to boards and fields actually mapped.
+ * Returns null when the question is not a "top N X by Y" or "Y by X" question.
+ */
+export function keywordQuery(question, fieldsBySource = null) {
+  const top = question.match(TOP_RE);
+  const by = top ? null : question.match(BY_RE);
+  if (!top && !by) return null;
+  const [groupPhrase, measurePhrase] = top ? [top[3], top[4]] : [by[2], by[1]];
+
+  let best = null;
+  for (const source of QUERY_SOURCES) {
+    if (fieldsBySource && !fieldsBySource[source]) continue;
+    const fields = fieldsBySource?.[source] ?? null;
+    const group = matchField(groupPhrase, BOARD_TYPES[source], fields, false);
+    const measure = matchField(measurePhrase, BOARD_TYPES[source], fields, true);
+    if (!group.field) continue;
+    const score = group.score + measure.score;
+    if (!best || score > best.score) best = { source, group: group.field, measure: measure.field, score };
+  }
+  if (!best) return null;
+
+  const total = best.measure ? `total_${best.measure}` : "items";
+  return {
+    from: best.source,
+    select: [],
+    where: [],
+    groupBy: [best.group],
+    aggregates: [...(best.measure ? [{ fn: "sum", column: best.measure, as: total }] : []), { fn: "count", column: null, as: best.measure ? "items" : total }],
+    orderBy: [{ column: total, direction: top?.[1].toLowerCase() === "bottom" ? "asc" : "desc" }],
+    limit: top ? Number(top[2]) : null,
+  };
+}
@@ -3,41 +3,63 @@
  * Fetches boards, normalizes data, computes metrics, and joins cross-board data.
  */
 
-import { fetchBoard } from "./mondayClient.js";
+import { fetchBoardCached } from "./boardCache.js";
 import { normalizeBoard, canonicalizeSector } from "./normalizer.js";
+import { SEMANTIC_FIELDS, resolveColumnMapping } from "./schemaDiscovery.js";
+import { computeForecast } from "./forecast.js";
+import { computeFunnel, dealOutcome } from "./funnel.js";
+import { computeReceivables } from "./receivables.js";
+import { linkDealsToWorkOrders } from "./linking.js";
+import { recordSnapshot, trendsFor } from "./snapshots.js";
+import { createConverter, createMoneyTotal, averageBreakdown, conversionWarnings, loadCurrencyConfig } from "./currency.js";
+import { buildPredicates, applyFilters } from "./filters.js";
+import { buildCharts } from "./charts.js";
+import { analysisRows } from "./analysisTools.js";
+import { currentTime } from "./appContext.js";
 
 function env(key) {
   return process.env[key];
 }
 
+function stuckDays() {
+  const n = Number(env("FUNNEL_STUCK_DAYS"));
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
 // ── Deals Metrics ───────────────────────────────────────────────────
-function computeDealsMetrics(rows) {
-  const valueCol = findCol(rows, ["masked deal value", "deal value", "value", "amount", "deal_value", "price", "revenue"]);
-  const stageCol = findCol(rows, ["deal stage", "stage", "deal_stage"]);
-  const statusCol = findCol(rows, ["deal status", "status"]);
-  const sectorCol = findCol(rows, ["sector/service", "sector", "industry", "vertical"]);
-  const dateCol = findCol(rows, ["tentative close date", "close date (a)", "close date", "closing date", "expected close", "close_date"]);
-  const probCol = findCol(rows, ["closure probability", "probability", "win probability"]);
-  const createdCol = findCol(rows, ["created date", "created"]);
-
-  let totalPipeline = 0, count = 0, closedWon = 0, closedLost = 0;
+function computeDealsMetrics(rows, mapping = {}, converter = createConverter()) {
+  const cols = resolveCols(rows, "deals", mapping);
+  const valueCol = cols.dealValue;
+  const stageCol = cols.stage;
+  const statusCol = cols.status;
+  const sectorCol = cols.sector;
+  const dateCol = cols.closeDate;
+  const probCol = cols.probability;
+
+  let count = 0, closedWon = 0, closedLost = 0;
   const stageDistribution = {}, sectorBreakdown = {}, statusDistribution = {}, probabilityDist = {};
   const quarterly = {};
 
+  // All monetary sums are in the reporting currency; per-currency originals are kept for audit
+  const pipeline = createMoneyTotal(converter);
+  const sectorMoney = {}, quarterMoney = {};
+
   for (const r of rows) {
     count++;
-    const val = valueCol ? (typeof r[valueCol] === "number" ? r[valueCol] : 0) : 0;
-    totalPipeline += val;
+    const amount = valueCol && typeof r[valueCol] === "number" ? r[valueCol] : null;
+    const currency = valueCol ? r[`${valueCol}_currency`] : null;
+    const rateDate = dateCol ? r[dateCol] : null;
+    const val = pipeline.add(amount, currency, rateDate);
 
     const stage = stageCol ? (r[stageCol] || "Unknown") : "Unknown";
     stageDistribution[stage] = (stageDistribution[stage] || 0) + 1;
-    if (/won|closed.*won|completed|delivered/i.test(stage)) closedWon++;
-
-    // Also check Deal Status column for won/lost
     const status = statusCol ? (r[statusCol] || "Unknown") : "Unknown";
     statusDistribution[status] = (statusDistribution[status] || 0) + 1;
-    if (/won|closed.*won/i.test(status)) closedWon++;
-    if (/lost|closed.*lost/i.test(status)) closedLost++;
+
+    // Stage and status both say whether a deal closed; each deal counts once
+    const outcome = dealOutcome(stageCol ? r[stageCol] : null, statusCol ? r[statusCol] : null);
+    if (outcome === "won") closedWon++;
+    if (outcome === "lost") closedLost++;
 
     // Closure probability distribution
     if (probCol) {
@@ -49,19 +71,19 @@ function computeDealsMetrics(rows) {
     sectorBreakdown[sector] = (sectorBreakdown[sector] || { count: 0, value: 0 });
     sectorBreakdown[sector].count++;
     sectorBreakdown[sector].value += val;
+    (sectorMoney[sector] ||= createMoneyTotal(converter)).add(amount, currency, rateDate);
 
     if (dateCol && r[dateCol]) {
       const d = new Date(r[dateCol]);
       if (!isNaN(d)) {
         const q = `Q${Math.ceil((d.getMonth() + 1) / 3)} ${d.getFullYear()}`;
         quarterly[q] = (quarterly[q] || 0) + val;
+        (quarterMoney[q] ||= createMoneyTotal(converter)).add(amount, currency, rateDate);
       }
     }
   }
 
-  // Deduplicate closedWon (might have been counted from both stage and status)
-  closedWon = Math.min(closedWon, count);
-
+  const totalPipeline = pipeline.total;
   return {
     totalPipeline,
     dealCount: count,
@@ -74,25 +96,33 @@ function computeDealsMetrics(rows) {
     probabilityDistribution: probabilityDist,
     sectorBreakdown,
     quarterlyRevenue: quarterly,
+    reportingCurrency: converter.reportingCurrency,
+    currencyBreakdown: {
+      totalPipeline: pipeline.byCurrency,
+      avgDealSize: averageBreakdown(pipeline.byCurrency),
+      sectorBreakdown: breakdownOf(sectorMoney),
+      quarterlyRevenue: breakdownOf(quarterMoney),
+    },
   };
 }
 
 // ── Work Orders Metrics ─────────────────────────────────────────────
-function computeWorkOrdersMetrics(rows) {
-  const execStatusCol = findCol(rows, ["execution status", "status", "state", "work order status"]);
-  const woStatusCol = findCol(rows, ["wo status", "wo status (billed)", "billing status"]);
-  const startCol = findCol(rows, ["probable start date", "start date", "start", "start_date"]);
-  const endCol = findCol(rows, ["probable end date", "end date", "completion date", "due date", "end_date"]);
-  const amountCol = findCol(rows, ["amount in rupees", "amount", "value"]);
-  const billedCol = findCol(rows, ["billed value", "billed"]);
-  const collectedCol = findCol(rows, ["collected amount", "collected"]);
-  const sectorCol = findCol(rows, ["sector", "industry"]);
-  const natureCol = findCol(rows, ["nature of work", "type of work", "work type"]);
+function computeWorkOrdersMetrics(rows, mapping = {}, converter = createConverter()) {
+  const cols = resolveCols(rows, "workOrders", mapping);
+  const execStatusCol = cols.executionStatus;
+  const startCol = cols.startDate;
+  const endCol = cols.endDate;
+  const amountCol = cols.amount;
+  const billedCol = cols.billed;
+  const collectedCol = cols.collected;
+  const sectorCol = cols.sector;
+  const natureCol = cols.natureOfWork;
 
   let open = 0, closed = 0, overdue = 0, completed = 0, notStarted = 0, ongoing = 0;
-  let totalDays = 0, daysCount = 0, totalAmount = 0, totalBilled = 0, totalCollected = 0;
+  let totalDays = 0, daysCount = 0;
+  const amountMoney = createMoneyTotal(converter), billedMoney = createMoneyTotal(converter), collectedMoney = createMoneyTotal(converter);
   const execStatusDist = {}, sectorDist = {}, natureDist = {};
-  const now = new Date();
+  const now = new Date(currentTime());
 
   for (const r of rows) {
     const execStatus = execStatusCol ? (r[execStatusCol] || "Unknown") : "Unknown";
@@ -130,10 +160,11 @@ function computeWorkOrdersMetrics(rows) {
       }
     }
 
-    // Financial metrics
-    if (amountCol && typeof r[amountCol] === "number") totalAmount += r[amountCol];
-    if (billedCol && typeof r[billedCol] === "number") totalBilled += r[billedCol];
-    if (collectedCol && typeof r[collectedCol] === "number") totalCollected += r[collectedCol];
+    // Financial metrics (converted to the reporting currency)
+    const rateDate = (endCol && r[endCol]) || (startCol && r[startCol]) || null;
+    if (amountCol) amountMoney.add(r[amountCol], r[`${amountCol}_currency`], rateDate);
+    if (billedCol) billedMoney.add(r[billedCol], r[`${billedCol}_currency`], rateDate);
+    if (collectedCol) collectedMoney.add(r[collectedCol], r[`${collectedCol}_currency`], rateDate);
 
     // Sector distribution
     if (sectorCol) {
@@ -149,6 +180,7 @@ function computeWorkOrdersMetrics(rows) {
   }
 
   const total = open + closed;
+  const totalAmount = amountMoney.total, totalBilled = billedMoney.total, totalCollected = collectedMoney.total;
   return {
     total,
     open,
@@ -166,44 +198,33 @@ function computeWorkOrdersMetrics(rows) {
     executionStatusDistribution: execStatusDist,
     sectorDistribution: sectorDist,
     natureOfWorkDistribution: natureDist,
+    reportingCurrency: converter.reportingCurrency,
+    currencyBreakdown: {
+      totalAmount: amountMoney.byCurrency,
+      totalBilled: billedMoney.byCurrency,
+      totalCollected: collectedMoney.byCurrency,
+    },
   };
 }
 
 // ── Cross-Board Analysis ────────────────────────────────────────────
-function crossBoardAnalysis(dealsRows, woRows, dealsMetrics, woMetrics) {
+function crossBoardAnalysis(dealsRows, woRows, dealsMetrics, woMetrics, { dealsMapping = {}, woMapping = {}, converter = createConverter() } = {}) {
+  const dealCols = resolveCols(dealsRows, "deals", dealsMapping);
+  const woCols = resolveCols(woRows, "workOrders", woMapping);
   const insights = [];
 
-  // 1. Name-based linking: match deal names to work order names (fuzzy substring)
-  const dealEntries = dealsRows.map((r) => ({ name: (r._name || "").toLowerCase(), row: r }));
-  const linkedWOs = woRows.filter((r) => {
-    const woName = (r._name || "").toLowerCase();
-    const allWoText = Object.values(r).filter((v) => typeof v === "string").join(" ").toLowerCase();
-    return dealEntries.some((d) => {
-      if (d.name.length < 3) return false;
-      return woName.includes(d.name) || d.name.includes(woName) || allWoText.includes(d.name);
-    });
-  });
-
-  // 2. Sector-based linking: check if work order text mentions deal sectors
-  const sectorCol = findCol(dealsRows, ["sector", "industry", "vertical"]);
-  const dealSectors = sectorCol
-    ? [...new Set(dealsRows.map((r) => r[sectorCol]).filter(Boolean).map((s) => s.toLowerCase()))]
-    : [];
-  const sectorLinkedWOs = dealSectors.length
-    ? woRows.filter((r) => {
-        const text = Object.values(r).filter((v) => typeof v === "string").join(" ").toLowerCase();
-        return dealSectors.some((sec) => text.includes(sec));
-      })
-    : [];
-
-  const totalLinked = Math.max(linkedWOs.length, sectorLinkedWOs.length);
-  if (totalLinked > 0) {
-    insights.push(`${totalLinked} work orders appear linked to active deals (by name or sector matching).`);
+  // 1. Link work orders to deals (board relations first, then scored fuzzy matching)
+  const { links, unlinkedDeals, threshold } = linkDealsToWorkOrders(dealsRows, woRows, { dealCols, woCols });
+  const relationLinks = links.filter((l) => l.method === "relation").length;
+  const fuzzyLinks = links.length - relationLinks;
+
+  if (links.length > 0) {
+    insights.push(`${links.length} work orders linked to deals (${relationLinks} via Monday board relations, ${fuzzyLinks} by fuzzy match at ≥${threshold} confidence).`);
   } else {
     insights.push("No direct linkage found between work orders and deals — consider adding cross-references in Monday.com.");
   }
 
-  // 3. Risk correlation
+  // 2. Risk correlation
   if (dealsMetrics.closeRate < 0.3) {
     insights.push(`Risk: Close rate is ${(dealsMetrics.closeRate * 100).toFixed(0)}% (below 30%) — pipeline conversion needs urgent attention.`);
   }
@@ -218,23 +239,46 @@ function crossBoardAnalysis(dealsRows, woRows, dealsMetrics, woMetrics) {
     insights.push("Pipeline fragmentation: Many small deals — consider focusing sales effort on fewer, larger opportunities.");
   }
 
-  // 4. High-value deals at risk (deals with value but no matching work orders)
-  const valueCol = findCol(dealsRows, ["deal value", "value", "amount", "deal_value", "price", "revenue"]);
+  // 3. High-value deals at risk (deals above average value with no linked work order)
+  const valueCol = dealCols.dealValue;
+  let highValueNoWO = [];
   if (valueCol) {
-    const highValueDeals = dealsRows.filter((r) => typeof r[valueCol] === "number" && r[valueCol] > dealsMetrics.avgDealSize);
-    const highValueNoWO = highValueDeals.filter((d) => {
-      const dName = (d._name || "").toLowerCase();
-      return !woRows.some((w) => (w._name || "").toLowerCase().includes(dName));
+    highValueNoWO = unlinkedDeals.filter((r) => {
+      if (typeof r[valueCol] !== "number") return false;
+      const converted = converter.convert(r[valueCol], r[`${valueCol}_currency`], dealCols.closeDate ? r[dealCols.closeDate] : null);
+      return converted != null && converted > dealsMetrics.avgDealSize;
     });
     if (highValueNoWO.length > 0) {
-      insights.push(`${highValueNoWO.length} high-value deals have no matching work orders — ensure operational readiness.`);
+      insights.push(`${highValueNoWO.length} high-value deals have no linked work orders — ensure operational readiness.`);
     }
   }
 
-  return { linkedWorkOrders: totalLinked, sectorLinkedWorkOrders: sectorLinkedWOs.length, insights };
+  return {
+    linkedWorkOrders: links.length,
+    linksByMethod: { relation: relationLinks, fuzzy: fuzzyLinks },
+    linkThreshold: threshold,
+    topLinks: links.slice(0, 10),
+    highValueDealsWithoutWorkOrders: highValueNoWO.length,
+    highValueDealsWithoutWorkOrdersSample: highValueNoWO.slice(0, 10).map((r) => r._name),
+    insights,
+    links,
+  };
 }
 
 // ── Utility ─────────────────────────────────────────────────────────
+function breakdownOf(moneyTotals) {
+  return Object.fromEntries(Object.entries(moneyTotals).map(([k, t]) => [k, t.byCurrency]));
+}
+
+// Mapped columns (from schema discovery) win; unmapped fields fall back to title heuristics.
+function resolveCols(rows, boardType, mapping = {}) {
+  const cols = {};
+  for (const [field, def] of Object.entries(SEMANTIC_FIELDS[boardType])) {
+    cols[field] = mapping[field] || findCol(rows, def.candidates);
+  }
+  return cols;
+}
+
 function findCol(rows, candidates) {
   if (!rows.length) return null;
   const keys = Object.keys(rows[0]);
@@ -249,61 +293,212 @@ function findCol(rows, candidates) {
   return null;
 }
 
+// ── Board Loading ───────────────────────────────────────────────────
+async function loadBoard(boardType, envKey, mondayToken) {
+  const boardId = env(envKey);
+  if (!boardId) return { error: `${envKey} not configured in .env` };
+  const { error, board, cache } = await fetchBoardCached(boardId, { token: mondayToken });
+  if (error) return { error };
+  const { columns, warnings, locale } = await resolveColumnMapping(board, boardType);
+  const norm = normalizeBoard(board, { locale: locale || env("DATE_LOCALE") });
+  norm.columns = columns;
+  norm.dataQuality.columnMapping = columns;
+  norm.dataQuality.warnings.push(...warnings);
+  return { norm, cache };
+}
+
+// Boards handed in by the caller (rows from an earlier turn) are re-used as-is
+async function boardFor(boardType, envKey, { boards, mondayToken }) {
+  const previous = boards?.[boardType];
+  if (previous) {
+    const cache = previous.cache && { ...previous.cache, cached: true, ageMs: currentTime() - Date.parse(previous.cache.fetchedAt) };
+    return { norm: previous.norm, cache, reused: true };
+  }
+  return loadBoard(boardType, envKey, mondayToken);
+}
+
+// Data quality is copied per run so warnings added here never accumulate on re-used boards
+function copyQuality(dataQuality) {
+  return { ...dataQuality, warnings: [...dataQuality.warnings] };
+}
+
+// ── Datasets ────────────────────────────────────────────────────────
+// Board rows for the analysis tools and the query DSL, with the field → column mapping
+const DATASET_BOARDS = { deals: ["deals", "DEALS_BOARD_ID"], work_orders: ["workOrders", "WORK_ORDERS_BOARD_ID"] };
+
+function datasetOf(norm, boardType, rows, converter) {
+  return { rows: analysisRows(rows, converter), fields: resolveCols(norm.rows, boardType, norm.columns) };
+}
+
+/**
+ * Load whole boards as datasets ("deals", "work_orders") for the query DSL. Returns
+ * { datasets, dataFreshness, reportingCurrency }, or { error } when a board cannot be loaded.
+ */
+export async function loadDatasets(sources, { mondayToken = null } = {}) {
+  const converter = createConverter(await loadCurrencyConfig());
+  const datasets = {}, dataFreshness = {};
+  for (const source of sources) {
+    const [boardType, envKey] = DATASET_BOARDS[source];
+    const { error, norm, cache } = await loadBoard(boardType, envKey, mondayToken);
+    if (error) return { error };
+    datasets[source] = datasetOf(norm, boardType, norm.rows, converter);
+    dataFreshness[boardType] = cache;
+  }
+  return { datasets, dataFreshness, reportingCurrency: converter.reportingCurrency };
+}
+
 // ── Execute Plan ────────────────────────────────────────────────────
-export async function executePlan(plan) {
-  const results = { metrics: {}, dataQuality: {}, tables: {} };
+/**
+ * `onProgress(stage, data)` is called as each board is fetched, so streaming
+ * clients can report progress before metrics are ready. Board-level metrics are
+ * saved as a snapshot tagged `snapshotSource` (pass false to skip). `mondayToken`
+ * fetches boards as a specific user instead of with the shared token.
+ * `boards` ({ deals, workOrders } from a previous result's `boards`) skips fetching
+ * those boards, so follow-up questions re-filter rows already in hand. The loaded
+ * boards are returned in `results.boards` for that purpose.
+ * `plan.filters` are applied to the rows of both boards before any metric is computed;
+ * `results.appliedFilters` lists each filter per board with the rows left after it.
+ * `results.charts` holds every chart the metrics can fill (see charts.js).
+ * For the analysis intent, `results.datasets` holds the rows for analysisAgent.js.
+ */
+export async function executePlan(plan, { onProgress = () => {}, snapshotSource = "chat", mondayToken = null, boards = null } = {}) {
+  const results = { metrics: {}, dataQuality: {}, tables: {}, dataFreshness: {}, boards: {} };
+  const converter = createConverter(await loadCurrencyConfig());
   const sources = plan.data_sources || [];
   const needDeals = sources.includes("deals") || sources.includes("all");
   const needWO = sources.includes("work_orders") || sources.includes("all");
+  const { predicates, rejected } = buildPredicates(plan.filters || {});
+  results.appliedFilters = [...rejected];
 
-  let dealsNorm = null, woNorm = null;
+  let dealsNorm = null, woNorm = null, dealRows = [], woRows = [];
 
   if (needDeals) {
-    const boardId = env("DEALS_BOARD_ID");
-    if (!boardId) return { error: "DEALS_BOARD_ID not configured in .env" };
-    const { error, board } = await fetchBoard(boardId);
+    const { error, norm, cache, reused = false } = await boardFor("deals", "DEALS_BOARD_ID", { boards, mondayToken });
     if (error) return { error };
-    dealsNorm = normalizeBoard(board);
-    results.metrics.deals = computeDealsMetrics(dealsNorm.rows);
-    results.dataQuality.deals = dealsNorm.dataQuality;
-    results.tables.deals = dealsNorm.rows.slice(0, 20);
+    dealsNorm = norm;
+    results.boards.deals = { norm, cache };
+    results.dataFreshness.deals = cache;
+    onProgress("board", { board: "deals", boardName: norm.boardName, rows: norm.rows.length, cache, reused });
+    const filtered = applyFilters(norm.rows, "deals", resolveCols(norm.rows, "deals", norm.columns), predicates, { converter });
+    dealRows = filtered.rows;
+    results.appliedFilters.push(...filtered.applied);
+    results.metrics.deals = computeDealsMetrics(dealRows, dealsNorm.columns, converter);
+    results.dataQuality.deals = copyQuality(dealsNorm.dataQuality);
+    results.dataQuality.deals.warnings.push(...conversionWarnings(results.metrics.deals.currencyBreakdown.totalPipeline, converter.reportingCurrency, "deal"));
+    results.tables.deals = dealRows.slice(0, 20);
+  }
+
+  if (plan.intent === "forecast" && dealsNorm) {
+    const cols = resolveCols(dealsNorm.rows, "deals", dealsNorm.columns);
+    results.metrics.forecast = computeForecast(dealRows, cols, { converter, quarter: plan.filters?.quarter || null });
+  }
+
+  if (plan.intent === "funnel" && dealsNorm) {
+    const cols = resolveCols(dealsNorm.rows, "deals", dealsNorm.columns);
+    results.metrics.funnel = computeFunnel(dealRows, cols, { converter, stuckDays: stuckDays() });
+    // Stuck deals go to the client as a table; the LLM sees only the first few
+    const { stuckDeals, ...funnel } = results.metrics.funnel;
+    results.metrics.funnel = { ...funnel, stuckDealCount: stuckDeals.length, stuckDealsSample: stuckDeals.slice(0, 5) };
+    results.tables.stuckDeals = stuckDeals;
   }
 
   if (needWO) {
-    const boardId = env("WORK_ORDERS_BOARD_ID");
-    if (!boardId) return { error: "WORK_ORDERS_BOARD_ID not configured in .env" };
-    const { error, board } = await fetchBoard(boardId);
+    const { error, norm, cache, reused = false } = await boardFor("workOrders", "WORK_ORDERS_BOARD_ID", { boards, mondayToken });
     if (error) return { error };
-    woNorm = normalizeBoard(board);
-    results.metrics.workOrders = computeWorkOrdersMetrics(woNorm.rows);
-    results.dataQuality.workOrders = woNorm.dataQuality;
-    results.tables.workOrders = woNorm.rows.slice(0, 20);
+    woNorm = norm;
+    results.boards.workOrders = { norm, cache };
+    results.dataFreshness.workOrders = cache;
+    onProgress("board", { board: "workOrders", boardName: norm.boardName, rows: norm.rows.length, cache, reused });
+    const filtered = applyFilters(norm.rows, "workOrders", resolveCols(norm.rows, "workOrders", norm.columns), predicates, { converter });
+    woRows = filtered.rows;
+    results.appliedFilters.push(...filtered.applied);
+    results.metrics.workOrders = computeWorkOrdersMetrics(woRows, woNorm.columns, converter);
+    results.dataQuality.workOrders = copyQuality(woNorm.dataQuality);
+    for (const [metric, byCurrency] of Object.entries(results.metrics.workOrders.currencyBreakdown)) {
+      results.dataQuality.workOrders.warnings.push(...conversionWarnings(byCurrency, converter.reportingCurrency, metric));
+    }
+    results.tables.workOrders = woRows.slice(0, 20);
+  }
+
+  if (plan.intent === "receivables" && woNorm) {
+    const cols = resolveCols(woNorm.rows, "workOrders", woNorm.columns);
+    const { byClient, outstanding, unbilledCompleted, ...receivables } = computeReceivables(woRows, cols, { converter });
+    // Per-client and per-work-order lists go to the client as tables; the LLM sees totals and top debtors
+    results.metrics.receivables = {
+      ...receivables,
+      clientsWithBalance: byClient.length,
+      unbilledCompletedCount: unbilledCompleted.length,
+      unbilledCompletedAmount: unbilledCompleted.reduce((sum, w) => sum + w.unbilled, 0),
+      unbilledCompletedSample: unbilledCompleted.slice(0, 5),
+    };
+    results.tables.receivablesByClient = byClient;
+    results.tables.receivables = outstanding;
+    results.tables.unbilledWorkOrders = unbilledCompleted;
+  }
+
+  // The analysis agent gets the filtered rows themselves (in the reporting currency) and
+  // each board's field → column mapping; they are not sent to the client
+  if (plan.intent === "analysis") {
+    results.datasets = {};
+    if (dealsNorm) results.datasets.deals = datasetOf(dealsNorm, "deals", dealRows, converter);
+    if (woNorm) results.datasets.work_orders = datasetOf(woNorm, "workOrders", woRows, converter);
   }
 
   if (dealsNorm && woNorm) {
-    results.metrics.crossBoard = crossBoardAnalysis(dealsNorm.rows, woNorm.rows, results.metrics.deals, results.metrics.workOrders);
+    const { links, ...crossBoard } = crossBoardAnalysis(dealRows, woRows, results.metrics.deals, results.metrics.workOrders, {
+      dealsMapping: dealsNorm.columns,
+      woMapping: woNorm.columns,
+      converter,
+    });
+    results.metrics.crossBoard = crossBoard;
+    // The full pair list goes to the client as a table rather than into the LLM context
+    results.tables.crossBoardLinks = links;
   }
 
-  // Apply filters
-  if (plan.filters) {
-    if (plan.filters.sector && dealsNorm) {
-      const sec = plan.filters.sector.toLowerCase();
-      const filtered = dealsNorm.rows.filter((r) => {
-        return Object.values(r).some((v) => typeof v === "string" && v.toLowerCase().includes(sec));
-      });
-      results.metrics.filteredDeals = computeDealsMetrics(filtered);
-      results.tables.filteredDeals = filtered.slice(0, 20);
-    }
-    if (plan.filters.quarter && results.metrics.deals) {
-      const q = plan.filters.quarter;
-      results.metrics.quarterFocus = results.metrics.deals.quarterlyRevenue[q] || 0;
+  // Period-over-period trends against stored history, then record this run.
+  // The history is built from the shared token's whole view of the boards, so it is
+  // neither shown to nor written by filtered runs or users querying with their own
+  // (possibly narrower) token.
+  if (!mondayToken && !predicates.length) {
+    try {
+      results.metrics.trends = await trendsFor(results.metrics);
+      if (snapshotSource) await recordSnapshot(results, { source: snapshotSource });
+    } catch (err) {
+      console.warn(`Snapshot history unavailable: ${err.message}`);
     }
   }
 
+  if (plan.filters?.quarter && results.metrics.deals) {
+    results.metrics.quarterFocus = results.metrics.deals.quarterlyRevenue[plan.filters.quarter] || 0;
+  }
+
+  // Sectors are compared under every other filter in the plan
+  if (plan.compare_sectors?.length && dealsNorm) {
+    const others = predicates.filter((p) => p.filter !== "sector");
+    results.metrics.sectorComparison = compareSectors(dealsNorm, woNorm, plan.compare_sectors, others, converter);
+  }
+
+  results.charts = buildCharts(results.metrics);
   results.confidence = computeConfidence(results);
   return results;
 }
 
+// ── Sector Comparison ───────────────────────────────────────────────
+// Headline deal (and, when loaded, work order) figures per sector, side by side
+function compareSectors(dealsNorm, woNorm, sectors, predicates, converter) {
+  const rowsFor = (norm, boardType, sector) =>
+    applyFilters(norm.rows, boardType, resolveCols(norm.rows, boardType, norm.columns), [...predicates, { filter: "sector", sectors: [sector] }], { converter }).rows;
+  return Object.fromEntries(sectors.map((sector) => {
+    const d = computeDealsMetrics(rowsFor(dealsNorm, "deals", sector), dealsNorm.columns, converter);
+    const entry = { deals: { dealCount: d.dealCount, totalPipeline: d.totalPipeline, avgDealSize: d.avgDealSize, closeRate: d.closeRate, closedWon: d.closedWon } };
+    if (woNorm) {
+      const w = computeWorkOrdersMetrics(rowsFor(woNorm, "workOrders", sector), woNorm.columns, converter);
+      entry.workOrders = { total: w.total, open: w.open, overdue: w.overdue, completionPct: w.completionPct, collectionRate: w.collectionRate };
+    }
+    return [sector, entry];
+  }));
+}
+
 function computeConfidence(results) {
   let score = 0.85;
   const qualities = [results.dataQuality.deals, results.dataQuality.workOrders].filter(Boolean);
@@ -0,0 +1,102 @@
+/**
+ * Accounts receivable for work orders.
+ * Works out what each work order and client still owes, ages the balances from the last
+ * invoice date, ranks the biggest debtors and flags completed work that was never fully
+ * billed.
+ */
+
+import { createConverter } from "./currency.js";
+import { currentTime } from "./appContext.js";
+
+export const AGE_BUCKETS = [[30, "0-30"], [60, "31-60"], [90, "61-90"], [Infinity, "90+"]];
+
+const TOP_DEBTORS = 5;
+const DAY_MS = 86400000;
+const COMPLETED_RE = /completed|complete|closed/i;
+const UNKNOWN_CLIENT = "Unknown client";
+
+function emptyBucket() {
+  return { workOrders: 0, amount: 0 };
+}
+
+function bucketFor(days) {
+  return AGE_BUCKETS.find(([max]) => days <= max)[1];
+}
+
+/**
+ * Receivables for work order rows. `cols` names the amount/billed/collected/receivable/
+ * invoiceDate/endDate/executionStatus/woStatus/client columns. A mapped receivable column
+ * is used as the balance; otherwise it is billed minus collected. Balances are aged from
+ * the last invoice date, or the end date when no invoice date is recorded.
+ * Returns totals, `aging` per bucket, `byClient` (largest balance first), `topDebtors`,
+ * and the `outstanding` and `unbilledCompleted` work order lists.
+ */
+export function computeReceivables(rows, cols, { converter = createConverter(), now = new Date(currentTime()) } = {}) {
+  const money = (r, col, date) => (col && typeof r[col] === "number" ? converter.convert(r[col], r[`${col}_currency`], date) : null);
+  const aging = Object.fromEntries([...AGE_BUCKETS.map(([, label]) => [label, emptyBucket()]), ["undated", emptyBucket()]]);
+  const clients = {};
+  const outstanding = [];
+  const unbilledCompleted = [];
+  let totalBilled = 0, totalCollected = 0, totalOutstanding = 0, agedFromEndDate = 0;
+
+  for (const r of rows) {
+    const endDate = cols.endDate ? r[cols.endDate] : null;
+    const invoiceDate = cols.invoiceDate ? r[cols.invoiceDate] : null;
+    const rateDate = invoiceDate || endDate;
+    const amount = money(r, cols.amount, rateDate);
+    const billed = money(r, cols.billed, rateDate);
+    const collected = money(r, cols.collected, rateDate);
+    const client = (cols.client && r[cols.client]) || UNKNOWN_CLIENT;
+    totalBilled += billed || 0;
+    totalCollected += collected || 0;
+
+    const execution = cols.executionStatus ? r[cols.executionStatus] || "" : "";
+    if (COMPLETED_RE.test(execution) && amount > (billed || 0)) {
+      unbilledCompleted.push({
+        workOrderId: r._id,
+        workOrderName: r._name,
+        client,
+        amount,
+        billed: billed || 0,
+        unbilled: amount - (billed || 0),
+        billingStatus: cols.woStatus ? r[cols.woStatus] : null,
+        endDate,
+      });
+    }
+
+    const receivable = cols.receivable ? money(r, cols.receivable, rateDate) : null;
+    const balance = receivable ?? Math.max((billed || 0) - (collected || 0), 0);
+    if (!(balance > 0)) continue;
+
+    const agedFrom = invoiceDate || endDate;
+    if (!invoiceDate && endDate) agedFromEndDate++;
+    const elapsed = agedFrom ? Math.floor((now.getTime() - Date.parse(agedFrom)) / DAY_MS) : null;
+    const ageDays = Number.isFinite(elapsed) ? Math.max(elapsed, 0) : null;
+    const bucket = ageDays == null ? "undated" : bucketFor(ageDays);
+    aging[bucket].workOrders++;
+    aging[bucket].amount += balance;
+    totalOutstanding += balance;
+
+    const entry = (clients[client] ||= { client, outstanding: 0, workOrders: 0, oldestDays: null });
+    entry.outstanding += balance;
+    entry.workOrders++;
+    if (ageDays != null && (entry.oldestDays == null || ageDays > entry.oldestDays)) entry.oldestDays = ageDays;
+
+    outstanding.push({ workOrderId: r._id, workOrderName: r._name, client, billed, collected, outstanding: balance, invoiceDate, ageDays, bucket });
+  }
+
+  const byClient = Object.values(clients).sort((a, b) => b.outstanding - a.outstanding);
+  return {
+    reportingCurrency: converter.reportingCurrency,
+    totalBilled,
+    totalCollected,
+    totalOutstanding,
+    workOrdersWithBalance: outstanding.length,
+    aging,
+    agedFromEndDate,
+    byClient,
+    topDebtors: byClient.slice(0, TOP_DEBTORS),
+    outstanding: outstanding.sort((a, b) => b.outstanding - a.outstanding),
+    unbilledCompleted: unbilledCompleted.sort((a, b) => b.unbilled - a.unbilled),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Alert routes: the configured rules with their current state, and on-demand checks.
+ * Rules are server-wide and read boards with the shared token, so only admins may use them.
+ */
+
+import { Router } from "express";
+import { requireAuth, requireAdmin } from "../auth.js";
+import { loadAlertConfig } from "../alerts/rules.js";
+import { runAlertCheck, getAlertStateStore } from "../alerts/engine.js";
+import { SINKS } from "../digests/sinks.js";
+
+const router = Router();
+router.use(requireAuth, requireAdmin);
+
+// Rules (from the JSON config) with each rule's last known state; destination URLs are not exposed
+router.get("/", async (_req, res) => {
+  try {
+    const { rules, destinations, warnings } = await loadAlertConfig();
+    const state = await getAlertStateStore().load();
+    return res.json({
+      rules: rules.map((rule) => ({ ...rule, state: state[rule.id] || null })),
+      destinations: destinations.map((d) => ({ type: d.type, target: SINKS[d.type].describe(d) })),
+      warnings,
+    });
+  } catch (err) {
+    console.error("Alerts endpoint error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Evaluate the rules now; { "dryRun": true } reports what would fire without notifying
+router.post("/evaluate", async (req, res) => {
+  try {
+    return res.json(await runAlertCheck({ dryRun: req.body?.dryRun === true }));
+  } catch (err) {
+    console.error("Alert check error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -3,110 +3,154 @@
  */
 
 import { Router } from "express";
-import { interpretQuery, generateNarrative } from "../llmAgent.js";
-import { executePlan } from "../queryEngine.js";
-
-const router = Router();
-
-// In-memory conversation store (keyed by sessionId)
-const sessions = new Map();
-const MAX_HISTORY = 10;
-const SESSION_TTL_MS = 30 * 60 * 1000;
-
-function getSession(id) {
-  const session = sessions.get(id);
-  if (session) {
-    session.lastAccess = Date.now();
-    return session;
-  }
-  const newSession = { history: [], lastAccess: Date.now() };
-  sessions.set(id, newSession);
-  return newSession;
-}
-
-// Cleanup stale sessions periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, s] of sessions) {
-    if (now - s.lastAccess > SESSION_TTL_MS) sessions.delete(id);
-  }
-}, 60_000);
-
-router.post("/chat", async (req, res) => {
+import { internalErrorReply } from "../chatPipeline.js";
+import { MAX_ID_LENGTH } from "../conversations/index.js";
+import { invalidateBoardCache } from "../boardCache.js";
+import { openEventStream } from "../sse.js";
+import { requireAuth, createSession, isAuthDisabled, isAdmin } from "../auth.js";
+import { providerConfigFromEnv } from "../llm/index.js";
+import { exportReply } from "../export/index.js";
+import { interpretQuery } from "../llmAgent.js";
+import { executeQuery, keywordQuery } from "../queryDsl.js";
+import schedulesRouter from "./schedules.js";
+import alertsRouter from "./alerts.js";
+import webhooksRouter from "./webhooks.js";
+import { createConversationsRouter } from "./conversations.js";
+
+function validateMessage(req, res) {
   const { message, sessionId = "default" } = req.body;
   if (!message || typeof message !== "string" || !message.trim()) {
-    return res.status(400).json({ error: "Message is required." });
+    res.status(400).json({ error: "Message is required." });
+    return false;
+  }
+  if (typeof sessionId !== "string" || !sessionId || sessionId.length > MAX_ID_LENGTH) {
+    res.status(400).json({ error: `sessionId must be a non-empty string of at most ${MAX_ID_LENGTH} characters.` });
+    return false;
   }
+  return true;
+}
 
-  const session = getSession(sessionId);
+/**
+ * The /api routes. `conversations` is the app's conversation service; `llmProvider` is
+ * the injected provider, if any, reported by the health check.
+ */
+export function createApiRouter({ conversations, llmProvider = null }) {
+  const router = Router();
+
+  router.post("/chat", requireAuth, async (req, res) => {
+    if (!validateMessage(req, res)) return;
+    const { message, sessionId = "default" } = req.body;
+
+    try {
+      return res.json(await conversations.askInConversation(req.user.id, sessionId, message, { mondayToken: req.user.mondayToken }));
+    } catch (err) {
+      console.error("Chat endpoint error:", err);
+      return res.status(500).json(internalErrorReply(err));
+    }
+  });
 
-  try {
-    // Layer 1: Interpret the query (with conversation context)
-    const plan = await interpretQuery(message.trim(), session.history);
+  // Streaming variant: stage events over SSE, then a final "done" event with the full reply
+  router.post("/chat/stream", requireAuth, async (req, res) => {
+    if (!validateMessage(req, res)) return;
+    const { message, sessionId = "default" } = req.body;
+    const stream = openEventStream(res);
+
+    try {
+      const reply = await conversations.askInConversation(req.user.id, sessionId, message, { onEvent: stream.send, mondayToken: req.user.mondayToken });
+      stream.send("done", reply);
+    } catch (err) {
+      console.error("Chat stream error:", err);
+      stream.send("error", internalErrorReply(err));
+    } finally {
+      stream.end();
+    }
+  });
 
-    // If clarification needed, return early but store in history
-    if (plan.clarifying_questions?.length) {
-      const reply = { type: "clarification", questions: plan.clarifying_questions, plan };
-      session.history.push({ role: "user", content: message.trim() });
-      session.history.push({ role: "assistant", content: `Clarifying questions: ${plan.clarifying_questions.join("; ")}` });
-      if (session.history.length > MAX_HISTORY * 2) session.history = session.history.slice(-MAX_HISTORY * 2);
-      return res.json(reply);
+  // Numbers without the narrative: run a DSL `query`, or have one planned from a `question`.
+  // The query that ran is always returned so it can be saved and re-run.
+  router.post("/query", requireAuth, async (req, res) => {
+    const { query, question } = req.body || {};
+    if (query == null && (typeof question !== "string" || !question.trim())) {
+      return res.status(400).json({ error: "Send a DSL query or a question." });
     }
+    try {
+      let dsl = query;
+      if (dsl == null) {
+        const plan = await interpretQuery(question.trim());
+        dsl = plan.query || keywordQuery(question.trim());
+        if (!dsl) return res.status(422).json({ error: "Could not turn the question into a query; send a DSL query instead.", plan });
+      }
+      const result = await executeQuery(dsl, { mondayToken: req.user.mondayToken });
+      if (result.error) return res.status(result.errors ? 400 : 502).json({ error: result.error, errors: result.errors, query: dsl });
+      return res.json({ ...result, generated: query == null });
+    } catch (err) {
+      console.error("Query endpoint error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
 
-    // Layer 2: Execute the plan
-    const execResult = await executePlan(plan);
-    if (execResult.error) {
-      return res.json({
-        type: "error",
-        summary: execResult.error,
-        insight: "Please check your configuration and try again.",
-        leadership_bullets: [],
-        dataQuality: {},
-        confidence: 0,
-      });
+  // Admins drop every cached copy; other users only the copies fetched with their own Monday token
+  router.post("/cache/invalidate", requireAuth, async (req, res) => {
+    const { boardId } = req.body || {};
+    const admin = isAdmin(req.user);
+    if (!admin && !req.user.mondayToken) {
+      return res.status(403).json({ error: "Only admins can refresh boards fetched with the shared Monday token." });
     }
+    try {
+      const result = await invalidateBoardCache(boardId, { token: admin ? null : req.user.mondayToken });
+      return res.json({ status: "ok", ...result });
+    } catch (err) {
+      console.error("Cache invalidation error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
 
-    // Layer 3: Generate narrative
-    const narrative = await generateNarrative(execResult, message, session.history);
+  // Render a chat reply as a downloadable document (format: markdown | pdf | pptx)
+  router.post("/export", requireAuth, (req, res) => {
+    const { format, reply, title } = req.body || {};
+    try {
+      const { error, filename, contentType, body } = exportReply(reply, format, { title: typeof title === "string" && title.trim() ? title.trim() : undefined });
+      if (error) return res.status(400).json({ error });
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(body);
+    } catch (err) {
+      console.error("Export error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
 
-    const reply = {
-      type: "insight",
-      summary: narrative.summary,
-      insight: narrative.insight,
-      leadership_bullets: narrative.leadership_bullets,
-      tables: execResult.tables,
-      dataQuality: execResult.dataQuality,
-      confidence: execResult.confidence,
-      plan,
-    };
+  router.use("/schedules", schedulesRouter);
+  router.use("/alerts", alertsRouter);
+  router.use("/conversations", createConversationsRouter(conversations));
+  router.use("/webhooks", webhooksRouter);
 
-    // Store conversation turn
-    session.history.push({ role: "user", content: message.trim() });
-    session.history.push({ role: "assistant", content: narrative.summary });
-    if (session.history.length > MAX_HISTORY * 2) session.history = session.history.slice(-MAX_HISTORY * 2);
+  // Exchange an API key (plus, optionally, the caller's own Monday token) for a session token
+  router.post("/auth/token", requireAuth, async (req, res) => {
+    const { mondayToken } = req.body || {};
+    if (mondayToken != null && typeof mondayToken !== "string") {
+      return res.status(400).json({ error: "mondayToken must be a string." });
+    }
+    try {
+      const { error, ...session } = await createSession(req.user, { mondayToken: mondayToken?.trim() || null });
+      if (error) return res.status(401).json({ error });
+      return res.json(session);
+    } catch (err) {
+      console.error("Token issue error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
 
-    return res.json(reply);
-  } catch (err) {
-    console.error("Chat endpoint error:", err);
-    return res.status(500).json({
-      type: "error",
-      summary: "An internal error occurred while processing your request.",
-      insight: err.message,
-      leadership_bullets: [],
-      dataQuality: {},
-      confidence: 0,
+  // Unauthenticated liveness check; deliberately reveals no board IDs
+  router.get("/health", (_req, res) => {
+    res.json({
+      status: "ok",
+      mondayConfigured: !!process.env.MONDAY_API_TOKEN,
+      openaiConfigured: !!process.env.OPENAI_API_KEY,
+      llmProvider: llmProvider?.name ?? providerConfigFromEnv().name,
+      authRequired: !isAuthDisabled(),
     });
-  }
-});
-
-router.get("/health", (_req, res) => {
-  res.json({
-    status: "ok",
-    mondayConfigured: !!process.env.MONDAY_API_TOKEN,
-    openaiConfigured: !!process.env.OPENAI_API_KEY,
-    dealsBoardId: process.env.DEALS_BOARD_ID || "not set",
-    workOrdersBoardId: process.env.WORK_ORDERS_BOARD_ID || "not set",
   });
-});
 
-export default router;
+  return router;
+}
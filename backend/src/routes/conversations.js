@@ -0,0 +1,55 @@
+/**
+ * Conversation history routes. Each user sees and manages only their own conversations.
+ */
+
+import { Router } from "express";
+import { requireAuth } from "../auth.js";
+
+// Wrap async handlers so failures become a 500 with the error message
+const handle = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    console.error("Conversation endpoint error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+const notFound = (res) => res.status(404).json({ error: "Conversation not found." });
+
+/** Routes over `conversations`, a service from createConversationService. */
+export function createConversationsRouter(conversations) {
+  const router = Router();
+  router.use(requireAuth);
+
+  router.get("/", handle(async (req, res) => {
+    res.json({ conversations: await conversations.listConversations(req.user.id) });
+  }));
+
+  router.get("/:id", handle(async (req, res) => {
+    const conversation = await conversations.getConversation(req.user.id, req.params.id);
+    if (!conversation) return notFound(res);
+    return res.json(conversation);
+  }));
+
+  router.patch("/:id", handle(async (req, res) => {
+    const result = await conversations.renameConversation(req.user.id, req.params.id, req.body?.title);
+    if (!result) return notFound(res);
+    if (result.error) return res.status(400).json({ error: result.error });
+    return res.json(result);
+  }));
+
+  router.delete("/:id", handle(async (req, res) => {
+    if (!(await conversations.deleteConversation(req.user.id, req.params.id))) return notFound(res);
+    return res.status(204).end();
+  }));
+
+  // Ask a past question again against current board data; responds with the new turn
+  router.post("/:id/turns/:turnId/replay", handle(async (req, res) => {
+    const result = await conversations.replayTurn(req.user.id, req.params.id, req.params.turnId, { mondayToken: req.user.mondayToken });
+    if (!result) return res.status(404).json({ error: "Turn not found." });
+    return res.json(result.turn);
+  }));
+
+  return router;
+}
@@ -0,0 +1,69 @@
+/**
+ * Digest schedule routes. Each user sees and manages only their own schedules.
+ */
+
+import { Router } from "express";
+import { requireAuth } from "../auth.js";
+import { createSchedule, updateSchedule, runSchedule, scheduleView } from "../digests/scheduler.js";
+import { getScheduleStore } from "../digests/store.js";
+
+const router = Router();
+router.use(requireAuth);
+
+// Load the caller's schedule into req.schedule, or 404 (also for other users' schedules)
+async function loadSchedule(req, res, next) {
+  try {
+    const schedule = await getScheduleStore().getSchedule(req.params.id);
+    if (!schedule || schedule.ownerId !== req.user.id) return res.status(404).json({ error: "Schedule not found." });
+    req.schedule = schedule;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// Wrap async handlers so failures become a 500 with the error message
+const handle = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    console.error("Schedule endpoint error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+router.get("/", handle(async (req, res) => {
+  const schedules = (await getScheduleStore().listSchedules()).filter((s) => s.ownerId === req.user.id);
+  res.json({ schedules: schedules.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).map(scheduleView) });
+}));
+
+router.post("/", handle(async (req, res) => {
+  const { error, schedule } = await createSchedule(req.body, { ownerId: req.user.id, mondayToken: req.user.mondayToken });
+  if (error) return res.status(400).json({ error });
+  return res.status(201).json(scheduleView(schedule));
+}));
+
+router.get("/:id", loadSchedule, (req, res) => res.json(scheduleView(req.schedule)));
+
+router.patch("/:id", loadSchedule, handle(async (req, res) => {
+  const { error, schedule } = await updateSchedule(req.schedule, req.body, { mondayToken: req.user.mondayToken });
+  if (error) return res.status(400).json({ error });
+  return res.json(scheduleView(schedule));
+}));
+
+router.delete("/:id", loadSchedule, handle(async (req, res) => {
+  await getScheduleStore().deleteSchedule(req.schedule.id);
+  res.status(204).end();
+}));
+
+// Run now, outside the schedule; responds once the digest has been delivered
+router.post("/:id/run", loadSchedule, handle(async (req, res) => {
+  res.json(await runSchedule(req.schedule, { trigger: "manual" }));
+}));
+
+router.get("/:id/runs", loadSchedule, handle(async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  res.json({ runs: await getScheduleStore().listRuns({ scheduleId: req.schedule.id, limit }) });
+}));
+
+export default router;
@@ -0,0 +1,28 @@
+/**
+ * Inbound webhooks. Authenticated by a shared secret in the URL rather than an API key,
+ * since Monday.com cannot send our Authorization header.
+ */
+
+import { Router } from "express";
+import { verifyWebhookSecret, handleMondayEvent } from "../mondayWebhooks.js";
+
+const router = Router();
+
+// Monday.com item events; also answers the challenge Monday sends when a subscription is created
+router.post("/monday", async (req, res) => {
+  const secretError = verifyWebhookSecret(req.query.secret);
+  if (secretError) return res.status(401).json({ error: secretError });
+
+  const body = req.body || {};
+  if (body.challenge) return res.json({ challenge: body.challenge });
+  if (!body.event) return res.status(400).json({ error: "Expected a challenge or an event." });
+
+  try {
+    return res.json({ status: "ok", ...(await handleMondayEvent(body.event)) });
+  } catch (err) {
+    console.error("Monday webhook error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
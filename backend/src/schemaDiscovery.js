@@ -0,0 +1,165 @@
+/**
+ * Board schema discovery and persisted column mapping.
+ * Introspects each board's columns once, proposes a mapping of semantic fields
+ * (dealValue, stage, closeDate, ...) to column IDs, and saves it to a JSON config
+ * that admins can review and override.
+ */
+
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_MAPPING_PATH = resolve(dirname(fileURLToPath(import.meta.url)), "../config/column-mapping.json");
+
+export const NUMERIC_TYPES = ["numbers", "numeric"];
+const DATE_TYPES = ["date", "timeline"];
+const LABEL_TYPES = ["status", "color", "dropdown"];
+const TEXT_TYPES = ["text", "long_text"];
+
+// ── Semantic Fields ─────────────────────────────────────────────────
+// Candidates are ordered by preference; exact title matches beat substring matches.
+export const SEMANTIC_FIELDS = {
+  deals: {
+    dealValue: { candidates: ["masked deal value", "deal value", "value", "amount", "deal_value", "price", "revenue"], types: NUMERIC_TYPES },
+    stage: { candidates: ["deal stage", "stage", "deal_stage"], types: LABEL_TYPES },
+    status: { candidates: ["deal status", "status"], types: LABEL_TYPES },
+    sector: { candidates: ["sector/service", "sector", "industry", "vertical"], types: LABEL_TYPES },
+    closeDate: { candidates: ["tentative close date", "close date (a)", "close date", "closing date", "expected close", "close_date"], types: DATE_TYPES },
+    probability: { candidates: ["closure probability", "probability", "win probability"], types: [...LABEL_TYPES, ...NUMERIC_TYPES] },
+    createdDate: { candidates: ["created date", "created"], types: [...DATE_TYPES, "creation_log"] },
+    client: { candidates: ["client code", "client name", "client", "customer", "account"], types: [...LABEL_TYPES, ...TEXT_TYPES] },
+    owner: { candidates: ["owner code", "deal owner", "owner", "sales owner", "account manager"], types: [...LABEL_TYPES, ...TEXT_TYPES, "people"] },
+  },
+  workOrders: {
+    executionStatus: { candidates: ["execution status", "status", "state", "work order status"], types: LABEL_TYPES },
+    woStatus: { candidates: ["wo status", "wo status (billed)", "billing status"], types: LABEL_TYPES },
+    startDate: { candidates: ["probable start date", "start date", "start", "start_date"], types: DATE_TYPES },
+    endDate: { candidates: ["probable end date", "end date", "completion date", "due date", "end_date"], types: DATE_TYPES },
+    amount: { candidates: ["amount in rupees", "amount", "value"], types: NUMERIC_TYPES },
+    billed: { candidates: ["billed value", "billed"], types: NUMERIC_TYPES },
+    collected: { candidates: ["collected amount", "collected"], types: NUMERIC_TYPES },
+    receivable: { candidates: ["amount receivable", "receivable", "outstanding amount", "outstanding"], types: NUMERIC_TYPES },
+    invoiceDate: { candidates: ["last invoice date", "invoice date", "billing date", "billed date"], types: DATE_TYPES },
+    sector: { candidates: ["sector", "industry"], types: LABEL_TYPES },
+    natureOfWork: { candidates: ["nature of work", "type of work", "work type"], types: LABEL_TYPES },
+    client: { candidates: ["customer name code", "customer name", "customer", "client code", "client"], types: [...LABEL_TYPES, ...TEXT_TYPES] },
+    owner: { candidates: ["bd/kam personnel code", "bd/kam personnel", "project manager", "owner", "assigned to"], types: [...LABEL_TYPES, ...TEXT_TYPES, "people"] },
+  },
+};
+
+// ── Discovery ───────────────────────────────────────────────────────
+function scoreColumn(col, def) {
+  const title = (col.title || "").toLowerCase();
+  let score = 0;
+  def.candidates.forEach((c, i) => {
+    if (title === c) score = Math.max(score, 100 - i);
+    else if (title.includes(c)) score = Math.max(score, 50 - i);
+  });
+  if (!score) return 0;
+  if (def.types.includes(col.type)) score += 10;
+  else if (col.type && !TEXT_TYPES.includes(col.type)) score -= 30;
+  return Math.max(score, 0);
+}
+
+/**
+ * Propose a field → column mapping for a board. Each column is assigned to at most
+ * one field, highest-scoring pairs first, so a generic "value" candidate cannot steal
+ * a column that a more specific field matches better.
+ */
+export function discoverSchema(board, boardType) {
+  const fields = SEMANTIC_FIELDS[boardType];
+  if (!fields) throw new Error(`Unknown board type "${boardType}"`);
+
+  const pairs = [];
+  for (const [field, def] of Object.entries(fields)) {
+    for (const col of board.columns || []) {
+      const score = scoreColumn(col, def);
+      if (score > 0) pairs.push({ field, col, score });
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score);
+
+  const proposed = Object.fromEntries(Object.keys(fields).map((f) => [f, null]));
+  const usedCols = new Set();
+  for (const { field, col, score } of pairs) {
+    if (proposed[field] || usedCols.has(col.id)) continue;
+    proposed[field] = { columnId: col.id, title: col.title, type: col.type, score };
+    usedCols.add(col.id);
+  }
+  return proposed;
+}
+
+// ── Persistence ─────────────────────────────────────────────────────
+export function getMappingPath() {
+  return process.env.COLUMN_MAPPING_PATH || DEFAULT_MAPPING_PATH;
+}
+
+export async function loadMappingConfig(path = getMappingPath()) {
+  try {
+    const config = JSON.parse(await readFile(path, "utf-8"));
+    return { boards: {}, ...config };
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read column mapping at ${path}: ${err.message}`);
+    return { boards: {} };
+  }
+}
+
+export async function saveMappingConfig(config, path = getMappingPath()) {
+  try {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(config, null, 2) + "\n");
+    return true;
+  } catch (err) {
+    console.warn(`Could not save column mapping to ${path}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Run discovery for a board and store the proposal, keeping any admin overrides.
+ */
+export async function refreshBoardMapping(board, boardType, path = getMappingPath()) {
+  const config = await loadMappingConfig(path);
+  const previous = config.boards[board.id];
+  config.boards[board.id] = {
+    boardType,
+    boardName: board.name,
+    discoveredAt: new Date().toISOString(),
+    proposed: discoverSchema(board, boardType),
+    overrides: previous?.overrides || {},
+    locale: previous?.locale ?? null,
+  };
+  await saveMappingConfig(config, path);
+  return config.boards[board.id];
+}
+
+/**
+ * Resolve semantic fields to the current column titles (rows are keyed by title).
+ * Discovers and persists a mapping the first time a board is seen. Overrides take
+ * precedence over proposals; a mapped column that no longer exists is reported and
+ * left unmapped so callers fall back to heuristics. Also returns the board's date
+ * `locale` override, if an admin set one.
+ */
+export async function resolveColumnMapping(board, boardType, path = getMappingPath()) {
+  const config = await loadMappingConfig(path);
+  const entry = config.boards[board.id] || (await refreshBoardMapping(board, boardType, path));
+
+  const titlesById = Object.fromEntries((board.columns || []).map((c) => [c.id, c.title]));
+  const columns = {};
+  const warnings = [];
+  for (const field of Object.keys(SEMANTIC_FIELDS[boardType])) {
+    const overridden = Object.prototype.hasOwnProperty.call(entry.overrides || {}, field);
+    const columnId = overridden ? entry.overrides[field] : entry.proposed?.[field]?.columnId;
+    if (!columnId) {
+      columns[field] = null;
+      continue;
+    }
+    if (!titlesById[columnId]) {
+      warnings.push(`Mapped column "${columnId}" for ${field} no longer exists on board "${board.name}" — using name heuristics.`);
+      columns[field] = null;
+      continue;
+    }
+    columns[field] = titlesById[columnId];
+  }
+  return { columns, warnings, locale: entry.locale || null };
+}
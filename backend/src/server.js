@@ -3,20 +3,20 @@
  */
 
 import "dotenv/config";
-import express from "express";
-import cors from "cors";
-import apiRouter from "./routes/api.js";
+import { createApp } from "./app.js";
+import { startSnapshotJob } from "./snapshotJob.js";
+import { startScheduler } from "./digests/scheduler.js";
+import { startAlertJob } from "./alerts/engine.js";
 
-const app = express();
 const PORT = process.env.PORT || 3000;
-
-app.use(cors());
-app.use(express.json());
-app.use("/api", apiRouter);
+const app = createApp();
 
 app.listen(PORT, () => {
   console.log(`Skylark BI Agent backend running on http://localhost:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  startSnapshotJob();
+  startScheduler();
+  startAlertJob();
 });
 
 export default app;
@@ -0,0 +1,37 @@
+/**
+ * Scheduled snapshot job.
+ * Periodically runs a full executePlan over both boards and stores the metrics,
+ * so trends have history even when nobody is asking questions.
+ */
+
+import { executePlan } from "./queryEngine.js";
+import { recordSnapshot } from "./snapshots.js";
+import { EMPTY_FILTERS } from "./filters.js";
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Both boards, no filters: the plan scheduled jobs run to get every board-level metric
+export const FULL_PLAN = {
+  intent: "leadership_brief",
+  filters: EMPTY_FILTERS,
+  data_sources: ["all"],
+  clarifying_questions: [],
+};
+
+export async function takeSnapshot() {
+  const results = await executePlan(FULL_PLAN, { snapshotSource: false });
+  if (results.error) throw new Error(results.error);
+  return recordSnapshot(results, { source: "scheduled", minIntervalMs: 0 });
+}
+
+/**
+ * Start the snapshot timer. SNAPSHOT_INTERVAL_MS sets the period (default 24h; 0 disables).
+ * Returns a stop function.
+ */
+export function startSnapshotJob({ intervalMs = Number(process.env.SNAPSHOT_INTERVAL_MS ?? DEFAULT_INTERVAL_MS) } = {}) {
+  if (!(intervalMs > 0)) return () => {};
+  const run = () => takeSnapshot().catch((err) => console.error("Snapshot job error:", err.message));
+  const timer = setInterval(run, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,150 @@
+/**
+ * Historical metric snapshots and period-over-period trends.
+ * executePlan results are appended to a local JSONL file; trends compare the
+ * current metrics against the snapshots closest to one week and one month ago.
+ */
+
+import { readFile, appendFile, mkdir } from "fs/promises";
+import { dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { currentTime } from "./appContext.js";
+
+const DEFAULT_SNAPSHOT_PATH = resolve(dirname(fileURLToPath(import.meta.url)), "../data/snapshots.jsonl");
+const DEFAULT_MIN_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 86400000;
+
+// Metrics worth tracking over time, as [path, label]
+export const TREND_METRICS = [
+  ["deals.totalPipeline", "Pipeline value"],
+  ["deals.dealCount", "Deal count"],
+  ["deals.closeRate", "Close rate"],
+  ["deals.avgDealSize", "Average deal size"],
+  ["workOrders.open", "Open work orders"],
+  ["workOrders.overdue", "Overdue work orders"],
+  ["workOrders.completionPct", "Work order completion"],
+  ["workOrders.totalBilled", "Total billed"],
+  ["workOrders.collectionRate", "Collection rate"],
+  ["crossBoard.linkedWorkOrders", "Linked work orders"],
+];
+
+const PERIODS = { weekOverWeek: 7, monthOverMonth: 30 };
+
+// ── Store ───────────────────────────────────────────────────────────
+export function createJsonlSnapshotStore({ path = process.env.SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH } = {}) {
+  return {
+    async append(snapshot) {
+      await mkdir(dirname(path), { recursive: true });
+      await appendFile(path, JSON.stringify(snapshot) + "\n");
+    },
+    async list({ since } = {}) {
+      let text;
+      try {
+        text = await readFile(path, "utf-8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const snapshots = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const snap = JSON.parse(line);
+          if (!since || snap.takenAt >= since) snapshots.push(snap);
+        } catch { /* skip a torn line rather than losing the whole history */ }
+      }
+      return snapshots.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    },
+  };
+}
+
+let store;
+export function getSnapshotStore() {
+  if (!store) store = createJsonlSnapshotStore();
+  return store;
+}
+
+export function setSnapshotStore(newStore) {
+  store = newStore;
+}
+
+// ── Recording ───────────────────────────────────────────────────────
+function pickMetrics(metrics) {
+  const picked = {};
+  for (const key of ["deals", "workOrders", "crossBoard"]) {
+    if (metrics?.[key]) picked[key] = metrics[key];
+  }
+  return picked;
+}
+
+/**
+ * Save the deals/workOrders/crossBoard metrics of an executePlan result.
+ * Skipped when a snapshot with the same sections was taken within `minIntervalMs`,
+ * so a burst of chat questions does not flood the history.
+ */
+export async function recordSnapshot(results, { source = "chat", now = new Date(currentTime()), minIntervalMs, snapshotStore = getSnapshotStore() } = {}) {
+  const metrics = pickMetrics(results.metrics);
+  const sections = Object.keys(metrics).sort();
+  if (!sections.length) return null;
+
+  const interval = minIntervalMs ?? (Number(process.env.SNAPSHOT_MIN_INTERVAL_MS) || DEFAULT_MIN_INTERVAL_MS);
+  if (interval > 0) {
+    const recent = await snapshotStore.list({ since: new Date(now.getTime() - interval).toISOString() });
+    if (recent.some((s) => Object.keys(s.metrics).sort().join() === sections.join())) return null;
+  }
+
+  const snapshot = { takenAt: now.toISOString(), source, metrics };
+  await snapshotStore.append(snapshot);
+  return snapshot;
+}
+
+// ── Trends ──────────────────────────────────────────────────────────
+export function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Latest snapshot taken at or before `cutoff` that has a value for `path`
+export function baselineFor(snapshots, path, cutoff) {
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    const snap = snapshots[i];
+    if (snap.takenAt > cutoff) continue;
+    const value = getPath(snap.metrics, path);
+    if (typeof value === "number") return { value, takenAt: snap.takenAt };
+  }
+  return null;
+}
+
+/**
+ * Week-over-week and month-over-month deltas for TREND_METRICS, comparing the
+ * current metrics with the snapshots closest to 7 and 30 days ago.
+ */
+export function computeTrends(currentMetrics, snapshots, { now = new Date(currentTime()) } = {}) {
+  const trends = {};
+  for (const [path, label] of TREND_METRICS) {
+    const current = getPath(currentMetrics, path);
+    if (typeof current !== "number") continue;
+
+    const entry = { label, current };
+    for (const [period, days] of Object.entries(PERIODS)) {
+      const baseline = baselineFor(snapshots, path, new Date(now.getTime() - days * DAY_MS).toISOString());
+      if (!baseline) continue;
+      const delta = current - baseline.value;
+      entry[period] = {
+        previous: baseline.value,
+        since: baseline.takenAt,
+        delta,
+        pctChange: baseline.value ? delta / Math.abs(baseline.value) : null,
+      };
+    }
+    if (entry.weekOverWeek || entry.monthOverMonth) trends[path] = entry;
+  }
+  return trends;
+}
+
+/**
+ * Trends for an executePlan result against the stored history.
+ */
+export async function trendsFor(metrics, { now = new Date(currentTime()), snapshotStore = getSnapshotStore() } = {}) {
+  const since = new Date(now.getTime() - (PERIODS.monthOverMonth + 14) * DAY_MS).toISOString();
+  const snapshots = await snapshotStore.list({ since });
+  return computeTrends(metrics, snapshots, { now });
+}
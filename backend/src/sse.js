@@ -0,0 +1,31 @@
+/**
+ * Minimal Server-Sent Events helpers.
+ */
+
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  let closed = false;
+  res.on("close", () => { closed = true; });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
+      closed = true;
+    },
+    get closed() {
+      return closed;
+    },
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Jest tests for alert rules, deduplication and webhook delivery.
+ */
+
+import { jest } from "@jest/globals";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { validateRule, evaluateRule, evaluateRules, loadAlertConfig } from "../alerts/rules.js";
+import { planNotifications, runAlertCheck, createMemoryAlertStateStore } from "../alerts/engine.js";
+import { createMockWebhookServer } from "../mock/sinkMockServers.js";
+
+const NOW = new Date("2026-03-09T06:00:00Z");
+const HOUR = 3600000;
+
+const metrics = {
+  deals: { closeRate: 0.25, sectorBreakdown: { Mining: { count: 4, value: 7_000_000 } } },
+  workOrders: { overdue: 7, collectionRate: 0.72 },
+};
+
+const overdue = { id: "overdue", name: "Overdue work orders", metric: "workOrders.overdue", op: ">", value: 5, severity: "critical" };
+const collection = { id: "collection", metric: "workOrders.collectionRate", op: "<", value: 0.6 };
+const miningDrop = { id: "mining-drop", metric: "deals.sectorBreakdown.Mining.value", change: { days: 7 }, op: "<=", value: -0.2 };
+
+const snapshots = [
+  { takenAt: "2026-03-01T06:00:00.000Z", metrics: { deals: { sectorBreakdown: { Mining: { value: 10_000_000 } } } } },
+  { takenAt: "2026-03-08T06:00:00.000Z", metrics: { deals: { sectorBreakdown: { Mining: { value: 7_200_000 } } } } },
+];
+
+const webhooks = createMockWebhookServer();
+let hookUrl;
+beforeAll(async () => { hookUrl = await webhooks.listen(); });
+afterAll(() => webhooks.close());
+beforeEach(() => webhooks.reset());
+
+describe("rules", () => {
+  test("validates rule definitions", () => {
+    expect(validateRule(overdue)).toBeNull();
+    expect(validateRule(miningDrop)).toBeNull();
+    expect(validateRule({ ...overdue, op: "~" })).toMatch(/unknown operator/);
+    expect(validateRule({ ...overdue, value: "5" })).toMatch(/numeric/);
+    expect(validateRule({ ...miningDrop, change: { days: 0 } })).toMatch(/change.days/);
+    expect(validateRule({ ...overdue, id: "has space" })).toMatch(/id/);
+  });
+
+  test("compares a metric against its threshold", () => {
+    expect(evaluateRule(overdue, metrics)).toMatchObject({ status: "firing", value: 7, message: "Overdue work orders: workOrders.overdue is 7 (alert when > 5)" });
+    expect(evaluateRule(collection, metrics)).toMatchObject({ status: "ok", value: 0.72 });
+    expect(evaluateRule({ ...overdue, metric: "workOrders.missing" }, metrics).status).toBe("no_data");
+  });
+
+  test("compares the change since the snapshot closest to the period", () => {
+    const result = evaluateRule(miningDrop, metrics, { snapshots, now: NOW });
+    expect(result).toMatchObject({ status: "firing", baseline: 10_000_000, current: 7_000_000 });
+    expect(result.value).toBeCloseTo(-0.3);
+    expect(result.message).toMatch(/changed -30% over 7 days \(from 10,000,000/);
+    expect(evaluateRule(miningDrop, metrics, { snapshots: [], now: NOW }).status).toBe("no_data");
+  });
+
+  test("fills message templates and skips disabled rules", () => {
+    const rule = { ...overdue, message: "{value} overdue (limit {threshold}) {unknown}" };
+    expect(evaluateRule(rule, metrics).message).toBe("7 overdue (limit 5) {unknown}");
+    expect(evaluateRules([overdue, { ...collection, enabled: false }], metrics).map((e) => e.ruleId)).toEqual(["overdue"]);
+  });
+
+  test("loads rules from JSON, skipping invalid ones", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "skylark-alerts-"));
+    const path = join(dir, "rules.json");
+    writeFileSync(path, JSON.stringify({
+      destinations: [{ type: "slack", url: "https://hooks.slack.test/x" }, { type: "email", to: "a@b.test" }],
+      rules: [overdue, { id: "broken", metric: "x", op: "?", value: 1 }, overdue],
+    }));
+    process.env.ALERT_WEBHOOK_URL = "https://alerts.example.test/hook";
+    try {
+      const config = await loadAlertConfig(path);
+      expect(config.rules.map((r) => r.id)).toEqual(["overdue"]);
+      expect(config.destinations.map((d) => d.type)).toEqual(["slack", "webhook"]);
+      expect(config.warnings).toHaveLength(3);
+    } finally {
+      delete process.env.ALERT_WEBHOOK_URL;
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("the shipped rule file is valid", async () => {
+    const { rules, warnings } = await loadAlertConfig();
+    expect(warnings).toEqual([]);
+    expect(rules.length).toBeGreaterThan(0);
+  });
+});
+
+describe("planNotifications", () => {
+  const rules = [overdue];
+  const firing = [{ ruleId: "overdue", status: "firing", value: 7 }];
+  const ok = [{ ruleId: "overdue", status: "ok", value: 2 }];
+
+  test("notifies once, repeats after the cooldown and reports resolution", () => {
+    const first = planNotifications(firing, rules, {}, { now: NOW });
+    expect(first.notifications.map((n) => n.kind)).toEqual(["firing"]);
+
+    const again = planNotifications(firing, rules, first.state, { now: new Date(NOW.getTime() + HOUR) });
+    expect(again.notifications).toEqual([]);
+    expect(again.state.overdue.since).toBe(NOW.toISOString());
+
+    const later = planNotifications(firing, rules, again.state, { now: new Date(NOW.getTime() + 25 * HOUR) });
+    expect(later.notifications.map((n) => n.kind)).toEqual(["firing"]);
+
+    const resolved = planNotifications(ok, rules, later.state, { now: new Date(NOW.getTime() + 26 * HOUR) });
+    expect(resolved.notifications.map((n) => n.kind)).toEqual(["resolved"]);
+    expect(planNotifications(ok, rules, resolved.state).notifications).toEqual([]);
+  });
+
+  test("keeps firing alerts open when data is missing", () => {
+    const { state } = planNotifications(firing, rules, {}, { now: NOW });
+    const result = planNotifications([{ ruleId: "overdue", status: "no_data", value: null }], rules, state);
+    expect(result.notifications).toEqual([]);
+    expect(result.state.overdue.status).toBe("firing");
+  });
+});
+
+describe("runAlertCheck", () => {
+  // The mock receiver listens on a local address, which only an allowlist admits
+  beforeAll(() => { process.env.DIGEST_SINK_HOSTS = "127.0.0.1"; });
+  afterAll(() => { delete process.env.DIGEST_SINK_HOSTS; });
+  const config = () => ({ rules: [overdue, collection], destinations: [{ type: "webhook", url: `${hookUrl}/alerts`, secret: "s" }, { type: "slack", url: `${hookUrl}/slack` }], warnings: [] });
+
+  test("posts firing alerts to every destination without repeating them", async () => {
+    const store = createMemoryAlertStateStore();
+    const result = await runAlertCheck({ metrics, config: config(), store, now: NOW });
+    expect(result.notifications).toEqual([{ kind: "firing", ruleId: "overdue", deliveries: [expect.objectContaining({ status: "sent" }), expect.objectContaining({ status: "sent" })] }]);
+
+    const [hook, slack] = webhooks.requests;
+    expect(hook.body).toMatchObject({ event: "alert.firing", alert: { ruleId: "overdue", severity: "critical", value: 7, threshold: 5 } });
+    expect(hook.headers["x-skylark-signature"]).toMatch(/^sha256=/);
+    expect(slack.body.text).toBe(":rotating_light: [CRITICAL] Overdue work orders: workOrders.overdue is 7 (alert when > 5)");
+
+    const second = await runAlertCheck({ metrics, config: config(), store, now: new Date(NOW.getTime() + HOUR) });
+    expect(second.notifications).toEqual([]);
+    expect(webhooks.requests).toHaveLength(2);
+  });
+
+  test("retries on the next check when every destination failed", async () => {
+    const store = createMemoryAlertStateStore();
+    webhooks.failNext({ times: 2 });
+    const failed = await runAlertCheck({ metrics, config: config(), store, now: NOW });
+    expect(failed.notifications[0].deliveries.every((d) => d.status === "failed")).toBe(true);
+    expect(await store.load()).not.toHaveProperty("overdue");
+
+    const retried = await runAlertCheck({ metrics, config: config(), store, now: new Date(NOW.getTime() + HOUR) });
+    expect(retried.notifications[0].deliveries.every((d) => d.status === "sent")).toBe(true);
+  });
+
+  test("refuses destinations whose host resolves to a private address", async () => {
+    const allowed = process.env.DIGEST_SINK_HOSTS;
+    delete process.env.DIGEST_SINK_HOSTS;
+    try {
+      const lookup = jest.fn(async () => [{ address: "10.0.0.7", family: 4 }]);
+      const destinations = [{ type: "webhook", url: "https://rebind.example.com/alerts" }];
+      const result = await runAlertCheck({ metrics, config: { ...config(), destinations }, store: createMemoryAlertStateStore(), now: NOW, lookup });
+      expect(lookup).toHaveBeenCalledWith("rebind.example.com", { all: true });
+      expect(result.notifications[0].deliveries).toEqual([expect.objectContaining({ status: "failed", error: expect.stringMatching(/private address/) })]);
+    } finally {
+      process.env.DIGEST_SINK_HOSTS = allowed;
+    }
+  });
+
+  test("dry runs neither send nor save", async () => {
+    const store = createMemoryAlertStateStore();
+    const result = await runAlertCheck({ metrics, config: config(), store, now: NOW, dryRun: true });
+    expect(result.notifications.map((n) => n.ruleId)).toEqual(["overdue"]);
+    expect(webhooks.requests).toEqual([]);
+    expect(await store.load()).toEqual({});
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Jest tests for the analysis agent loop, driven by a scripted stub provider.
+ */
+
+import { jest } from "@jest/globals";
+import { runAnalysis } from "../analysisAgent.js";
+import { setLlmProvider } from "../llm/index.js";
+import { createStubProvider } from "../llm/stub.js";
+
+const datasets = {
+  deals: {
+    rows: [
+      { ID: "1", Name: "A", "Deal Value": 500, "Owner code": "OWNER_1", "Client Code": "C1" },
+      { ID: "2", Name: "B", "Deal Value": 300, "Owner code": "OWNER_2", "Client Code": "C2" },
+      { ID: "3", Name: "C", "Deal Value": 400, "Owner code": "OWNER_1", "Client Code": "C1" },
+    ],
+    fields: { dealValue: "Deal Value", owner: "Owner code", client: "Client Code", stage: null },
+  },
+};
+
+const callStep = (tool, args) => ({ thought: `call ${tool}`, action: "call_tool", tool, arguments: typeof args === "string" ? args : JSON.stringify(args), summary: null, insight: null, leadership_bullets: [], result: null });
+const answerStep = (result) => ({ thought: "done", action: "final_answer", tool: null, arguments: null, summary: "OWNER_1 leads with 900.", insight: "Summed deal value per owner.", leadership_bullets: ["Owners: OWNER_1 900"], result });
+
+// Replies with the scripted steps in order and records what the model was shown
+function script(steps) {
+  const requests = [];
+  setLlmProvider(createStubProvider({
+    respond: (request) => {
+      requests.push(request.messages.map((m) => m.content));
+      return steps.shift() ?? null;
+    },
+  }));
+  return requests;
+}
+
+afterEach(() => {
+  setLlmProvider(null);
+  jest.restoreAllMocks();
+});
+
+describe("runAnalysis", () => {
+  test("runs tool calls until the final answer and records each one", async () => {
+    const requests = script([
+      callStep("group_by", { source: "deals", by: ["Owner code"], aggregates: [{ fn: "sum", column: "Deal Value", as: "Value" }] }),
+      callStep("top_n", { source: "r1", by: "Value", n: 1, direction: "desc" }),
+      answerStep("r2"),
+    ]);
+    const onStep = jest.fn();
+    const result = await runAnalysis("Which owner has the most deal value?", datasets, { onStep });
+
+    expect(result).toMatchObject({ summary: "OWNER_1 leads with 900.", leadership_bullets: ["Owners: OWNER_1 900"], rows: [{ "Owner code": "OWNER_1", Value: 900 }] });
+    expect(result.trace).toMatchObject({ maxSteps: 6, stoppedBy: "answer" });
+    expect(result.trace.steps.map((s) => [s.step, s.tool, s.result.result, s.result.rowCount])).toEqual([[1, "group_by", "r1", 2], [2, "top_n", "r2", 1]]);
+    expect(onStep).toHaveBeenCalledTimes(2);
+    expect(requests[1].at(-1)).toMatch(/^group_by returned: \{"result":"r1","rowCount":2/);
+  });
+
+  test("reports tool errors back to the model so it can correct the call", async () => {
+    const requests = script([
+      callStep("sort_rows", { source: "deals", by: "Value", direction: "desc" }),
+      callStep("sort_rows", "{broken"),
+      callStep("sort_rows", { source: "deals", by: "Deal Value", direction: "desc" }),
+      answerStep(null),
+    ]);
+    const { trace, rows } = await runAnalysis("Biggest deals", datasets);
+    expect(trace.steps.map((s) => s.error ?? "ok")).toEqual([
+      expect.stringMatching(/^Unknown column "Value"/),
+      expect.stringMatching(/expected object, got string/),
+      "ok",
+    ]);
+    expect(requests[1].at(-1)).toMatch(/^sort_rows returned: \{"error":"Unknown column/);
+    // No result named in the answer: the last successful one is shown
+    expect(rows.map((r) => r.ID)).toEqual(["1", "3", "2"]);
+  });
+
+  test("stops at the step cap and keeps the last result", async () => {
+    const describe = callStep("describe_columns", { source: "deals" });
+    const requests = script([describe, describe, describe, describe]);
+    const { trace, rows, summary } = await runAnalysis("Loop forever", datasets, { maxSteps: 3 });
+    expect(trace).toMatchObject({ maxSteps: 3, stoppedBy: "max_steps" });
+    expect(trace.steps).toHaveLength(2);
+    expect(requests).toHaveLength(3);
+    expect(requests[2].at(-1)).toBe("This is your last step: give your final answer now.");
+    expect(summary).toMatch(/^Stopped after 3 steps without a final answer/);
+    expect(rows.map((r) => r.column)).toContain("Deal Value");
+  });
+
+  test("falls back to keyword planning without a model", async () => {
+    setLlmProvider(createStubProvider());
+    const { trace, rows, leadership_bullets } = await runAnalysis("Top 1 owner by deal value?", datasets);
+    expect(trace.stoppedBy).toBe("fallback");
+    expect(trace.steps.map((s) => s.tool)).toEqual(["describe_columns", "group_by", "top_n"]);
+    expect(rows).toEqual([{ "Owner code": "OWNER_1", "Total Deal Value": 900, Items: 2 }]);
+    expect(leadership_bullets[1]).toBe("Method: grouped 3 deals by Owner code, summing Deal Value.");
+
+    const unplanned = await runAnalysis("What is interesting here?", datasets);
+    expect(unplanned.summary).toMatch(/could not be turned into an analysis/);
+    expect(unplanned.trace.steps.map((s) => s.tool)).toEqual(["describe_columns"]);
+  });
+
+  test("keeps the trace when the model fails mid-way", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    script([callStep("describe_columns", { source: "deals" }), "not json"]);
+    const { trace } = await runAnalysis("Anything", datasets);
+    expect(trace).toMatchObject({ stoppedBy: "error" });
+    expect(trace.steps).toHaveLength(1);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Jest tests for the analysis agent's sandboxed tools.
+ */
+
+import { analysisRows, createToolSession } from "../analysisTools.js";
+import { createConverter } from "../currency.js";
+
+const rows = [
+  { ID: "1", Name: "Stockpile", Client: "ACME", Sector: "Mining", Billed: 300, End: "2025-01-15" },
+  { ID: "2", Name: "Volumetrics", Client: "acme", Sector: "Mining", Billed: 200, End: "2025-03-31" },
+  { ID: "3", Name: "Corridor", Client: "Grid Co", Sector: "Powerline", Billed: null, End: "" },
+  { ID: "4", Name: "Tunnel", Client: "Bore Ltd", Sector: "Construction", Billed: 450, End: "2024-12-01" },
+  { ID: "5", Name: "Thermal", Client: "", Sector: "Powerline", Billed: 0, End: "2024-11-30" },
+];
+
+let session;
+beforeEach(() => {
+  session = createToolSession({ work_orders: rows });
+});
+
+describe("analysisRows", () => {
+  test("keeps ID, name and columns, converting money to the reporting currency", () => {
+    const converter = createConverter({ reportingCurrency: "INR", rates: { INR: 1, USD: 83 } });
+    const converted = analysisRows([{ _id: "9", _name: "Deal", _relations: {}, Value: 10, Value_currency: "USD", Stage: "Won" }], converter);
+    expect(converted).toEqual([{ ID: "9", Name: "Deal", Value: 830, Stage: "Won" }]);
+  });
+});
+
+describe("tools", () => {
+  test("describe_columns reports type, fill and range", () => {
+    const { rows: columns } = session.call("describe_columns", { source: "work_orders" });
+    expect(columns.find((c) => c.column === "Billed")).toEqual({ column: "Billed", type: "number", filled: 4, distinct: 4, min: 0, max: 450, examples: [] });
+    expect(columns.find((c) => c.column === "End")).toMatchObject({ type: "date", filled: 4, min: "2024-11-30", max: "2025-03-31" });
+    expect(columns.find((c) => c.column === "Sector")).toMatchObject({ type: "text", distinct: 3, examples: ["Mining", "Powerline", "Construction"] });
+  });
+
+  test("filter_rows combines conditions and ignores case", () => {
+    const mining = session.call("filter_rows", { source: "work_orders", conditions: [{ column: "Client", op: "eq", value: "ACME" }, { column: "Billed", op: "gt", value: 250 }] });
+    expect(mining.rows.map((r) => r.ID)).toEqual(["1"]);
+    const recent = session.call("filter_rows", { source: "work_orders", conditions: [{ column: "End", op: "gte", value: "2025-01-01" }] });
+    expect(recent.rows.map((r) => r.ID)).toEqual(["1", "2"]);
+    const others = session.call("filter_rows", { source: "work_orders", conditions: [{ column: "Sector", op: "in", value: ["powerline", "construction"] }, { column: "Client", op: "not_empty", value: null }] });
+    expect(others.rows.map((r) => r.ID)).toEqual(["3", "4"]);
+  });
+
+  test("group_by aggregates per group and results chain into later calls", () => {
+    const grouped = session.call("group_by", {
+      source: "work_orders",
+      by: ["Client"],
+      aggregates: [{ fn: "sum", column: "Billed", as: "Billed" }, { fn: "count", column: null, as: null }],
+    });
+    expect(grouped).toMatchObject({ result: "r1", rowCount: 4, columns: ["Client", "Billed", "count"] });
+    expect(grouped.rows[0]).toEqual({ Client: "ACME", Billed: 500, count: 2 });
+    expect(grouped.rows.find((r) => r.Client === "Grid Co").Billed).toBeNull();
+
+    const top = session.call("top_n", { source: "r1", by: "Billed", n: 2, direction: "desc" });
+    expect(top.rows.map((r) => r.Client)).toEqual(["ACME", "Bore Ltd"]);
+    const sorted = session.call("sort_rows", { source: "r1", by: "Billed", direction: "asc" });
+    expect(sorted.rows.map((r) => r.Billed)).toEqual([0, 450, 500, null]);
+  });
+
+  test("aggregate returns one row", () => {
+    const { rows: [totals] } = session.call("aggregate", {
+      source: "work_orders",
+      aggregates: [{ fn: "avg", column: "Billed", as: "avg" }, { fn: "count_distinct", column: "Client", as: "clients" }, { fn: "max", column: "End", as: null }],
+    });
+    expect(totals).toEqual({ avg: 237.5, clients: 3, "max of End": "2025-03-31" });
+  });
+
+  test("rejects unknown tools, sources, columns and malformed arguments with a readable reason", () => {
+    expect(() => session.call("run_sql", {})).toThrow(/Unknown tool "run_sql"/);
+    expect(() => session.call("describe_columns", { source: "payroll" })).toThrow(/Unknown source "payroll". Available: work_orders/);
+    expect(() => session.call("sort_rows", { source: "work_orders", by: "Revenue", direction: "desc" })).toThrow(/Unknown column "Revenue". Columns: ID, Name/);
+    expect(() => session.call("top_n", { source: "work_orders", by: "Billed", n: 2.5, direction: "desc" })).toThrow(/Invalid arguments for top_n: \$.n: expected integer/);
+    expect(() => session.call("aggregate", { source: "work_orders", aggregates: [{ fn: "sum", column: "Sector", as: null }] })).toThrow(/sum needs a numeric column/);
+    expect(() => session.call("group_by", "{not json")).toThrow(/expected object, got string/);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Jest tests for createApp: apps built with a fake Monday client, LLM provider, stores
+ * and clock, side by side in one process.
+ */
+
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createApp } from "../app.js";
+import { createStubProvider } from "../llm/stub.js";
+import { createMemoryConversationStore } from "../conversations/store.js";
+import { createMemoryStore } from "../boardCache.js";
+import { dealsBoard, workOrdersBoard, DEALS_BOARD_ID, WORK_ORDERS_BOARD_ID } from "../mock/fixtures.js";
+
+const workDir = mkdtempSync(join(tmpdir(), "skylark-app-"));
+const servers = [];
+
+beforeAll(() => {
+  Object.assign(process.env, {
+    DEALS_BOARD_ID,
+    WORK_ORDERS_BOARD_ID,
+    API_KEYS: "tester:test-key",
+    ADMIN_USERS: "tester",
+    AUTH_SECRET: "app-secret",
+    AUTH_TOKEN_TTL_MS: "60000",
+    COLUMN_MAPPING_PATH: join(workDir, "column-mapping.json"),
+    SNAPSHOT_PATH: join(workDir, "snapshots.jsonl"),
+  });
+  delete process.env.AUTH_DISABLED;
+});
+
+afterAll(async () => {
+  await Promise.all(servers.map((s) => new Promise((r) => s.close(r))));
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function fakeMondayClient(fetchBoard) {
+  return { fetchBoard: jest.fn(fetchBoard), fetchItem: jest.fn(), fetchCurrentUser: jest.fn(), createWebhook: jest.fn(), deleteWebhook: jest.fn() };
+}
+
+// A fixture board as fetchBoard returns it
+function fetchedBoard({ items, ...board }) {
+  const titles = Object.fromEntries(board.columns.map((c) => [c.id, c.title]));
+  return {
+    ...board,
+    items_page: { cursor: null, items: items.map((item) => ({ ...item, column_values: item.column_values.map((cv) => ({ ...cv, column: { title: titles[cv.id] } })) })) },
+    pagination: { pages: 1, itemsFetched: items.length, maxItems: items.length, truncated: false },
+  };
+}
+
+const fixtureBoards = { [DEALS_BOARD_ID]: fetchedBoard(dealsBoard), [WORK_ORDERS_BOARD_ID]: fetchedBoard(workOrdersBoard) };
+
+// Start an app with fakes for everything not given; resolves with a request helper
+async function startApp(deps = {}) {
+  const server = createApp({
+    mondayClient: fakeMondayClient(async (boardId) => ({ error: null, board: fixtureBoards[boardId] })),
+    llmProvider: createStubProvider(),
+    conversationStore: createMemoryConversationStore(),
+    boardCacheStore: createMemoryStore(),
+    ...deps,
+  }).listen(0);
+  servers.push(server);
+  await new Promise((r) => server.once("listening", r));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  return (path, { body, token = "test-key" } = {}) => fetch(`${baseUrl}${path}`, {
+    method: body ? "POST" : "GET",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body),
+  });
+}
+
+test("each app answers from its own Monday client and LLM provider", async () => {
+  const respond = jest.fn(() => null);
+  const mondayClient = fakeMondayClient(async (boardId) => ({ error: null, board: fixtureBoards[boardId] }));
+  const request = await startApp({ mondayClient, llmProvider: { ...createStubProvider({ respond }), name: "fake" } });
+  const down = fakeMondayClient(async () => ({ error: "Monday.com is down.", board: null }));
+  const requestDown = await startApp({ mondayClient: down });
+
+  const [reply, downReply] = await Promise.all([
+    request("/chat", { body: { message: "How is the pipeline?", sessionId: "s1" } }).then((r) => r.json()),
+    requestDown("/chat", { body: { message: "How is the pipeline?", sessionId: "s1" } }).then((r) => r.json()),
+  ]);
+
+  expect(reply.type).toBe("insight");
+  expect(reply.dataQuality.deals.totalRows).toBe(dealsBoard.items.length);
+  expect(mondayClient.fetchBoard).toHaveBeenCalledWith(DEALS_BOARD_ID, expect.anything());
+  expect(respond).toHaveBeenCalled();
+  expect(down.fetchBoard).toHaveBeenCalledWith(DEALS_BOARD_ID, expect.anything());
+  expect(JSON.stringify(downReply)).toContain("Monday.com is down.");
+  expect((await (await request("/health")).json()).llmProvider).toBe("fake");
+});
+
+test("the injected clock drives session expiry and conversation timestamps", async () => {
+  let time = Date.parse("2025-03-01T09:00:00.000Z");
+  const request = await startApp({ clock: () => time });
+
+  const session = await (await request("/auth/token", { body: {} })).json();
+  expect(session.expiresAt).toBe("2025-03-01T09:01:00.000Z");
+
+  const reply = await (await request("/chat", { body: { message: "How is the pipeline?", sessionId: "s1" }, token: session.token })).json();
+  expect(reply.dataFreshness.deals).toEqual({ cached: false, fetchedAt: "2025-03-01T09:00:00.000Z", ageMs: 0 });
+  const { conversations } = await (await request("/conversations")).json();
+  expect(conversations).toEqual([expect.objectContaining({ id: "s1", createdAt: "2025-03-01T09:00:00.000Z", updatedAt: "2025-03-01T09:00:00.000Z" })]);
+
+  time += 61_000;
+  const expired = await request("/chat", { body: { message: "How is the pipeline?", sessionId: "s1" }, token: session.token });
+  expect(expired.status).toBe(401);
+  expect((await expired.json()).error).toMatch(/expired/);
+});
+
+test("board metrics are computed as of the injected clock", async () => {
+  const askAt = async (date) => {
+    const request = await startApp({ clock: () => Date.parse(date) });
+    const reply = await (await request("/chat", { body: { message: "Where are deals getting stuck in the funnel?", sessionId: "s1" } })).json();
+    return reply.tables.stuckDeals.map((d) => [d.dealName, d.daysPastClose]);
+  };
+  expect(await askAt("2025-06-01T00:00:00.000Z")).toEqual([["Tata Power Line Patrol", 42]]);
+  expect(await askAt("2025-03-01T00:00:00.000Z")).toEqual([]);
+});
+
+test("drill-downs re-use the last turn's boards only within the board cache TTL", async () => {
+  let time = Date.parse("2025-03-01T09:00:00.000Z");
+  const mondayClient = fakeMondayClient(async (boardId) => ({ error: null, board: fixtureBoards[boardId] }));
+  const request = await startApp({ mondayClient, clock: () => time });
+  const ask = async (message) => (await request("/chat", { body: { message, sessionId: "s1" } })).json();
+
+  await ask("How is the deals pipeline?");
+  time += 60_000;
+  expect((await ask("Now just the mining sector")).dataFreshness.deals).toMatchObject({ cached: true, ageMs: 60_000 });
+  expect(mondayClient.fetchBoard).toHaveBeenCalledTimes(1);
+
+  time += 5 * 60_000;
+  const refetched = await ask("Compare with construction");
+  expect(refetched.plan.refinement.mode).toBe("refine");
+  expect(refetched.dataFreshness.deals).toEqual({ cached: false, fetchedAt: new Date(time).toISOString(), ageMs: 0 });
+  expect(mondayClient.fetchBoard).toHaveBeenCalledTimes(2);
+});
+
+test("alert checks are evaluated as of the injected clock", async () => {
+  const request = await startApp({ clock: () => Date.parse("2025-06-01T00:00:00.000Z") });
+  const check = await (await request("/alerts/evaluate", { body: { dryRun: true } })).json();
+  expect(check.evaluatedAt).toBe("2025-06-01T00:00:00.000Z");
+  expect(check.evaluations.length).toBeGreaterThan(0);
+});
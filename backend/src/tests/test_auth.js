@@ -0,0 +1,85 @@
+/**
+ * Jest tests for API authentication.
+ */
+
+import { jest } from "@jest/globals";
+import { parseApiKeys, issueSessionToken, verifySessionToken, authenticate, createSession, isAdmin } from "../auth.js";
+
+const apiKeys = parseApiKeys("alice:key-a, bob:key-b");
+
+beforeEach(() => {
+  process.env.AUTH_SECRET = "test-secret";
+  delete process.env.AUTH_DISABLED;
+});
+
+describe("parseApiKeys", () => {
+  test("maps keys to user IDs and skips malformed entries", () => {
+    expect([...parseApiKeys("alice:key-a,broken,:nouser,bob:key:b")]).toEqual([["key-a", "alice"], ["key:b", "bob"]]);
+  });
+});
+
+describe("session tokens", () => {
+  test("round-trip the user and an encrypted Monday token", () => {
+    const { token } = issueSessionToken({ userId: "alice", mondayToken: "monday-secret" });
+    expect(Buffer.from(token.split(".")[0], "base64url").toString()).not.toContain("monday-secret");
+    expect(verifySessionToken(token)).toEqual({ error: null, user: { id: "alice", mondayToken: "monday-secret" } });
+  });
+
+  test("reject tampered, foreign and expired tokens", () => {
+    const { token } = issueSessionToken({ userId: "alice" }, { ttlMs: 1000, now: 0 });
+    const [body, sig] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ sub: "bob", exp: Infinity })).toString("base64url");
+    expect(verifySessionToken(`${forged}.${sig}`, { now: 500 }).error).toBe("Invalid session token.");
+    expect(verifySessionToken(`${body}.${sig}`, { now: 2000 }).error).toMatch(/expired/);
+
+    process.env.AUTH_SECRET = "other-secret";
+    expect(verifySessionToken(token, { now: 500 }).error).toBe("Invalid session token.");
+  });
+});
+
+describe("authenticate", () => {
+  test("requires a bearer credential", () => {
+    expect(authenticate({}, { apiKeys }).error).toBe("Authentication required.");
+    expect(authenticate({ authorization: "Bearer nope" }, { apiKeys }).error).toBe("Invalid API key.");
+  });
+
+  test("accepts API keys with a per-request Monday token", () => {
+    const { user } = authenticate({ authorization: "Bearer key-b", "x-monday-token": "bob-monday" }, { apiKeys });
+    expect(user).toEqual({ id: "bob", mondayToken: "bob-monday" });
+  });
+
+  test("accepts session tokens", () => {
+    const { token } = issueSessionToken({ userId: "alice", mondayToken: "alice-monday" });
+    expect(authenticate({ authorization: `Bearer ${token}` }, { apiKeys }).user).toEqual({ id: "alice", mondayToken: "alice-monday" });
+  });
+
+  test("lets everyone in as a local user when AUTH_DISABLED is set", () => {
+    process.env.AUTH_DISABLED = "true";
+    expect(authenticate({}, { apiKeys }).user).toEqual({ id: "local", mondayToken: null });
+  });
+});
+
+describe("isAdmin", () => {
+  test("admits only the listed users, or everyone when auth is disabled", () => {
+    expect(isAdmin({ id: "alice" }, "alice, carol")).toBe(true);
+    expect(isAdmin({ id: "bob" }, "alice, carol")).toBe(false);
+    expect(isAdmin(null, "alice")).toBe(false);
+    process.env.AUTH_DISABLED = "true";
+    expect(isAdmin({ id: "local" }, "")).toBe(true);
+  });
+});
+
+describe("createSession", () => {
+  test("checks the Monday token before issuing a session", async () => {
+    global.fetch = jest.fn(async (_url, init) => (init.headers.Authorization === "good"
+      ? { ok: true, status: 200, json: async () => ({ data: { me: { id: "7", name: "Alice" } } }) }
+      : { ok: false, status: 401, json: async () => ({}) }));
+
+    const ok = await createSession({ id: "alice" }, { mondayToken: "good" });
+    expect(ok.mondayUser).toEqual({ id: "7", name: "Alice" });
+    expect(verifySessionToken(ok.token).user).toEqual({ id: "alice", mondayToken: "good" });
+
+    const rejected = await createSession({ id: "alice" }, { mondayToken: "bad" });
+    expect(rejected.error).toMatch(/Monday.com token rejected/);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Jest tests for the board cache (fetch is mocked).
+ */
+
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  createMemoryStore,
+  createFileStore,
+  setBoardCacheStore,
+  fetchBoardCached,
+  invalidateBoardCache,
+} from "../boardCache.js";
+
+function mockBoardFetch() {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ data: { boards: [{ id: "1", name: "Deals", columns: [], items_page: { cursor: null, items: [] } }] } }),
+  }));
+}
+
+beforeEach(() => {
+  process.env.MONDAY_API_TOKEN = "test-token";
+  setBoardCacheStore(createMemoryStore());
+  mockBoardFetch();
+});
+
+describe("fetchBoardCached", () => {
+  test("serves repeat fetches from cache within the TTL", async () => {
+    let t = 1_000_000;
+    const now = () => t;
+    const first = await fetchBoardCached(1, { ttlMs: 60_000, now });
+    t += 30_000;
+    const second = await fetchBoardCached(1, { ttlMs: 60_000, now });
+    expect(first.cache.cached).toBe(false);
+    expect(second.cache).toEqual({ cached: true, fetchedAt: new Date(1_000_000).toISOString(), ageMs: 30_000 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("refetches after the TTL expires", async () => {
+    let t = 0;
+    const now = () => t;
+    await fetchBoardCached(1, { ttlMs: 1000, now });
+    t = 1001;
+    const again = await fetchBoardCached(1, { ttlMs: 1000, now });
+    expect(again.cache.cached).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("a TTL of 0 disables caching", async () => {
+    await fetchBoardCached(1, { ttlMs: 0 });
+    await fetchBoardCached(1, { ttlMs: 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("invalidation forces a refetch", async () => {
+    await fetchBoardCached(1, { ttlMs: 60_000 });
+    expect(await invalidateBoardCache(1)).toEqual({ invalidated: ["1"] });
+    const after = await fetchBoardCached(1, { ttlMs: 60_000 });
+    expect(after.cache.cached).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("caches boards separately per user token and invalidates every copy", async () => {
+    await fetchBoardCached(1, { ttlMs: 60_000 });
+    await fetchBoardCached(1, { ttlMs: 60_000, token: "user-a" });
+    const again = await fetchBoardCached(1, { ttlMs: 60_000, token: "user-a" });
+    expect(again.cache.cached).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe("user-a");
+
+    await invalidateBoardCache(1);
+    await fetchBoardCached(1, { ttlMs: 60_000 });
+    await fetchBoardCached(1, { ttlMs: 60_000, token: "user-a" });
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test("invalidates only one user's copies when given their token", async () => {
+    await fetchBoardCached(1, { ttlMs: 60_000 });
+    await fetchBoardCached(1, { ttlMs: 60_000, token: "user-a" });
+    await fetchBoardCached(1, { ttlMs: 60_000, token: "user-b" });
+
+    expect(await invalidateBoardCache(null, { token: "user-a" })).toEqual({ invalidated: "all" });
+    expect((await fetchBoardCached(1, { ttlMs: 60_000 })).cache.cached).toBe(true);
+    expect((await fetchBoardCached(1, { ttlMs: 60_000, token: "user-b" })).cache.cached).toBe(true);
+    expect((await fetchBoardCached(1, { ttlMs: 60_000, token: "user-a" })).cache.cached).toBe(false);
+  });
+});
+
+describe("createMemoryStore", () => {
+  test("evicts the least recently used entry", async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set("a", { value: 1, storedAt: 0 });
+    await store.set("b", { value: 2, storedAt: 0 });
+    await store.get("a");
+    await store.set("c", { value: 3, storedAt: 0 });
+    expect(await store.get("b")).toBeNull();
+    expect((await store.get("a")).value).toBe(1);
+  });
+});
+
+describe("createFileStore", () => {
+  test("round-trips entries and clears them", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "board-cache-"));
+    try {
+      const store = createFileStore({ dir });
+      await store.set("123", { value: { id: "123" }, storedAt: 5 });
+      expect(await store.get("123")).toEqual({ value: { id: "123" }, storedAt: 5 });
+      await store.clear();
+      expect(await store.get("123")).toBeNull();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
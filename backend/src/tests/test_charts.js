@@ -0,0 +1,55 @@
+/**
+ * Jest tests for chart series built from metrics.
+ */
+
+import { buildCharts, selectCharts } from "../charts.js";
+
+const metrics = {
+  deals: {
+    reportingCurrency: "INR",
+    sectorBreakdown: { Mining: { count: 2, value: 500 }, Powerline: { count: 1, value: 900 } },
+    stageDistribution: { "E. Proposal Sent": 1, "B. Sales Qualified Leads": 2 },
+    statusDistribution: { Open: 5, Won: 3, Dead: 2, "On Hold": 1, Paused: 1, Lost: 1, Unknown: 1 },
+    quarterlyRevenue: { "Q1 2025": 300, "Q4 2024": 200, "Q2 2025": 100 },
+  },
+};
+
+describe("buildCharts", () => {
+  test("builds the charts the loaded boards can fill", () => {
+    const charts = buildCharts(metrics);
+    expect(charts.map((c) => c.id)).toEqual(["sectorPipeline", "dealStages", "dealStatus", "quarterlyRevenue"]);
+    expect(charts[0]).toEqual({
+      id: "sectorPipeline",
+      type: "bar",
+      title: "Pipeline by Sector",
+      unit: "INR",
+      series: [{ label: "Powerline", value: 900 }, { label: "Mining", value: 500 }],
+    });
+  });
+
+  test("orders stages and quarters, and folds small pie slices", () => {
+    const charts = Object.fromEntries(buildCharts(metrics).map((c) => [c.id, c]));
+    expect(charts.dealStages.series.map((p) => p.label)).toEqual(["B. Sales Qualified Leads", "E. Proposal Sent"]);
+    expect(charts.quarterlyRevenue.series.map((p) => p.label)).toEqual(["Q4 2024", "Q1 2025", "Q2 2025"]);
+    expect(charts.dealStatus.series).toHaveLength(6);
+    expect(charts.dealStatus.series.at(-1)).toEqual({ label: "Other", value: 2 });
+  });
+
+  test("leaves out empty series", () => {
+    expect(buildCharts({ workOrders: { executionStatusDistribution: {} } })).toEqual([]);
+  });
+});
+
+describe("selectCharts", () => {
+  const charts = buildCharts(metrics);
+
+  test("keeps the chosen order and drops charts that are not available", () => {
+    expect(selectCharts(charts, ["quarterlyRevenue", "workOrderStatus", "dealStages"]).map((c) => c.id)).toEqual(["quarterlyRevenue", "dealStages"]);
+    expect(selectCharts(charts, [])).toEqual([]);
+  });
+
+  test("falls back to the intent's defaults when nothing was chosen", () => {
+    expect(selectCharts(charts, undefined, "revenue_summary").map((c) => c.id)).toEqual(["quarterlyRevenue", "sectorPipeline"]);
+    expect(selectCharts(charts, null, "ops_status")).toEqual([]);
+  });
+});
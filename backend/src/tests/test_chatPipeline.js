@@ -0,0 +1,128 @@
+/**
+ * Jest tests for the chat pipeline (LLM and query engine are mocked).
+ */
+
+import { jest } from "@jest/globals";
+
+const interpretQuery = jest.fn();
+const generateNarrative = jest.fn();
+const executePlan = jest.fn();
+
+jest.unstable_mockModule("../llmAgent.js", () => ({ interpretQuery, generateNarrative }));
+jest.unstable_mockModule("../queryEngine.js", () => ({ executePlan, loadDatasets: jest.fn() }));
+
+const { runChatTurn } = await import("../chatPipeline.js");
+const { setLlmProvider } = await import("../llm/index.js");
+const { createStubProvider } = await import("../llm/stub.js");
+
+const plan = { intent: "pipeline_health", filters: {}, data_sources: ["deals"], clarifying_questions: [] };
+
+beforeEach(() => {
+  interpretQuery.mockReset().mockResolvedValue(plan);
+  executePlan.mockReset().mockImplementation(async (_plan, { onProgress }) => {
+    onProgress("board", { board: "deals", boardName: "Deals", rows: 3, cache: null });
+    return { metrics: { deals: { dealCount: 3 } }, dataQuality: {}, tables: {}, dataFreshness: {}, confidence: 0.8 };
+  });
+  generateNarrative.mockReset().mockImplementation(async (_r, _q, _h, { onToken } = {}) => {
+    onToken?.('{"summary":"');
+    onToken?.('3 deals"}');
+    return { summary: "3 deals", insight: "…", leadership_bullets: [] };
+  });
+});
+
+describe("runChatTurn", () => {
+  test("emits stage events in order when streaming", async () => {
+    const events = [];
+    const session = { history: [] };
+    const reply = await runChatTurn("pipeline?", session, { onEvent: (e) => events.push(e) });
+    expect(events).toEqual(["plan", "board", "metrics", "token", "token"]);
+    expect(reply.type).toBe("insight");
+    expect(reply.summary).toBe("3 deals");
+    expect(session.history).toHaveLength(2);
+  });
+
+  test("does not request token streaming without a listener", async () => {
+    const reply = await runChatTurn("pipeline?", { history: [] });
+    expect(generateNarrative.mock.calls[0][3]).toEqual({});
+    expect(reply.confidence).toBe(0.8);
+  });
+
+  test("returns clarifications without executing the plan", async () => {
+    interpretQuery.mockResolvedValue({ ...plan, clarifying_questions: ["Which sector?"] });
+    const reply = await runChatTurn("that one", { history: [] });
+    expect(reply).toMatchObject({ type: "clarification", questions: ["Which sector?"] });
+    expect(executePlan).not.toHaveBeenCalled();
+  });
+
+  test("keeps the last plan and re-uses its boards for a refinement", async () => {
+    const boards = { deals: { norm: { rows: [] }, cache: { cached: false, fetchedAt: new Date().toISOString(), ageMs: 0 } } };
+    executePlan.mockResolvedValue({ metrics: {}, dataQuality: {}, tables: {}, dataFreshness: {}, boards, confidence: 0.8 });
+    const session = { history: [] };
+    await runChatTurn("pipeline?", session);
+    expect(session.lastPlan).toMatchObject({ intent: "pipeline_health", refinement: { mode: "new" } });
+    expect(session.lastResult.boards).toEqual(boards);
+
+    interpretQuery.mockResolvedValue({ intent: "other", filters: { sector: "Mining" }, data_sources: [], clarifying_questions: [], refinement: { mode: "refine", filter_mode: "merge", compare_sector: null } });
+    const reply = await runChatTurn("now just mining", session);
+    expect(interpretQuery.mock.calls[1][2]).toEqual({ previousPlan: expect.objectContaining({ intent: "pipeline_health" }) });
+    expect(reply.plan).toMatchObject({ intent: "pipeline_health", data_sources: ["deals"], filters: { sector: "Mining" } });
+    expect(executePlan.mock.calls[1][1]).toMatchObject({ boards: session.lastResult.boards, snapshotSource: false });
+  });
+
+  test("fetches again instead of re-using boards older than the board cache TTL", async () => {
+    const stale = { deals: { norm: { rows: [] }, cache: { cached: false, fetchedAt: new Date(Date.now() - 10 * 60_000).toISOString(), ageMs: 0 } } };
+    const session = { history: [], lastPlan: { ...plan, refinement: { mode: "new" } }, lastResult: { boards: stale } };
+    interpretQuery.mockResolvedValue({ intent: "other", filters: { sector: "Mining" }, data_sources: [], clarifying_questions: [], refinement: { mode: "refine", filter_mode: "merge", compare_sector: null } });
+    await runChatTurn("now just mining", session);
+    expect(executePlan.mock.calls[0][1]).toMatchObject({ boards: null, snapshotSource: undefined });
+  });
+
+  test("answers analysis questions with the agent, streaming tool events instead of tokens", async () => {
+    setLlmProvider(createStubProvider());
+    interpretQuery.mockResolvedValue({ ...plan, intent: "analysis" });
+    const rows = [{ ID: "1", Name: "A", Owner: "O1", Value: 5 }, { ID: "2", Name: "B", Owner: "O2", Value: 7 }];
+    executePlan.mockResolvedValue({
+      metrics: {}, dataQuality: {}, tables: { deals: rows }, dataFreshness: {}, confidence: 0.8,
+      datasets: { deals: { rows, fields: { owner: "Owner", dealValue: "Value" } } },
+    });
+    const events = [];
+    const reply = await runChatTurn("top 1 owner by value", { history: [] }, { onEvent: (e, data) => events.push([e, data.step?.tool]) });
+    setLlmProvider(null);
+
+    expect(generateNarrative).not.toHaveBeenCalled();
+    expect(events.filter(([e]) => e === "tool")).toEqual([["tool", "describe_columns"], ["tool", "group_by"], ["tool", "top_n"]]);
+    expect(Object.keys(reply.tables)).toEqual(["analysis", "deals"]);
+    expect(reply.tables.analysis).toEqual([{ Owner: "O2", "Total Value": 7, Items: 1 }]);
+    expect(reply.trace).toMatchObject({ stoppedBy: "fallback", steps: expect.any(Array) });
+    expect(reply).not.toHaveProperty("datasets");
+  });
+
+  test("runs the planner's query directly, falling back to the agent when it fails", async () => {
+    setLlmProvider(createStubProvider());
+    const rows = [{ ID: "1", Name: "A", Owner: "O1", Value: 5 }, { ID: "2", Name: "B", Owner: "O1", Value: 7 }];
+    executePlan.mockImplementation(async () => ({
+      metrics: {}, dataQuality: {}, tables: { deals: rows }, dataFreshness: {}, confidence: 0.8,
+      datasets: { deals: { rows, fields: { owner: "Owner", dealValue: "Value" } } },
+    }));
+    const query = { from: "deals", groupBy: ["owner"], aggregates: [{ fn: "sum", column: "dealValue", as: "value" }] };
+    interpretQuery.mockResolvedValue({ ...plan, intent: "analysis", query });
+    const reply = await runChatTurn("value per owner", { history: [] });
+
+    expect(generateNarrative.mock.calls[0][0].metrics.query).toEqual({ from: "deals", columns: ["Owner", "value"], totalRows: 1, rows: [{ Owner: "O1", value: 12 }] });
+    expect(reply.tables.query).toEqual([{ Owner: "O1", value: 12 }]);
+    expect(reply.query).toMatchObject({ ...query, limit: null });
+    expect(reply).not.toHaveProperty("trace");
+
+    interpretQuery.mockResolvedValue({ ...plan, intent: "analysis", query: { ...query, groupBy: ["stage"] } });
+    const fallback = await runChatTurn("value per stage", { history: [] });
+    setLlmProvider(null);
+    expect(fallback.trace).toMatchObject({ stoppedBy: "fallback" });
+    expect(fallback).not.toHaveProperty("query");
+  });
+
+  test("turns execution errors into an error reply", async () => {
+    executePlan.mockResolvedValue({ error: "DEALS_BOARD_ID not configured in .env" });
+    const reply = await runChatTurn("pipeline?", { history: [] });
+    expect(reply).toMatchObject({ type: "error", summary: "DEALS_BOARD_ID not configured in .env", confidence: 0 });
+  });
+});
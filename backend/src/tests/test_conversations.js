@@ -0,0 +1,182 @@
+/**
+ * Jest tests for conversation storage: the memory, file and Redis stores (Redis against
+ * a local stand-in server), the Redis client, and the conversation service with the
+ * chat pipeline mocked.
+ */
+
+import { jest } from "@jest/globals";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createMockRedisServer } from "../mock/redisMockServer.js";
+
+const runChatTurn = jest.fn();
+jest.unstable_mockModule("../chatPipeline.js", () => ({ runChatTurn }));
+
+const { createMemoryConversationStore, createFileConversationStore, createRedisConversationStore } = await import("../conversations/store.js");
+const { createRedisClient } = await import("../redisClient.js");
+const { createConversationService } = await import("../conversations/index.js");
+
+const workDir = mkdtempSync(join(tmpdir(), "skylark-conversations-"));
+const redis = createMockRedisServer({ password: "s3cret" });
+const redisUrl = (await redis.listen()).replace("redis://", "redis://:s3cret@") + "/2";
+const clients = [];
+
+afterAll(async () => {
+  clients.forEach((c) => c.close());
+  await redis.close();
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function conversation(userId, id, updatedAt, questions = ["How is the pipeline?"]) {
+  return {
+    id, userId, title: questions[0], createdAt: "2025-01-01T00:00:00.000Z", updatedAt, history: [], lastPlan: null,
+    turns: questions.map((question, i) => ({ id: `t${i}`, question, askedAt: updatedAt, reply: { type: "insight", summary: "..." } })),
+  };
+}
+
+describe.each([
+  ["memory", () => createMemoryConversationStore()],
+  ["file", () => createFileConversationStore({ dir: join(workDir, "store") })],
+  ["redis", () => {
+    const client = createRedisClient(redisUrl);
+    clients.push(client);
+    return createRedisConversationStore({ client });
+  }],
+])("%s store", (_name, createStore) => {
+  test("lists each user's conversations newest first and deletes them", async () => {
+    const store = createStore();
+    await store.saveConversation(conversation("user:a", "first/1", "2025-01-02T00:00:00.000Z"));
+    await store.saveConversation(conversation("user:a", "second", "2025-01-03T00:00:00.000Z", ["Revenue?", "By sector?"]));
+    await store.saveConversation(conversation("user:b", "second", "2025-01-04T00:00:00.000Z"));
+
+    expect(await store.listConversations("user:a")).toEqual([
+      { id: "second", title: "Revenue?", createdAt: "2025-01-01T00:00:00.000Z", updatedAt: "2025-01-03T00:00:00.000Z", turnCount: 2, lastQuestion: "By sector?" },
+      expect.objectContaining({ id: "first/1", turnCount: 1 }),
+    ]);
+    expect((await store.getConversation("user:a", "first/1")).turns[0].question).toBe("How is the pipeline?");
+    expect((await store.getConversation("user:b", "second")).title).toBe("How is the pipeline?");
+    expect(await store.getConversation("user:b", "first/1")).toBeNull();
+
+    expect(await store.deleteConversation("user:a", "second")).toBe(true);
+    expect(await store.deleteConversation("user:a", "second")).toBe(false);
+    expect((await store.listConversations("user:a")).map((c) => c.id)).toEqual(["first/1"]);
+    expect(await store.listConversations("nobody")).toEqual([]);
+  });
+});
+
+describe("redis client", () => {
+  test("authenticates, selects the database and reconnects after the connection drops", async () => {
+    const client = createRedisClient(redisUrl);
+    clients.push(client);
+    redis.commands.length = 0;
+    expect(await client.command("PING")).toBe("PONG");
+    expect(redis.commands).toEqual([["AUTH", "s3cret"], ["SELECT", "2"], ["PING"]]);
+
+    redis.dropConnections();
+    await new Promise((r) => setTimeout(r, 20));
+    expect(await client.command("SET", "k", "naïve ₹")).toBe("OK");
+    expect(await client.command("GET", "k")).toBe("naïve ₹");
+    await expect(client.command("LPUSH", "k", "v")).rejects.toThrow("Redis: ERR unknown command 'LPUSH'");
+  });
+
+  test("reports a wrong password", async () => {
+    const client = createRedisClient(redisUrl.replace("s3cret", "wrong"));
+    clients.push(client);
+    await expect(client.command("PING")).rejects.toThrow(/WRONGPASS/);
+  });
+});
+
+describe("conversation service", () => {
+  let conversations, answers, contexts;
+  beforeEach(() => {
+    conversations = createConversationService({ store: createMemoryConversationStore() });
+    answers = 0;
+    contexts = [];
+    // Behaves like the pipeline: updates the session's history and plan, returns a reply
+    runChatTurn.mockReset().mockImplementation(async (message, session) => {
+      contexts.push({ history: [...session.history], lastPlan: session.lastPlan });
+      const plan = { intent: "pipeline_health", filters: session.lastPlan ? { sector: "Mining" } : {} };
+      const reply = { type: "insight", summary: `Answer ${++answers}`, plan };
+      session.history.push({ role: "user", content: message }, { role: "assistant", content: reply.summary });
+      session.lastPlan = plan;
+      session.lastResult = { boards: {} };
+      return reply;
+    });
+  });
+
+  test("stores every turn, titled by the first question, for its user only", async () => {
+    await conversations.askInConversation("tester", "c1", "  How is the pipeline?  ");
+    const reply = await conversations.askInConversation("tester", "c1", "Now just mining");
+    expect(runChatTurn.mock.calls[1][1]).toMatchObject({ lastPlan: { intent: "pipeline_health" }, lastResult: { boards: {} } });
+
+    const [summary] = await conversations.listConversations("tester");
+    expect(summary).toMatchObject({ id: "c1", title: "How is the pipeline?", turnCount: 2, lastQuestion: "Now just mining" });
+    const stored = await conversations.getConversation("tester", "c1");
+    expect(stored.turns.map((t) => [t.question, t.reply.summary])).toEqual([["How is the pipeline?", "Answer 1"], ["Now just mining", "Answer 2"]]);
+    expect(reply.turnId).toBe(stored.turns[1].id);
+    expect(await conversations.getConversation("other", "c1")).toBeNull();
+    expect(await conversations.listConversations("other")).toEqual([]);
+  });
+
+  test("renames and deletes conversations", async () => {
+    await conversations.askInConversation("tester", "c2", "Revenue by sector?");
+    expect(await conversations.renameConversation("tester", "c2", " ")).toEqual({ error: "title must be a non-empty string of at most 100 characters." });
+    expect(await conversations.renameConversation("other", "c2", "Mine")).toBeNull();
+    expect(await conversations.renameConversation("tester", "c2", " Q3 revenue ")).toMatchObject({ id: "c2", title: "Q3 revenue" });
+    expect((await conversations.getConversation("tester", "c2")).title).toBe("Q3 revenue");
+
+    expect(await conversations.deleteConversation("tester", "c2")).toBe(true);
+    expect(await conversations.getConversation("tester", "c2")).toBeNull();
+    expect(await conversations.deleteConversation("tester", "c2")).toBe(false);
+  });
+
+  test("replays a turn in its original context without changing the conversation's", async () => {
+    await conversations.askInConversation("tester", "c3", "How is the pipeline?");
+    await conversations.askInConversation("tester", "c3", "Now just mining");
+    const { turns } = await conversations.getConversation("tester", "c3");
+
+    const { turn } = await conversations.replayTurn("tester", "c3", turns[1].id, { mondayToken: "user-token" });
+    expect(contexts[2]).toEqual({ history: [{ role: "user", content: "How is the pipeline?" }, { role: "assistant", content: "Answer 1" }], lastPlan: turns[0].reply.plan });
+    expect(runChatTurn.mock.calls[2][2]).toEqual({ mondayToken: "user-token" });
+    expect(turn).toMatchObject({ question: "Now just mining", replayOf: turns[1].id, reply: { summary: "Answer 3" } });
+
+    const session = await conversations.openConversation("tester", "c3");
+    expect(session.turns).toHaveLength(3);
+    expect(session.history).toHaveLength(4);
+    expect(await conversations.replayTurn("tester", "c3", "missing")).toBeNull();
+  });
+
+  test("stores a sample of each reply table but answers with all of it", async () => {
+    const rows = Array.from({ length: 50 }, (_, i) => ({ client: `Client ${i}` }));
+    runChatTurn.mockImplementationOnce(async () => ({ type: "insight", summary: "Aging", tables: { receivables: rows, crossBoardLinks: [] } }));
+    const reply = await conversations.askInConversation("tester", "c8", "Who owes us?");
+    expect(reply.tables.receivables).toHaveLength(50);
+
+    const { turns: [turn] } = await conversations.getConversation("tester", "c8");
+    expect(turn.reply.tables).toEqual({ receivables: rows.slice(0, 20), crossBoardLinks: [] });
+  });
+
+  test("keeps only the most recently used sessions live", async () => {
+    conversations = createConversationService({ store: createMemoryConversationStore(), maxLiveSessions: 2 });
+    for (const id of ["c5", "c6", "c7"]) await conversations.askInConversation("tester", id, "Pipeline?");
+
+    const evicted = await conversations.openConversation("tester", "c5");
+    expect(evicted.lastResult).toBeNull();
+    expect(evicted.history).toHaveLength(2);
+    expect((await conversations.openConversation("tester", "c7")).lastResult).toEqual({ boards: {} });
+    expect((await conversations.openConversation("tester", "c6")).lastResult).toBeNull();
+  });
+
+  test("still answers when the conversation cannot be saved", async () => {
+    const store = createMemoryConversationStore();
+    store.saveConversation = async () => { throw new Error("disk full"); };
+    conversations = createConversationService({ store });
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const reply = await conversations.askInConversation("tester", "c4", "Pipeline?");
+    expect(reply.summary).toBe("Answer 1");
+    expect(error).toHaveBeenCalledWith("Conversation c4 not saved:", "disk full");
+    expect((await conversations.getConversation("tester", "c4")).turns).toHaveLength(1);
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Jest tests for cron parsing and next-run calculation.
+ */
+
+import { parseCron, nextRun, isValidTimezone } from "../digests/cron.js";
+
+const WEDNESDAY = new Date("2026-03-04T10:00:00Z");
+
+describe("parseCron", () => {
+  test("expands lists, ranges, steps and names", () => {
+    const { error, fields } = parseCron("*/20 9-11 1,15 JAN-MAR mon-fri");
+    expect(error).toBeNull();
+    expect([...fields.minute.values]).toEqual([0, 20, 40]);
+    expect([...fields.hour.values]).toEqual([9, 10, 11]);
+    expect([...fields.month.values]).toEqual([1, 2, 3]);
+    expect([...fields.dayOfWeek.values]).toEqual([1, 2, 3, 4, 5]);
+    expect(fields.dayOfMonth.restricted).toBe(true);
+  });
+
+  test("treats day-of-week 7 as Sunday and accepts shorthands", () => {
+    expect([...parseCron("0 0 * * 7").fields.dayOfWeek.values]).toEqual([0]);
+    expect(parseCron("@weekly").error).toBeNull();
+  });
+
+  test("rejects malformed expressions", () => {
+    expect(parseCron("").error).toMatch(/required/);
+    expect(parseCron("0 9 * *").error).toMatch(/5 fields/);
+    expect(parseCron("60 * * * *").error).toMatch(/out of range for minute/);
+    expect(parseCron("0 9 * * FUNDAY").error).toMatch(/dayOfWeek/);
+    expect(parseCron("*/0 * * * *").error).toMatch(/invalid step/);
+  });
+});
+
+describe("nextRun", () => {
+  test("finds the next Monday morning in the schedule's timezone", () => {
+    expect(nextRun("0 9 * * MON", WEDNESDAY, { timezone: "Asia/Kolkata" }).toISOString()).toBe("2026-03-09T03:30:00.000Z");
+    expect(nextRun("0 9 * * MON", WEDNESDAY).toISOString()).toBe("2026-03-09T09:00:00.000Z");
+  });
+
+  test("is strictly after the reference time", () => {
+    expect(nextRun("0 10 * * *", WEDNESDAY).toISOString()).toBe("2026-03-05T10:00:00.000Z");
+    expect(nextRun("*/15 * * * *", WEDNESDAY).toISOString()).toBe("2026-03-04T10:15:00.000Z");
+  });
+
+  test("runs on either day when day-of-month and day-of-week are both set", () => {
+    expect(nextRun("0 0 1,15 * MON", WEDNESDAY).toISOString()).toBe("2026-03-09T00:00:00.000Z");
+    expect(nextRun("0 0 5 * *", WEDNESDAY).toISOString()).toBe("2026-03-05T00:00:00.000Z");
+  });
+
+  test("looks years ahead for leap days and skips times lost to DST", () => {
+    expect(nextRun("0 9 29 2 *", WEDNESDAY).toISOString()).toBe("2028-02-29T09:00:00.000Z");
+    // 02:30 does not exist in New York on 2026-03-08
+    expect(nextRun("30 2 * * *", new Date("2026-03-08T00:00:00Z"), { timezone: "America/New_York" }).toISOString()).toBe("2026-03-09T06:30:00.000Z");
+  });
+
+  test("returns null for invalid or impossible expressions", () => {
+    expect(nextRun("bogus", WEDNESDAY)).toBeNull();
+    expect(nextRun("0 0 31 2 *", WEDNESDAY)).toBeNull();
+  });
+});
+
+test("isValidTimezone", () => {
+  expect(isValidTimezone("Asia/Kolkata")).toBe(true);
+  expect(isValidTimezone("Mars/Olympus")).toBe(false);
+});
@@ -0,0 +1,69 @@
+/**
+ * Jest tests for currency conversion.
+ */
+
+import { createConverter, createMoneyTotal, averageBreakdown, conversionWarnings } from "../currency.js";
+
+const config = {
+  reportingCurrency: "INR",
+  base: "INR",
+  unknownCurrency: "INR",
+  rates: { INR: 1, USD: 80, EUR: 90 },
+  datedRates: [{ from: "2025-01-01", rates: { USD: 85 } }],
+};
+
+describe("createConverter", () => {
+  test("converts into the reporting currency", () => {
+    const fx = createConverter(config);
+    expect(fx.convert(100, "USD")).toBe(8000);
+    expect(fx.convert(100, "INR")).toBe(100);
+  });
+
+  test("uses dated rates on or after their start date", () => {
+    const fx = createConverter(config);
+    expect(fx.convert(1, "USD", "2024-12-31")).toBe(80);
+    expect(fx.convert(1, "USD", "2025-01-01")).toBe(85);
+    expect(fx.convert(1, "EUR", "2025-06-01")).toBe(90);
+  });
+
+  test("converts through the base when reporting in another currency", () => {
+    const fx = createConverter({ ...config, reportingCurrency: "USD" });
+    expect(fx.convert(8000, "INR")).toBe(100);
+    expect(fx.convert(80, "EUR")).toBe(90);
+  });
+
+  test("treats UNKNOWN as the configured unknown currency", () => {
+    expect(createConverter(config).convert(500, "UNKNOWN")).toBe(500);
+  });
+
+  test("returns null when a rate is missing", () => {
+    expect(createConverter(config).convert(1, "JPY")).toBeNull();
+  });
+});
+
+describe("createMoneyTotal", () => {
+  test("sums in the reporting currency with a per-currency breakdown", () => {
+    const total = createMoneyTotal(createConverter(config));
+    total.add(100, "USD");
+    total.add(50, "USD");
+    total.add(1000, "INR");
+    total.add(null, "INR");
+    expect(total.total).toBe(13000);
+    expect(total.byCurrency).toEqual({
+      USD: { count: 2, original: 150, converted: 12000, unconverted: 0 },
+      INR: { count: 1, original: 1000, converted: 1000, unconverted: 0 },
+    });
+  });
+
+  test("keeps unconvertible amounts out of the total and warns", () => {
+    const total = createMoneyTotal(createConverter(config));
+    total.add(100, "USD");
+    total.add(5000, "JPY");
+    expect(total.total).toBe(8000);
+    expect(total.byCurrency.JPY).toEqual({ count: 1, original: 5000, converted: 0, unconverted: 1 });
+    expect(conversionWarnings(total.byCurrency, "INR", "deal")).toEqual([
+      "No JPY→INR rate configured: 1 deal value(s) excluded from totals.",
+    ]);
+    expect(averageBreakdown(total.byCurrency).JPY.converted).toBeNull();
+  });
+});
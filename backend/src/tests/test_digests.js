@@ -0,0 +1,221 @@
+/**
+ * Jest tests for scheduled digests: sinks against local stand-in servers, and the
+ * scheduler with the chat pipeline mocked.
+ */
+
+import { jest } from "@jest/globals";
+import { createHmac } from "crypto";
+import { createMockSmtpServer, createMockWebhookServer } from "../mock/sinkMockServers.js";
+
+const runChatTurn = jest.fn();
+jest.unstable_mockModule("../chatPipeline.js", () => ({ runChatTurn }));
+
+const { sendMail } = await import("../digests/smtp.js");
+const { deliverToSink, validateSink, sinkUrlError } = await import("../digests/sinks.js");
+const { createSchedule, updateSchedule, runSchedule, runDueSchedules, validateSchedule, scheduleView } = await import("../digests/scheduler.js");
+const { createMemoryScheduleStore } = await import("../digests/store.js");
+
+const smtp = createMockSmtpServer();
+const webhooks = createMockWebhookServer();
+let smtpConfig, hookUrl;
+
+beforeAll(async () => {
+  process.env.AUTH_SECRET = "digest-secret";
+  process.env.DIGEST_SINK_HOSTS = "127.0.0.1,hooks.slack.test";
+  smtpConfig = { host: "127.0.0.1", port: await smtp.listen(), from: "digests@skylark.test" };
+  hookUrl = await webhooks.listen();
+});
+
+afterAll(async () => {
+  await smtp.close();
+  await webhooks.close();
+});
+
+const reply = {
+  type: "insight",
+  summary: "Pipeline is ₹4.2 Cr across 12 deals.",
+  insight: "Mining leads.",
+  leadership_bullets: ["Close Tata Steel", "Chase receivables"],
+  tables: {},
+  dataQuality: {},
+  confidence: 0.8,
+};
+
+const MONDAY = new Date("2026-03-09T03:30:00Z");
+
+beforeEach(() => {
+  smtp.reset();
+  webhooks.reset();
+  runChatTurn.mockReset().mockResolvedValue(reply);
+});
+
+describe("sendMail", () => {
+  test("delivers a UTF-8 message with an encoded subject", async () => {
+    const result = await sendMail({ to: ["ceo@skylark.test", "cfo@skylark.test"], subject: "Brief — ₹", text: "Line one\n.dot line" }, smtpConfig);
+    expect(result.response).toMatch(/^250/);
+    const [msg] = smtp.messages;
+    expect(msg.from).toBe("digests@skylark.test");
+    expect(msg.to).toEqual(["ceo@skylark.test", "cfo@skylark.test"]);
+    expect(msg.subject).toBe("Brief — ₹");
+    expect(msg.text).toBe("Line one\n.dot line");
+  });
+
+  test("authenticates only when allowed over an unencrypted connection", async () => {
+    const config = { ...smtpConfig, user: "bot", pass: "secret" };
+    await expect(sendMail({ to: ["a@b.test"], subject: "x", text: "y" }, config)).rejects.toThrow(/refusing to send credentials/);
+    await sendMail({ to: ["a@b.test"], subject: "x", text: "y" }, { ...config, allowInsecureAuth: true });
+    expect(smtp.messages[0].auth).toBe("bot");
+  });
+
+  test("surfaces server rejections", async () => {
+    smtp.failNext();
+    await expect(sendMail({ to: ["a@b.test"], subject: "x", text: "y" }, smtpConfig)).rejects.toThrow(/MAIL FROM.*451/);
+  });
+});
+
+describe("sinks", () => {
+  const schedule = { id: "s1", name: "Monday Brief", query: "leadership brief" };
+  const digest = { schedule, reply, report: { title: "Monday Brief", generatedAt: MONDAY.toISOString(), sections: [{ heading: "Executive Summary", paragraphs: [reply.summary] }] }, runAt: MONDAY.toISOString() };
+
+  test("validates sink configs", () => {
+    expect(validateSink({ type: "email", to: ["not-an-address"] })).toMatch(/email addresses/);
+    expect(validateSink({ type: "webhook", url: "ftp://x" })).toMatch(/http/);
+    expect(validateSink({ type: "pager" })).toMatch(/unknown sink type/);
+    expect(validateSink({ type: "slack", url: "https://hooks.slack.test/T1" })).toBeNull();
+  });
+
+  test("only allows https sinks on public addresses unless DIGEST_SINK_HOSTS lists the host", () => {
+    const allowed = process.env.DIGEST_SINK_HOSTS;
+    delete process.env.DIGEST_SINK_HOSTS;
+    try {
+      expect(sinkUrlError("https://hooks.slack.com/services/T1")).toBeNull();
+      expect(sinkUrlError("http://hooks.slack.com/services/T1")).toMatch(/https/);
+      for (const url of ["https://127.0.0.1/", "https://10.1.2.3/", "https://169.254.169.254/", "https://[::1]/", "https://[::ffff:127.0.0.1]/", "https://2130706433/", "https://localhost:8080/"]) {
+        expect(sinkUrlError(url)).toMatch(/private or local/);
+      }
+      process.env.DIGEST_SINK_HOSTS = "hooks.internal.test";
+      expect(sinkUrlError("http://hooks.internal.test/x")).toBeNull();
+      expect(sinkUrlError("https://hooks.slack.com/services/T1")).toMatch(/not in DIGEST_SINK_HOSTS/);
+    } finally {
+      process.env.DIGEST_SINK_HOSTS = allowed;
+    }
+  });
+
+  test("refuses to deliver to a host that resolves to a private address", async () => {
+    const allowed = process.env.DIGEST_SINK_HOSTS;
+    delete process.env.DIGEST_SINK_HOSTS;
+    try {
+      const lookup = jest.fn(async () => [{ address: "93.184.216.34", family: 4 }, { address: "10.0.0.7", family: 4 }]);
+      const result = await deliverToSink({ type: "webhook", url: "https://rebind.example.com/hook" }, digest, { lookup });
+      expect(lookup).toHaveBeenCalledWith("rebind.example.com", { all: true });
+      expect(result).toMatchObject({ status: "failed", error: 'Sink host "rebind.example.com" resolves to a private address' });
+    } finally {
+      process.env.DIGEST_SINK_HOSTS = allowed;
+    }
+  });
+
+  test("emails the brief as Markdown", async () => {
+    const result = await deliverToSink({ type: "email", to: "ceo@skylark.test" }, digest, { smtp: smtpConfig });
+    expect(result).toMatchObject({ type: "email", target: "ceo@skylark.test", status: "sent" });
+    expect(smtp.messages[0].subject).toBe("Monday Brief — 2026-03-09");
+    expect(smtp.messages[0].text).toContain("## Executive Summary");
+  });
+
+  test("posts a signed JSON webhook", async () => {
+    const result = await deliverToSink({ type: "webhook", url: `${hookUrl}/digest`, secret: "s3cret" }, digest);
+    expect(result.status).toBe("sent");
+    const [req] = webhooks.requests;
+    expect(req.path).toBe("/digest");
+    expect(req.body).toMatchObject({ event: "digest.completed", schedule: { id: "s1" }, reply: { summary: reply.summary } });
+    expect(req.headers["x-skylark-signature"]).toBe(`sha256=${createHmac("sha256", "s3cret").update(req.raw).digest("hex")}`);
+  });
+
+  test("posts Slack blocks with the leadership bullets", async () => {
+    await deliverToSink({ type: "slack", url: `${hookUrl}/slack` }, digest);
+    const { body } = webhooks.requests[0];
+    expect(body.text).toBe(`Monday Brief: ${reply.summary}`);
+    expect(body.blocks[0]).toEqual({ type: "header", text: { type: "plain_text", text: "Monday Brief" } });
+    expect(body.blocks[2].text.text).toBe("• Close Tata Steel\n• Chase receivables");
+  });
+
+  test("reports failed deliveries instead of throwing", async () => {
+    webhooks.failNext({ status: 503 });
+    const result = await deliverToSink({ type: "webhook", url: hookUrl }, digest);
+    expect(result).toMatchObject({ status: "failed", error: expect.stringMatching(/503/) });
+  });
+});
+
+describe("scheduler", () => {
+  const input = { name: "Monday Brief", query: "Give me a leadership brief", cron: "0 9 * * MON", timezone: "Asia/Kolkata" };
+
+  test("validates schedules", () => {
+    expect(validateSchedule({ ...input, sinks: [] }).error).toMatch(/sinks/);
+    expect(validateSchedule({ ...input, cron: "0 0 31 2 *", sinks: [{ type: "slack", url: hookUrl }] }).error).toMatch(/never matches/);
+    expect(validateSchedule({ ...input, timezone: "Nowhere/City", sinks: [{ type: "slack", url: hookUrl }] }).error).toMatch(/timezone/);
+    expect(validateSchedule({ enabled: "yes" }, { partial: true }).error).toMatch(/enabled/);
+  });
+
+  test("computes the next run and clears it when disabled", async () => {
+    const store = createMemoryScheduleStore();
+    const { schedule } = await createSchedule({ ...input, sinks: [{ type: "slack", url: hookUrl }] }, { ownerId: "u1", now: new Date("2026-03-04T10:00:00Z"), store });
+    expect(schedule.nextRunAt).toBe(MONDAY.toISOString());
+    const { schedule: paused } = await updateSchedule(schedule, { enabled: false }, { store });
+    expect(paused.nextRunAt).toBeNull();
+  });
+
+  test("runs due schedules, delivers to every sink and records the run", async () => {
+    const store = createMemoryScheduleStore();
+    const sinks = [{ type: "email", to: ["ceo@skylark.test"] }, { type: "webhook", url: hookUrl }];
+    const { schedule } = await createSchedule({ ...input, sinks }, { ownerId: "u1", now: new Date("2026-03-04T10:00:00Z"), store });
+
+    expect(await runDueSchedules({ now: new Date("2026-03-08T00:00:00Z"), store })).toEqual([]);
+
+    const [run] = await runDueSchedules({ now: MONDAY, store, sinkOptions: { smtp: smtpConfig } });
+    expect(runChatTurn).toHaveBeenCalledWith("Give me a leadership brief", { history: [] }, { mondayToken: null });
+    expect(run).toMatchObject({ scheduleId: schedule.id, trigger: "schedule", status: "success", summary: reply.summary });
+    expect(run.deliveries.map((d) => d.status)).toEqual(["sent", "sent"]);
+    expect(smtp.messages).toHaveLength(1);
+    expect(webhooks.requests).toHaveLength(1);
+
+    const saved = await store.getSchedule(schedule.id);
+    expect(saved).toMatchObject({ lastRunAt: MONDAY.toISOString(), lastStatus: "success", nextRunAt: "2026-03-16T03:30:00.000Z" });
+    expect(await store.listRuns({ scheduleId: schedule.id })).toEqual([run]);
+  });
+
+  test("runs with the owner's Monday token, stored encrypted", async () => {
+    const store = createMemoryScheduleStore();
+    const { schedule } = await createSchedule({ ...input, sinks: [{ type: "webhook", url: hookUrl }] }, { ownerId: "u1", mondayToken: "owner-monday", store });
+    expect(schedule.sealedMondayToken).toEqual(expect.any(String));
+    expect(JSON.stringify(schedule)).not.toContain("owner-monday");
+    expect(scheduleView(schedule)).toMatchObject({ usesOwnMondayToken: true });
+    expect(scheduleView(schedule)).not.toHaveProperty("sealedMondayToken");
+
+    await runSchedule(schedule, { store });
+    expect(runChatTurn).toHaveBeenLastCalledWith(input.query, { history: [] }, { mondayToken: "owner-monday" });
+
+    // Saved by a user without their own token, it falls back to the shared one
+    const { schedule: updated } = await updateSchedule(schedule, { name: "Renamed" }, { store });
+    expect(updated.sealedMondayToken).toBeNull();
+
+    process.env.AUTH_SECRET = "rotated";
+    const run = await runSchedule(schedule, { store });
+    process.env.AUTH_SECRET = "digest-secret";
+    expect(run).toMatchObject({ status: "failed", error: expect.stringMatching(/can no longer be decrypted/) });
+  });
+
+  test("marks partial delivery and failed queries", async () => {
+    const store = createMemoryScheduleStore();
+    const { schedule } = await createSchedule({ ...input, sinks: [{ type: "webhook", url: hookUrl }, { type: "slack", url: hookUrl }] }, { ownerId: "u1", store });
+
+    webhooks.failNext();
+    expect((await runSchedule(schedule, { store })).status).toBe("partial");
+
+    runChatTurn.mockResolvedValueOnce({ type: "clarification", questions: ["Which quarter?"] });
+    const failed = await runSchedule(schedule, { store });
+    expect(failed).toMatchObject({ status: "failed", error: "The query needs clarification: Which quarter?", deliveries: [] });
+
+    runChatTurn.mockRejectedValueOnce(new Error("Monday.com is down"));
+    expect((await runSchedule(schedule, { store })).error).toBe("Monday.com is down");
+    expect((await store.listRuns({ scheduleId: schedule.id })).map((r) => r.status)).toEqual(["failed", "failed", "partial"]);
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * End-to-end tests: the Express app against the mock Monday.com server, with the
+ * LLM in stub mode. Nothing is mocked inside the process — requests go over HTTP.
+ */
+
+import { mkdtempSync, rmSync, existsSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createMockMondayServer } from "../mock/mondayMockServer.js";
+import { createMockWebhookServer } from "../mock/sinkMockServers.js";
+import { DEALS_BOARD_ID, WORK_ORDERS_BOARD_ID } from "../mock/fixtures.js";
+
+const workDir = mkdtempSync(join(tmpdir(), "skylark-e2e-"));
+const mock = createMockMondayServer({ pageSize: 5, validTokens: ["service-token", "user-token"] });
+const webhooks = createMockWebhookServer();
+const webhookUrl = await webhooks.listen();
+
+Object.assign(process.env, {
+  MONDAY_API_URL: await mock.listen(),
+  MONDAY_API_TOKEN: "service-token",
+  MONDAY_RETRY_BASE_MS: "1",
+  DEALS_BOARD_ID,
+  WORK_ORDERS_BOARD_ID,
+  LLM_PROVIDER: "stub",
+  API_KEYS: "tester:test-key,other:other-key",
+  ADMIN_USERS: "tester",
+  AUTH_SECRET: "e2e-secret",
+  BOARD_CACHE_TTL_MS: "0",
+  COLUMN_MAPPING_PATH: join(workDir, "column-mapping.json"),
+  SNAPSHOT_PATH: join(workDir, "snapshots.jsonl"),
+  DIGEST_STORE_DIR: workDir,
+  CONVERSATION_STORE_DIR: join(workDir, "conversations"),
+  ALERT_STATE_PATH: join(workDir, "alert-state.json"),
+  MONDAY_WEBHOOK_SECRET: "e2e-hook-secret",
+  DIGEST_SINK_HOSTS: "127.0.0.1",
+});
+delete process.env.AUTH_DISABLED;
+
+const { createApp } = await import("../app.js");
+
+let server, baseUrl;
+
+beforeAll(async () => {
+  server = createApp().listen(0);
+  await new Promise((r) => server.once("listening", r));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(async () => {
+  await new Promise((r) => server.close(r));
+  await mock.close();
+  await webhooks.close();
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+function post(path, body, headers = { Authorization: "Bearer test-key" }) {
+  return fetch(`${baseUrl}${path}`, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+}
+
+async function chat(message, headers) {
+  const res = await post("/chat", { message, sessionId: "e2e" }, headers);
+  return { status: res.status, reply: await res.json() };
+}
+
+function parseEvents(text) {
+  return text.split("\n\n").filter(Boolean).map((frame) => ({
+    event: frame.match(/^event: (.*)$/m)?.[1],
+    data: JSON.parse(frame.match(/^data: (.*)$/m)?.[1] ?? "null"),
+  }));
+}
+
+describe("API", () => {
+  test("health is public and does not expose board IDs", async () => {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    expect(health).toEqual({ status: "ok", mondayConfigured: true, openaiConfigured: expect.any(Boolean), llmProvider: "stub", authRequired: true });
+  });
+
+  test("chat requires authentication", async () => {
+    const { status, reply } = await chat("leadership brief", {});
+    expect(status).toBe(401);
+    expect(reply.error).toBe("Authentication required.");
+  });
+
+  test("answers a leadership brief across both boards", async () => {
+    const { status, reply } = await chat("Give me a leadership brief");
+    expect(status).toBe(200);
+    expect(reply.type).toBe("insight");
+    expect(reply.summary).toMatch(/12 deals .* 8 work orders/);
+    expect(reply.dataQuality.deals.pagination).toEqual({ pages: 3, itemsFetched: 12, maxItems: 10000, truncated: false });
+    expect(reply.dataQuality.deals.columnMapping.dealValue).toBe("Masked Deal Value");
+    expect(reply.tables.crossBoardLinks.filter((l) => l.method === "relation").map((l) => l.workOrderId).sort()).toEqual(["6001", "6003", "6004"]);
+    expect(reply.tables.crossBoardLinks).toContainEqual(expect.objectContaining({ dealId: "5003", workOrderId: "6002", method: "fuzzy" }));
+    expect(mock.requests.every((r) => r.token === "service-token")).toBe(true);
+    expect(existsSync(process.env.SNAPSHOT_PATH)).toBe(true);
+    expect(reply.charts.map((c) => c.id)).toEqual(["sectorPipeline", "quarterlyRevenue", "workOrderStatus"]);
+    expect(reply.charts[2].series.reduce((sum, p) => sum + p.value, 0)).toBe(8);
+  });
+
+  test("streams stage events and the final reply", async () => {
+    const res = await post("/chat/stream", { message: "How many work orders are overdue?", sessionId: "e2e-stream" });
+    expect(res.headers.get("content-type")).toMatch(/text\/event-stream/);
+    const events = parseEvents(await res.text());
+    const names = [...new Set(events.map((e) => e.event))];
+    expect(names).toEqual(["plan", "board", "metrics", "token", "done"]);
+    expect(events.find((e) => e.event === "board").data).toMatchObject({ board: "workOrders", rows: 8 });
+    const streamed = events.filter((e) => e.event === "token").map((e) => e.data.delta).join("");
+    const done = events.at(-1).data;
+    expect(JSON.parse(streamed).summary).toBe(done.summary);
+  });
+
+  test("exports a chat reply as a PDF download", async () => {
+    const { reply } = await chat("Give me a leadership brief");
+    const res = await post("/export", { format: "pdf", reply });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toBe("application/pdf");
+    expect(res.headers.get("content-disposition")).toMatch(/^attachment; filename="leadership-brief-\d{4}-\d{2}-\d{2}\.pdf"$/);
+    expect(Buffer.from(await res.arrayBuffer()).subarray(0, 8).toString()).toBe("%PDF-1.4");
+
+    const bad = await post("/export", { format: "docx", reply });
+    expect(bad.status).toBe(400);
+    const malformed = await post("/export", { format: "pdf", reply: { ...reply, tables: { deals: "rows" } } });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error).toMatch(/tables.deals/);
+  });
+});
+
+describe("structured filters", () => {
+  test("restricts rows before metrics and reports the filters applied", async () => {
+    const { reply } = await chat("How is the deals pipeline for won deals over ₹15L?");
+    expect(reply.plan.filters).toMatchObject({ status: "won", minValue: 1500000 });
+    expect(reply.tables.deals.map((r) => r._id).sort()).toEqual(["5001", "5003"]);
+    expect(reply.appliedFilters).toEqual([
+      expect.objectContaining({ filter: "status", board: "deals", columns: ["Deal Status", "Deal Stage"], matched: 4 }),
+      expect.objectContaining({ filter: "value", board: "deals", columns: ["Masked Deal Value"], matched: 2 }),
+    ]);
+    expect(reply.leadership_bullets[0]).toMatch(/^Filters: /);
+  });
+});
+
+describe("funnel", () => {
+  test("reports stage conversion and stuck deals for the funnel intent", async () => {
+    const { reply } = await chat("Where are deals getting stuck in the funnel?");
+    expect(reply.plan).toMatchObject({ intent: "funnel", data_sources: ["deals"] });
+    const funnel = reply.charts.find((c) => c.id === "funnelStages");
+    expect(funnel.series.map((p) => p.label)).toEqual(["B. Sales Qualified Leads", "D. Feasibility", "E. Proposal/Commercials Sent", "H. Work Order Received"]);
+    expect(funnel.series[0].value).toBe(12);
+    // Every open deal's close date in the fixtures is long past
+    expect(reply.tables.stuckDeals.map((d) => d.dealId).sort()).toEqual(["5002", "5004", "5008", "5009", "5010", "5011"]);
+    expect(reply.leadership_bullets.join(" ")).toMatch(/Stuck: 6 open deals more than 30 days past their close date/);
+  });
+});
+
+describe("receivables", () => {
+  test("lists who owes money and completed work still to bill", async () => {
+    const { reply } = await chat("Who owes us money?");
+    expect(reply.plan).toMatchObject({ intent: "receivables", data_sources: ["work_orders"] });
+    expect(reply.tables.receivablesByClient.map((c) => [c.client, c.outstanding])).toEqual([["COMPANY_103", 800000], ["COMPANY_101", 350000]]);
+    expect(reply.tables.unbilledWorkOrders).toEqual([expect.objectContaining({ workOrderId: "6004", unbilled: 600000 })]);
+    expect(reply.charts.map((c) => c.id)).toEqual(["receivablesAging", "topDebtors"]);
+    expect(reply.leadership_bullets.join(" ")).toMatch(/Receivables: ₹11\.5L outstanding across 2 work orders and 2 clients/);
+  });
+});
+
+describe("ad-hoc analysis", () => {
+  test("plans tool calls for a ranking and returns the result with its trace", async () => {
+    const { reply } = await chat("Top 5 clients by billed amount");
+    expect(reply.plan.intent).toBe("analysis");
+    expect(reply.trace).toMatchObject({ stoppedBy: "fallback", maxSteps: 6 });
+    expect(reply.trace.steps.map((s) => [s.tool, s.result?.result])).toEqual([["describe_columns", "r1"], ["group_by", "r2"], ["top_n", "r3"]]);
+    expect(reply.trace.steps[1].arguments).toMatchObject({ source: "work_orders", by: ["Customer Name Code"] });
+    const total = "Total Billed Value in Rupees (Excl of GST.) (Masked)";
+    expect(reply.tables.analysis.map((r) => [r["Customer Name Code"], r[total]])).toEqual([
+      ["COMPANY_101", 1850000], ["COMPANY_103", 1600000], ["COMPANY_107", 600000], ["COMPANY_122", 410000], [null, 0],
+    ]);
+    expect(reply.charts).toEqual([]);
+    expect(reply.summary).toMatch(/^Top 5 Customer Name Code values by total Billed Value .* \(work orders\): COMPANY_101 18,50,000, COMPANY_103 16,00,000/);
+  });
+});
+
+describe("structured queries", () => {
+  test("runs a DSL query against the mapped fields", async () => {
+    const res = await post("/query", {
+      query: { from: "work_orders", groupBy: ["client"], aggregates: [{ fn: "sum", column: "billed", as: "billed" }], orderBy: [{ column: "billed", direction: "desc" }], limit: 3 },
+    });
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ error: null, generated: false, columns: ["Customer Name Code", "billed"], rowCount: 3, reportingCurrency: "INR" });
+    expect(body.rows.map((r) => [r["Customer Name Code"], r.billed])).toEqual([["COMPANY_101", 1850000], ["COMPANY_103", 1600000], ["COMPANY_107", 600000]]);
+    expect(body.dataFreshness.workOrders).toBeDefined();
+  });
+
+  test("plans a query from a question and rejects malformed ones", async () => {
+    const planned = await (await post("/query", { question: "Top 2 clients by billed amount" })).json();
+    expect(planned).toMatchObject({ generated: true, rowCount: 2, query: { from: "work_orders", groupBy: ["client"], limit: 2 } });
+
+    const invalid = await post("/query", { query: { from: "invoices", limit: 0 } });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).errors).toEqual(['query.from: must be one of "deals", "work_orders"']);
+    const unknownColumn = await post("/query", { query: { from: "deals", groupBy: ["nope"] } });
+    expect(unknownColumn.status).toBe(400);
+    expect((await unknownColumn.json()).errors).toEqual([expect.stringMatching(/^Unknown column "nope"/)]);
+    expect((await post("/query", {})).status).toBe(400);
+  });
+});
+
+describe("drill-down follow-ups", () => {
+  const ask = (message) => post("/chat", { message, sessionId: "e2e-drill" }).then((r) => r.json());
+
+  // Rows are re-used only within the board cache TTL, which is off elsewhere in this file
+  beforeEach(() => { process.env.BOARD_CACHE_TTL_MS = "300000"; });
+  afterEach(() => { process.env.BOARD_CACHE_TTL_MS = "0"; });
+
+  test("refines the previous plan and re-filters rows already fetched", async () => {
+    await ask("How is the deals pipeline?");
+    mock.reset();
+
+    const mining = await ask("Now just the mining sector");
+    expect(mining.plan).toMatchObject({ intent: "pipeline_health", data_sources: ["deals"], filters: { sector: "Mining" }, refinement: { mode: "refine" } });
+    expect(mining.tables.deals.length).toBeGreaterThan(0);
+    expect(mining.tables.deals.every((r) => r["Sector/service"] === "Mining")).toBe(true);
+    expect(mining.dataFreshness.deals.cached).toBe(true);
+
+    const compared = await ask("Compare with construction");
+    expect(compared.plan.compare_sectors).toEqual(["Mining", "Construction"]);
+    expect(compared.leadership_bullets.join(" ")).toMatch(/Comparison: Mining \d+ deals .* vs Construction \d+ deals/);
+    expect(mock.requests).toEqual([]);
+  });
+});
+
+describe("conversation history", () => {
+  const request = (method, path, body, key = "test-key") => fetch(`${baseUrl}${path}`, {
+    method, headers: { "Content-Type": "application/json", Authorization: `Bearer ${key}` }, body: body && JSON.stringify(body),
+  });
+
+  test("lists, renames, replays and deletes stored conversations", async () => {
+    await post("/chat", { message: "How is the deals pipeline?", sessionId: "e2e-history" });
+    await post("/chat", { message: "Now just the mining sector", sessionId: "e2e-history" });
+
+    const { conversations } = await (await request("GET", "/conversations")).json();
+    expect(conversations.find((c) => c.id === "e2e-history")).toMatchObject({ title: "How is the deals pipeline?", turnCount: 2, lastQuestion: "Now just the mining sector" });
+    const { turns } = await (await request("GET", "/conversations/e2e-history")).json();
+    expect(turns.map((t) => t.reply.plan.filters.sector)).toEqual([null, "Mining"]);
+    expect((await request("GET", "/conversations/e2e-history", undefined, "other-key")).status).toBe(404);
+
+    const renamed = await request("PATCH", "/conversations/e2e-history", { title: "Mining pipeline" });
+    expect(await renamed.json()).toMatchObject({ id: "e2e-history", title: "Mining pipeline" });
+    expect((await request("PATCH", "/conversations/e2e-history", { title: "" })).status).toBe(400);
+
+    mock.reset();
+    const replay = await request("POST", `/conversations/e2e-history/turns/${turns[1].id}/replay`);
+    const turn = await replay.json();
+    expect(turn).toMatchObject({ question: "Now just the mining sector", replayOf: turns[1].id, reply: { type: "insight", plan: { filters: { sector: "Mining" } } } });
+    expect(mock.requests.length).toBeGreaterThan(0);
+    expect((await request("POST", "/conversations/e2e-history/turns/nope/replay")).status).toBe(404);
+
+    expect((await request("DELETE", "/conversations/e2e-history")).status).toBe(204);
+    expect((await request("GET", "/conversations/e2e-history")).status).toBe(404);
+  });
+
+  test("rejects conversation ids that are not short strings", async () => {
+    expect((await post("/chat", { message: "Pipeline?", sessionId: 42 })).status).toBe(400);
+    expect((await post("/chat", { message: "Pipeline?", sessionId: "x".repeat(101) })).status).toBe(400);
+  });
+});
+
+describe("Monday.com failures", () => {
+  test("reports an invalid token", async () => {
+    mock.failNext("unauthorized");
+    const { reply } = await chat("pipeline health");
+    expect(reply.type).toBe("error");
+    expect(reply.summary).toMatch(/Invalid Monday.com API token/);
+  });
+
+  test("retries after a rate limit", async () => {
+    mock.failNext("rateLimit");
+    const { reply } = await chat("pipeline health");
+    expect(reply.type).toBe("insight");
+    expect(mock.requests[0].variables).toEqual(mock.requests[1].variables);
+  });
+
+  test("surfaces complexity errors on a later page", async () => {
+    mock.failAfter(1, "complexity");
+    const { reply } = await chat("pipeline health");
+    expect(reply.type).toBe("error");
+    expect(reply.summary).toMatch(/Complexity budget exhausted.*page 2 of board 1001/);
+  });
+});
+
+describe("per-user Monday tokens", () => {
+  test("fetches boards with the token carried by a session", async () => {
+    const session = await (await post("/auth/token", { mondayToken: "user-token" })).json();
+    expect(session.mondayUser).toMatchObject({ name: "Mock User" });
+    mock.reset();
+
+    const { reply } = await chat("pipeline health", { Authorization: `Bearer ${session.token}` });
+    expect(reply.type).toBe("insight");
+    expect(mock.requests.length).toBeGreaterThan(0);
+    expect(mock.requests.every((r) => r.token === "user-token")).toBe(true);
+  });
+
+  test("lets non-admins clear only the boards fetched with their own token", async () => {
+    const asOther = { Authorization: "Bearer other-key" };
+    const denied = await post("/cache/invalidate", {}, asOther);
+    expect(denied.status).toBe(403);
+    expect((await denied.json()).error).toMatch(/Only admins/);
+
+    const own = await post("/cache/invalidate", { boardId: DEALS_BOARD_ID }, { ...asOther, "X-Monday-Token": "user-token" });
+    expect(await own.json()).toEqual({ status: "ok", invalidated: [DEALS_BOARD_ID] });
+    expect((await post("/cache/invalidate", {})).status).toBe(200);
+  });
+
+  test("refuses to issue a session for a token Monday rejects", async () => {
+    const res = await post("/auth/token", { mondayToken: "stolen-token" });
+    expect(res.status).toBe(401);
+    expect((await res.json()).error).toMatch(/Monday.com token rejected/);
+  });
+});
+
+describe("digest schedules", () => {
+  test("creates a schedule, runs it on demand and keeps run history", async () => {
+    const created = await post("/schedules", {
+      name: "Monday Brief",
+      query: "Give me a leadership brief",
+      cron: "0 9 * * MON",
+      timezone: "Asia/Kolkata",
+      sinks: [{ type: "slack", url: `${webhookUrl}/slack` }],
+    });
+    expect(created.status).toBe(201);
+    const schedule = await created.json();
+    expect(schedule.nextRunAt).toMatch(/T03:30:00\.000Z$/);
+
+    const run = await (await post(`/schedules/${schedule.id}/run`, {})).json();
+    expect(run).toMatchObject({ status: "success", trigger: "manual", deliveries: [{ type: "slack", status: "sent" }] });
+    expect(webhooks.requests.at(-1).body.text).toMatch(/^Monday Brief: .*12 deals/);
+
+    const { runs } = await (await fetch(`${baseUrl}/schedules/${schedule.id}/runs`, { headers: { Authorization: "Bearer test-key" } })).json();
+    expect(runs.map((r) => r.id)).toEqual([run.id]);
+  });
+
+  test("rejects invalid schedules and hides other users' schedules", async () => {
+    const bad = await post("/schedules", { name: "x", query: "y", cron: "every monday", sinks: [{ type: "slack", url: webhookUrl }] });
+    expect(bad.status).toBe(400);
+    expect((await bad.json()).error).toMatch(/5 fields/);
+
+    const asOther = { headers: { Authorization: "Bearer other-key" } };
+    const { schedules } = await (await fetch(`${baseUrl}/schedules`, { headers: { Authorization: "Bearer test-key" } })).json();
+    expect(schedules).toHaveLength(1);
+    expect((await (await fetch(`${baseUrl}/schedules`, asOther)).json()).schedules).toEqual([]);
+    expect((await fetch(`${baseUrl}/schedules/${schedules[0].id}`, asOther)).status).toBe(404);
+  });
+
+  test("runs a digest with its owner's Monday token and refuses unlisted sink hosts", async () => {
+    const asUser = { Authorization: "Bearer other-key", "X-Monday-Token": "user-token" };
+    const body = { name: "Mine", query: "How is the pipeline?", cron: "0 9 * * MON", sinks: [{ type: "webhook", url: `${webhookUrl}/mine` }] };
+    const schedule = await (await post("/schedules", body, asUser)).json();
+    expect(schedule.usesOwnMondayToken).toBe(true);
+    expect(schedule).not.toHaveProperty("sealedMondayToken");
+
+    mock.reset();
+    const run = await (await post(`/schedules/${schedule.id}/run`, {}, asUser)).json();
+    expect(run.status).toBe("success");
+    expect(mock.requests.length).toBeGreaterThan(0);
+    expect(mock.requests.every((r) => r.token === "user-token")).toBe(true);
+
+    const internal = await post("/schedules", { ...body, sinks: [{ type: "webhook", url: "http://169.254.169.254/latest/meta-data" }] }, asUser);
+    expect(internal.status).toBe(400);
+    expect((await internal.json()).error).toMatch(/not in DIGEST_SINK_HOSTS/);
+  });
+});
+
+describe("alerts", () => {
+  test("evaluates the configured rules against live metrics", async () => {
+    const result = await (await post("/alerts/evaluate", { dryRun: true })).json();
+    const statuses = Object.fromEntries(result.evaluations.map((e) => [e.ruleId, e.status]));
+    expect(Object.keys(statuses)).toEqual(expect.arrayContaining(["low-close-rate", "overdue-work-orders", "low-collection-rate"]));
+    expect(result.evaluations.find((e) => e.ruleId === "overdue-work-orders").current).toEqual(expect.any(Number));
+
+    const { rules } = await (await fetch(`${baseUrl}/alerts`, { headers: { Authorization: "Bearer test-key" } })).json();
+    expect(rules.every((r) => r.state === null)).toBe(true);
+  });
+
+  test("are for admins only", async () => {
+    const asOther = { Authorization: "Bearer other-key" };
+    const evaluate = await post("/alerts/evaluate", { dryRun: true }, asOther);
+    expect(evaluate.status).toBe(403);
+    expect((await evaluate.json()).error).toMatch(/admin/);
+    expect((await fetch(`${baseUrl}/alerts`, { headers: asOther })).status).toBe(403);
+  });
+});
+
+describe("Monday webhooks", () => {
+  const noAuth = {};
+
+  test("answers the challenge only with the right secret", async () => {
+    const ok = await post("/webhooks/monday?secret=e2e-hook-secret", { challenge: "abc123" }, noAuth);
+    expect(ok.status).toBe(200);
+    expect(await ok.json()).toEqual({ challenge: "abc123" });
+    expect((await post("/webhooks/monday?secret=wrong", { challenge: "abc123" }, noAuth)).status).toBe(401);
+  });
+
+  test("re-reads the item named in an event", async () => {
+    const event = { type: "update_column_value", boardId: Number(DEALS_BOARD_ID), pulseId: 1, columnId: "status" };
+    const res = await post("/webhooks/monday?secret=e2e-hook-secret", { event }, noAuth);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ status: "ok", boardId: String(DEALS_BOARD_ID), itemId: "1" });
+    expect(mock.requests.some((r) => /items\(ids/.test(r.query.replace(/\s/g, "")))).toBe(true);
+  });
+});
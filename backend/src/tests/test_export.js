@@ -0,0 +1,159 @@
+/**
+ * Jest tests for leadership brief export (Markdown, PDF, PPTX).
+ */
+
+import { inflateRawSync } from "zlib";
+import { exportReply } from "../export/index.js";
+import { buildReport } from "../export/report.js";
+import { crc32, createZip } from "../export/zip.js";
+
+const NOW = new Date("2026-03-02T09:30:00Z");
+
+const reply = {
+  summary: "Pipeline stands at ₹4.2 Cr across 12 open deals.",
+  insight: "Mining leads the pipeline; two high-value deals have no work order yet.",
+  leadership_bullets: ["Close the Tata Steel survey this month", "Chase ₹38 L in overdue receivables"],
+  tables: {
+    deals: [
+      { _id: "1", _name: "Tata Steel Survey", Sector: "Mining", "Deal Value": 1500000 },
+      { _id: "2", _name: "Adani | Port Mapping", Sector: "Powerline", "Deal Value": null },
+    ],
+  },
+  dataQuality: { deals: { totalRows: 12, missingCounts: { "Deal Value": 3 }, warnings: ["2 deals have no close date"], columnMapping: { sector: "Sector", value: "Deal Value" } } },
+  confidence: 0.82,
+};
+
+// Read the entry names and contents of a ZIP produced by createZip
+function readZip(buf) {
+  const entries = {};
+  let offset = 0;
+  while (buf.readUInt32LE(offset) === 0x04034b50) {
+    const size = buf.readUInt32LE(offset + 18);
+    const nameLength = buf.readUInt16LE(offset + 26);
+    const name = buf.subarray(offset + 30, offset + 30 + nameLength).toString("utf8");
+    const start = offset + 30 + nameLength;
+    entries[name] = inflateRawSync(buf.subarray(start, start + size)).toString("utf8");
+    offset = start + size;
+  }
+  return entries;
+}
+
+describe("buildReport", () => {
+  test("orders sections and prefers mapped columns", () => {
+    const report = buildReport(reply, { generatedAt: NOW });
+    expect(report.sections.map((s) => s.heading)).toEqual(["Executive Summary", "Analysis", "Leadership Update", "Deals", "Data Quality"]);
+    const deals = report.sections[3].table;
+    expect(deals.columns).toEqual(["Item", "Sector", "Deal Value"]);
+    expect(deals.rows[0]).toEqual(["Tata Steel Survey", "Mining", "1,500,000"]);
+    expect(deals.rows[1][2]).toBe("—");
+    expect(report.sections[4].bullets).toEqual(expect.arrayContaining(["Confidence: 82%", "Deals missing values: Deal Value (3)"]));
+  });
+
+  test("lists the filters a reply was restricted to", () => {
+    const appliedFilters = [
+      { filter: "sector", description: "sector is Mining", board: "deals", columns: ["Sector"], matched: 4 },
+      { filter: "owner", description: "owner matches OWNER_001", board: "workOrders", skipped: "no owner column on work orders" },
+    ];
+    const section = buildReport({ ...reply, appliedFilters }, { generatedAt: NOW }).sections[3];
+    expect(section).toEqual({
+      heading: "Filters",
+      bullets: ["Deals: sector is Mining (4 rows)", "Work Orders: owner matches OWNER_001 — not applied (no owner column on work orders)"],
+    });
+  });
+
+  test("shows analysis results as they are and lists each tool call", () => {
+    const trace = {
+      maxSteps: 6,
+      stoppedBy: "answer",
+      steps: [
+        { step: 1, tool: "sort_rows", arguments: { source: "deals", by: "Value", direction: "desc" }, error: 'Unknown column "Value".' },
+        { step: 2, tool: "top_n", arguments: { source: "deals", by: "Deal Value", n: 1, direction: "desc" }, result: { result: "r1", rowCount: 1, columns: ["Name", "Deal Value"], rows: [] } },
+      ],
+    };
+    const { sections } = buildReport({ summary: "x", tables: { analysis: [{ Name: "A", "Deal Value": 1500 }] }, trace }, { generatedAt: NOW });
+    expect(sections[1]).toMatchObject({ heading: "Analysis Result", table: { columns: ["Name", "Deal Value"], rows: [["A", "1,500"]] } });
+    expect(sections[2]).toEqual({
+      heading: "Analysis Steps",
+      bullets: [
+        '1. sort_rows {"source":"deals","by":"Value","direction":"desc"} → failed: Unknown column "Value".',
+        '2. top_n {"source":"deals","by":"Deal Value","n":1,"direction":"desc"} → r1 (1 rows)',
+      ],
+    });
+  });
+
+  test("notes truncated tables", () => {
+    const rows = Array.from({ length: 15 }, (_, i) => ({ _name: `Deal ${i}`, Sector: "Mining" }));
+    const section = buildReport({ summary: "x", tables: { deals: rows } }, { generatedAt: NOW }).sections[1];
+    expect(section.table.rows).toHaveLength(10);
+    expect(section.note).toBe("Showing 10 of 15 rows.");
+  });
+});
+
+describe("exportReply", () => {
+  test("rejects unknown formats and empty replies", () => {
+    expect(exportReply(reply, "docx").error).toMatch(/Unsupported export format/);
+    expect(exportReply({ tables: {} }, "pdf").error).toMatch(/Nothing to export/);
+    expect(exportReply(null, "pdf").error).toMatch(/Nothing to export/);
+  });
+
+  test("rejects replies in the wrong shape instead of failing to render them", () => {
+    expect(exportReply({ summary: 42 }, "pdf").error).toBe("Cannot export: reply.summary must be a string.");
+    expect(exportReply({ summary: "x", leadership_bullets: "Risk: late" }, "pdf").error).toMatch(/leadership_bullets must be an array of strings/);
+    expect(exportReply({ summary: "x", tables: { deals: "rows" } }, "pdf").error).toMatch(/tables.deals must be an array of row objects/);
+    expect(exportReply({ summary: "x", tables: { deals: [null] } }, "pdf").error).toMatch(/tables.deals must be an array of row objects/);
+    expect(exportReply({ summary: "x", appliedFilters: [null] }, "markdown").error).toMatch(/appliedFilters/);
+    expect(exportReply({ summary: "x", dataQuality: { deals: { warnings: "none" } } }, "pptx").error).toMatch(/warnings/);
+    expect(exportReply({ summary: "x", trace: { steps: [{ tool: "sum" }] } }, "pdf").error).toMatch(/trace.steps/);
+    expect(exportReply({ summary: "x", tables: { deals: [{ Value: 5, Tags: ["a"], Meta: { b: 1 } }] } }, "pdf").error).toBeNull();
+  });
+
+  test("renders Markdown with escaped table cells", () => {
+    const { error, filename, contentType, body } = exportReply(reply, "markdown", { now: NOW });
+    expect(error).toBeNull();
+    expect(filename).toBe("leadership-brief-2026-03-02.md");
+    expect(contentType).toMatch(/text\/markdown/);
+    expect(body).toContain("# Leadership Brief");
+    expect(body).toContain("- Close the Tata Steel survey this month");
+    expect(body).toContain("| Item | Sector | Deal Value |");
+    expect(body).toContain("Adani \\| Port Mapping");
+  });
+
+  test("renders a PDF with a valid cross-reference table", () => {
+    const { body } = exportReply(reply, "pdf", { title: "Weekly Brief", now: NOW });
+    const text = body.toString("latin1");
+    expect(text.startsWith("%PDF-1.4")).toBe(true);
+    expect(text.trimEnd().endsWith("%%EOF")).toBe(true);
+    expect(text).toContain("(Weekly Brief)");
+    // ₹ has no WinAnsi glyph, so it is transliterated
+    expect(text).toContain("Rs 4.2 Cr");
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe("xref");
+    const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+    offsets.forEach((offset, i) => expect(text.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+  });
+
+  test("renders a PPTX deck with one slide per section", () => {
+    const { filename, body } = exportReply(reply, "pptx", { now: NOW });
+    expect(filename).toBe("leadership-brief-2026-03-02.pptx");
+    const entries = readZip(body);
+    expect(Object.keys(entries)[0]).toBe("[Content_Types].xml");
+    const slides = Object.keys(entries).filter((n) => /^ppt\/slides\/slide\d+\.xml$/.test(n));
+    expect(slides).toHaveLength(6); // title slide + 5 sections
+    expect(entries["ppt/slides/slide2.xml"]).toContain("Executive Summary");
+    expect(entries["ppt/slides/slide5.xml"]).toContain("<a:tbl>");
+    expect(entries["ppt/slides/slide5.xml"]).toContain("Adani | Port Mapping");
+  });
+});
+
+describe("createZip", () => {
+  test("computes the standard CRC-32", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+  });
+
+  test("round-trips file contents", () => {
+    const zip = createZip([{ name: "a.txt", data: "hello" }, { name: "dir/b.xml", data: Buffer.from("<b/>") }], { date: NOW });
+    expect(readZip(zip)).toEqual({ "a.txt": "hello", "dir/b.xml": "<b/>" });
+    expect(zip.readUInt32LE(zip.length - 22)).toBe(0x06054b50);
+  });
+});
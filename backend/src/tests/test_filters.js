@@ -0,0 +1,94 @@
+/**
+ * Jest tests for structured row filters.
+ */
+
+import { parseDateRange, buildPredicates, applyFilters } from "../filters.js";
+import { createConverter } from "../currency.js";
+
+const NOW = new Date("2025-02-12T10:00:00Z");
+
+const dealCols = { dealValue: "Value", stage: "Stage", status: "Status", sector: "Sector", closeDate: "Close", createdDate: "Created", client: "Client", owner: "Owner" };
+const deals = [
+  { _name: "A", Value: 1_000_000, Value_currency: "INR", Stage: "E. Proposal Sent", Status: "Open", Sector: "mines", Close: "2025-01-20", Created: "2024-10-01", Client: "COMPANY_1", Owner: "Asha" },
+  { _name: "B", Value: 3_000_000, Value_currency: "INR", Stage: "H. Work Order Received", Status: "Won", Sector: "Mining", Close: "2025-04-05", Created: "2024-12-01", Client: "COMPANY_2", Owner: "Ravi" },
+  { _name: "C", Value: 500_000, Value_currency: "INR", Stage: "L. Lost", Status: "Dead", Sector: "Construction", Close: null, Created: "2025-01-15", Client: "COMPANY_1", Owner: "Asha" },
+  { _name: "D", Value: 20_000, Value_currency: "USD", Stage: "D. Feasibility", Status: "Open", Sector: "Powerline", Close: "2025-03-01", Created: "2025-01-02", Client: "COMPANY_3", Owner: "Ravi" },
+];
+
+const woCols = { executionStatus: "Execution", woStatus: "Billing", startDate: "Start", endDate: "End", amount: "Amount", sector: "Sector", client: "Customer", owner: null };
+const workOrders = [
+  { _name: "W1", Execution: "Ongoing", Billing: "Open", Start: "2025-01-01", End: "2025-03-31", Amount: 900_000, Sector: "Mining", Customer: "COMPANY_1" },
+  { _name: "W2", Execution: "Completed", Billing: "Fully Billed", Start: "2024-07-01", End: "2024-09-30", Amount: 400_000, Sector: "Railways", Customer: "COMPANY_9" },
+];
+
+function run(filters, rows = deals, board = "deals", cols = dealCols, options = {}) {
+  const { predicates } = buildPredicates(filters, { now: NOW });
+  return applyFilters(rows, board, cols, predicates, options);
+}
+
+const names = (result) => result.rows.map((r) => r._name);
+
+describe("parseDateRange", () => {
+  test("reads explicit and open-ended ranges", () => {
+    expect(parseDateRange("2025-03-31..2025-01-01")).toEqual({ from: "2025-01-01", to: "2025-03-31" });
+    expect(parseDateRange("between 2025-01-01 and 2025-02-01")).toEqual({ from: "2025-01-01", to: "2025-02-01" });
+    expect(parseDateRange("after 2025-01-15")).toEqual({ from: "2025-01-15", to: null });
+    expect(parseDateRange("before 2025-01-15")).toEqual({ from: null, to: "2025-01-15" });
+  });
+
+  test("reads quarters, years and periods relative to now", () => {
+    expect(parseDateRange("Q4 2024")).toEqual({ from: "2024-10-01", to: "2024-12-31" });
+    expect(parseDateRange("2024")).toEqual({ from: "2024-01-01", to: "2024-12-31" });
+    expect(parseDateRange("last 30 days", { now: NOW })).toEqual({ from: "2025-01-13", to: "2025-02-12" });
+    expect(parseDateRange("next 2 quarters", { now: NOW })).toEqual({ from: "2025-02-12", to: "2025-08-12" });
+    expect(parseDateRange("this quarter", { now: NOW })).toEqual({ from: "2025-01-01", to: "2025-03-31" });
+    expect(parseDateRange("last quarter", { now: NOW })).toEqual({ from: "2024-10-01", to: "2024-12-31" });
+    expect(parseDateRange("last month", { now: NOW })).toEqual({ from: "2025-01-01", to: "2025-01-31" });
+    expect(parseDateRange("whenever")).toBeNull();
+  });
+});
+
+describe("buildPredicates", () => {
+  test("skips empty filters and rejects ones it cannot read", () => {
+    expect(buildPredicates({ sector: null, status: "" }).predicates).toEqual([]);
+    const { predicates, rejected } = buildPredicates({ dateRange: "soonish", minValue: "lots", sector: "infra" });
+    expect(predicates).toEqual([{ filter: "sector", sectors: ["Infrastructure"] }]);
+    expect(rejected.map((r) => r.skipped)).toEqual(["not a recognised date range", "not a number"]);
+  });
+});
+
+describe("applyFilters", () => {
+  test("matches canonical sectors and several values", () => {
+    expect(names(run({ sector: "mining" }))).toEqual(["A", "B"]);
+    expect(names(run({ sector: "Mining, Powerline" }))).toEqual(["A", "B", "D"]);
+  });
+
+  test("matches status against deal status or stage", () => {
+    expect(names(run({ status: "won" }))).toEqual(["B"]);
+    expect(names(run({ status: "proposal" }))).toEqual(["A"]);
+    expect(names(run({ status: "completed" }, workOrders, "workOrders", woCols))).toEqual(["W2"]);
+  });
+
+  test("filters date ranges on the board's default or requested date", () => {
+    expect(names(run({ quarter: "Q1 2025" }))).toEqual(["A", "D"]);
+    expect(names(run({ dateRange: "2025-01-01..2025-01-31", dateField: "created" }))).toEqual(["C", "D"]);
+    expect(names(run({ quarter: "Q1 2025" }, workOrders, "workOrders", woCols))).toEqual(["W1"]);
+    expect(names(run({ dateRange: "2024", dateField: "start" }, workOrders, "workOrders", woCols))).toEqual(["W2"]);
+  });
+
+  test("compares values in the reporting currency", () => {
+    const converter = createConverter({ reportingCurrency: "INR", rates: { USD: 80 } });
+    expect(names(run({ minValue: 1_000_000 }, deals, "deals", dealCols, { converter }))).toEqual(["A", "B", "D"]);
+    expect(names(run({ minValue: 600_000, maxValue: 1_500_000 }, deals, "deals", dealCols, { converter }))).toEqual(["A"]);
+  });
+
+  test("matches owners and clients, and reports filters a board cannot apply", () => {
+    expect(names(run({ owner: "asha", client: "company_1" }))).toEqual(["A", "C"]);
+    const result = run({ owner: "asha", sector: "mining" }, workOrders, "workOrders", woCols);
+    expect(names(result)).toEqual(["W1"]);
+    expect(result.applied).toEqual([
+      { filter: "sector", description: "sector is Mining", board: "workOrders", columns: ["Sector"], matched: 1 },
+      { filter: "owner", description: "owner matches asha", board: "workOrders", skipped: "no owner column on work orders" },
+    ]);
+  });
+});
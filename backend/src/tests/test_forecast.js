@@ -0,0 +1,71 @@
+/**
+ * Jest tests for the forecasting module.
+ */
+
+import { probabilityWeight, computeForecast } from "../forecast.js";
+import { createConverter } from "../currency.js";
+
+const cols = { dealValue: "Value", probability: "Prob", closeDate: "Close", stage: "Stage", status: "Status" };
+
+function deal(value, prob, close, status = "Open") {
+  return { Value: value, Value_currency: "INR", Prob: prob, Close: close, Stage: "Proposal", Status: status };
+}
+
+describe("probabilityWeight", () => {
+  test("maps labels, percentages and numbers", () => {
+    expect(probabilityWeight("High")).toBe(0.75);
+    expect(probabilityWeight("medium")).toBe(0.5);
+    expect(probabilityWeight("Low ")).toBe(0.2);
+    expect(probabilityWeight("60%")).toBe(0.6);
+    expect(probabilityWeight(40)).toBe(0.4);
+    expect(probabilityWeight(0.9)).toBe(0.9);
+  });
+
+  test("returns null for unknown values", () => {
+    expect(probabilityWeight("maybe")).toBeNull();
+    expect(probabilityWeight(null)).toBeNull();
+  });
+});
+
+describe("computeForecast", () => {
+  const now = new Date("2025-02-10T00:00:00Z");
+  const rows = [
+    deal(1000, "High", "2025-05-01"),
+    deal(1000, "Medium", "2025-06-15"),
+    deal(1000, "Low", "2025-08-01"),
+    deal(1000, "High", "2025-04-10", "Won"),
+    deal(1000, null, null),
+  ];
+
+  test("weights open deals and builds a best/likely/worst range", () => {
+    const f = computeForecast(rows, cols, { now });
+    expect(f.openDeals).toBe(4);
+    expect(f.excludedClosed).toBe(1);
+    expect(f.assumedLow).toBe(1);
+    expect(f.weightedPipeline).toBeCloseTo(750 + 500 + 200 + 200);
+    expect(f.range.best).toBeCloseTo(1000 + 1000 + 200 + 200);
+    expect(f.range.worst).toBeCloseTo(750);
+    expect(f.range.worst).toBeLessThanOrEqual(f.range.likely);
+  });
+
+  test("treats completed and delivered deals as won, like the funnel", () => {
+    const closed = ["Completed", "Delivered"].map((stage) => ({ ...deal(1000, "High", "2025-05-01"), Stage: stage }));
+    const f = computeForecast([...rows, ...closed], cols, { now });
+    expect(f.openDeals).toBe(4);
+    expect(f.excludedClosed).toBe(3);
+  });
+
+  test("projects expected revenue per quarter", () => {
+    const f = computeForecast(rows, cols, { now, quarter: "Q3 2025" });
+    expect(f.nextQuarter).toMatchObject({ quarter: "Q2 2025", deals: 2, likely: 1250 });
+    expect(f.byQuarter["Q3 2025"].likely).toBeCloseTo(200);
+    expect(f.focusQuarter).toMatchObject({ quarter: "Q3 2025", deals: 1 });
+    expect(f.undated.deals).toBe(1);
+  });
+
+  test("converts values into the reporting currency", () => {
+    const converter = createConverter({ reportingCurrency: "INR", base: "INR", rates: { INR: 1, USD: 80 } });
+    const f = computeForecast([{ ...deal(10, "High", "2025-05-01"), Value_currency: "USD" }], cols, { now, converter });
+    expect(f.weightedPipeline).toBe(600);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Jest tests for funnel conversion, time in stage, aging and stuck deals.
+ */
+
+import { computeFunnel, dealOutcome, orderStages } from "../funnel.js";
+import { createConverter } from "../currency.js";
+
+const NOW = new Date("2025-03-01T00:00:00Z");
+const cols = { stage: "Stage", status: "Status", dealValue: "Value", closeDate: "Close", createdDate: "Created" };
+
+function deal(id, stage, status, { close = null, created = null, updated = null, value = 100000 } = {}) {
+  return { _id: id, _name: `Deal ${id}`, _updatedAt: updated, Stage: stage, Status: status, Value: value, Value_currency: "INR", Close: close, Created: created };
+}
+
+const rows = [
+  deal("1", "B. Sales Qualified Leads", "Open", { created: "2025-02-20", updated: "2025-02-21T00:00:00Z" }),
+  deal("2", "B. Sales Qualified Leads", "Open", { created: "2024-12-01", updated: "2025-02-11T00:00:00Z", close: "2025-01-01" }),
+  deal("3", "E. Proposal Sent", "Open", { created: "2024-06-01", updated: "2025-01-30T00:00:00Z", close: "2025-02-20" }),
+  deal("4", "H. Work Order Received", "Won", { created: "2024-05-01" }),
+  deal("5", "L. Project Lost", "Dead", { created: "2024-04-01" }),
+  deal("6", "D. Feasibility", "On Hold", { close: "2024-11-15", value: 250000 }),
+];
+
+describe("dealOutcome", () => {
+  test("counts a deal once from its stage or status", () => {
+    expect(dealOutcome("H. Closed Won", "Won")).toBe("won");
+    expect(dealOutcome("L. Project Lost", "Open")).toBe("lost");
+    expect(dealOutcome("E. Proposal Sent", "Dead")).toBe("lost");
+    expect(dealOutcome("E. Proposal Sent", null)).toBe("open");
+  });
+});
+
+describe("orderStages", () => {
+  test("orders by letter prefix with unprefixed stages last", () => {
+    expect(orderStages(["H. Work Order Received", "Negotiation", "B. SQL", "E. Proposal", "B. SQL"])).toEqual(["B. SQL", "E. Proposal", "H. Work Order Received", "Negotiation"]);
+  });
+});
+
+describe("computeFunnel", () => {
+  const funnel = computeFunnel(rows, cols, { now: NOW, converter: createConverter({ reportingCurrency: "INR", rates: {} }) });
+
+  test("computes cumulative stage conversion with lost deals leaving at the top", () => {
+    expect(funnel.stages.map(({ stage, deals, reached }) => [stage, deals, reached])).toEqual([
+      ["B. Sales Qualified Leads", 2, 6],
+      ["D. Feasibility", 1, 3],
+      ["E. Proposal Sent", 1, 2],
+      ["H. Work Order Received", 1, 1],
+    ]);
+    expect(funnel.stages.map((s) => s.conversionToNext)).toEqual([0.5, 2 / 3, 0.5, null]);
+    expect(funnel.overallConversion).toBeCloseTo(1 / 6);
+    expect(funnel.exits).toEqual({ "L. Project Lost": 1 });
+    expect(funnel).toMatchObject({ open: 4, won: 1, lost: 1, winRate: 0.5 });
+  });
+
+  test("measures time in stage from the last update of open deals", () => {
+    const byStage = Object.fromEntries(funnel.stages.map((s) => [s.stage, s]));
+    expect(byStage["B. Sales Qualified Leads"]).toMatchObject({ avgDaysInStage: 13, timedDeals: 2 });
+    expect(byStage["E. Proposal Sent"].avgDaysInStage).toBe(30);
+    expect(byStage["D. Feasibility"]).toMatchObject({ avgDaysInStage: null, timedDeals: 0 });
+  });
+
+  test("buckets open deal age and lists deals stuck past their close date", () => {
+    expect(funnel.aging).toEqual({ avgAgeDays: (9 + 90 + 273) / 3, buckets: { "0-30": 1, "31-90": 1, "91-180": 0, "180+": 1 }, undated: 1 });
+    expect(funnel.stuckDeals).toEqual([
+      { dealId: "6", dealName: "Deal 6", stage: "D. Feasibility", closeDate: "2024-11-15", daysPastClose: 106, ageDays: null, value: 250000 },
+      { dealId: "2", dealName: "Deal 2", stage: "B. Sales Qualified Leads", closeDate: "2025-01-01", daysPastClose: 59, ageDays: 90, value: 100000 },
+    ]);
+    expect(computeFunnel(rows, cols, { now: NOW, stuckDays: 60 }).stuckDeals.map((d) => d.dealId)).toEqual(["6"]);
+  });
+});
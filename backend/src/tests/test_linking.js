@@ -0,0 +1,71 @@
+/**
+ * Jest tests for deal ↔ work order linking.
+ */
+
+import { tokenize, tokenSimilarity, linkDealsToWorkOrders } from "../linking.js";
+
+const dealCols = { sector: "Sector", client: "Client" };
+const woCols = { sector: "Sector", client: "Customer" };
+
+function deal(id, name, extra = {}) {
+  return { _id: id, _name: name, Sector: "Mining", Client: null, ...extra };
+}
+
+function wo(id, name, extra = {}) {
+  return { _id: id, _name: name, Sector: "Mining", Customer: null, ...extra };
+}
+
+describe("tokenize / tokenSimilarity", () => {
+  test("drops short words and generic terms", () => {
+    expect([...tokenize("Drone Survey for Tata Steel Pvt Ltd")]).toEqual(["tata", "steel"]);
+  });
+
+  test("scores token overlap with the Dice coefficient", () => {
+    expect(tokenSimilarity(tokenize("Tata Steel Jamshedpur"), tokenize("Tata Steel"))).toBeCloseTo(0.8);
+    expect(tokenSimilarity(tokenize("Tata Steel"), tokenize(""))).toBe(0);
+  });
+});
+
+describe("linkDealsToWorkOrders", () => {
+  test("prefers board relations over name matching", () => {
+    const deals = [deal("d1", "Alpha Mining"), deal("d2", "Beta Quarry")];
+    const wos = [wo("w1", "Alpha Mining", { _relations: { Deal: ["d2"] } })];
+    const { links } = linkDealsToWorkOrders(deals, wos, { dealCols, woCols, threshold: 0.6 });
+    expect(links).toEqual([expect.objectContaining({ dealId: "d2", workOrderId: "w1", method: "relation", score: 1 })]);
+  });
+
+  test("follows relations set on the deal side", () => {
+    const deals = [deal("d1", "Gamma Ports", { _relations: { "Work Orders": ["w9"] } })];
+    const { links, unlinkedDeals } = linkDealsToWorkOrders(deals, [wo("w9", "Unrelated Name")], { threshold: 0.6 });
+    expect(links[0]).toMatchObject({ dealId: "d1", method: "relation" });
+    expect(unlinkedDeals).toEqual([]);
+  });
+
+  test("links by fuzzy name match above the threshold with a score", () => {
+    const deals = [deal("d1", "Hindalco Renukoot Stockpile"), deal("d2", "NTPC Solar Inspection")];
+    const wos = [wo("w1", "Hindalco Renukoot Stockpile Volumetrics")];
+    const { links, unlinkedDeals } = linkDealsToWorkOrders(deals, wos, { dealCols: { sector: "Sector" }, woCols: { sector: "Sector" }, threshold: 0.6 });
+    expect(links).toHaveLength(1);
+    expect(links[0]).toMatchObject({ dealId: "d1", method: "fuzzy", sectorMatch: true });
+    expect(links[0].score).toBeGreaterThanOrEqual(0.6);
+    expect(unlinkedDeals.map((r) => r._id)).toEqual(["d2"]);
+  });
+
+  test("does not link on generic words or sector alone", () => {
+    const deals = [deal("d1", "Drone Survey Project")];
+    const wos = [wo("w1", "Drone Survey Work Order"), wo("w2", "Completely Different")];
+    const { links, unlinkedWorkOrders } = linkDealsToWorkOrders(deals, wos, { dealCols, woCols, threshold: 0.6 });
+    expect(links).toEqual([]);
+    expect(unlinkedWorkOrders).toHaveLength(2);
+  });
+
+  test("uses client codes to separate similarly named items", () => {
+    const deals = [
+      deal("d1", "Stockpile Audit North", { Client: "CL-101" }),
+      deal("d2", "Stockpile Audit North", { Client: "CL-202" }),
+    ];
+    const wos = [wo("w1", "Stockpile Audit North", { Customer: "cl 202" })];
+    const { links } = linkDealsToWorkOrders(deals, wos, { dealCols, woCols, threshold: 0.6 });
+    expect(links[0]).toMatchObject({ dealId: "d2", clientScore: 1 });
+  });
+});
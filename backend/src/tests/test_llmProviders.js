@@ -0,0 +1,127 @@
+/**
+ * Jest tests for LLM providers: configuration, the OpenAI-compatible adapter against a
+ * mock server, and validation of output from providers that do not enforce the schema.
+ */
+
+import { jest } from "@jest/globals";
+import { validateJson } from "../llm/jsonSchema.js";
+import { providerConfigFromEnv, createProvider, setLlmProvider } from "../llm/index.js";
+import { createStubProvider } from "../llm/stub.js";
+import { interpretQuery, generateNarrative } from "../llmAgent.js";
+import { createMockLlmServer } from "../mock/llmMockServer.js";
+
+const mock = createMockLlmServer();
+const savedEnv = { ...process.env };
+let baseUrl;
+
+beforeAll(async () => {
+  baseUrl = await mock.listen();
+});
+
+afterAll(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  setLlmProvider(null);
+  for (const key of ["LLM_PROVIDER", "LLM_MODE", "LLM_MODEL", "LLM_BASE_URL", "LLM_API_KEY"]) delete process.env[key];
+  Object.assign(process.env, { LLM_PROVIDER: "openai-compatible", LLM_BASE_URL: baseUrl, LLM_MODEL: "llama3.1" });
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+});
+
+const plan = {
+  intent: "ops_status",
+  filters: { sector: "Mining", quarter: null, status: null, dateRange: null, dateField: null, minValue: null, maxValue: null, owner: null, client: null },
+  data_sources: ["work_orders"],
+  query: null,
+  clarifying_questions: [],
+  refinement: { mode: "new", filter_mode: "merge", compare_sector: null },
+};
+
+const results = { metrics: { workOrders: { total: 3, open: 1, closed: 2, overdue: 0, completionPct: 2 / 3 } }, appliedFilters: [], charts: [], dataQuality: {}, confidence: 0.8 };
+
+describe("validateJson", () => {
+  const schema = {
+    type: "object",
+    properties: { name: { type: ["string", "null"] }, tags: { type: "array", items: { type: "string", enum: ["a", "b"] } } },
+    required: ["name", "tags"],
+    additionalProperties: false,
+  };
+
+  test("accepts matching values and reports each mismatch with its path", () => {
+    expect(validateJson({ name: null, tags: ["a"] }, schema)).toEqual([]);
+    expect(validateJson({ tags: ["a", "c", 3], extra: 1 }, schema)).toEqual([
+      '$: missing required property "name"',
+      '$.tags[1]: must be one of "a", "b"',
+      "$.tags[2]: expected string, got integer",
+      '$: unexpected property "extra"',
+    ]);
+    expect(validateJson([], schema)).toEqual(["$: expected object, got array"]);
+  });
+});
+
+describe("provider configuration", () => {
+  test("defaults to OpenAI and honours LLM_MODE=stub", () => {
+    expect(providerConfigFromEnv({ OPENAI_API_KEY: "sk-1" })).toMatchObject({ name: "openai", apiKey: "sk-1", model: null });
+    expect(providerConfigFromEnv({ LLM_MODE: "stub" }).name).toBe("stub");
+    expect(providerConfigFromEnv({ LLM_PROVIDER: "openai-compatible", OPENAI_API_KEY: "sk-1" }).apiKey).toBeNull();
+  });
+
+  test("rejects unknown providers and a local provider without a model", () => {
+    expect(() => createProvider({ name: "bard" })).toThrow(/Unknown LLM_PROVIDER "bard"/);
+    expect(() => createProvider({ name: "openai-compatible", baseUrl })).toThrow(/LLM_MODEL is required/);
+    expect(createProvider({ name: "openai" })).toMatchObject({ name: "openai", model: "gpt-4.1-mini", enforcesSchema: true });
+  });
+});
+
+describe("OpenAI-compatible provider", () => {
+  test("asks the local server for the plan schema and returns a valid plan", async () => {
+    mock.respondWith("query_plan", plan);
+    expect(await interpretQuery("How are mining work orders doing?")).toEqual(plan);
+    const { body } = mock.requests[0];
+    expect(body).toMatchObject({ model: "llama3.1", stream: false, response_format: { type: "json_schema", json_schema: { name: "query_plan", strict: true } } });
+    expect(body.messages.at(-1)).toEqual({ role: "user", content: "How are mining work orders doing?" });
+  });
+
+  test("accepts JSON wrapped in a Markdown fence", async () => {
+    mock.respondWith("query_plan", `\`\`\`json\n${JSON.stringify(plan)}\n\`\`\``);
+    expect((await interpretQuery("mining work orders")).filters.sector).toBe("Mining");
+  });
+
+  test("falls back to the keyword planner when output does not match the schema", async () => {
+    mock.respondWith("query_plan", { ...plan, intent: "world_domination" });
+    const result = await interpretQuery("How many work orders are overdue?");
+    expect(result.intent).toBe("ops_status");
+    expect(result.filters.sector).toBeNull();
+    expect(console.error).toHaveBeenCalledWith("interpretQuery error:", expect.stringMatching(/\$\.intent: must be one of/));
+  });
+
+  test("streams narrative tokens and validates the result", async () => {
+    const narrative = { summary: "All good.", insight: "Nothing to add.", leadership_bullets: ["Ops: fine"], charts: [] };
+    mock.respondWith("executive_narrative", narrative);
+    const tokens = [];
+    expect(await generateNarrative(results, "ops?", [], { onToken: (t) => tokens.push(t) })).toEqual(narrative);
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(JSON.parse(tokens.join(""))).toEqual(narrative);
+
+    mock.respondWith("executive_narrative", { summary: "Missing the rest" });
+    expect((await generateNarrative(results, "ops?")).insight).toMatch(/fallback analysis/);
+  });
+});
+
+describe("stub provider", () => {
+  test("uses the keyword fallbacks unless a reply is scripted", async () => {
+    setLlmProvider(createStubProvider());
+    expect((await interpretQuery("Give me a leadership brief")).intent).toBe("leadership_brief");
+
+    setLlmProvider(createStubProvider({ respond: ({ schemaName }) => (schemaName === "query_plan" ? plan : null) }));
+    expect(await interpretQuery("anything")).toEqual(plan);
+    expect(mock.requests).toEqual([]);
+  });
+});
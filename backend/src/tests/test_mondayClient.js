@@ -0,0 +1,82 @@
+/**
+ * Jest tests for the Monday.com client (fetch is mocked).
+ */
+
+import { jest } from "@jest/globals";
+import { fetchBoard } from "../mondayClient.js";
+
+function item(id) {
+  return { id: String(id), name: `Item ${id}`, column_values: [] };
+}
+
+function jsonResponse(data) {
+  return { ok: true, status: 200, json: async () => ({ data }) };
+}
+
+function mockPages(pages) {
+  const calls = [];
+  global.fetch = jest.fn(async (_url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push(body.variables);
+    const idx = calls.length - 1;
+    const { items, cursor } = pages[idx];
+    if (idx === 0) {
+      return jsonResponse({ boards: [{ id: "1", name: "Deals", columns: [], items_page: { cursor, items } }] });
+    }
+    return jsonResponse({ next_items_page: { cursor, items } });
+  });
+  return calls;
+}
+
+beforeEach(() => {
+  process.env.MONDAY_API_TOKEN = "test-token";
+  delete process.env.MONDAY_MAX_ITEMS;
+});
+
+describe("fetchBoard pagination", () => {
+  test("follows cursors until the board is exhausted", async () => {
+    const calls = mockPages([
+      { items: [item(1), item(2)], cursor: "c1" },
+      { items: [item(3), item(4)], cursor: "c2" },
+      { items: [item(5)], cursor: null },
+    ]);
+    const { error, board } = await fetchBoard(1);
+    expect(error).toBeNull();
+    expect(board.items_page.items.map((i) => i.id)).toEqual(["1", "2", "3", "4", "5"]);
+    expect(board.pagination).toEqual({ pages: 3, itemsFetched: 5, maxItems: 10000, truncated: false });
+    expect(calls[1].cursor).toBe("c1");
+    expect(calls[2].cursor).toBe("c2");
+  });
+
+  test("stops at the item ceiling and flags truncation", async () => {
+    const calls = mockPages([
+      { items: [item(1), item(2)], cursor: "c1" },
+      { items: [item(3)], cursor: "c2" },
+    ]);
+    const { board } = await fetchBoard(1, { maxItems: 3 });
+    expect(board.items_page.items).toHaveLength(3);
+    expect(board.pagination.truncated).toBe(true);
+    expect(calls[0].limit).toBe(3);
+    expect(calls[1].limit).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("reads the ceiling from MONDAY_MAX_ITEMS", async () => {
+    process.env.MONDAY_MAX_ITEMS = "2";
+    mockPages([{ items: [item(1), item(2)], cursor: "c1" }]);
+    const { board } = await fetchBoard(1);
+    expect(board.pagination).toEqual({ pages: 1, itemsFetched: 2, maxItems: 2, truncated: true });
+  });
+
+  test("surfaces errors from later pages", async () => {
+    let n = 0;
+    global.fetch = jest.fn(async () => {
+      n++;
+      if (n === 1) return jsonResponse({ boards: [{ id: "1", name: "Deals", columns: [], items_page: { cursor: "c1", items: [item(1)] } }] });
+      return { ok: true, status: 200, json: async () => ({ errors: [{ message: "Complexity budget exhausted" }] }) };
+    });
+    const { error, board } = await fetchBoard(1);
+    expect(board).toBeNull();
+    expect(error).toMatch(/Complexity budget exhausted.*page 2/);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Jest tests for the Monday.com webhook receiver and subscription helpers, against the
+ * mock Monday server.
+ */
+
+import { createServer } from "http";
+import { createMockMondayServer } from "../mock/mondayMockServer.js";
+import { FIXTURE_BOARDS, DEALS_BOARD_ID, WORK_ORDERS_BOARD_ID } from "../mock/fixtures.js";
+import { createMemoryStore, setBoardCacheStore, fetchBoardCached } from "../boardCache.js";
+import { handleMondayEvent, verifyWebhookSecret, registerWebhooks, unregisterWebhooks, webhookUrl } from "../mondayWebhooks.js";
+
+const boards = structuredClone(FIXTURE_BOARDS);
+const deals = boards.find((b) => String(b.id) === String(DEALS_BOARD_ID));
+const mock = createMockMondayServer({ boards });
+const TTL = { ttlMs: 60_000 };
+
+beforeAll(async () => {
+  Object.assign(process.env, {
+    MONDAY_API_URL: await mock.listen(),
+    MONDAY_API_TOKEN: "service-token",
+    MONDAY_RETRY_BASE_MS: "1",
+    DEALS_BOARD_ID: String(DEALS_BOARD_ID),
+    WORK_ORDERS_BOARD_ID: String(WORK_ORDERS_BOARD_ID),
+    MONDAY_WEBHOOK_SECRET: "hook-secret",
+  });
+});
+afterAll(() => mock.close());
+beforeEach(() => {
+  mock.reset();
+  setBoardCacheStore(createMemoryStore());
+});
+
+async function cachedItems() {
+  const { board, cache } = await fetchBoardCached(DEALS_BOARD_ID, TTL);
+  expect(cache.cached).toBe(true);
+  return board.items_page.items;
+}
+
+describe("handleMondayEvent", () => {
+  test("re-reads an updated item and patches it into the cached board", async () => {
+    await fetchBoardCached(DEALS_BOARD_ID, TTL);
+    const item = deals.items[0];
+    const original = item.name;
+    item.name = "Renamed deal";
+    try {
+      const result = await handleMondayEvent({ type: "update_name", boardId: Number(DEALS_BOARD_ID), pulseId: Number(item.id) });
+      expect(result).toEqual({ action: "patched", boardId: String(DEALS_BOARD_ID), itemId: String(item.id) });
+      const items = await cachedItems();
+      expect(items.find((i) => String(i.id) === String(item.id)).name).toBe("Renamed deal");
+      expect(items).toHaveLength(deals.items.length);
+    } finally {
+      item.name = original;
+    }
+  });
+
+  test("adds created items and removes deleted ones", async () => {
+    await fetchBoardCached(DEALS_BOARD_ID, TTL);
+    const created = { ...structuredClone(deals.items[0]), id: "999001", name: "New deal" };
+    deals.items.push(created);
+    try {
+      expect((await handleMondayEvent({ type: "create_pulse", boardId: DEALS_BOARD_ID, pulseId: created.id })).action).toBe("patched");
+      expect((await cachedItems()).map((i) => i.name)).toContain("New deal");
+    } finally {
+      deals.items.pop();
+    }
+
+    expect((await handleMondayEvent({ type: "delete_pulse", boardId: DEALS_BOARD_ID, pulseId: created.id })).action).toBe("removed");
+    expect((await cachedItems()).map((i) => i.name)).not.toContain("New deal");
+  });
+
+  test("removes items that no longer exist when re-read", async () => {
+    await fetchBoardCached(DEALS_BOARD_ID, TTL);
+    const result = await handleMondayEvent({ type: "update_column_value", boardId: DEALS_BOARD_ID, pulseId: "404404" });
+    expect(result.action).toBe("removed");
+    expect(await cachedItems()).toHaveLength(deals.items.length);
+  });
+
+  test("invalidates the board when the item cannot be re-read or the event is unknown", async () => {
+    await fetchBoardCached(DEALS_BOARD_ID, TTL);
+    mock.failNext("serverError");
+    const failed = await handleMondayEvent({ type: "update_column_value", boardId: DEALS_BOARD_ID, pulseId: deals.items[0].id });
+    expect(failed).toMatchObject({ action: "invalidated", reason: expect.stringMatching(/HTTP 500/) });
+    expect((await fetchBoardCached(DEALS_BOARD_ID, TTL)).cache.cached).toBe(false);
+
+    expect((await handleMondayEvent({ type: "create_update", boardId: DEALS_BOARD_ID, pulseId: 1 })).action).toBe("invalidated");
+  });
+
+  test("ignores boards that are not configured", async () => {
+    expect(await handleMondayEvent({ type: "update_name", boardId: 123, pulseId: 1 })).toMatchObject({ action: "ignored" });
+    expect(mock.requests).toEqual([]);
+  });
+});
+
+describe("verifyWebhookSecret", () => {
+  test("accepts only the configured secret", () => {
+    expect(verifyWebhookSecret("hook-secret")).toBeNull();
+    expect(verifyWebhookSecret("nope")).toMatch(/Invalid/);
+    expect(verifyWebhookSecret(undefined)).toMatch(/Invalid/);
+    expect(verifyWebhookSecret("hook-secret", "")).toMatch(/not configured/);
+  });
+});
+
+describe("subscriptions", () => {
+  test("registers every configured board after the challenge handshake, then unregisters", async () => {
+    // Echoes the challenge the way the /api/webhooks/monday route does
+    const receiver = createServer((req, res) => {
+      let raw = "";
+      req.on("data", (c) => { raw += c; });
+      req.on("end", () => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ challenge: JSON.parse(raw).challenge }));
+      });
+    });
+    await new Promise((r) => receiver.listen(0, "127.0.0.1", r));
+    const baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+    try {
+      const { created, errors } = await registerWebhooks(baseUrl);
+      expect(errors).toEqual([]);
+      expect(created).toHaveLength(12);
+      expect(mock.webhooks[0].url).toBe(webhookUrl(baseUrl));
+      expect(mock.webhooks[0].url).toMatch(/\/api\/webhooks\/monday\?secret=hook-secret$/);
+
+      const { deleted } = await unregisterWebhooks(created.map((w) => w.id));
+      expect(deleted).toHaveLength(12);
+      expect(mock.webhooks).toEqual([]);
+    } finally {
+      await new Promise((r) => receiver.close(r));
+    }
+  });
+
+  test("reports boards whose URL does not answer the challenge", async () => {
+    const { created, errors } = await registerWebhooks("http://127.0.0.1:9", { boardIds: [DEALS_BOARD_ID] });
+    expect(created).toEqual([]);
+    expect(errors[0]).toMatch(/did not answer the challenge/);
+  });
+});
@@ -5,6 +5,8 @@
 import { jest } from "@jest/globals";
 import {
   normalizeDate,
+  inferDateOrder,
+  dateOrderForLocale,
   normalizeCurrency,
   canonicalizeSector,
   normalizeText,
@@ -39,6 +41,52 @@ describe("normalizeDate", () => {
   test("returns null for garbage", () => {
     expect(normalizeDate("not-a-date")).toBeNull();
   });
+
+  test("parses DD/MM/YYYY when asked", () => {
+    expect(normalizeDate("15/03/2024", { order: "DMY" })).toBe("2024-03-15");
+    expect(normalizeDate("05/03/2024", { order: "DMY" })).toBe("2024-03-05");
+  });
+
+  test("rejects impossible days", () => {
+    expect(normalizeDate("15/03/2024")).toBeNull();
+    expect(normalizeDate("02/30/2024")).toBeNull();
+  });
+
+  test("parses named-month formats", () => {
+    expect(normalizeDate("15 Mar 2024")).toBe("2024-03-15");
+    expect(normalizeDate("15-March-24")).toBe("2024-03-15");
+    expect(normalizeDate("Mar 15, 2024")).toBe("2024-03-15");
+    expect(normalizeDate("Mar-24")).toBe("2024-03-01");
+    expect(normalizeDate("September 2023")).toBe("2023-09-01");
+    expect(normalizeDate("15 Foo 2024")).toBeNull();
+  });
+});
+
+describe("inferDateOrder", () => {
+  test("picks DMY when a value only fits day-first", () => {
+    expect(inferDateOrder(["05/03/2024", "15/03/2024"])).toEqual({ order: "DMY", source: "inferred", ambiguous: 1, conflicting: 0 });
+  });
+
+  test("picks MDY when a value only fits month-first", () => {
+    expect(inferDateOrder(["05/03/2024", "03/15/2024"]).order).toBe("MDY");
+  });
+
+  test("falls back when every value is ambiguous", () => {
+    expect(inferDateOrder(["05/03/2024", "01/02/2024", "07/07/2024"], "DMY")).toEqual({ order: "DMY", source: "fallback", ambiguous: 2, conflicting: 0 });
+  });
+
+  test("reports values that fit neither reading of a mixed column", () => {
+    const result = inferDateOrder(["15/03/2024", "25/04/2024", "03/20/2024"]);
+    expect(result.order).toBe("DMY");
+    expect(result.conflicting).toBe(1);
+  });
+
+  test("maps locales to date orders", () => {
+    expect(dateOrderForLocale("en-IN")).toBe("DMY");
+    expect(dateOrderForLocale("en-US")).toBe("MDY");
+    expect(dateOrderForLocale("dmy")).toBe("DMY");
+    expect(dateOrderForLocale(undefined)).toBe("MDY");
+  });
 });
 
 describe("normalizeCurrency", () => {
@@ -150,4 +198,52 @@ describe("normalizeBoard", () => {
     const result = normalizeBoard(mockBoard);
     expect(result.dataQuality.currencyTypes.length).toBeGreaterThanOrEqual(1);
   });
+
+  function dateBoard(dates) {
+    return {
+      name: "Dates",
+      columns: [{ id: "d", title: "Close Date", type: "text" }],
+      items_page: {
+        items: dates.map((text, i) => ({ id: String(i), name: `Deal ${i}`, column_values: [{ id: "d", text, type: "text", column: { title: "Close Date" } }] })),
+      },
+    };
+  }
+
+  test("infers day-first dates for a whole column", () => {
+    const result = normalizeBoard(dateBoard(["15/03/2024", "05/03/2024"]));
+    expect(result.rows.map((r) => r["Close Date"])).toEqual(["2024-03-15", "2024-03-05"]);
+    expect(result.dataQuality.dateFormats["Close Date"].order).toBe("DMY");
+  });
+
+  test("warns about ambiguous columns and honours the board locale", () => {
+    const board = dateBoard(["05/03/2024", "06/04/2024"]);
+    const us = normalizeBoard(board);
+    expect(us.rows[0]["Close Date"]).toBe("2024-05-03");
+    expect(us.dataQuality.warnings.some((w) => w.includes("Ambiguous date format") && w.includes("2 values"))).toBe(true);
+    const india = normalizeBoard(board, { locale: "en-IN" });
+    expect(india.rows[0]["Close Date"]).toBe("2024-03-05");
+  });
+
+  test("reports pagination and warns when the item ceiling was hit", () => {
+    const pagination = { pages: 2, itemsFetched: 2, maxItems: 2, truncated: true };
+    const result = normalizeBoard({ ...mockBoard, pagination });
+    expect(result.dataQuality.pagination).toEqual(pagination);
+    expect(result.dataQuality.warnings.some((w) => w.includes("Item ceiling reached"))).toBe(true);
+  });
+
+  test("records board relation links on the row", () => {
+    const board = {
+      name: "WOs",
+      columns: [{ id: "rel", title: "Deal", type: "board_relation" }],
+      items_page: {
+        items: [
+          { id: "1", name: "WO 1", column_values: [{ id: "rel", text: "Deal Alpha", type: "board_relation", linked_item_ids: ["11", "12"], column: { title: "Deal" } }] },
+          { id: "2", name: "WO 2", column_values: [{ id: "rel", text: "", type: "board_relation", value: '{"linkedPulseIds":[{"linkedPulseId":13}]}', column: { title: "Deal" } }] },
+        ],
+      },
+    };
+    const result = normalizeBoard(board);
+    expect(result.rows[0]._relations).toEqual({ Deal: ["11", "12"] });
+    expect(result.rows[1]._relations).toEqual({ Deal: ["13"] });
+  });
 });
@@ -0,0 +1,64 @@
+/**
+ * Jest tests for follow-up plan refinements.
+ */
+
+import { mergePlan, detectRefinement } from "../planRefinement.js";
+import { EMPTY_FILTERS } from "../filters.js";
+import { findSectorMentions } from "../normalizer.js";
+
+const previous = {
+  intent: "pipeline_health",
+  filters: { ...EMPTY_FILTERS, quarter: "Q1 2025" },
+  data_sources: ["deals"],
+  clarifying_questions: [],
+};
+
+function refinement(overrides = {}) {
+  return { mode: "refine", filter_mode: "merge", compare_sector: null, ...overrides };
+}
+
+describe("mergePlan", () => {
+  test("adds filters to the previous plan and keeps its intent and sources", () => {
+    const plan = mergePlan(previous, { intent: "other", filters: { sector: "Mining" }, data_sources: [], clarifying_questions: [], refinement: refinement() });
+    expect(plan).toMatchObject({ intent: "pipeline_health", data_sources: ["deals"], filters: { sector: "Mining", quarter: "Q1 2025" } });
+    expect(plan.refinement.mode).toBe("refine");
+  });
+
+  test("replaces the previous filters and switches data sources", () => {
+    const plan = mergePlan(previous, { intent: "ops_status", filters: { sector: "Mining" }, data_sources: ["work_orders"], clarifying_questions: [], refinement: refinement({ filter_mode: "replace" }) });
+    expect(plan).toMatchObject({ intent: "ops_status", data_sources: ["work_orders"], filters: { ...EMPTY_FILTERS, sector: "Mining" } });
+  });
+
+  test("compares the current sector against another, loading deals when needed", () => {
+    const mining = { ...previous, filters: { ...previous.filters, sector: "mining" }, data_sources: ["work_orders"] };
+    const plan = mergePlan(mining, { intent: "other", filters: {}, data_sources: [], clarifying_questions: [], refinement: refinement({ compare_sector: "construction" }) });
+    expect(plan.compare_sectors).toEqual(["Mining", "Construction"]);
+    expect(plan.data_sources).toEqual(["work_orders", "deals"]);
+  });
+
+  test("treats plans without a previous plan, or not marked as refinements, as new", () => {
+    const fresh = { intent: "ops_status", filters: { sector: null }, data_sources: ["work_orders"], clarifying_questions: [] };
+    expect(mergePlan(previous, fresh)).toMatchObject({ ...fresh, filters: EMPTY_FILTERS, compare_sectors: [], refinement: { mode: "new" } });
+    expect(mergePlan(null, { ...fresh, refinement: refinement() }).refinement.mode).toBe("new");
+  });
+});
+
+describe("detectRefinement", () => {
+  test("recognises follow-ups only when there is a previous plan", () => {
+    expect(detectRefinement("now just the mining sector", previous)).toEqual({ sector: "Mining", refinement: refinement() });
+    expect(detectRefinement("now just the mining sector", null).refinement.mode).toBe("new");
+    expect(detectRefinement("How is the pipeline?", previous).refinement.mode).toBe("new");
+  });
+
+  test("separates the filter sector from the one to compare against", () => {
+    const { sector, refinement: r } = detectRefinement("Compare mining against infra", previous);
+    expect(sector).toBe("Mining");
+    expect(r).toMatchObject({ mode: "refine", compare_sector: "Infrastructure" });
+    expect(detectRefinement("Construction instead", previous).refinement.filter_mode).toBe("replace");
+  });
+
+  test("finds sector aliases in order of appearance", () => {
+    expect(findSectorMentions("O&G deals versus solar and mining")).toEqual(["Oil & Gas", "Solar Energy", "Mining"]);
+    expect(findSectorMentions("determining the outcome")).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Jest tests for the structured query DSL.
+ */
+
+import { normalizeQuery, validateQuery, runQuery, keywordQuery } from "../queryDsl.js";
+
+const datasets = {
+  deals: {
+    rows: [
+      { ID: "1", Name: "Stockpile", "Deal Value": 1850000, "Sector/service": "Mining", "Deal Status": "Won", "Owner code": "OWNER_001" },
+      { ID: "2", Name: "Solar Park", "Deal Value": 2400000, "Sector/service": "Renewables", "Deal Status": "Open", "Owner code": "OWNER_002" },
+      { ID: "3", Name: "Volumetrics", "Deal Value": 3200000, "Sector/service": "Mining", "Deal Status": "Won", "Owner code": "OWNER_001" },
+      { ID: "4", Name: "Tailings", "Deal Value": null, "Sector/service": "Mining", "Deal Status": "Open", "Owner code": "OWNER_001" },
+    ],
+    fields: { dealValue: "Deal Value", sector: "Sector/service", status: "Deal Status", owner: "Owner code", stage: null },
+  },
+};
+
+describe("validation", () => {
+  test("fills optional parts and reports schema errors with their path", () => {
+    expect(normalizeQuery({ from: "deals", aggregates: [{ fn: "count" }] })).toEqual({
+      from: "deals", select: [], where: [], groupBy: [], aggregates: [{ fn: "count", column: null, as: null }], orderBy: [], limit: null,
+    });
+    expect(validateQuery(normalizeQuery({ from: "invoices", limit: 5 }))).toEqual(['query.from: must be one of "deals", "work_orders"']);
+    expect(validateQuery(normalizeQuery({ from: "deals", aggregates: [{ fn: "sum" }], limit: 5000 }))).toEqual([
+      "query.limit: must be between 1 and 1000",
+      "query.aggregates[0]: sum needs a column",
+    ]);
+    expect(validateQuery(normalizeQuery({ from: "deals", orderBy: [{ column: "x", direction: "up" }] }))[0]).toMatch(/query.orderBy\[0\].direction: must be one of/);
+  });
+});
+
+describe("runQuery", () => {
+  test("filters, orders, limits and selects rows by title or field name", () => {
+    const result = runQuery({
+      from: "deals",
+      select: ["Name", "dealValue"],
+      where: [{ column: "sector", op: "eq", value: "mining" }, { column: "Deal Value", op: "not_empty" }],
+      orderBy: [{ column: "dealValue", direction: "desc" }],
+      limit: 1,
+    }, datasets);
+    expect(result).toMatchObject({ error: null, columns: ["Name", "Deal Value"], rows: [{ Name: "Volumetrics", "Deal Value": 3200000 }], rowCount: 1, totalRows: 2 });
+    expect(result.query.groupBy).toEqual([]);
+  });
+
+  test("groups and aggregates, ordering by aggregate names", () => {
+    const result = runQuery({
+      from: "deals",
+      groupBy: ["owner"],
+      aggregates: [{ fn: "sum", column: "dealValue", as: "pipeline" }, { fn: "count" }, { fn: "max", column: "Deal Value" }],
+      orderBy: [{ column: "pipeline", direction: "desc" }],
+    }, datasets);
+    expect(result.columns).toEqual(["Owner code", "pipeline", "count", "max of Deal Value"]);
+    expect(result.rows).toEqual([
+      { "Owner code": "OWNER_001", pipeline: 5050000, count: 3, "max of Deal Value": 3200000 },
+      { "Owner code": "OWNER_002", pipeline: 2400000, count: 1, "max of Deal Value": 2400000 },
+    ]);
+
+    const totals = runQuery({ from: "deals", where: [{ column: "status", op: "in", value: ["won"] }], aggregates: [{ fn: "avg", column: "dealValue", as: "avg" }] }, datasets);
+    expect(totals.rows).toEqual([{ avg: 2525000 }]);
+    expect(runQuery({ from: "deals", groupBy: ["sector"] }, datasets).rows).toEqual([
+      { "Sector/service": "Mining", count: 3 },
+      { "Sector/service": "Renewables", count: 1 },
+    ]);
+  });
+
+  test("explains unknown columns, unmapped fields and missing boards", () => {
+    expect(runQuery({ from: "deals", where: [{ column: "stage", op: "eq", value: "Won" }] }, datasets).error)
+      .toBe('Unknown column "stage". Use a column title or one of the mapped fields: dealValue, sector, status, owner.');
+    expect(runQuery({ from: "deals", groupBy: ["owner"], orderBy: [{ column: "Name", direction: "asc" }] }, datasets).error).toMatch(/^Unknown column "Name"/);
+    expect(runQuery({ from: "deals", groupBy: ["nope"] }, datasets).errors).toEqual([expect.stringMatching(/^Unknown column "nope"/)]);
+    expect(runQuery({ from: "deals", aggregates: [{ fn: "sum", column: "sector" }] }, datasets).error).toMatch(/sum needs a numeric column/);
+    expect(runQuery({ from: "work_orders" }, datasets).error).toBe("No work_orders rows are available.");
+    expect(runQuery("select *", datasets)).toMatchObject({ error: "Invalid query: query: expected object, got string" });
+  });
+});
+
+describe("keywordQuery", () => {
+  test("plans ranking questions against the semantic fields", () => {
+    expect(keywordQuery("Top 5 clients by billed amount?")).toEqual({
+      from: "work_orders",
+      select: [],
+      where: [],
+      groupBy: ["client"],
+      aggregates: [{ fn: "sum", column: "billed", as: "total_billed" }, { fn: "count", column: null, as: "items" }],
+      orderBy: [{ column: "total_billed", direction: "desc" }],
+      limit: 5,
+    });
+    expect(keywordQuery("bottom 2 sectors by deal value")).toMatchObject({ from: "deals", groupBy: ["sector"], orderBy: [{ direction: "asc" }], limit: 2 });
+    expect(keywordQuery("deal count per owner")).toMatchObject({ from: "deals", groupBy: ["owner"], limit: null });
+    expect(keywordQuery("How is the pipeline?")).toBeNull();
+  });
+
+  test("only uses boards and fields that are mapped", () => {
+    expect(keywordQuery("top 3 owners by deal value", { deals: datasets.deals.fields })).toMatchObject({ from: "deals", groupBy: ["owner"] });
+    expect(keywordQuery("top 3 stages by deal value", { deals: datasets.deals.fields })).toBeNull();
+  });
+});
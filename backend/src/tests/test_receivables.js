@@ -0,0 +1,93 @@
+/**
+ * Jest tests for work order receivables and collection aging.
+ */
+
+import { computeReceivables } from "../receivables.js";
+import { createConverter } from "../currency.js";
+import { normalizeBoard } from "../normalizer.js";
+
+const NOW = new Date("2025-04-01T00:00:00Z");
+const cols = { amount: "Amount", billed: "Billed", collected: "Collected", invoiceDate: "Invoiced", endDate: "End", executionStatus: "Execution", woStatus: "Billing", client: "Customer" };
+const converter = createConverter({ reportingCurrency: "INR", rates: { USD: 80 } });
+
+function wo(id, { client = "COMPANY_1", execution = "Ongoing", amount = 1000, billed = null, collected = null, invoiced = null, end = null, currency = "INR" } = {}) {
+  return {
+    _id: id, _name: `WO ${id}`, Customer: client, Execution: execution, Billing: "Open", Invoiced: invoiced, End: end,
+    Amount: amount, Amount_currency: currency, Billed: billed, Billed_currency: currency, Collected: collected, Collected_currency: currency,
+  };
+}
+
+const rows = [
+  wo("1", { billed: 1000, collected: 400, invoiced: "2025-03-20" }),
+  wo("2", { client: "COMPANY_2", billed: 5000, collected: 1000, amount: 6000, invoiced: "2024-12-01", execution: "Completed" }),
+  wo("3", { billed: 300, invoiced: "2025-02-10" }),
+  wo("4", { client: "COMPANY_3", billed: 50, collected: 0, currency: "USD", end: "2025-01-15" }),
+  wo("5", { client: null, billed: 200, collected: 200, invoiced: "2025-01-01" }),
+  wo("6", { execution: "Completed", amount: 700 }),
+  wo("7", { client: "COMPANY_4", billed: 100 }),
+];
+
+describe("computeReceivables", () => {
+  const result = computeReceivables(rows, cols, { converter, now: NOW });
+
+  test("computes balances as billed minus collected, in the reporting currency", () => {
+    expect(result).toMatchObject({ totalBilled: 10600, totalCollected: 1600, totalOutstanding: 9000, workOrdersWithBalance: 5 });
+    expect(result.outstanding.map((w) => [w.workOrderId, w.outstanding])).toEqual([["2", 4000], ["4", 4000], ["1", 600], ["3", 300], ["7", 100]]);
+  });
+
+  test("ages balances from the invoice date, falling back to the end date", () => {
+    expect(result.aging).toEqual({
+      "0-30": { workOrders: 1, amount: 600 },
+      "31-60": { workOrders: 1, amount: 300 },
+      "61-90": { workOrders: 1, amount: 4000 },
+      "90+": { workOrders: 1, amount: 4000 },
+      undated: { workOrders: 1, amount: 100 },
+    });
+    expect(result.agedFromEndDate).toBe(1);
+    expect(result.outstanding.find((w) => w.workOrderId === "4")).toMatchObject({ ageDays: 76, bucket: "61-90" });
+  });
+
+  test("ranks clients by what they owe", () => {
+    expect(result.topDebtors).toEqual([
+      { client: "COMPANY_2", outstanding: 4000, workOrders: 1, oldestDays: 121 },
+      { client: "COMPANY_3", outstanding: 4000, workOrders: 1, oldestDays: 76 },
+      { client: "COMPANY_1", outstanding: 900, workOrders: 2, oldestDays: 50 },
+      { client: "COMPANY_4", outstanding: 100, workOrders: 1, oldestDays: null },
+    ]);
+  });
+
+  test("flags completed work orders that are not fully billed", () => {
+    expect(result.unbilledCompleted.map(({ workOrderId, unbilled }) => [workOrderId, unbilled])).toEqual([["2", 1000], ["6", 700]]);
+  });
+
+  test("prefers a mapped receivable column over billed minus collected", () => {
+    const rowsWithReceivable = [{ ...wo("1", { billed: 1000, collected: 400, invoiced: "2025-03-20" }), Receivable: 750, Receivable_currency: "INR" }];
+    expect(computeReceivables(rowsWithReceivable, { ...cols, receivable: "Receivable" }, { converter, now: NOW }).totalOutstanding).toBe(750);
+  });
+});
+
+describe("computeReceivables on a normalized board", () => {
+  // Invoice dates as a text column in Indian day-first order, the way boards store them
+  function workOrderBoard(items) {
+    const columns = [["inv", "Last Invoice Date", "text"], ["billed", "Billed Value", "numeric"], ["collected", "Collected Amount", "numeric"]];
+    return {
+      name: "Work Orders",
+      columns: columns.map(([id, title, type]) => ({ id, title, type })),
+      items_page: {
+        items: items.map((values, i) => ({
+          id: String(i + 1),
+          name: `WO ${i + 1}`,
+          column_values: columns.map(([id, title, type], c) => ({ id, text: values[c], type, column: { title } })),
+        })),
+      },
+    };
+  }
+
+  test("ages balances from day-first invoice dates", () => {
+    const { rows } = normalizeBoard(workOrderBoard([["15/03/2024", "₹1,000", "₹400"], ["03/04/2024", "₹500", "₹0"], ["", "₹200", "₹0"]]), { locale: "en-IN" });
+    expect(rows.map((r) => r["Last Invoice Date"])).toEqual(["2024-03-15", "2024-04-03", null]);
+
+    const result = computeReceivables(rows, { billed: "Billed Value", collected: "Collected Amount", invoiceDate: "Last Invoice Date" }, { converter, now: new Date("2024-05-01T00:00:00Z") });
+    expect(result.outstanding.map((w) => [w.workOrderId, w.ageDays, w.bucket])).toEqual([["1", 47, "31-60"], ["2", 28, "0-30"], ["3", null, "undated"]]);
+  });
+});
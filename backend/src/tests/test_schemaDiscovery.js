@@ -0,0 +1,90 @@
+/**
+ * Jest tests for board schema discovery and column mapping.
+ */
+
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { discoverSchema, resolveColumnMapping } from "../schemaDiscovery.js";
+
+const dealsBoard = {
+  id: "100",
+  name: "Deals",
+  columns: [
+    { id: "name", title: "Name", type: "name" },
+    { id: "text1", title: "Value Proposition", type: "text" },
+    { id: "numbers8", title: "Masked Deal Value", type: "numbers" },
+    { id: "status", title: "Deal Stage", type: "status" },
+    { id: "status2", title: "Deal Status", type: "status" },
+    { id: "date4", title: "Tentative Close Date", type: "date" },
+    { id: "dropdown", title: "Sector/service", type: "dropdown" },
+  ],
+};
+
+let dir, path;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "schema-"));
+  path = join(dir, "column-mapping.json");
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+describe("discoverSchema", () => {
+  test("maps semantic fields to column IDs", () => {
+    const proposed = discoverSchema(dealsBoard, "deals");
+    expect(proposed.dealValue.columnId).toBe("numbers8");
+    expect(proposed.stage.columnId).toBe("status");
+    expect(proposed.status.columnId).toBe("status2");
+    expect(proposed.closeDate.columnId).toBe("date4");
+    expect(proposed.sector.columnId).toBe("dropdown");
+    expect(proposed.probability).toBeNull();
+  });
+
+  test("does not assign one column to two fields", () => {
+    const board = { id: "1", name: "B", columns: [{ id: "s", title: "Status", type: "status" }] };
+    const proposed = discoverSchema(board, "deals");
+    const mapped = Object.values(proposed).filter(Boolean);
+    expect(mapped).toHaveLength(1);
+  });
+
+  test("rejects unknown board types", () => {
+    expect(() => discoverSchema(dealsBoard, "invoices")).toThrow(/Unknown board type/);
+  });
+});
+
+describe("resolveColumnMapping", () => {
+  test("persists the discovered mapping on first use", async () => {
+    const { columns } = await resolveColumnMapping(dealsBoard, "deals", path);
+    expect(columns.dealValue).toBe("Masked Deal Value");
+    const saved = JSON.parse(readFileSync(path, "utf-8"));
+    expect(saved.boards["100"].proposed.dealValue.columnId).toBe("numbers8");
+    expect(saved.boards["100"].overrides).toEqual({});
+  });
+
+  test("follows column IDs through renames", async () => {
+    await resolveColumnMapping(dealsBoard, "deals", path);
+    const renamed = {
+      ...dealsBoard,
+      columns: dealsBoard.columns.map((c) => (c.id === "numbers8" ? { ...c, title: "Contract Size" } : c)),
+    };
+    const { columns } = await resolveColumnMapping(renamed, "deals", path);
+    expect(columns.dealValue).toBe("Contract Size");
+  });
+
+  test("applies admin overrides", async () => {
+    await resolveColumnMapping(dealsBoard, "deals", path);
+    const config = JSON.parse(readFileSync(path, "utf-8"));
+    config.boards["100"].overrides = { dealValue: "text1", sector: null };
+    writeFileSync(path, JSON.stringify(config));
+    const { columns } = await resolveColumnMapping(dealsBoard, "deals", path);
+    expect(columns.dealValue).toBe("Value Proposition");
+    expect(columns.sector).toBeNull();
+  });
+
+  test("warns when a mapped column was deleted", async () => {
+    await resolveColumnMapping(dealsBoard, "deals", path);
+    const trimmed = { ...dealsBoard, columns: dealsBoard.columns.filter((c) => c.id !== "date4") };
+    const { columns, warnings } = await resolveColumnMapping(trimmed, "deals", path);
+    expect(columns.closeDate).toBeNull();
+    expect(warnings[0]).toMatch(/date4.*closeDate/);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Jest tests for metric snapshots and trends.
+ */
+
+import { mkdtempSync, rmSync, appendFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createJsonlSnapshotStore, recordSnapshot, computeTrends } from "../snapshots.js";
+
+let dir, snapshotStore;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "snapshots-"));
+  snapshotStore = createJsonlSnapshotStore({ path: join(dir, "snapshots.jsonl") });
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+const at = (iso) => new Date(iso);
+
+describe("recordSnapshot", () => {
+  test("stores board-level metrics with a timestamp", async () => {
+    const results = { metrics: { deals: { totalPipeline: 100 }, forecast: { weightedPipeline: 50 } } };
+    const snap = await recordSnapshot(results, { now: at("2025-03-01T00:00:00Z"), snapshotStore, minIntervalMs: 0 });
+    expect(snap).toEqual({ takenAt: "2025-03-01T00:00:00.000Z", source: "chat", metrics: { deals: { totalPipeline: 100 } } });
+    expect(await snapshotStore.list()).toHaveLength(1);
+  });
+
+  test("throttles repeat snapshots of the same sections", async () => {
+    const results = { metrics: { deals: { totalPipeline: 100 } } };
+    await recordSnapshot(results, { now: at("2025-03-01T00:00:00Z"), snapshotStore, minIntervalMs: 3600_000 });
+    const second = await recordSnapshot(results, { now: at("2025-03-01T00:30:00Z"), snapshotStore, minIntervalMs: 3600_000 });
+    const third = await recordSnapshot(results, { now: at("2025-03-01T01:30:00Z"), snapshotStore, minIntervalMs: 3600_000 });
+    expect(second).toBeNull();
+    expect(third).not.toBeNull();
+  });
+
+  test("skips results without board metrics", async () => {
+    expect(await recordSnapshot({ metrics: {} }, { snapshotStore })).toBeNull();
+  });
+});
+
+describe("createJsonlSnapshotStore", () => {
+  test("filters by date and tolerates a torn line", async () => {
+    await snapshotStore.append({ takenAt: "2025-01-01T00:00:00.000Z", metrics: {} });
+    appendFileSync(join(dir, "snapshots.jsonl"), '{"takenAt": "2025-01\n');
+    await snapshotStore.append({ takenAt: "2025-02-01T00:00:00.000Z", metrics: {} });
+    expect(await snapshotStore.list()).toHaveLength(2);
+    expect(await snapshotStore.list({ since: "2025-01-15" })).toHaveLength(1);
+  });
+});
+
+describe("computeTrends", () => {
+  const snapshots = [
+    { takenAt: "2025-01-25T00:00:00.000Z", metrics: { deals: { totalPipeline: 800 }, workOrders: { overdue: 10 } } },
+    { takenAt: "2025-02-20T00:00:00.000Z", metrics: { deals: { totalPipeline: 1000 }, workOrders: { overdue: 8 } } },
+    { takenAt: "2025-02-27T00:00:00.000Z", metrics: { deals: { totalPipeline: 1150 } } },
+  ];
+
+  test("computes week-over-week and month-over-month deltas", () => {
+    const trends = computeTrends({ deals: { totalPipeline: 1200 }, workOrders: { overdue: 6 } }, snapshots, { now: at("2025-03-01T00:00:00Z") });
+    expect(trends["deals.totalPipeline"].weekOverWeek).toEqual({ previous: 1000, since: "2025-02-20T00:00:00.000Z", delta: 200, pctChange: 0.2 });
+    expect(trends["deals.totalPipeline"].monthOverMonth.previous).toBe(800);
+    expect(trends["workOrders.overdue"].weekOverWeek.delta).toBe(-2);
+  });
+
+  test("omits metrics without enough history", () => {
+    const trends = computeTrends({ deals: { dealCount: 5 } }, snapshots, { now: at("2025-03-01T00:00:00Z") });
+    expect(trends).toEqual({});
+  });
+});
@@ -0,0 +1,119 @@
+// Bar, pie and line charts for the chart series in chat replies, drawn as plain SVG
+const COLORS = ["#3b82f6", "#22c55e", "#eab308", "#f97316", "#a855f7", "#14b8a6", "#ef4444", "#64748b"];
+const WIDTH = 320;
+const HEIGHT = 180;
+
+function formatValue(value, unit) {
+  if (unit === "count") return String(value);
+  try {
+    return new Intl.NumberFormat(unit === "INR" ? "en-IN" : "en-US", { style: "currency", currency: unit, notation: "compact", maximumFractionDigits: 1 }).format(value);
+  } catch {
+    return new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 }).format(value);
+  }
+}
+
+function shorten(label, max = 14) {
+  return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+}
+
+function BarChart({ series, unit }) {
+  const rowHeight = 22;
+  const labelWidth = 110;
+  const max = Math.max(...series.map((p) => p.value), 1);
+  const height = series.length * rowHeight;
+  return (
+    <svg width={WIDTH} height={height} role="img">
+      {series.map((p, i) => {
+        const width = Math.max(1, ((WIDTH - labelWidth - 60) * p.value) / max);
+        return (
+          <g key={p.label} transform={`translate(0, ${i * rowHeight})`}>
+            <title>{`${p.label}: ${formatValue(p.value, unit)}`}</title>
+            <text x={labelWidth - 6} y={14} textAnchor="end" fontSize={11} fill="#94a3b8">{shorten(p.label)}</text>
+            <rect x={labelWidth} y={4} width={width} height={rowHeight - 8} rx={3} fill={COLORS[0]} />
+            <text x={labelWidth + width + 4} y={14} fontSize={11} fill="#cbd5e1">{formatValue(p.value, unit)}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function PieChart({ series, unit }) {
+  const total = series.reduce((sum, p) => sum + p.value, 0) || 1;
+  const r = 70, cx = 80, cy = HEIGHT / 2;
+  let angle = -Math.PI / 2;
+  const slices = series.map((p, i) => {
+    const sweep = (2 * Math.PI * p.value) / total;
+    const start = angle;
+    angle += sweep;
+    const [x1, y1] = [cx + r * Math.cos(start), cy + r * Math.sin(start)];
+    const [x2, y2] = [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+    // A full circle cannot be drawn as one arc
+    const path = sweep >= 2 * Math.PI - 1e-6
+      ? `M ${cx - r} ${cy} a ${r} ${r} 0 1 0 ${2 * r} 0 a ${r} ${r} 0 1 0 ${-2 * r} 0`
+      : `M ${cx} ${cy} L ${x1} ${y1} A ${r} ${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2} ${y2} Z`;
+    return { ...p, path, color: COLORS[i % COLORS.length] };
+  });
+  return (
+    <svg width={WIDTH} height={HEIGHT} role="img">
+      {slices.map((s) => (
+        <path key={s.label} d={s.path} fill={s.color} stroke="#0f172a" strokeWidth={1}>
+          <title>{`${s.label}: ${formatValue(s.value, unit)} (${Math.round((s.value / total) * 100)}%)`}</title>
+        </path>
+      ))}
+      {slices.map((s, i) => (
+        <g key={s.label} transform={`translate(170, ${20 + i * 20})`}>
+          <rect width={10} height={10} y={-9} fill={s.color} rx={2} />
+          <text x={16} fontSize={11} fill="#cbd5e1">{`${shorten(s.label, 16)} (${formatValue(s.value, unit)})`}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function LineChart({ series, unit }) {
+  const pad = { left: 52, right: 10, top: 10, bottom: 24 };
+  const max = Math.max(...series.map((p) => p.value), 1);
+  const innerW = WIDTH - pad.left - pad.right, innerH = HEIGHT - pad.top - pad.bottom;
+  const x = (i) => pad.left + (series.length > 1 ? (innerW * i) / (series.length - 1) : innerW / 2);
+  const y = (v) => pad.top + innerH - (innerH * v) / max;
+  const points = series.map((p, i) => `${x(i)},${y(p.value)}`).join(" ");
+  // Skip labels so they do not overlap on long series
+  const every = Math.ceil(series.length / 6);
+  return (
+    <svg width={WIDTH} height={HEIGHT} role="img">
+      <line x1={pad.left} y1={pad.top + innerH} x2={WIDTH - pad.right} y2={pad.top + innerH} stroke="#334155" />
+      <text x={pad.left - 6} y={pad.top + 8} textAnchor="end" fontSize={10} fill="#64748b">{formatValue(max, unit)}</text>
+      <text x={pad.left - 6} y={pad.top + innerH} textAnchor="end" fontSize={10} fill="#64748b">0</text>
+      <polyline points={points} fill="none" stroke={COLORS[0]} strokeWidth={2} />
+      {series.map((p, i) => (
+        <g key={p.label}>
+          <circle cx={x(i)} cy={y(p.value)} r={3} fill={COLORS[0]}>
+            <title>{`${p.label}: ${formatValue(p.value, unit)}`}</title>
+          </circle>
+          {i % every === 0 && <text x={x(i)} y={HEIGHT - 6} textAnchor="middle" fontSize={10} fill="#94a3b8">{p.label}</text>}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+const CHART_TYPES = { bar: BarChart, pie: PieChart, line: LineChart };
+
+export default function Charts({ charts }) {
+  const drawable = (charts || []).filter((c) => CHART_TYPES[c.type] && c.series?.length);
+  if (!drawable.length) return null;
+  return (
+    <div style={{ marginTop: 12, display: "flex", flexWrap: "wrap", gap: 12 }}>
+      {drawable.map((chart) => {
+        const Chart = CHART_TYPES[chart.type];
+        return (
+          <div key={chart.id} style={{ background: "#0f172a", border: "1px solid #334155", borderRadius: 8, padding: 10 }}>
+            <div style={{ fontWeight: 600, fontSize: 13, color: "#94a3b8", marginBottom: 6 }}>{chart.title}</div>
+            <Chart series={chart.series} unit={chart.unit} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
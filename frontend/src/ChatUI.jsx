@@ -1,5 +1,9 @@
 import { useState, useRef, useEffect } from "react";
-import { sendMessage } from "./utils/api.js";
+import Charts from "./Charts.jsx";
+import {
+  sendMessage, streamMessage, invalidateCache, signIn, signOut, getAuthToken, downloadExport,
+  newConversationId, listConversations, getConversation, renameConversation, deleteConversation, replayTurn,
+} from "./utils/api.js";
 
 function ConfidenceBadge({ score }) {
   const pct = Math.round(score * 100);
@@ -11,6 +15,42 @@ function ConfidenceBadge({ score }) {
   );
 }
 
+function formatAge(ms) {
+  const mins = Math.round(ms / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  return `${Math.round(mins / 60)} h ago`;
+}
+
+function FreshnessNote({ freshness }) {
+  const entries = Object.values(freshness || {}).filter(Boolean);
+  if (!entries.length) return null;
+  const oldest = Math.max(...entries.map((e) => e.ageMs || 0));
+  const cached = entries.some((e) => e.cached);
+  return (
+    <span style={{ marginLeft: 8, fontSize: 12, color: "#64748b" }}>
+      {cached ? `Data as of ${formatAge(oldest)} (cached)` : "Live data"}
+    </span>
+  );
+}
+
+function FilterChips({ filters }) {
+  if (!filters?.length) return null;
+  return (
+    <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 6 }}>
+      {filters.map((f, i) => (
+        <span
+          key={i}
+          title={f.skipped ? `Not applied: ${f.skipped}` : `${f.matched} rows match (${(f.columns || []).join(", ")})`}
+          style={{ fontSize: 12, padding: "2px 8px", borderRadius: 10, border: "1px solid #334155", color: f.skipped ? "#64748b" : "#93c5fd", textDecoration: f.skipped ? "line-through" : "none" }}
+        >
+          {f.board === "workOrders" ? "Work orders" : f.board === "deals" ? "Deals" : "Filter"}: {f.description}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 function DataTable({ title, rows }) {
   if (!rows?.length) return null;
   const cols = Object.keys(rows[0]).filter((k) => !k.startsWith("_") && !k.endsWith("_currency"));
@@ -79,7 +119,105 @@ function DataQualityPanel({ dq }) {
   );
 }
 
+// The analysis agent's tool calls, collapsed by default, so figures can be audited
+function AnalysisTrace({ trace }) {
+  if (!trace?.steps?.length) return null;
+  const stopped = { answer: "", max_steps: ` — stopped at the ${trace.maxSteps}-step limit`, error: " — stopped by a model error", fallback: " — planned without a model" }[trace.stoppedBy] || "";
+  return (
+    <details style={{ marginTop: 10, fontSize: 12, color: "#94a3b8" }}>
+      <summary style={{ cursor: "pointer" }}>Analysis steps ({trace.steps.length}){stopped}</summary>
+      <ol style={{ margin: "6px 0 0 18px", padding: 0 }}>
+        {trace.steps.map((s) => (
+          <li key={s.step} style={{ marginBottom: 6 }}>
+            <code style={{ color: "#93c5fd" }}>{s.tool}</code> <code style={{ color: "#64748b", wordBreak: "break-all" }}>{JSON.stringify(s.arguments)}</code>
+            <div style={{ color: s.error ? "#f87171" : "#cbd5e1" }}>
+              {s.error ? s.error : `→ ${s.result.result}: ${s.result.rowCount} rows (${s.result.columns.join(", ")})`}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+// The structured query the answer ran, so it can be re-run through /api/query
+function QueryDetails({ query }) {
+  if (!query) return null;
+  return (
+    <details style={{ marginTop: 10, fontSize: 12, color: "#94a3b8" }}>
+      <summary style={{ cursor: "pointer" }}>Query ({query.from.replace("_", " ")})</summary>
+      <pre style={{ margin: "6px 0 0", color: "#cbd5e1", whiteSpace: "pre-wrap", wordBreak: "break-all" }}>{JSON.stringify(query, null, 2)}</pre>
+    </details>
+  );
+}
+
+// Pull the (possibly unfinished) summary string out of the streamed narrative JSON
+function draftSummary(raw) {
+  const match = raw.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) return "";
+  try {
+    return JSON.parse(`"${match[1].replace(/\\$/, "")}"`);
+  } catch {
+    return match[1];
+  }
+}
+
+function applyStreamEvent(progress, event, payload) {
+  if (event === "plan") return { ...progress, stages: [...progress.stages, `Plan ready: ${payload.plan.intent.replace(/_/g, " ")}`] };
+  if (event === "board") {
+    const source = payload.cache?.cached ? "cached" : "live";
+    return { ...progress, stages: [...progress.stages, `Fetched ${payload.boardName} (${payload.rows} rows, ${source})`] };
+  }
+  if (event === "metrics") return { ...progress, stages: [...progress.stages, "Metrics computed — writing narrative"] };
+  if (event === "token") return { ...progress, raw: progress.raw + payload.delta };
+  if (event === "tool") return { ...progress, stages: [...progress.stages, `Step ${payload.step.step}: ${payload.step.tool}${payload.step.error ? " (failed)" : ` → ${payload.step.result.rowCount} rows`}`] };
+  return progress;
+}
+
+function ProgressMessage({ data }) {
+  const draft = draftSummary(data.raw);
+  return (
+    <div style={{ color: "#94a3b8" }}>
+      {data.stages.length === 0 && <span style={{ display: "inline-block", animation: "pulse 1.5s infinite" }}>Analyzing your Monday.com data...</span>}
+      {data.stages.map((s, i) => <div key={i} style={{ fontSize: 13 }}>✓ {s}</div>)}
+      {draft && <p style={{ fontSize: 15, lineHeight: 1.6, marginTop: 8, color: "#f1f5f9" }}>{draft}</p>}
+    </div>
+  );
+}
+
+const EXPORT_FORMATS = [["markdown", "Markdown"], ["pdf", "PDF"], ["pptx", "Slides"]];
+
+function ExportButtons({ data }) {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleExport = async (format) => {
+    setBusy(format);
+    setError("");
+    try {
+      await downloadExport(data, format);
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 12, flexWrap: "wrap" }}>
+      <span style={{ fontSize: 12, color: "#64748b" }}>Download:</span>
+      {EXPORT_FORMATS.map(([format, label]) => (
+        <button key={format} onClick={() => handleExport(format)} disabled={!!busy} style={{ background: "#0f172a", border: "1px solid #334155", color: "#cbd5e1", padding: "4px 10px", borderRadius: 6, cursor: busy ? "default" : "pointer", fontSize: 12 }}>
+          {busy === format ? "..." : label}
+        </button>
+      ))}
+      {error && <span style={{ fontSize: 12, color: "#f87171" }}>{error}</span>}
+    </div>
+  );
+}
+
 function BotMessage({ data }) {
+  if (data.type === "progress") return <ProgressMessage data={data} />;
   if (data.type === "clarification") {
     return (
       <div>
@@ -97,6 +235,8 @@ function BotMessage({ data }) {
   return (
     <div>
       {data.confidence != null && <ConfidenceBadge score={data.confidence} />}
+      <FreshnessNote freshness={data.dataFreshness} />
+      <FilterChips filters={data.appliedFilters} />
       <p style={{ fontSize: 15, lineHeight: 1.6, marginTop: 8 }}>{data.summary}</p>
       <div style={{ fontSize: 14, color: "#cbd5e1", lineHeight: 1.6 }}>{data.insight}</div>
 
@@ -109,45 +249,248 @@ function BotMessage({ data }) {
         </div>
       )}
 
+      <Charts charts={data.charts} />
+
       {Object.entries(tables).map(([key, rows]) => (
         <DataTable key={key} title={key.replace(/([A-Z])/g, " $1").trim()} rows={rows} />
       ))}
 
+      <AnalysisTrace trace={data.trace} />
+      <QueryDetails query={data.query} />
+
       <DataQualityPanel dq={data.dataQuality} />
+      <ExportButtons data={data} />
     </div>
   );
 }
 
+function SignInPanel({ onSignedIn }) {
+  const [apiKey, setApiKey] = useState("");
+  const [mondayToken, setMondayToken] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!apiKey.trim() || busy) return;
+    setBusy(true);
+    setError("");
+    try {
+      await signIn(apiKey.trim(), mondayToken.trim());
+      onSignedIn();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputStyle = { background: "#0f172a", border: "1px solid #334155", color: "#f1f5f9", padding: "10px 14px", borderRadius: 8, fontSize: 14, outline: "none" };
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: 420, margin: "60px auto", background: "#1e293b", padding: 24, borderRadius: 12, display: "flex", flexDirection: "column", gap: 12 }}>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>Sign in</div>
+      <div style={{ fontSize: 13, color: "#94a3b8" }}>Enter the API key you were given. Add your own Monday.com API token to see only the boards and items you have access to.</div>
+      <input type="password" value={apiKey} onChange={(e) => setApiKey(e.target.value)} placeholder="API key" style={inputStyle} />
+      <input type="password" value={mondayToken} onChange={(e) => setMondayToken(e.target.value)} placeholder="Monday.com API token (optional)" style={inputStyle} />
+      {error && <div style={{ fontSize: 13, color: "#f87171" }}>{error}</div>}
+      <button type="submit" disabled={busy || !apiKey.trim()} style={{ background: busy ? "#334155" : "#3b82f6", color: "#fff", border: "none", padding: "10px 16px", borderRadius: 8, fontWeight: 600, fontSize: 14, cursor: busy ? "default" : "pointer" }}>
+        {busy ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+}
+
+function ConversationSidebar({ conversations, activeId, onOpen, onNew, onRename, onDelete }) {
+  const [editing, setEditing] = useState(null);
+  const [title, setTitle] = useState("");
+
+  const startRename = (c) => {
+    setEditing(c.id);
+    setTitle(c.title || "");
+  };
+  const finishRename = (e) => {
+    e.preventDefault();
+    if (title.trim()) onRename(editing, title.trim());
+    setEditing(null);
+  };
+  const iconButton = { background: "none", border: "none", color: "#64748b", cursor: "pointer", fontSize: 12, padding: "0 2px" };
+
+  return (
+    <aside style={{ width: 240, borderRight: "1px solid #1e293b", display: "flex", flexDirection: "column", flexShrink: 0 }}>
+      <div style={{ padding: 12 }}>
+        <button onClick={onNew} style={{ width: "100%", background: "#1e293b", border: "1px solid #334155", color: "#cbd5e1", padding: "8px 12px", borderRadius: 8, cursor: "pointer", fontSize: 13 }}>
+          + New conversation
+        </button>
+      </div>
+      <div style={{ flex: 1, overflowY: "auto", padding: "0 8px 12px" }}>
+        {conversations.length === 0 && <div style={{ fontSize: 12, color: "#64748b", padding: "4px 8px" }}>Past conversations appear here.</div>}
+        {conversations.map((c) => (
+          <div key={c.id} style={{ display: "flex", alignItems: "center", gap: 4, padding: "6px 8px", borderRadius: 6, marginBottom: 2, background: c.id === activeId ? "#1e293b" : "transparent" }}>
+            {editing === c.id ? (
+              <form onSubmit={finishRename} style={{ flex: 1 }}>
+                <input autoFocus value={title} onChange={(e) => setTitle(e.target.value)} onBlur={finishRename} maxLength={100}
+                  style={{ width: "100%", background: "#0f172a", border: "1px solid #334155", color: "#f1f5f9", padding: "2px 6px", borderRadius: 4, fontSize: 13 }} />
+              </form>
+            ) : (
+              <button onClick={() => onOpen(c.id)} title={c.lastQuestion || c.title} style={{ flex: 1, minWidth: 0, textAlign: "left", background: "none", border: "none", color: "#cbd5e1", cursor: "pointer", padding: 0, fontSize: 13 }}>
+                <div style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.title}</div>
+                <div style={{ fontSize: 11, color: "#64748b" }}>{new Date(c.updatedAt).toLocaleDateString()} · {c.turnCount} {c.turnCount === 1 ? "question" : "questions"}</div>
+              </button>
+            )}
+            <button onClick={() => startRename(c)} title="Rename" style={iconButton}>✎</button>
+            <button onClick={() => onDelete(c)} title="Delete" style={iconButton}>✕</button>
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+}
+
+// Stored turns as chat messages; replays are marked so they read as re-runs
+function turnsToMessages(turns) {
+  return turns.flatMap((t) => [
+    { role: "user", content: t.question, turnId: t.id, replay: !!t.replayOf },
+    { role: "bot", data: t.reply },
+  ]);
+}
+
 export default function ChatUI() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
+  const [refreshNote, setRefreshNote] = useState("");
+  const [needsSignIn, setNeedsSignIn] = useState(false);
+  const [signedIn, setSignedIn] = useState(!!getAuthToken());
+  const [conversationId, setConversationId] = useState(newConversationId);
+  const [conversations, setConversations] = useState([]);
+  const [historyNote, setHistoryNote] = useState("");
   const endRef = useRef(null);
 
   useEffect(() => { endRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages]);
 
+  // Failures of the history calls are shown in the sidebar header; a 401 asks for credentials
+  const withHistory = async (fn) => {
+    try {
+      setHistoryNote("");
+      return await fn();
+    } catch (err) {
+      if (err.status === 401) handleSignOut();
+      else setHistoryNote(err.message);
+      return null;
+    }
+  };
+
+  const refreshConversations = () => withHistory(async () => setConversations(await listConversations()));
+
+  useEffect(() => {
+    if (!needsSignIn) refreshConversations();
+  }, [needsSignIn]);
+
+  const handleOpenConversation = (id) => withHistory(async () => {
+    if (loading) return;
+    const conversation = await getConversation(id);
+    setConversationId(id);
+    setMessages(turnsToMessages(conversation.turns));
+  });
+
+  const handleNewConversation = () => {
+    if (loading) return;
+    setConversationId(newConversationId());
+    setMessages([]);
+  };
+
+  const handleRename = (id, title) => withHistory(async () => {
+    await renameConversation(id, title);
+    await refreshConversations();
+  });
+
+  const handleDelete = (conversation) => withHistory(async () => {
+    if (!window.confirm(`Delete "${conversation.title}"?`)) return;
+    await deleteConversation(conversation.id);
+    if (conversation.id === conversationId) handleNewConversation();
+    await refreshConversations();
+  });
+
+  const handleReplay = async (turnId, question) => {
+    if (loading) return;
+    setMessages((m) => [...m, { role: "user", content: question, replay: true }, { role: "bot", data: { type: "progress", stages: ["Re-running with current data"], raw: "" } }]);
+    setLoading(true);
+    const turn = await withHistory(() => replayTurn(conversationId, turnId));
+    setMessages((m) => [
+      ...m.slice(0, -2),
+      ...(turn ? turnsToMessages([turn]) : [{ role: "user", content: question, replay: true }, { role: "bot", data: { type: "error", summary: "The question could not be re-run.", insight: "" } }]),
+    ]);
+    setLoading(false);
+    refreshConversations();
+  };
+
   const handleSend = async () => {
     const text = input.trim();
     if (!text || loading) return;
     setInput("");
-    setMessages((m) => [...m, { role: "user", content: text }]);
+    setMessages((m) => [...m, { role: "user", content: text }, { role: "bot", data: { type: "progress", stages: [], raw: "" } }]);
     setLoading(true);
+
+    // Replace the trailing progress bubble in place as stage events arrive
+    const updateLast = (fn) => setMessages((m) => [...m.slice(0, -1), { ...m[m.length - 1], data: fn(m[m.length - 1].data) }]);
+    let streamed = false;
     try {
-      const data = await sendMessage(text);
-      setMessages((m) => [...m, { role: "bot", data }]);
+      let data;
+      try {
+        data = await streamMessage(text, conversationId, (event, payload) => {
+          streamed = true;
+          updateLast((progress) => applyStreamEvent(progress, event, payload));
+        });
+      } catch (err) {
+        // Fall back to the plain JSON endpoint if streaming is unavailable
+        if (streamed || err.status === 401) throw err;
+        data = await sendMessage(text, conversationId);
+      }
+      // The reply's turnId lets this question be re-run later
+      setMessages((m) => [...m.slice(0, -2), { ...m[m.length - 2], turnId: data.turnId }, { ...m[m.length - 1], data }]);
+      refreshConversations();
     } catch (err) {
-      setMessages((m) => [...m, { role: "bot", data: { type: "error", summary: err.message, insight: "Check that the backend server is running." } }]);
+      if (err.status === 401) {
+        // Drop the unanswered question and ask for credentials instead
+        setMessages((m) => m.slice(0, -2));
+        setInput(text);
+        handleSignOut();
+        return;
+      }
+      updateLast(() => ({ type: "error", summary: err.message, insight: "Check that the backend server is running." }));
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRefresh = async () => {
+    try {
+      await invalidateCache();
+      setRefreshNote("Cache cleared — next answer uses live data");
+    } catch (err) {
+      if (err.status === 401) return handleSignOut();
+      setRefreshNote(`Refresh failed: ${err.message}`);
+    }
+    setTimeout(() => setRefreshNote(""), 4000);
+  };
+
+  const handleSignOut = () => {
+    signOut();
+    setSignedIn(false);
+    setNeedsSignIn(true);
+    setConversations([]);
+  };
+
   const handleKey = (e) => { if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); handleSend(); } };
 
   const examples = [
     "Give me a leadership brief on our business",
     "What is our quarterly revenue by sector?",
     "How many work orders are overdue?",
+    "Who owes us money?",
+    "Top 5 clients by billed amount",
+    "What will we close next quarter?",
+    "Where are deals getting stuck in the funnel?",
     "How's our pipeline for energy sector this quarter?",
   ];
 
@@ -159,63 +502,87 @@ export default function ChatUI() {
           <div style={{ fontWeight: 700, fontSize: 16 }}>Skylark BI Agent</div>
           <div style={{ fontSize: 12, color: "#64748b" }}>Monday.com Business Intelligence</div>
         </div>
+        <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 8 }}>
+          {refreshNote && <span style={{ fontSize: 12, color: "#94a3b8" }}>{refreshNote}</span>}
+          <button onClick={handleRefresh} style={{ background: "#1e293b", border: "1px solid #334155", color: "#cbd5e1", padding: "6px 12px", borderRadius: 8, cursor: "pointer", fontSize: 12 }}>
+            Refresh data
+          </button>
+          {signedIn && (
+            <button onClick={handleSignOut} style={{ background: "#1e293b", border: "1px solid #334155", color: "#cbd5e1", padding: "6px 12px", borderRadius: 8, cursor: "pointer", fontSize: 12 }}>
+              Sign out
+            </button>
+          )}
+        </div>
       </header>
 
-      <div style={{ flex: 1, overflowY: "auto", padding: "20px 24px" }}>
-        {messages.length === 0 && (
-          <div style={{ textAlign: "center", marginTop: 60 }}>
-            <div style={{ fontSize: 28, fontWeight: 700, marginBottom: 8 }}>Ask me anything about your business</div>
-            <div style={{ color: "#64748b", marginBottom: 24 }}>I connect to your Monday.com boards to deliver executive-ready insights and leadership updates.</div>
-            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, justifyContent: "center" }}>
-              {examples.map((ex) => (
-                <button key={ex} onClick={() => setInput(ex)} style={{ background: "#1e293b", border: "1px solid #334155", color: "#cbd5e1", padding: "8px 16px", borderRadius: 8, cursor: "pointer", fontSize: 13 }}>
-                  {ex}
-                </button>
-              ))}
-            </div>
-          </div>
+      <div style={{ flex: 1, display: "flex", minHeight: 0 }}>
+        {!needsSignIn && (
+          <ConversationSidebar conversations={conversations} activeId={conversationId} onOpen={handleOpenConversation}
+            onNew={handleNewConversation} onRename={handleRename} onDelete={handleDelete} />
         )}
-        {messages.map((m, i) => (
-          <div key={i} style={{ display: "flex", justifyContent: m.role === "user" ? "flex-end" : "flex-start", marginBottom: 16 }}>
-            <div style={{
-              maxWidth: m.role === "user" ? "65%" : "85%",
-              padding: "12px 16px",
-              borderRadius: m.role === "user" ? "16px 16px 4px 16px" : "16px 16px 16px 4px",
-              background: m.role === "user" ? "#3b82f6" : "#1e293b",
-              fontSize: 14,
-              lineHeight: 1.5,
-            }}>
-              {m.role === "user" ? m.content : <BotMessage data={m.data} />}
-            </div>
+        <div style={{ flex: 1, display: "flex", flexDirection: "column", minWidth: 0 }}>
+          {historyNote && <div style={{ padding: "6px 24px", fontSize: 12, color: "#f87171", borderBottom: "1px solid #1e293b" }}>History unavailable: {historyNote}</div>}
+          <div style={{ flex: 1, overflowY: "auto", padding: "20px 24px" }}>
+            {needsSignIn && <SignInPanel onSignedIn={() => { setNeedsSignIn(false); setSignedIn(true); }} />}
+            {!needsSignIn && messages.length === 0 && (
+              <div style={{ textAlign: "center", marginTop: 60 }}>
+                <div style={{ fontSize: 28, fontWeight: 700, marginBottom: 8 }}>Ask me anything about your business</div>
+                <div style={{ color: "#64748b", marginBottom: 24 }}>I connect to your Monday.com boards to deliver executive-ready insights and leadership updates.</div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8, justifyContent: "center" }}>
+                  {examples.map((ex) => (
+                    <button key={ex} onClick={() => setInput(ex)} style={{ background: "#1e293b", border: "1px solid #334155", color: "#cbd5e1", padding: "8px 16px", borderRadius: 8, cursor: "pointer", fontSize: 13 }}>
+                      {ex}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {messages.map((m, i) => (
+              <div key={i} style={{ display: "flex", justifyContent: m.role === "user" ? "flex-end" : "flex-start", marginBottom: 16 }}>
+                <div style={{
+                  maxWidth: m.role === "user" ? "65%" : "85%",
+                  padding: "12px 16px",
+                  borderRadius: m.role === "user" ? "16px 16px 4px 16px" : "16px 16px 16px 4px",
+                  background: m.role === "user" ? "#3b82f6" : "#1e293b",
+                  fontSize: 14,
+                  lineHeight: 1.5,
+                }}>
+                  {m.role === "user" ? m.content : <BotMessage data={m.data} />}
+                  {m.role === "user" && (m.replay || m.turnId) && (
+                    <div style={{ marginTop: 6, fontSize: 11, color: "#dbeafe", display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                      {m.replay && <span>Re-run</span>}
+                      {m.turnId && !loading && (
+                        <button onClick={() => handleReplay(m.turnId, m.content)} style={{ background: "none", border: "none", color: "#dbeafe", cursor: "pointer", fontSize: 11, padding: 0, textDecoration: "underline" }}>
+                          Re-run with current data
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+            <div ref={endRef} />
           </div>
-        ))}
-        {loading && (
-          <div style={{ display: "flex", justifyContent: "flex-start", marginBottom: 16 }}>
-            <div style={{ background: "#1e293b", padding: "12px 20px", borderRadius: 16, fontSize: 14, color: "#94a3b8" }}>
-              <span style={{ display: "inline-block", animation: "pulse 1.5s infinite" }}>Analyzing your Monday.com data...</span>
+
+          <div style={{ padding: "16px 24px", borderTop: "1px solid #1e293b" }}>
+            <div style={{ display: "flex", gap: 8 }}>
+              <input
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                onKeyDown={handleKey}
+                placeholder="Ask about pipeline, revenue, work orders, leadership updates..."
+                disabled={loading || needsSignIn}
+                style={{ flex: 1, background: "#1e293b", border: "1px solid #334155", color: "#f1f5f9", padding: "12px 16px", borderRadius: 12, fontSize: 14, outline: "none" }}
+              />
+              <button
+                onClick={handleSend}
+                disabled={loading || needsSignIn || !input.trim()}
+                style={{ background: loading ? "#334155" : "#3b82f6", color: "#fff", border: "none", padding: "12px 24px", borderRadius: 12, fontWeight: 600, fontSize: 14, cursor: loading ? "default" : "pointer" }}
+              >
+                {loading ? "..." : "Send"}
+              </button>
             </div>
           </div>
-        )}
-        <div ref={endRef} />
-      </div>
-
-      <div style={{ padding: "16px 24px", borderTop: "1px solid #1e293b" }}>
-        <div style={{ display: "flex", gap: 8 }}>
-          <input
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyDown={handleKey}
-            placeholder="Ask about pipeline, revenue, work orders, leadership updates..."
-            disabled={loading}
-            style={{ flex: 1, background: "#1e293b", border: "1px solid #334155", color: "#f1f5f9", padding: "12px 16px", borderRadius: 12, fontSize: 14, outline: "none" }}
-          />
-          <button
-            onClick={handleSend}
-            disabled={loading || !input.trim()}
-            style={{ background: loading ? "#334155" : "#3b82f6", color: "#fff", border: "none", padding: "12px 24px", borderRadius: 12, fontWeight: 600, fontSize: 14, cursor: loading ? "default" : "pointer" }}
-          >
-            {loading ? "..." : "Send"}
-          </button>
         </div>
       </div>
     </div>
@@ -1,17 +1,164 @@
 const BASE = import.meta.env.VITE_API_URL || "/api";
 
-const SESSION_ID = `session_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+const AUTH_STORAGE_KEY = "skylark_auth_token";
 
-export async function sendMessage(message) {
+export function getAuthToken() {
+  return localStorage.getItem(AUTH_STORAGE_KEY);
+}
+
+export function signOut() {
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+function authHeaders(extra = {}) {
+  const token = getAuthToken();
+  return { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}), ...extra };
+}
+
+// Errors carry the HTTP status so the UI can tell "signed out" apart from other failures
+async function responseError(res) {
+  const body = await res.json().catch(() => ({}));
+  const err = new Error(body.error || `Server returned ${res.status}`);
+  err.status = res.status;
+  return err;
+}
+
+/**
+ * Exchange an API key (and optionally the user's own Monday.com token) for a
+ * session token, which is stored and sent with every later request.
+ */
+export async function signIn(apiKey, mondayToken) {
+  const res = await fetch(`${BASE}/auth/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify(mondayToken ? { mondayToken } : {}),
+  });
+  if (!res.ok) throw await responseError(res);
+  const session = await res.json();
+  localStorage.setItem(AUTH_STORAGE_KEY, session.token);
+  return session;
+}
+
+/** A fresh conversation id; chat requests with the same id continue one conversation. */
+export function newConversationId() {
+  return `session_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+export async function sendMessage(message, conversationId) {
   const res = await fetch(`${BASE}/chat`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ message, sessionId: SESSION_ID }),
+    headers: authHeaders(),
+    body: JSON.stringify({ message, sessionId: conversationId }),
+  });
+  if (!res.ok) throw await responseError(res);
+  return res.json();
+}
+
+/**
+ * Streaming chat over SSE. Calls onEvent(event, data) for each stage event
+ * (plan, board, metrics, token) and resolves with the final reply.
+ */
+export async function streamMessage(message, conversationId, onEvent) {
+  const res = await fetch(`${BASE}/chat/stream`, {
+    method: "POST",
+    headers: authHeaders({ Accept: "text/event-stream" }),
+    body: JSON.stringify({ message, sessionId: conversationId }),
+  });
+  if (!res.ok) throw await responseError(res);
+  if (!res.body) throw new Error("Streaming is not supported by this browser");
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let reply = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      const event = frame.match(/^event: (.*)$/m)?.[1];
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      if (!event || data == null) continue;
+      const payload = JSON.parse(data);
+      if (event === "done" || event === "error") reply = payload;
+      else onEvent(event, payload);
+    }
+  }
+  if (!reply) throw new Error("Stream ended without a reply");
+  return reply;
+}
+
+// Conversation history: JSON in and out (DELETE answers 204 with no body)
+async function conversationRequest(method, path = "", body) {
+  const res = await fetch(`${BASE}/conversations${path}`, {
+    method,
+    headers: authHeaders(),
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  if (!res.ok) throw await responseError(res);
+  return res.status === 204 ? null : res.json();
+}
+
+/** The user's past conversations ({ id, title, updatedAt, turnCount, ... }), most recent first. */
+export async function listConversations() {
+  return (await conversationRequest("GET")).conversations;
+}
+
+/** A conversation with its turns ({ id, question, reply, askedAt, replayOf? }). */
+export function getConversation(id) {
+  return conversationRequest("GET", `/${encodeURIComponent(id)}`);
+}
+
+export function renameConversation(id, title) {
+  return conversationRequest("PATCH", `/${encodeURIComponent(id)}`, { title });
+}
+
+export function deleteConversation(id) {
+  return conversationRequest("DELETE", `/${encodeURIComponent(id)}`);
+}
+
+/** Ask a past turn's question again against current data; resolves with the new turn. */
+export function replayTurn(id, turnId) {
+  return conversationRequest("POST", `/${encodeURIComponent(id)}/turns/${encodeURIComponent(turnId)}/replay`);
+}
+
+export async function invalidateCache(boardId) {
+  const res = await fetch(`${BASE}/cache/invalidate`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: JSON.stringify(boardId ? { boardId } : {}),
   });
-  if (!res.ok) throw new Error(`Server returned ${res.status}`);
+  if (!res.ok) throw await responseError(res);
   return res.json();
 }
 
+/**
+ * Download a chat reply as Markdown, PDF or PPTX ("markdown" | "pdf" | "pptx").
+ */
+export async function downloadExport(reply, format) {
+  const res = await fetch(`${BASE}/export`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: JSON.stringify({ format, reply }),
+  });
+  if (!res.ok) throw await responseError(res);
+
+  const filename = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || `leadership-brief.${format}`;
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 export async function healthCheck() {
   const res = await fetch(`${BASE}/health`);
   return res.json();